@@ -9,9 +9,14 @@
  * Claude Code Hook: triggers on every user message submission.
  */
 
-import { existsSync, readFileSync } from 'fs';
+import { existsSync, readFileSync, statSync, openSync, readSync, closeSync } from 'fs';
 import { join } from 'path';
 
+const CONTEXT_WINDOW = 200000;
+const MAX_TURNS = 40;
+// Only the end of the transcript is scanned for the latest usage report
+const TRANSCRIPT_TAIL_BYTES = 256 * 1024;
+
 /**
  * Read session.yaml and extract key fields for PRISM.
  */
@@ -35,6 +40,84 @@ function readSessionState(projectDir) {
   };
 }
 
+/**
+ * Sum the input-side token counts of a provider usage object.
+ * Returns null when the object carries no token counts.
+ */
+function usedTokensFrom(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  if (Number.isFinite(usage.used_tokens)) return usage.used_tokens;
+  const fields = ['input_tokens', 'cache_read_input_tokens', 'cache_creation_input_tokens'];
+  if (!fields.some(f => Number.isFinite(usage[f]))) return null;
+  return fields.reduce((sum, f) => sum + (Number.isFinite(usage[f]) ? usage[f] : 0), 0);
+}
+
+/**
+ * Read the transcript size and the most recent usage reported in it.
+ * Transcripts are JSONL; only the tail is read to keep the hook fast.
+ */
+function readTranscript(transcriptPath) {
+  if (!transcriptPath || !existsSync(transcriptPath)) return null;
+
+  const size = statSync(transcriptPath).size;
+  const length = Math.min(size, TRANSCRIPT_TAIL_BYTES);
+  const buffer = Buffer.alloc(length);
+  const fd = openSync(transcriptPath, 'r');
+  try {
+    readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    closeSync(fd);
+  }
+
+  const lines = buffer.toString('utf-8').split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!lines[i].includes('"usage"')) continue;
+    try {
+      const usedTokens = usedTokensFrom(JSON.parse(lines[i]).message?.usage);
+      if (usedTokens !== null) return { size, usedTokens };
+    } catch {
+      // Partial first line of the tail, or not JSON — keep looking
+    }
+  }
+  return { size, usedTokens: null };
+}
+
+/**
+ * Estimate remaining context (0-100) from the best signal in the hook event:
+ * usage reported by the provider, then transcript length, then turn count.
+ * @returns {{ remainingPercent: number, source: 'provider'|'transcript'|'turns' }}
+ */
+function estimateContextRemaining(event, session) {
+  const usage = event.context_usage || event.usage;
+  const contextWindow = usage?.context_window > 0 ? usage.context_window : CONTEXT_WINDOW;
+  const percentLeft = (tokens) => Math.max(0, Math.min(100, Math.round((1 - tokens / contextWindow) * 100)));
+
+  const reported = usedTokensFrom(usage);
+  if (reported !== null) {
+    return { remainingPercent: percentLeft(reported), source: 'provider' };
+  }
+
+  let transcript = null;
+  try {
+    transcript = readTranscript(event.transcript_path);
+  } catch {
+    // Unreadable transcript — fall back to turn count
+  }
+  if (transcript?.usedTokens != null) {
+    return { remainingPercent: percentLeft(transcript.usedTokens), source: 'provider' };
+  }
+  if (transcript) {
+    // Rough estimate: 1 token ≈ 4 chars
+    return { remainingPercent: percentLeft(transcript.size / 4), source: 'transcript' };
+  }
+
+  const turnCount = session?.turnCount || 0;
+  return {
+    remainingPercent: Math.max(0, Math.round((1 - Math.min(turnCount, MAX_TURNS) / MAX_TURNS) * 100)),
+    source: 'turns',
+  };
+}
+
 /**
  * Main hook handler.
  * Reads stdin for hook event, outputs context to inject.
@@ -56,9 +139,8 @@ async function main() {
       return;
     }
 
-    // Estimate remaining context from turn count
-    const maxTurns = 40;
-    const remainingPercent = Math.max(0, Math.round((1 - session.turnCount / maxTurns) * 100));
+    // Estimate remaining context from provider usage, transcript length or turn count
+    const { remainingPercent } = estimateContextRemaining(event, session);
 
     // Determine bracket
     let bracket = 'FRESH';
@@ -100,7 +182,7 @@ async function main() {
   }
 }
 
-export { readSessionState };
+export { readSessionState, estimateContextRemaining };
 
 // Only run main when executed directly (not imported by tests)
 import { fileURLToPath } from 'url';
@@ -123,7 +123,7 @@ async function main() {
     }
 
     case 'memory': {
-      const { listMemories, searchMemories, cleanMemories, getMemoryStats } = await import('../src/intelligence/memory-manager.js');
+      const { listMemories, cleanMemories, getMemoryStats } = await import('../src/intelligence/memory-manager.js');
       const memSubCmd = args[1] || 'stats';
 
       if (memSubCmd === 'list') {
@@ -145,17 +145,54 @@ async function main() {
           }
         }
       } else if (memSubCmd === 'search') {
-        const query = args[2];
-        if (!query) { console.error('Usage: npx chati-dev memory search <query>'); process.exit(1); }
-        const results = searchMemories(targetDir, query);
+        // Query words may be split across args; "phrases" and agent:/type: filters pass through
+        const limitIdx = args.indexOf('--limit');
+        const query = args.filter((a, i) => i > 1 && !a.startsWith('--') && (limitIdx === -1 || i !== limitIdx + 1)).join(' ');
+        if (!query) { console.error('Usage: npx chati-dev memory search <query> ["phrase"] [agent:<name>] [type:<type>] [--limit N]'); process.exit(1); }
+        const { searchAllMemories } = await import('../src/memory/search.js');
+        const results = searchAllMemories(process.cwd(), query, {
+          types: ['gotchas', 'agent', 'session', 'memories'],
+          limit: limitIdx !== -1 ? parseInt(args[limitIdx + 1], 10) || 20 : 20,
+        });
         if (results.length === 0) {
-          console.log(`No memories matching "${query}".`);
+          console.log(`No memories matching ${query}.`);
         } else {
-          console.log(`Found ${results.length} memories matching "${query}":\n`);
+          console.log(`Found ${results.length} memories matching ${query}:\n`);
           for (const r of results) {
-            console.log(`  ${r.id || r.path}  [${r.matchType}]  ${r.agent || 'shared'}`);
+            console.log(`  ${r.relevance.toFixed(2).padStart(6)}  [${r.type}]  ${r.id}  ${r.agent || 'shared'}  ${r.title}`);
           }
         }
+      } else if (memSubCmd === 'consolidate') {
+        // Always show the diff; only --apply writes it
+        const { consolidateMemories } = await import('../src/memory/consolidation.js');
+        const apply = args.includes('--apply');
+        const result = consolidateMemories(process.cwd(), { dryRun: !apply });
+        if (!result.diff) {
+          console.log('Memories are already consolidated.');
+        } else {
+          console.log(result.diff);
+          console.log();
+          console.log(`Merges: ${result.merges.length}, Decays: ${result.decays.length}, Removals: ${result.removals.length}, Promotions: ${result.promotions.length}`);
+          console.log(result.applied ? 'Consolidated memories written.' : 'Run with --apply to write these changes.');
+        }
+      } else if (memSubCmd === 'export' || memSubCmd === 'import') {
+        const { exportToSharedStore, importFromSharedStore } = await import('../src/memory/shared-store.js');
+        const dryRun = args.includes('--dry-run');
+        let result;
+        try {
+          result = memSubCmd === 'export'
+            ? exportToSharedStore(process.cwd(), { dryRun })
+            : importFromSharedStore(process.cwd(), { dryRun });
+        } catch (err) {
+          console.error(err.message);
+          process.exit(1);
+        }
+        const verb = memSubCmd === 'export' ? 'Exported to' : 'Imported from';
+        console.log(`${verb} ${result.store}${dryRun ? ' (dry run)' : ''}`);
+        console.log(`  Gotchas:  ${result.gotchas.added} new, ${result.gotchas.updated} updated`);
+        console.log(`  Memories: ${result.memories.added} new`);
+        if (result.committed) console.log(`  Committed${result.pushed ? ' and pushed' : ''} to the store repository`);
+        for (const warning of result.warnings) console.log(`  Warning: ${warning}`);
       } else if (memSubCmd === 'clean') {
         const dryRun = args.includes('--dry-run');
         const result = cleanMemories(targetDir, { dryRun });
@@ -244,6 +281,125 @@ async function main() {
       console.log(`  Entities:     ${checks.entities.pass ? 'PASS' : 'FAIL'}  ${checks.entities.details}`);
       console.log();
       console.log(`  Status: ${checks.overall} (${checks.passCount}/${checks.totalChecks})`);
+
+      const { getOpenCircuits } = await import('../src/gates/circuit-breaker.js');
+      const openCircuits = getOpenCircuits(targetDir);
+      console.log();
+      console.log('Circuits');
+      console.log('-'.repeat(30));
+      if (openCircuits.length === 0) {
+        console.log('  All circuits closed');
+      }
+      for (const circuit of openCircuits) {
+        const retry = circuit.retryAt ? `, retry after ${new Date(circuit.retryAt).toLocaleTimeString()}` : '';
+        console.log(`  ${circuit.kind.padEnd(9)} ${circuit.name.padEnd(22)} ${circuit.state}  ${circuit.failures} failure(s)${retry}`);
+      }
+      break;
+    }
+
+    case 'cost': {
+      const { parseSince, buildLedgerReport, formatCostReport, formatCostCsv } = await import('../src/terminal/cost-report.js');
+      const sinceIdx = args.indexOf('--since');
+      // Positional args are project dirs (the --since value is not)
+      const projectDirs = args
+        .filter((a, i) => i > 0 && !a.startsWith('-') && (sinceIdx === -1 || i !== sinceIdx + 1))
+        .map(dir => resolve(dir));
+
+      let since = null;
+      if (sinceIdx !== -1) {
+        if (!args[sinceIdx + 1]) { console.error('Usage: npx chati-dev cost --since <7d|24h|YYYY-MM-DD>'); process.exit(1); }
+        since = parseSince(args[sinceIdx + 1]);
+      }
+
+      const report = buildLedgerReport(projectDirs.length > 0 ? projectDirs : [process.cwd()], { since });
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+      } else if (args.includes('--csv')) {
+        console.log(formatCostCsv(report));
+      } else {
+        console.log(formatCostReport(report));
+      }
+      break;
+    }
+
+    case 'coverage': {
+      const { runTests } = await import('../src/quality/test-runner.js');
+      const { loadCoverageThresholds, hasCoverageThresholds, checkCoverage, COVERAGE_REPORT_FILE } = await import('../src/quality/coverage.js');
+      const { TEST_RESULTS_FILE } = await import('../src/quality/test-results.js');
+      const result = runTests(targetDir, { coverage: true, record: true, timeout: 600_000 });
+      if (!result.coverage) {
+        console.error(`No coverage collected: ${result.rawOutput.split('\n')[0] || `the ${result.runner} runner reported none`}`);
+        process.exit(1);
+      }
+
+      const pct = (value) => (typeof value === 'number' ? `${value}%` : 'n/a');
+      console.log('Chati.dev Coverage');
+      console.log('='.repeat(30));
+      console.log(`  Lines:      ${pct(result.coverage.lines)}`);
+      console.log(`  Branches:   ${pct(result.coverage.branches)}`);
+      console.log(`  Functions:  ${pct(result.coverage.functions)}`);
+      console.log(`  Tests:      ${result.passed}/${result.total} passed`);
+
+      const thresholds = loadCoverageThresholds(targetDir);
+      const check = hasCoverageThresholds(thresholds) ? checkCoverage(result.coverage, thresholds) : null;
+      if (check) {
+        console.log();
+        console.log(`  Thresholds: ${check.met ? 'MET' : 'NOT MET'}`);
+        for (const failure of check.failures) console.log(`    ${failure}`);
+        for (const gap of check.gaps.slice(0, 10)) {
+          console.log(`    ${gap.file}  ${gap.below.map((key) => `${key} ${gap[key]}%`).join(', ')}`);
+        }
+      }
+      console.log();
+      console.log(`  Saved to ${COVERAGE_REPORT_FILE} and ${TEST_RESULTS_FILE}`);
+      if (!result.success || (check && !check.met)) process.exitCode = 1;
+      break;
+    }
+
+    case 'build': {
+      const { getBuildStatus } = await import('../src/autonomy/build-loop.js');
+      const { BuildStatus } = await import('../src/autonomy/build-state.js');
+      const { sendBuildCommand, BuildCommand } = await import('../src/autonomy/build-control.js');
+      const buildSubCmd = args[1] || 'status';
+      // Sub-command arguments are not directories; builds run in the cwd
+      const buildDir = process.cwd();
+      const status = getBuildStatus(buildDir);
+
+      if (buildSubCmd === 'status') {
+        if (!status) {
+          console.log('No build found.');
+          break;
+        }
+        console.log('Build Status');
+        console.log('='.repeat(30));
+        console.log(`  Build:     ${status.sessionId}`);
+        console.log(`  Status:    ${status.status}`);
+        console.log(`  Progress:  ${status.progress.completed}/${status.progress.total} completed, ${status.progress.failed} failed, ${status.progress.skipped} skipped`);
+        console.log(`  Started:   ${status.startedAt}`);
+        break;
+      }
+
+      if (!Object.values(BuildCommand).includes(buildSubCmd)) {
+        console.error('Usage: npx chati-dev build [status|pause|resume|skip <task>|cancel]');
+        process.exit(1);
+      }
+      if (buildSubCmd === BuildCommand.SKIP && !args[2]) {
+        console.error('Usage: npx chati-dev build skip <task>');
+        process.exit(1);
+      }
+      if (!status || (status.status !== BuildStatus.IN_PROGRESS && status.status !== BuildStatus.PAUSED)) {
+        console.error('No running build.');
+        process.exit(1);
+      }
+
+      sendBuildCommand(buildDir, buildSubCmd, args[2]);
+      const messages = {
+        [BuildCommand.PAUSE]: 'Pause requested: the build pauses after its running tasks finish.',
+        [BuildCommand.RESUME]: 'Resume requested.',
+        [BuildCommand.SKIP]: `Skip requested for task ${args[2]}.`,
+        [BuildCommand.CANCEL]: 'Cancel requested: the build stops after its running tasks finish.',
+      };
+      console.log(messages[buildSubCmd]);
       break;
     }
 
@@ -333,11 +489,25 @@ async function main() {
   npx chati-dev --help                  Show this help
 
 Intelligence:
-  npx chati-dev memory [stats|list|search|clean]  Memory management
+  npx chati-dev memory [stats|list|search|consolidate|export|import|clean]  Memory management
   npx chati-dev context                            Context bracket status
   npx chati-dev registry [stats|check]             Entity registry
   npx chati-dev health                             System health check
 
+Cost:
+  npx chati-dev cost [project-dir...]              Spend by agent, model, provider, task, day
+  npx chati-dev cost --since 7d                    Only runs in the last 7 days (or 24h, 2w, YYYY-MM-DD)
+  npx chati-dev cost --json | --csv                Machine-readable output
+
+Quality:
+  npx chati-dev coverage [project-dir]             Run tests with coverage; results feed gates G3 and G4
+
+Build:
+  npx chati-dev build [status]                     Autonomous build progress
+  npx chati-dev build pause | resume               Pause after running tasks, then resume
+  npx chati-dev build skip <task>                  Skip a task (its dependents are skipped too)
+  npx chati-dev build cancel                       Stop after running tasks finish
+
 Telemetry:
   npx chati-dev telemetry                          Show telemetry status
   npx chati-dev telemetry enable                   Enable anonymous telemetry
@@ -32,6 +32,7 @@ export {
   initStandardFlowPipeline,
 } from '../orchestrator/pipeline-manager.js';
 export { selectAgent } from '../orchestrator/agent-selector.js';
+export { loadWorkflow, listWorkflows } from '../orchestrator/workflow-loader.js';
 
 // ---------------------------------------------------------------------------
 // Session Management
@@ -64,6 +65,7 @@ export {
 // ---------------------------------------------------------------------------
 
 export { runBuildLoop } from '../autonomy/build-loop.js';
+export { sendBuildCommand, BuildCommand } from '../autonomy/build-control.js';
 export { checkSafety, SAFETY_TRIGGERS } from '../autonomy/safety-net.js';
 
 // ---------------------------------------------------------------------------
@@ -77,6 +79,7 @@ export { recordError, getGotchas } from '../memory/gotchas.js';
 // ---------------------------------------------------------------------------
 
 export { getMetricsHistory, getQualityDashboard, recordMetric } from '../quality/metrics-collector.js';
+export { scanProject } from '../quality/security-scanner.js';
 
 // ---------------------------------------------------------------------------
 // Extensions
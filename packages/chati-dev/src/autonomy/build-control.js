@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Operator control channel for a running build loop.
+ *
+ * `chati build pause|resume|skip <task>|cancel` write signals to
+ * .chati/build-control.json; runBuildLoop reads the file between
+ * iterations. Pause and cancel are states (they hold until changed);
+ * skips are a list of task IDs the loop removes once it has acted on
+ * them. Writers take the file lock so concurrent commands do not drop
+ * each other's signals.
+ *
+ * Constitution Article XVII — Execution Mode Governance.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { acquireLock } from '../utils/file-lock.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Control file, relative to the project root. */
+export const BUILD_CONTROL_FILE = '.chati/build-control.json';
+
+/** How often a paused build checks for resume or cancel (ms). */
+export const CONTROL_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Operator commands.
+ * @enum {string}
+ */
+export const BuildCommand = {
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  SKIP: 'skip',
+  CANCEL: 'cancel',
+};
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} BuildControl
+ * @property {boolean} paused - Stop starting tasks until resumed
+ * @property {boolean} cancelled - Stop the build once running tasks finish
+ * @property {string[]} skip - Task IDs to skip
+ * @property {string|null} updatedAt - ISO timestamp of the last signal
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function emptyControl() {
+  return { paused: false, cancelled: false, skip: [], updatedAt: null };
+}
+
+function controlPath(projectDir) {
+  return join(projectDir, BUILD_CONTROL_FILE);
+}
+
+/**
+ * Apply a change to the control file under its lock.
+ *
+ * @param {string} projectDir
+ * @param {function(BuildControl): void} fn - Mutates the control in place
+ * @returns {BuildControl}
+ */
+function updateControl(projectDir, fn) {
+  const path = controlPath(projectDir);
+  mkdirSync(dirname(path), { recursive: true });
+  const lock = acquireLock(path);
+  try {
+    const control = readBuildControl(projectDir);
+    fn(control);
+    control.updatedAt = new Date().toISOString();
+    writeFileSync(path, JSON.stringify(control, null, 2) + '\n', 'utf-8');
+    return control;
+  } finally {
+    lock.release();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the current control signals.
+ *
+ * @param {string} projectDir
+ * @returns {BuildControl} Defaults when the file is missing or corrupt
+ */
+export function readBuildControl(projectDir) {
+  const path = controlPath(projectDir);
+  if (!existsSync(path)) return emptyControl();
+  try {
+    const data = JSON.parse(readFileSync(path, 'utf-8'));
+    return {
+      paused: data.paused === true,
+      cancelled: data.cancelled === true,
+      skip: Array.isArray(data.skip) ? data.skip.filter((id) => typeof id === 'string') : [],
+      updatedAt: data.updatedAt || null,
+    };
+  } catch {
+    return emptyControl();
+  }
+}
+
+/**
+ * Send an operator command to the build loop.
+ *
+ * @param {string} projectDir
+ * @param {string} command - BuildCommand value
+ * @param {string} [taskId] - Task to skip (required for 'skip')
+ * @returns {BuildControl} The control signals after the command
+ * @throws {Error} On an unknown command or a skip without a task
+ */
+export function sendBuildCommand(projectDir, command, taskId) {
+  switch (command) {
+    case BuildCommand.PAUSE:
+      return updateControl(projectDir, (c) => { c.paused = true; });
+    case BuildCommand.RESUME:
+      return updateControl(projectDir, (c) => { c.paused = false; });
+    case BuildCommand.CANCEL:
+      return updateControl(projectDir, (c) => { c.cancelled = true; });
+    case BuildCommand.SKIP:
+      if (!taskId) {
+        throw new Error('A task ID is required to skip a task');
+      }
+      return updateControl(projectDir, (c) => {
+        if (!c.skip.includes(taskId)) c.skip.push(taskId);
+      });
+    default:
+      throw new Error(`Unknown build command "${command}". Use: ${Object.values(BuildCommand).join(', ')}`);
+  }
+}
+
+/**
+ * Remove skip requests the loop has acted on.
+ *
+ * @param {string} projectDir
+ * @param {string[]} taskIds
+ * @returns {BuildControl}
+ */
+export function acknowledgeSkips(projectDir, taskIds) {
+  return updateControl(projectDir, (c) => {
+    c.skip = c.skip.filter((id) => !taskIds.includes(id));
+  });
+}
+
+/**
+ * Delete the control file (at the start and end of a build run, so
+ * signals never leak from one run into the next).
+ *
+ * @param {string} projectDir
+ */
+export function clearBuildControl(projectDir) {
+  const path = controlPath(projectDir);
+  if (existsSync(path)) {
+    try {
+      unlinkSync(path);
+    } catch {
+      // Already removed by another process
+    }
+  }
+}
@@ -17,8 +17,12 @@ import {
   startBuild,
   completeBuild,
   failBuild,
+  cancelBuild,
+  pauseBuild,
+  resumeBuild,
   updateCheckpoint,
-  getNextPendingTask,
+  getReadyTasks,
+  skipBlockedTasks,
   isTaskExhausted,
   isTimedOut,
   getProgress,
@@ -27,19 +31,44 @@ import {
 } from './build-state.js';
 import { analyzeCause, buildRetryGuidance } from './cause-analyzer.js';
 import { shouldEscalate, getEscalationConfig, buildEscalationSummary } from './escalation.js';
+import { isGitRepo, createWorktree, commitWorktree, mergeWorktree } from './worktree-manager.js';
+import { verifyTask, snapshotChanges, getChangedFiles } from './task-verifier.js';
+import {
+  readBuildControl,
+  acknowledgeSkips,
+  clearBuildControl,
+  CONTROL_POLL_INTERVAL_MS,
+} from './build-control.js';
+import { detectTestCommand } from '../quality/test-runner.js';
+import { checkBudget, BudgetLevel } from '../terminal/budget.js';
 
 // ---------------------------------------------------------------------------
 // Build Loop
 // ---------------------------------------------------------------------------
 
+/** Tasks run at once unless `concurrency` says otherwise. */
+export const DEFAULT_CONCURRENCY = 1;
+
 /**
  * @typedef {object} BuildLoopConfig
  * @property {string} projectDir - Project root directory
  * @property {string[]} taskIds - Task IDs to execute
+ * @property {Record<string, string[]>} [dependencies] - Task DAG: task ID → task IDs it depends on
+ * @property {number} [concurrency=1] - Maximum tasks running at once (1 when worktrees are
+ *   unavailable and `isolation` is not set)
+ * @property {'worktree'|'none'} [isolation] - How attempts are isolated from the main checkout
+ *   (defaults to 'worktree' when concurrency > 1 in a git repository whose tests can run;
+ *   'none' lets concurrent tasks share the checkout)
  * @property {function(string, object?): Promise<{success: boolean, output: string}>} executor - Task execution function (taskId, options?)
  * @property {function(object): void} [onProgress] - Progress callback
  * @property {boolean} [resume=false] - Whether to resume from existing state
  * @property {string} [model='sonnet'] - Current model tier for escalation
+ * @property {string} [sessionId] - Pipeline session id, for session and agent budgets
+ * @property {string} [agent='dev'] - Agent executing the tasks, for agent budgets
+ * @property {number} [controlPollMs=1000] - How often a paused build checks for resume
+ * @property {boolean|import('./task-verifier.js').VerifyOptions} [verify] - Run tests and lint
+ *   after each successful attempt and only complete tasks that pass (always on with worktree isolation;
+ *   requires a test command)
  */
 
 /**
@@ -47,207 +76,435 @@ import { shouldEscalate, getEscalationConfig, buildEscalationSummary } from './e
  * @property {string} status - Final build status
  * @property {number} completed - Tasks completed
  * @property {number} failed - Tasks failed
+ * @property {number} skipped - Tasks skipped because a dependency failed
  * @property {number} totalAttempts - Total execution attempts
  * @property {string} duration - Human-readable duration
+ * @property {string|null} buildId - Build run id (ledger entries carry it as buildId)
+ * @property {string|null} failureReason - Why the build failed, if it did
  */
 
 /**
  * Run the autonomous build loop.
  *
  * Loop logic:
- * 1. Load or create build state
- * 2. Get next pending task
- * 3. Execute task
- * 4. Save checkpoint
+ * 1. Load or create build state (with the task DAG)
+ * 2. Skip tasks whose dependencies failed
+ * 3. Start ready tasks (all dependencies completed) up to the concurrency limit
+ * 4. Save a checkpoint whenever a task finishes
  * 5. If task failed and not exhausted, retry
  * 6. If task exhausted, mark as failed and continue
  * 7. Repeat until all tasks complete or global timeout
  *
+ * Between iterations the loop reads operator signals (build-control.js):
+ * skip marks a task skipped, pause stops starting tasks and — once the
+ * running ones have checkpointed — waits for resume, and cancel lets the
+ * running tasks finish and ends the build as cancelled.
+ *
+ * With `isolation: 'worktree'` (the default for concurrency > 1 in a git
+ * repository with a test command) each attempt runs in its own worktree
+ * (worktree-manager.js); the executor receives its path as `workingDir`.
+ * Verification is always on in this mode: only an attempt whose tests
+ * pass is committed and merged back, before its dependents start. A
+ * merge conflict fails the attempt and lists the conflicting files in the
+ * checkpoint's `conflicts`. A failed attempt's work is committed to its
+ * branch, which is kept (checkpoint `failedBranches`) for inspection.
+ * When worktrees are unavailable and `isolation` is not set, tasks run
+ * one at a time rather than sharing the checkout, and a
+ * `concurrency_capped` progress event says why.
+ *
+ * With `verify` set, a successful attempt is checked with the project's
+ * tests and lint (task-verifier.js) before it is merged or completed. A
+ * failed verification fails the attempt; its parsed failures go into the
+ * checkpoint and into the retry guidance of the next attempt. Checks are
+ * scoped to the files the attempt changed since it started; when other
+ * tasks share the checkout (concurrency > 1 without worktrees) the
+ * attempt's files cannot be told apart and the full suite runs.
+ *
+ * Before each execution the spend budget is checked: a soft-threshold
+ * breach emits a `budget_warning` progress event once, a hard limit fails
+ * the build. Executors receive `buildId` so the spend they record in the
+ * cost ledger counts against the build budget.
+ *
  * @param {BuildLoopConfig} config
  * @returns {Promise<BuildLoopResult>}
  */
 export async function runBuildLoop(config) {
-  const { projectDir, taskIds, executor, onProgress, resume = false, model = 'sonnet' } = config;
+  const {
+    projectDir, taskIds, dependencies, executor, onProgress, resume = false, model = 'sonnet',
+    sessionId = null, agent = 'dev',
+  } = config;
+  const requestedConcurrency = Math.max(1, Math.floor(config.concurrency || DEFAULT_CONCURRENCY));
+  // Worktree attempts are merged back only once their tests pass, so isolation needs runnable tests
+  const hasTestCommand = Boolean(config.verify?.testCommand || detectTestCommand(projectDir).command);
+  const canVerify = config.verify !== false && hasTestCommand;
+  // Every attempt would fail verification and retry until exhausted
+  if (config.verify && !hasTestCommand) {
+    throw new Error(`Verification needs a test command, but none was found in ${projectDir} (set verify.testCommand)`);
+  }
+  const gitRepo = isGitRepo(projectDir);
+  const isolation = config.isolation ?? (requestedConcurrency > 1 && canVerify && gitRepo ? 'worktree' : 'none');
+  const useWorktrees = isolation === 'worktree';
+  // Unless shared checkouts were asked for, concurrent tasks must not write into the same one
+  const capReason = config.isolation === undefined && requestedConcurrency > 1 && !useWorktrees
+    ? (!gitRepo ? `${projectDir} is not a git repository`
+      : config.verify === false ? 'verify: false leaves worktree attempts unverified'
+        : 'no test command was found to verify worktree attempts')
+    : null;
+  const concurrency = capReason ? 1 : requestedConcurrency;
+  if (useWorktrees && !gitRepo) {
+    throw new Error(`Worktree isolation requires a git repository: ${projectDir}`);
+  }
+  if (useWorktrees && !canVerify) {
+    throw new Error(config.verify === false
+      ? 'Worktree isolation only merges attempts whose tests pass and cannot run with verify: false'
+      : `Worktree isolation only merges attempts whose tests pass, but no test command was found in ${projectDir} (set verify.testCommand)`);
+  }
+  const verifyOptions = config.verify === true || (useWorktrees && !config.verify) ? {} : config.verify || null;
 
   // Load or create state
   let state = resume ? loadBuildState(projectDir) : null;
 
   if (!state || state.status === BuildStatus.COMPLETED || state.status === BuildStatus.ABANDONED) {
-    state = createBuildState(taskIds);
+    state = createBuildState(taskIds, { dependencies });
   }
 
   state = startBuild(state);
   saveBuildState(projectDir, state);
 
   const startTime = Date.now();
+  const controlPollMs = config.controlPollMs ?? CONTROL_POLL_INTERVAL_MS;
+  clearBuildControl(projectDir);
+
+  if (capReason && onProgress) {
+    onProgress({ type: 'concurrency_capped', requested: requestedConcurrency, concurrency, reason: capReason });
+  }
 
   // Per-task attempt history for cause analysis
   /** @type {Map<string, Array<{category: string, output: string}>>} */
   const attemptHistory = new Map();
+  /** @type {Map<string, Promise<void>>} */
+  const running = new Map();
+  let budgetWarned = false;
+  let stopReason = null;
+  let cancelled = false;
+
+  const recordFailure = (taskId, output, previousAttempts, verification = null) => {
+    const analysis = analyzeCause(output, previousAttempts, { failures: verification?.failures });
+    if (!attemptHistory.has(taskId)) {
+      attemptHistory.set(taskId, []);
+    }
+    attemptHistory.get(taskId).push({ category: analysis.category, output: output.slice(0, 500) });
+    state = updateCheckpoint(state, taskId, {
+      status: CheckpointStatus.IN_PROGRESS, // Will retry
+      error: output.slice(0, 500),
+      verification: verification || undefined,
+    });
+    return analysis;
+  };
+
+  const runTask = async (checkpoint, executorOptions, previousAttempts) => {
+    const { taskId } = checkpoint;
+    let worktree = null;
+    let keptBranch = null;
+
+    // Keep a failed attempt's work on its branch; the worktree itself is removed
+    const keepFailedAttempt = (mergeAttempted) => {
+      if (!worktree) return;
+      keptBranch = saveFailedAttempt(worktree, `chati: ${taskId} attempt ${checkpoint.attempts} (failed)`, mergeAttempted);
+      if (keptBranch) {
+        const current = state.checkpoints.find((c) => c.taskId === taskId);
+        state = updateCheckpoint(state, taskId, { failedBranches: [...(current.failedBranches || []), keptBranch] });
+      }
+    };
+
+    try {
+      if (useWorktrees) {
+        worktree = createWorktree(projectDir, taskId, checkpoint.attempts);
+        executorOptions.workingDir = worktree.path;
+      }
+      const workingDir = worktree?.path || projectDir;
+      const baseline = verifyOptions && verifyOptions.files === undefined && (worktree || concurrency === 1)
+        ? snapshotChanges(workingDir)
+        : null;
+
+      const result = await executor(taskId, executorOptions);
+
+      // --- Verification: the task's tests and lint must pass ---
+      const verification = result.success && verifyOptions
+        ? verifyTask(workingDir, {
+          ...verifyOptions,
+          files: verifyOptions.files !== undefined ? verifyOptions.files : baseline && getChangedFiles(workingDir, baseline),
+          // Merging rewrites the checkout, so a worktree's coverage would be stale on arrival
+          coverage: verifyOptions.coverage ?? (worktree ? false : undefined),
+        })
+        : null;
+      const verified = !verification || verification.passed;
+      const merge = result.success && verified && worktree ? mergeTaskWorktree(projectDir, worktree, taskId) : null;
+
+      if (result.success && verified && (!merge || merge.success)) {
+        state = updateCheckpoint(state, taskId, {
+          status: CheckpointStatus.COMPLETED,
+          output: result.output?.slice(0, 1000) || 'Completed',
+          error: null,
+          conflicts: undefined,
+          verification: verification || undefined,
+          escalationLevel: undefined, // Reset on success
+        });
+
+        if (onProgress) {
+          onProgress({ type: 'task_completed', taskId, ...(verification && { verification }) });
+        }
+      } else {
+        // --- Self-critique: analyze failure cause ---
+        let failureOutput = result.output || 'Task failed';
+        if (merge) {
+          failureOutput = `Merge conflict in: ${merge.conflicts.join(', ') || 'unknown files'}`;
+        } else if (verification) {
+          failureOutput = verification.output;
+        }
+        const analysis = recordFailure(taskId, failureOutput, previousAttempts, verification);
+        if (merge) {
+          state = updateCheckpoint(state, taskId, { conflicts: merge.conflicts });
+        }
+        keepFailedAttempt(Boolean(merge));
+
+        if (onProgress) {
+          onProgress({
+            type: 'task_failed',
+            taskId,
+            attempt: checkpoint.attempts,
+            error: failureOutput,
+            causeAnalysis: analysis,
+            ...(verification && { verification }),
+            ...(merge && { conflicts: merge.conflicts }),
+            ...(keptBranch && { branch: keptBranch }),
+          });
+        }
+      }
+    } catch (err) {
+      // Record exception in history for cause analysis
+      recordFailure(taskId, err.message?.slice(0, 500) || 'Execution error', previousAttempts);
+      keepFailedAttempt(false);
+    } finally {
+      worktree?.cleanup({ keepBranch: Boolean(keptBranch) });
+      running.delete(taskId);
+      saveBuildState(projectDir, state);
+    }
+  };
+
+  const applySkipRequests = (taskIds) => {
+    const handled = [];
+    for (const taskId of taskIds) {
+      // A running task is skipped if its attempt does not complete it
+      if (running.has(taskId)) continue;
+      handled.push(taskId);
+
+      const checkpoint = state.checkpoints.find((c) => c.taskId === taskId);
+      if (checkpoint?.status !== CheckpointStatus.PENDING && checkpoint?.status !== CheckpointStatus.IN_PROGRESS) {
+        continue;
+      }
+      const reason = 'Skipped by operator';
+      state = updateCheckpoint(state, taskId, { status: CheckpointStatus.SKIPPED, error: reason });
+      if (onProgress) {
+        onProgress({ type: 'task_skipped', taskId, reason });
+      }
+    }
+    if (handled.length > 0) {
+      saveBuildState(projectDir, state);
+      acknowledgeSkips(projectDir, handled);
+    }
+  };
 
   // Main loop
   while (true) {
     // Check global timeout
     if (isTimedOut(state)) {
-      state = failBuild(state, 'Global timeout exceeded');
-      saveBuildState(projectDir, state);
+      stopReason = 'Global timeout exceeded';
       break;
     }
 
-    // Get next task
-    const checkpoint = getNextPendingTask(state);
-    if (!checkpoint) {
-      // All tasks processed
-      const hasFailures = state.checkpoints.some((c) => c.status === CheckpointStatus.FAILED);
-      if (hasFailures) {
-        state = failBuild(state, 'Some tasks failed');
-      } else {
-        state = completeBuild(state);
-      }
-      saveBuildState(projectDir, state);
+    // --- Operator control (between iterations) ---
+    const control = readBuildControl(projectDir);
+    if (control.skip.length > 0) {
+      applySkipRequests(control.skip);
+    }
+    if (control.cancelled) {
+      cancelled = true;
+      stopReason = 'Cancelled by operator';
       break;
     }
-
-    // Check if task is exhausted
-    if (isTaskExhausted(checkpoint)) {
-      state = updateCheckpoint(state, checkpoint.taskId, {
-        status: CheckpointStatus.FAILED,
-        error: `Exceeded max iterations (${checkpoint.attempts})`,
-      });
+    if (control.paused) {
+      // Pause after the running tasks finish and checkpoint
+      if (running.size > 0) {
+        await Promise.race(running.values());
+        continue;
+      }
+      state = pauseBuild(state);
       saveBuildState(projectDir, state);
+      if (onProgress) {
+        onProgress({ type: 'build_paused', progress: getProgress(state) });
+      }
+
+      await waitWhilePaused(projectDir, controlPollMs);
 
+      state = resumeBuild(state);
+      saveBuildState(projectDir, state);
       if (onProgress) {
-        onProgress({ type: 'task_exhausted', taskId: checkpoint.taskId, attempts: checkpoint.attempts });
+        onProgress({ type: 'build_resumed', progress: getProgress(state) });
       }
       continue;
     }
 
-    // --- Escalation check (before execution) ---
-    const previousAttempts = attemptHistory.get(checkpoint.taskId) || [];
-    let executorOptions = {};
+    // Tasks downstream of a failure can never run
+    for (const { taskId, reason } of skipBlockedTasks(state)) {
+      saveBuildState(projectDir, state);
+      if (onProgress) {
+        onProgress({ type: 'task_skipped', taskId, reason });
+      }
+    }
 
-    if (checkpoint.attempts > 0 && checkpoint.error) {
-      // Analyze the cause of the previous failure
-      const analysis = analyzeCause(checkpoint.error, previousAttempts);
-      const escalation = shouldEscalate(checkpoint, analysis);
+    // Fill free slots with ready tasks
+    for (const ready of getReadyTasks(state, running.keys())) {
+      if (running.size >= concurrency || stopReason) break;
 
-      if (escalation.escalate) {
-        const escalationConfig = getEscalationConfig(escalation.newLevel, model);
+      let checkpoint = ready;
 
-        // Update checkpoint with escalation level
+      // Check if task is exhausted
+      if (isTaskExhausted(checkpoint)) {
         state = updateCheckpoint(state, checkpoint.taskId, {
-          escalationLevel: escalation.newLevel,
+          status: CheckpointStatus.FAILED,
+          error: `Exceeded max iterations (${checkpoint.attempts})`,
         });
+        saveBuildState(projectDir, state);
 
         if (onProgress) {
-          onProgress({
-            type: 'escalation',
-            taskId: checkpoint.taskId,
-            level: escalation.newLevel,
-            summary: buildEscalationSummary(escalation.newLevel, escalation.reason),
-          });
+          onProgress({ type: 'task_exhausted', taskId: checkpoint.taskId, attempts: checkpoint.attempts });
         }
+        continue;
+      }
+
+      // --- Escalation check (before execution) ---
+      const previousAttempts = attemptHistory.get(checkpoint.taskId) || [];
+      const executorOptions = {};
+
+      if (checkpoint.attempts > 0 && checkpoint.error) {
+        // Analyze the cause of the previous failure
+        const analysis = analyzeCause(checkpoint.error, previousAttempts, {
+          failures: checkpoint.verification?.failures,
+        });
+        const escalation = shouldEscalate(checkpoint, analysis);
+
+        if (escalation.escalate) {
+          const escalationConfig = getEscalationConfig(escalation.newLevel, model);
 
-        // Pause for human intervention at MAX level
-        if (escalationConfig.shouldPause) {
+          // Update checkpoint with escalation level
           state = updateCheckpoint(state, checkpoint.taskId, {
-            status: CheckpointStatus.FAILED,
-            error: `Escalation MAX — paused for human intervention: ${escalation.reason}`,
+            escalationLevel: escalation.newLevel,
           });
-          saveBuildState(projectDir, state);
 
           if (onProgress) {
-            onProgress({ type: 'escalation_pause', taskId: checkpoint.taskId, reason: escalation.reason });
+            onProgress({
+              type: 'escalation',
+              taskId: checkpoint.taskId,
+              level: escalation.newLevel,
+              summary: buildEscalationSummary(escalation.newLevel, escalation.reason),
+            });
+          }
+
+          // Pause for human intervention at MAX level
+          if (escalationConfig.shouldPause) {
+            state = updateCheckpoint(state, checkpoint.taskId, {
+              status: CheckpointStatus.FAILED,
+              error: `Escalation MAX — paused for human intervention: ${escalation.reason}`,
+            });
+            saveBuildState(projectDir, state);
+
+            if (onProgress) {
+              onProgress({ type: 'escalation_pause', taskId: checkpoint.taskId, reason: escalation.reason });
+            }
+            continue;
+          }
+
+          // Build executor options with escalation context
+          executorOptions.modelOverride = escalationConfig.model;
+          if (escalationConfig.contextBoost) {
+            executorOptions.retryGuidance = buildRetryGuidance(analysis, checkpoint.attempts + 1);
           }
-          continue;
         }
 
-        // Build executor options with escalation context
-        executorOptions.modelOverride = escalationConfig.model;
-        if (escalationConfig.contextBoost) {
+        // Real test and lint failures always go back to the agent
+        if (checkpoint.verification?.passed === false && !executorOptions.retryGuidance) {
           executorOptions.retryGuidance = buildRetryGuidance(analysis, checkpoint.attempts + 1);
         }
       }
-    }
 
-    // Mark task as in progress
-    state = updateCheckpoint(state, checkpoint.taskId, {
-      status: CheckpointStatus.IN_PROGRESS,
-      attempts: checkpoint.attempts + 1,
-      lastAttempt: new Date().toISOString(),
-    });
-    saveBuildState(projectDir, state);
-
-    if (onProgress) {
-      const progress = getProgress(state);
-      onProgress({ type: 'task_started', taskId: checkpoint.taskId, attempt: checkpoint.attempts + 1, progress });
-    }
-
-    // Execute task
-    try {
-      const result = await executor(checkpoint.taskId, executorOptions);
-
-      if (result.success) {
-        state = updateCheckpoint(state, checkpoint.taskId, {
-          status: CheckpointStatus.COMPLETED,
-          output: result.output?.slice(0, 1000) || 'Completed',
-          error: null,
-          escalationLevel: undefined, // Reset on success
-        });
+      // --- Budget check (before each spawn) ---
+      const budget = checkBudget(projectDir, { sessionId, buildId: state.sessionId, agent });
+      if (!budget.allowed) {
+        stopReason = budget.reason;
 
         if (onProgress) {
-          onProgress({ type: 'task_completed', taskId: checkpoint.taskId });
+          onProgress({ type: 'budget_exceeded', taskId: checkpoint.taskId, budget });
         }
-      } else {
-        // --- Self-critique: analyze failure cause ---
-        const failureOutput = result.output || 'Task failed';
-        const analysis = analyzeCause(failureOutput, previousAttempts);
-
-        // Record attempt in history
-        if (!attemptHistory.has(checkpoint.taskId)) {
-          attemptHistory.set(checkpoint.taskId, []);
-        }
-        attemptHistory.get(checkpoint.taskId).push({
-          category: analysis.category,
-          output: failureOutput.slice(0, 500),
-        });
-
-        state = updateCheckpoint(state, checkpoint.taskId, {
-          status: CheckpointStatus.IN_PROGRESS, // Will retry
-          error: failureOutput.slice(0, 500),
-        });
-
+        break;
+      }
+      if (budget.level === BudgetLevel.WARNING && !budgetWarned) {
+        budgetWarned = true;
         if (onProgress) {
-          onProgress({
-            type: 'task_failed',
-            taskId: checkpoint.taskId,
-            attempt: checkpoint.attempts + 1,
-            error: failureOutput,
-            causeAnalysis: analysis,
-          });
+          onProgress({ type: 'budget_warning', taskId: checkpoint.taskId, budget });
         }
       }
-    } catch (err) {
-      const errorMsg = err.message?.slice(0, 500) || 'Execution error';
-
-      // Record exception in history for cause analysis
-      const analysis = analyzeCause(errorMsg, previousAttempts);
-      if (!attemptHistory.has(checkpoint.taskId)) {
-        attemptHistory.set(checkpoint.taskId, []);
-      }
-      attemptHistory.get(checkpoint.taskId).push({
-        category: analysis.category,
-        output: errorMsg,
-      });
+      executorOptions.buildId = state.sessionId;
 
+      // Mark task as in progress
       state = updateCheckpoint(state, checkpoint.taskId, {
-        status: CheckpointStatus.IN_PROGRESS, // Will retry
-        error: errorMsg,
+        status: CheckpointStatus.IN_PROGRESS,
+        attempts: checkpoint.attempts + 1,
+        lastAttempt: new Date().toISOString(),
       });
+      saveBuildState(projectDir, state);
+
+      if (onProgress) {
+        const progress = getProgress(state);
+        onProgress({ type: 'task_started', taskId: checkpoint.taskId, attempt: checkpoint.attempts, progress });
+      }
+
+      // Execute task
+      running.set(checkpoint.taskId, runTask(checkpoint, executorOptions, previousAttempts));
     }
 
+    if (stopReason) break;
+
+    if (running.size === 0) {
+      // Dependents of a task that just failed are skipped on the next pass
+      if (getProgress(state).pending > 0) continue;
+
+      // All tasks processed
+      const hasFailures = state.checkpoints.some((c) => c.status === CheckpointStatus.FAILED);
+      if (hasFailures) {
+        state = failBuild(state, 'Some tasks failed');
+      } else {
+        state = completeBuild(state);
+      }
+      saveBuildState(projectDir, state);
+      break;
+    }
+
+    // Wait for a slot to free up
+    await Promise.race(running.values());
+  }
+
+  if (stopReason) {
+    // Let running tasks finish and checkpoint before ending the build
+    await Promise.allSettled(running.values());
+    state = cancelled ? cancelBuild(state, stopReason) : failBuild(state, stopReason);
     saveBuildState(projectDir, state);
+
+    if (cancelled && onProgress) {
+      onProgress({ type: 'build_cancelled', progress: getProgress(state) });
+    }
   }
+  clearBuildControl(projectDir);
 
   const duration = Date.now() - startTime;
   const progress = getProgress(state);
@@ -256,11 +513,64 @@ export async function runBuildLoop(config) {
     status: state.status,
     completed: progress.completed,
     failed: progress.failed,
+    skipped: progress.skipped,
     totalAttempts: state.totalAttempts,
     duration: `${Math.round(duration / 1000)}s`,
+    buildId: state.sessionId,
+    failureReason: state.failureReason || null,
   };
 }
 
+/**
+ * Wait until the operator resumes or cancels a paused build.
+ *
+ * @param {string} projectDir
+ * @param {number} pollMs
+ * @returns {Promise<void>}
+ */
+async function waitWhilePaused(projectDir, pollMs) {
+  while (true) {
+    const control = readBuildControl(projectDir);
+    if (!control.paused || control.cancelled) return;
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+}
+
+/**
+ * Commit a task's worktree and merge its branch into the main checkout.
+ *
+ * @param {string} projectDir
+ * @param {{ path: string, branch: string, linked?: string[] }} worktree
+ * @param {string} taskId
+ * @returns {{ success: boolean, conflicts: string[] }}
+ */
+function mergeTaskWorktree(projectDir, worktree, taskId) {
+  try {
+    if (!commitWorktree(worktree.path, `chati: ${taskId}`, { exclude: worktree.linked })) {
+      return { success: true, conflicts: [] };
+    }
+  } catch (err) {
+    return { success: false, conflicts: [`commit failed: ${err.message.split('\n')[0]}`] };
+  }
+  return mergeWorktree(projectDir, worktree.branch);
+}
+
+/**
+ * Commit a failed attempt's changes to its worktree branch.
+ *
+ * @param {{ path: string, branch: string, linked?: string[] }} worktree
+ * @param {string} message - Commit message
+ * @param {boolean} committed - The attempt was already committed (its merge failed)
+ * @returns {string|null} Branch holding the attempt, or null when it changed nothing
+ */
+function saveFailedAttempt(worktree, message, committed) {
+  try {
+    return commitWorktree(worktree.path, message, { exclude: worktree.linked }) || committed ? worktree.branch : null;
+  } catch {
+    return committed ? worktree.branch : null;
+  }
+}
+
 /**
  * Get current build loop status without executing.
  *
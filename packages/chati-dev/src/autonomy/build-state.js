@@ -37,6 +37,7 @@ export const BuildStatus = {
   PAUSED: 'paused',
   ABANDONED: 'abandoned',
   FAILED: 'failed',
+  CANCELLED: 'cancelled',
   COMPLETED: 'completed',
 };
 
@@ -65,6 +66,10 @@ export const CheckpointStatus = {
  * @property {string|null} lastAttempt - ISO timestamp of last attempt
  * @property {string|null} output - Last output summary
  * @property {string|null} error - Last error message (if failed)
+ * @property {string[]} [dependsOn] - Task IDs that must complete first
+ * @property {string[]} [conflicts] - Files that conflicted when merging the last attempt
+ * @property {string[]} [failedBranches] - Branches kept from failed isolated attempts
+ * @property {import('./task-verifier.js').Verification} [verification] - Result of verifying the last attempt
  */
 
 /**
@@ -76,6 +81,9 @@ export const CheckpointStatus = {
  * @property {string|null} lastCheckpoint - ISO timestamp of last checkpoint
  * @property {string|null} completedAt - ISO timestamp of completion
  * @property {number} totalAttempts - Total execution attempts across all tasks
+ * @property {string|null} [failureReason] - Why the build failed or was cancelled
+ * @property {string|null} [pausedAt] - ISO timestamp the build was paused (while paused)
+ * @property {number} [pausedMs] - Total time spent paused (not counted against the global timeout)
  */
 
 const BUILD_STATE_FILE = '.chati/build-state.json';
@@ -84,13 +92,57 @@ const BUILD_STATE_FILE = '.chati/build-state.json';
 // State Management
 // ---------------------------------------------------------------------------
 
+/**
+ * Validate a task dependency graph.
+ *
+ * @param {string[]} taskIds - Tasks in the build
+ * @param {Record<string, string[]>} [dependencies={}] - Task ID → prerequisite task IDs
+ *   (the `dependencies` field of each task definition)
+ * @throws {Error} On a dependency outside the build or a dependency cycle
+ */
+export function validateTaskGraph(taskIds, dependencies = {}) {
+  const known = new Set(taskIds);
+  for (const [taskId, deps] of Object.entries(dependencies)) {
+    if (!known.has(taskId)) {
+      throw new Error(`Dependencies given for unknown task "${taskId}"`);
+    }
+    for (const dep of deps || []) {
+      if (!known.has(dep)) {
+        throw new Error(`Task "${taskId}" depends on unknown task "${dep}"`);
+      }
+    }
+  }
+
+  // Depth-first search; a task met again while on the stack closes a cycle
+  const visiting = [];
+  const done = new Set();
+  const visit = (taskId) => {
+    if (done.has(taskId)) return;
+    const index = visiting.indexOf(taskId);
+    if (index >= 0) {
+      throw new Error(`Task dependency cycle: ${[...visiting.slice(index), taskId].join(' -> ')}`);
+    }
+    visiting.push(taskId);
+    for (const dep of dependencies[taskId] || []) visit(dep);
+    visiting.pop();
+    done.add(taskId);
+  };
+  for (const taskId of taskIds) visit(taskId);
+}
+
 /**
  * Initialize a new build state.
  *
  * @param {string[]} taskIds - Array of task IDs to execute
+ * @param {{ dependencies?: Record<string, string[]> }} [options={}] - Task DAG
+ *   (task ID → prerequisite task IDs); tasks without entries are independent
  * @returns {BuildState}
+ * @throws {Error} When the dependency graph is invalid (see validateTaskGraph)
  */
-export function createBuildState(taskIds) {
+export function createBuildState(taskIds, options = {}) {
+  const dependencies = options.dependencies || {};
+  validateTaskGraph(taskIds, dependencies);
+
   return {
     sessionId: `build-${Date.now()}`,
     status: BuildStatus.PENDING,
@@ -102,6 +154,7 @@ export function createBuildState(taskIds) {
       lastAttempt: null,
       output: null,
       error: null,
+      dependsOn: [...new Set(dependencies[taskId] || [])],
     })),
     startedAt: new Date().toISOString(),
     lastCheckpoint: null,
@@ -186,6 +239,9 @@ export function updateCheckpoint(state, taskId, update) {
 export function startBuild(state) {
   state.status = BuildStatus.IN_PROGRESS;
   state.startedAt = new Date().toISOString();
+  delete state.failureReason;
+  delete state.pausedAt;
+  delete state.pausedMs;
   return state;
 }
 
@@ -208,9 +264,51 @@ export function completeBuild(state) {
  * @param {string} [reason]
  * @returns {BuildState}
  */
-export function failBuild(state, _reason) {
+export function failBuild(state, reason) {
   state.status = BuildStatus.FAILED;
   state.completedAt = new Date().toISOString();
+  state.failureReason = reason || null;
+  return state;
+}
+
+/**
+ * Mark the build as cancelled by the operator.
+ *
+ * @param {BuildState} state
+ * @param {string} [reason]
+ * @returns {BuildState}
+ */
+export function cancelBuild(state, reason) {
+  state.status = BuildStatus.CANCELLED;
+  state.completedAt = new Date().toISOString();
+  state.failureReason = reason || null;
+  return state;
+}
+
+/**
+ * Mark the build as paused.
+ *
+ * @param {BuildState} state
+ * @returns {BuildState}
+ */
+export function pauseBuild(state) {
+  state.status = BuildStatus.PAUSED;
+  state.pausedAt = new Date().toISOString();
+  return state;
+}
+
+/**
+ * Resume a paused build, adding the pause to `pausedMs`.
+ *
+ * @param {BuildState} state
+ * @returns {BuildState}
+ */
+export function resumeBuild(state) {
+  if (state.pausedAt) {
+    state.pausedMs = (state.pausedMs || 0) + (Date.now() - new Date(state.pausedAt).getTime());
+  }
+  state.status = BuildStatus.IN_PROGRESS;
+  state.pausedAt = null;
   return state;
 }
 
@@ -226,6 +324,64 @@ export function getNextPendingTask(state) {
   ) || null;
 }
 
+/**
+ * Get the tasks whose dependencies have all completed, in task order.
+ *
+ * @param {BuildState} state
+ * @param {Iterable<string>} [exclude=[]] - Task IDs to leave out (e.g. already running)
+ * @returns {TaskCheckpoint[]}
+ */
+export function getReadyTasks(state, exclude = []) {
+  const skip = new Set(exclude);
+  const completed = new Set(
+    state.checkpoints.filter((c) => c.status === CheckpointStatus.COMPLETED).map((c) => c.taskId),
+  );
+
+  return state.checkpoints.filter((c) =>
+    (c.status === CheckpointStatus.PENDING || c.status === CheckpointStatus.IN_PROGRESS)
+    && !skip.has(c.taskId)
+    && (c.dependsOn || []).every((dep) => completed.has(dep)),
+  );
+}
+
+/**
+ * Skip every unfinished task that depends, directly or transitively, on a
+ * failed or skipped task.
+ *
+ * @param {BuildState} state
+ * @returns {Array<{ taskId: string, reason: string }>} Tasks skipped by this call
+ */
+export function skipBlockedTasks(state) {
+  const skipped = [];
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    const blocked = new Map(
+      state.checkpoints
+        .filter((c) => c.status === CheckpointStatus.FAILED || c.status === CheckpointStatus.SKIPPED)
+        .map((c) => [c.taskId, c.status]),
+    );
+
+    for (const checkpoint of state.checkpoints) {
+      if (checkpoint.status !== CheckpointStatus.PENDING && checkpoint.status !== CheckpointStatus.IN_PROGRESS) {
+        continue;
+      }
+      const dep = (checkpoint.dependsOn || []).find((d) => blocked.has(d));
+      if (!dep) continue;
+
+      const reason = blocked.get(dep) === CheckpointStatus.FAILED
+        ? `Skipped: depends on failed task ${dep}`
+        : `Skipped: depends on skipped task ${dep}`;
+      updateCheckpoint(state, checkpoint.taskId, { status: CheckpointStatus.SKIPPED, error: reason });
+      skipped.push({ taskId: checkpoint.taskId, reason });
+      changed = true;
+    }
+  }
+
+  return skipped;
+}
+
 /**
  * Check if a task has exceeded max iterations or max time.
  *
@@ -245,13 +401,14 @@ export function isTaskExhausted(checkpoint) {
 }
 
 /**
- * Check if the global timeout has been exceeded.
+ * Check if the global timeout has been exceeded. Time spent paused
+ * does not count.
  *
  * @param {BuildState} state
  * @returns {boolean}
  */
 export function isTimedOut(state) {
-  const elapsed = Date.now() - new Date(state.startedAt).getTime();
+  const elapsed = Date.now() - new Date(state.startedAt).getTime() - (state.pausedMs || 0);
   return elapsed > GLOBAL_TIMEOUT_MS;
 }
 
@@ -259,18 +416,19 @@ export function isTimedOut(state) {
  * Get build progress summary.
  *
  * @param {BuildState} state
- * @returns {{ total: number, completed: number, failed: number, pending: number, progress: number }}
+ * @returns {{ total: number, completed: number, failed: number, skipped: number, pending: number, progress: number }}
  */
 export function getProgress(state) {
   const total = state.checkpoints.length;
   const completed = state.checkpoints.filter((c) => c.status === CheckpointStatus.COMPLETED).length;
   const failed = state.checkpoints.filter((c) => c.status === CheckpointStatus.FAILED).length;
+  const skipped = state.checkpoints.filter((c) => c.status === CheckpointStatus.SKIPPED).length;
   const pending = state.checkpoints.filter(
     (c) => c.status === CheckpointStatus.PENDING || c.status === CheckpointStatus.IN_PROGRESS,
   ).length;
   const progress = total > 0 ? Math.round((completed / total) * 100) : 0;
 
-  return { total, completed, failed, pending, progress };
+  return { total, completed, failed, skipped, pending, progress };
 }
 
 /**
@@ -50,22 +50,27 @@ const CATEGORY_PATTERNS = [
  *
  * @param {string} output - Agent output/error text
  * @param {Array<{category: string, output: string}>} [previousAttempts=[]] - History of prior attempts
- * @returns {{ category: string, rootCause: string, suggestion: string, isRepetitive: boolean }}
+ * @param {{ failures?: string[] }} [details={}] - Parsed failures (e.g. from task verification)
+ * @returns {{ category: string, rootCause: string, suggestion: string, isRepetitive: boolean, failures?: string[] }}
  */
-export function analyzeCause(output, previousAttempts = []) {
+export function analyzeCause(output, previousAttempts = [], details = {}) {
   const text = output || '';
   const category = classifyOutput(text);
   const rootCause = extractRootCause(text, category);
   const suggestion = generateSuggestion(category, rootCause);
   const isRepetitive = checkRepetitive(category, previousAttempts);
 
-  return { category, rootCause, suggestion, isRepetitive };
+  const analysis = { category, rootCause, suggestion, isRepetitive };
+  if (details.failures?.length > 0) {
+    analysis.failures = details.failures;
+  }
+  return analysis;
 }
 
 /**
  * Build retry guidance for the next attempt based on cause analysis.
  *
- * @param {{ category: string, rootCause: string, suggestion: string, isRepetitive: boolean }} analysis
+ * @param {{ category: string, rootCause: string, suggestion: string, isRepetitive: boolean, failures?: string[] }} analysis
  * @param {number} attempt - Current attempt number
  * @returns {string} Guidance text for the agent
  */
@@ -82,6 +87,14 @@ export function buildRetryGuidance(analysis, attempt) {
 
   parts.push(`**Suggestion**: ${analysis.suggestion}`);
 
+  if (analysis.failures?.length > 0) {
+    parts.push('');
+    parts.push('**Failing checks**:');
+    for (const failure of analysis.failures) {
+      parts.push(`- ${failure}`);
+    }
+  }
+
   if (analysis.isRepetitive) {
     parts.push('');
     parts.push('**WARNING**: This is a REPETITIVE failure. The same category of error occurred in previous attempts.');
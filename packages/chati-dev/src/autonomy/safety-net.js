@@ -3,6 +3,8 @@
  * Auto-pauses pipeline on dangerous conditions
  */
 
+import { describeFinding } from '../quality/security-scanner.js';
+
 /**
  * Safety conditions that trigger automatic pause.
  */
@@ -47,6 +49,7 @@ const CRITICAL_RISK_KEYWORDS = [
  * @param {number} state.consecutiveFailures - Number of consecutive gate failures
  * @param {number} state.lastScore - Most recent gate score
  * @param {string[]} state.riskFlags - Active risk flags
+ * @param {import('../quality/security-scanner.js').SecurityFinding[]} [state.securityFindings] - Security scanner findings
  * @param {number} state.sessionGotchas - New gotchas this session
  * @param {number} [state.agentDurationMs] - Time current agent has been running
  * @param {number} [state.timeoutMs] - Maximum allowed duration
@@ -206,6 +209,8 @@ function evaluateLowScore(state) {
 
 /**
  * Evaluate critical risk trigger.
+ * Risk flags with critical keywords and critical security scanner
+ * findings (reported with their file and line) both trigger it.
  * @param {object} state
  * @returns {{ triggered: boolean, severity: string, details: string }}
  */
@@ -219,11 +224,15 @@ function evaluateCriticalRisk(state) {
     )
   );
 
-  if (criticalFlags.length > 0) {
+  const criticalFindings = (state.securityFindings || [])
+    .filter(finding => finding.severity === 'critical')
+    .map(describeFinding);
+
+  if (criticalFlags.length > 0 || criticalFindings.length > 0) {
     return {
       triggered: true,
       severity: 'critical',
-      details: `Critical risks detected: ${criticalFlags.join(', ')}`,
+      details: `Critical risks detected: ${[...criticalFlags, ...criticalFindings].join(', ')}`,
     };
   }
 
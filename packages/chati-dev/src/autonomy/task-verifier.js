@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Test-verified task completion for the build loop.
+ *
+ * An executor reporting success is not proof that a task is done. After
+ * each successful attempt the build loop can run the project's tests and
+ * lint (quality/test-runner.js) in the attempt's working directory and
+ * only complete the task when both pass. When the files the attempt
+ * changed are known, tests and lint are scoped to them where the runner
+ * supports it; otherwise the full suite runs. The build loop snapshots
+ * the working directory when an attempt starts (snapshotChanges), so files
+ * that were already dirty do not count as the attempt's changes. When the
+ * project configures coverage thresholds, the full suite runs with
+ * coverage instead and the report is recorded for gates G3 and G4.
+ * Full-suite results are recorded for gate G4 (test-results.js).
+ *
+ * Constitution Article XVII — Execution Mode Governance.
+ */
+
+import { existsSync, readFileSync, lstatSync, readlinkSync } from 'fs';
+import { join } from 'path';
+import { execSync } from 'child_process';
+import { createHash } from 'crypto';
+import { detectTestCommand, runTests, runLint } from '../quality/test-runner.js';
+import { loadCoverageThresholds, hasCoverageThresholds } from '../quality/coverage.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Failures kept per verification (the rest are counted, not listed). */
+export const MAX_REPORTED_FAILURES = 10;
+
+/** Test files, by name or location. */
+const TEST_FILE_PATTERN = /(\.(test|spec)\.[cm]?[jt]sx?$)|(^|\/)(test|tests|__tests__)\//;
+
+/** Files ESLint can check. */
+const LINTABLE_PATTERN = /\.[cm]?[jt]sx?$/;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} VerifyOptions
+ * @property {boolean} [lint=true] - Run lint as well as tests
+ * @property {string} [testCommand] - Override the detected test command
+ * @property {string} [lintCommand] - Override the detected lint command
+ * @property {number} [timeout] - Per-command timeout (ms)
+ * @property {string[]|null} [files] - Files the attempt changed (detected from git when omitted,
+ *   null to run the full suite)
+ * @property {boolean} [coverage] - Run the full suite with coverage and record the report
+ *   (defaults to whether coverage thresholds are configured)
+ */
+
+/**
+ * @typedef {object} Verification
+ * @property {boolean} passed - Tests and lint passed
+ * @property {boolean} scoped - Checks ran on the changed files only
+ * @property {{ passed: number, failed: number, total: number, command: string|null }} tests
+ * @property {{ errors: number, warnings: number, command: string|null }|null} lint
+ * @property {{ lines: number|null, branches: number|null, functions: number|null }|null} coverage - Totals
+ *   recorded by this run
+ * @property {string[]} failures - Failing tests and lint errors, one per entry
+ * @property {string} output - Failure summary for cause analysis (empty when passed)
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function quote(file) {
+  return `"${file.replace(/["\\$`]/g, '\\$&')}"`;
+}
+
+/**
+ * Files with uncommitted changes in a git working directory (modified,
+ * added or untracked; deletions are left out).
+ *
+ * @param {string} dir
+ * @returns {string[]|null} Relative paths, or null outside a git repository
+ */
+function listDirtyFiles(dir) {
+  try {
+    const status = execSync('git status --porcelain --untracked-files=all', {
+      cwd: dir,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    return status
+      .split('\n')
+      .filter((line) => line.length > 3 && line[0] !== 'D' && line[1] !== 'D')
+      .map((line) => line.slice(3).split(' -> ').pop().replace(/^"|"$/g, ''));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fingerprint a file's current content (links by target).
+ *
+ * @param {string} dir
+ * @param {string} file
+ * @returns {string|null} Null when the file is gone
+ */
+function fingerprint(dir, file) {
+  try {
+    const path = join(dir, file);
+    const stat = lstatSync(path);
+    if (stat.isSymbolicLink()) return `link:${readlinkSync(path)}`;
+    if (!stat.isFile()) return `other:${stat.mtimeMs}`;
+    return createHash('sha1').update(readFileSync(path)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record the uncommitted changes of a working directory before an attempt.
+ *
+ * @param {string} dir
+ * @returns {Map<string, string|null>|null} File → content fingerprint, or null outside a git repository
+ */
+export function snapshotChanges(dir) {
+  const files = listDirtyFiles(dir);
+  return files ? new Map(files.map((file) => [file, fingerprint(dir, file)])) : null;
+}
+
+/**
+ * Files changed in a git working directory (modified, added or untracked).
+ *
+ * With a snapshot from snapshotChanges(), only files changed since then
+ * are listed: files that were already dirty count only if their content
+ * changed again, and dirty files that were reverted count too.
+ *
+ * @param {string} dir
+ * @param {Map<string, string|null>|null} [since] - Snapshot taken when the attempt started
+ * @returns {string[]|null} Relative paths, or null outside a git repository
+ */
+export function getChangedFiles(dir, since = null) {
+  const files = listDirtyFiles(dir);
+  if (!files || !since) return files;
+
+  const changed = files.filter((file) => !since.has(file) || since.get(file) !== fingerprint(dir, file));
+  const dirty = new Set(files);
+  for (const file of since.keys()) {
+    if (!dirty.has(file) && fingerprint(dir, file) !== null) changed.push(file);
+  }
+  return changed;
+}
+
+/**
+ * Build a test command limited to the changed files, when the runner can.
+ *
+ * jest and vitest find the tests related to any source file; node:test
+ * and mocha can only be pointed at test files.
+ *
+ * @param {string} runner
+ * @param {string[]} files
+ * @returns {string|null} Command, or null to run the full suite
+ */
+export function scopeTestCommand(runner, files) {
+  const testFiles = files.filter((f) => TEST_FILE_PATTERN.test(f));
+  const sourceFiles = files.filter((f) => LINTABLE_PATTERN.test(f));
+
+  switch (runner) {
+    case 'jest':
+      return sourceFiles.length > 0 ? `npx jest --findRelatedTests ${sourceFiles.map(quote).join(' ')}` : null;
+    case 'vitest':
+      return sourceFiles.length > 0 ? `npx vitest related --run ${sourceFiles.map(quote).join(' ')}` : null;
+    case 'node:test':
+      // Source changes can break any test, so only scope test-only changes
+      return testFiles.length > 0 && testFiles.length === sourceFiles.length
+        ? `node --test ${testFiles.map(quote).join(' ')}`
+        : null;
+    case 'mocha':
+      return testFiles.length > 0 && testFiles.length === sourceFiles.length
+        ? `npx mocha ${testFiles.map(quote).join(' ')}`
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build an ESLint command for the changed files when the project lints with ESLint.
+ *
+ * @param {string} dir
+ * @param {string[]} files
+ * @returns {string|null}
+ */
+function scopeLintCommand(dir, files) {
+  const lintable = files.filter((f) => LINTABLE_PATTERN.test(f));
+  if (lintable.length === 0) return null;
+
+  const pkgPath = join(dir, 'package.json');
+  if (!existsSync(pkgPath)) return null;
+  try {
+    const pkg = JSON.parse(readFileSync(pkgPath, 'utf-8'));
+    if (!/\beslint\b/.test(pkg.scripts?.lint || '')) return null;
+  } catch {
+    return null;
+  }
+  return `npx eslint ${lintable.map(quote).join(' ')}`;
+}
+
+/**
+ * Describe a failed test from a structured report.
+ *
+ * @param {import('../quality/test-reporters.js').TestCase} test
+ * @returns {string}
+ */
+function describeFailedTest(test) {
+  const where = test.file ? ` (${test.file})` : '';
+  const message = test.failure?.message?.split('\n')[0];
+  return `${test.name}${where}${message ? `: ${message}` : ''}`;
+}
+
+/**
+ * Describe a lint error from a structured report.
+ *
+ * @param {import('../quality/lint-reporters.js').LintFinding} finding
+ * @returns {string}
+ */
+function describeLintFinding(finding) {
+  const where = finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''} ` : '';
+  const rule = finding.rule ? ` (${finding.rule})` : '';
+  return `${where}${finding.message}${rule}`;
+}
+
+/**
+ * Pull failing test names and lint errors out of runner output
+ * (when the runner gave no structured report).
+ *
+ * @param {string} output
+ * @returns {string[]}
+ */
+export function extractFailures(output) {
+  const failures = [];
+  let lintFile = null;
+
+  for (const line of (output || '').split('\n')) {
+    let match;
+    if ((match = /^\s*not ok \d+ - (.+)$/.exec(line))) {
+      failures.push(match[1].trim());
+    } else if ((match = /^\s*(?:●|✕|×)\s+(.+)$/.exec(line))) {
+      failures.push(match[1].trim());
+    } else if ((match = /^\s*\d+\) (.+)$/.exec(line))) {
+      failures.push(match[1].trim());
+    } else if ((match = /^\s*(\d+:\d+)\s+error\s+(.+)$/.exec(line))) {
+      failures.push(`${lintFile ? `${lintFile}:` : ''}${match[1]} ${match[2].trim()}`);
+    } else if (/^\S.*\.[cm]?[jt]sx?$/.test(line.trim())) {
+      lintFile = line.trim();
+    }
+  }
+  return [...new Set(failures)];
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Verify a task attempt by running tests and lint in its working directory.
+ *
+ * @param {string} workingDir - Project root or the attempt's worktree
+ * @param {VerifyOptions} [options={}]
+ * @returns {Verification}
+ */
+export function verifyTask(workingDir, options = {}) {
+  const { lint = true, timeout } = options;
+  const files = options.files !== undefined ? options.files : getChangedFiles(workingDir);
+  const detection = detectTestCommand(workingDir);
+  // Thresholds apply to the whole project, so coverage needs the full suite
+  const coverage = options.coverage ?? hasCoverageThresholds(loadCoverageThresholds(workingDir));
+
+  const scopedTests = !options.testCommand && !coverage && files?.length ? scopeTestCommand(detection.runner, files) : null;
+  const testCommand = options.testCommand || scopedTests || detection.command;
+  // Only full-suite results describe the project, so scoped runs are not recorded for G4
+  const tests = runTests(workingDir, { command: testCommand || undefined, timeout, coverage, record: !scopedTests });
+
+  let lintResult = null;
+  let lintCommand = null;
+  if (lint) {
+    lintCommand = options.lintCommand || (files?.length ? scopeLintCommand(workingDir, files) : null);
+    lintResult = runLint(workingDir, { command: lintCommand || undefined, timeout });
+  }
+
+  const failures = [];
+  if (!tests.success) {
+    const failing = (tests.tests || []).filter((t) => t.status === 'failed');
+    const found = failing.length > 0 ? failing.map(describeFailedTest) : extractFailures(tests.rawOutput);
+    failures.push(...(found.length > 0 ? found.map((f) => `test: ${f}`) : [`test: ${tests.rawOutput.split('\n')[0]}`]));
+  }
+  if (lintResult && !lintResult.success) {
+    const errors = (lintResult.findings || []).filter((f) => f.severity === 'error');
+    const found = errors.length > 0 ? errors.map(describeLintFinding) : extractFailures(lintResult.rawOutput);
+    failures.push(...(found.length > 0 ? found.map((f) => `lint: ${f}`) : [`lint: ${lintResult.errors} error(s)`]));
+  }
+
+  const passed = tests.success && (!lintResult || lintResult.success);
+  const reported = failures.slice(0, MAX_REPORTED_FAILURES);
+  const output = passed ? '' : formatVerificationOutput(tests, lintResult, reported, failures.length);
+
+  return {
+    passed,
+    scoped: Boolean(scopedTests),
+    tests: { passed: tests.passed, failed: tests.failed, total: tests.total, command: testCommand || null },
+    lint: lintResult ? { errors: lintResult.errors, warnings: lintResult.warnings, command: lintCommand } : null,
+    coverage: tests.coverage
+      ? { lines: tests.coverage.lines, branches: tests.coverage.branches, functions: tests.coverage.functions }
+      : null,
+    failures: reported,
+    output,
+  };
+}
+
+/**
+ * Summarize a failed verification for cause analysis.
+ *
+ * @param {import('../quality/test-runner.js').TestResult} tests
+ * @param {import('../quality/test-runner.js').LintResult|null} lint
+ * @param {string[]} failures - Reported failures
+ * @param {number} total - Failures found, including unreported ones
+ * @returns {string}
+ */
+function formatVerificationOutput(tests, lint, failures, total) {
+  const lines = [];
+  if (!tests.success) {
+    lines.push(`Verification failed: tests failed (${tests.failed}/${tests.total} failing)`);
+  }
+  if (lint && !lint.success) {
+    lines.push(`Verification failed: lint errors (${lint.errors})`);
+  }
+  lines.push(...failures.map((f) => `- ${f}`));
+  if (total > failures.length) {
+    lines.push(`- ...and ${total - failures.length} more`);
+  }
+  return lines.join('\n');
+}
@@ -1,20 +1,22 @@
 /**
- * @fileoverview Git worktree isolation for build loop retries.
+ * @fileoverview Git worktree isolation for build loop tasks.
  *
- * Each retry attempt can optionally run in an isolated git worktree,
- * preventing failed attempts from corrupting the main working directory.
+ * Build loop attempts can each run in an isolated git worktree, so
+ * parallel attempts do not write over each other and failed attempts
+ * never touch the main working directory. Successful attempts are
+ * committed and merged back; a failed attempt's branch can be kept for
+ * inspection after its worktree is removed.
+ *
+ * A new worktree only holds tracked files, so the main checkout's
+ * installed dependencies (node_modules) are linked into it; the links are
+ * never committed.
  *
  * Constitution Article XVII — Execution Mode Governance.
  */
 
-/**
- * @deprecated Not currently imported by any production module.
- * Retained for potential future integration. Remove if still unused by v4.0.
- */
-
 import { execSync } from 'child_process';
-import { existsSync, mkdirSync, readdirSync, statSync, rmSync } from 'fs';
-import { join, resolve } from 'path';
+import { existsSync, mkdirSync, readdirSync, statSync, rmSync, symlinkSync } from 'fs';
+import { dirname, join, resolve } from 'path';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -23,6 +25,9 @@ import { join, resolve } from 'path';
 /** Directory for worktrees inside .chati/ */
 const WORKTREE_DIR = '.chati/worktrees';
 
+/** Untracked directories linked from the main checkout into each worktree. */
+const DEPENDENCY_DIR_PATTERN = /(^|\/)node_modules\/$/;
+
 /** Maximum age (ms) before a worktree is considered stale (24h). */
 const MAX_WORKTREE_AGE_MS = 24 * 60 * 60 * 1000;
 
@@ -68,12 +73,15 @@ export function isGitRepo(dir) {
  * Create an isolated git worktree for a retry attempt.
  *
  * The worktree is placed at `.chati/worktrees/<taskId>-attempt-<N>`.
- * A new branch is created from the current HEAD.
+ * A new branch is created from the current HEAD, and the main checkout's
+ * dependency directories are linked in (see linkDependencies).
  *
  * @param {string} projectDir - Root project directory
  * @param {string} taskId - Task identifier
  * @param {number} attempt - Attempt number
- * @returns {{ path: string, branch: string, cleanup: () => void }}
+ * @returns {{ path: string, branch: string, linked: string[], cleanup: (options?: { keepBranch?: boolean }) => void }}
+ *   `linked` lists the dependency links (pass them to commitWorktree as `exclude`);
+ *   `cleanup` removes the worktree and, unless `keepBranch` is set, its branch
  * @throws {Error} If not a git repo or worktree creation fails
  */
 export function createWorktree(projectDir, taskId, attempt) {
@@ -109,13 +117,15 @@ export function createWorktree(projectDir, taskId, attempt) {
 
   // Create worktree with new branch from HEAD
   git(`worktree add -b "${branch}" "${worktreePath}"`, absProject);
+  const linked = linkDependencies(absProject, worktreePath);
 
-  const cleanup = () => {
+  const cleanup = ({ keepBranch = false } = {}) => {
     try {
       git(`worktree remove "${worktreePath}" --force`, absProject);
     } catch {
       // Worktree already removed — ignore
     }
+    if (keepBranch) return;
     try {
       git(`branch -D "${branch}"`, absProject);
     } catch {
@@ -123,7 +133,63 @@ export function createWorktree(projectDir, taskId, attempt) {
     }
   };
 
-  return { path: worktreePath, branch, cleanup };
+  return { path: worktreePath, branch, linked, cleanup };
+}
+
+/**
+ * Link the main checkout's installed dependencies into a worktree.
+ *
+ * Every untracked or ignored `node_modules` directory (at any depth, so
+ * workspace packages are covered) is symlinked to the same place in the
+ * worktree, so test and lint commands find the project's dependencies.
+ *
+ * @param {string} projectDir - Root project directory
+ * @param {string} worktreePath - Worktree directory
+ * @returns {string[]} Linked paths, relative to the worktree
+ */
+export function linkDependencies(projectDir, worktreePath) {
+  const absProject = resolve(projectDir);
+  let untracked;
+  try {
+    // Without --exclude-standard, ignored directories are listed too
+    untracked = git('ls-files --others --directory', absProject);
+  } catch {
+    return [];
+  }
+
+  const linked = [];
+  for (const entry of untracked.split('\n')) {
+    if (!DEPENDENCY_DIR_PATTERN.test(entry)) continue;
+    const relPath = entry.replace(/\/$/, '');
+    const linkPath = join(worktreePath, relPath);
+    if (existsSync(linkPath)) continue;
+    try {
+      mkdirSync(dirname(linkPath), { recursive: true });
+      symlinkSync(join(absProject, relPath), linkPath, 'junction');
+      linked.push(relPath);
+    } catch {
+      // A dependency that cannot be linked is left for the task to install
+    }
+  }
+  return linked;
+}
+
+/**
+ * Commit everything changed in a worktree to its branch.
+ *
+ * @param {string} worktreePath - Worktree directory
+ * @param {string} message - Commit message
+ * @param {{ exclude?: string[] }} [options={}] - Paths never to commit (e.g. dependency links)
+ * @returns {boolean} False when there was nothing to commit
+ */
+export function commitWorktree(worktreePath, message, options = {}) {
+  const excluded = (options.exclude || []).map((p) => ` ":(exclude)${p}"`).join('');
+  git(`add -A -- .${excluded}`, worktreePath);
+  if (!git('diff --cached --name-only', worktreePath)) {
+    return false;
+  }
+  git(`commit -m "${message.replace(/["\\$`]/g, '\\$&')}"`, worktreePath);
+  return true;
 }
 
 /**
@@ -6,6 +6,9 @@
  *   MODERATE (40-60%)  → L0 + L1 + L2 + L3 (skip L4 task detail)
  *   DEPLETED (25-40%)  → L0 + L1 + L2 only
  *   CRITICAL (<25%)    → L0 + L1 only (handoff mandatory)
+ *
+ * Remaining context comes from the best signal available: usage reported by
+ * the provider, then transcript length, then the turn-count heuristic.
  */
 
 const BRACKETS = {
@@ -15,6 +18,12 @@ const BRACKETS = {
   CRITICAL: { min: 0,  max: 25,  layers: ['L0', 'L1'],                   tokenBudget: 1500 },
 };
 
+/** Context window assumed when usage is reported without one (tokens). */
+export const DEFAULT_CONTEXT_WINDOW = 200000;
+
+// Rough estimate shared with cost tracking: 1 token ≈ 4 chars
+const CHARS_PER_TOKEN = 4;
+
 const MEMORY_LEVELS = {
   FRESH:    'full',
   MODERATE: 'chunks',
@@ -23,11 +32,14 @@ const MEMORY_LEVELS = {
 };
 
 /**
- * Calculate bracket from remaining context percentage.
- * @param {number} remainingPercent - 0 to 100
- * @returns {{ bracket: string, activeLayers: string[], tokenBudget: number, memoryLevel: string, handoffRequired: boolean }}
+ * Calculate bracket from remaining context percentage or measured usage.
+ * @param {number|object} remaining - 0 to 100, or a usage object accepted by resolveRemaining()
+ * @returns {{ bracket: string, activeLayers: string[], tokenBudget: number, memoryLevel: string, handoffRequired: boolean, remainingPercent: number, usageSource: string }}
  */
-export function calculateBracket(remainingPercent) {
+export function calculateBracket(remaining) {
+  const { remainingPercent, source } = remaining !== null && typeof remaining === 'object'
+    ? resolveRemaining(remaining)
+    : { remainingPercent: remaining, source: 'percent' };
   const pct = Math.max(0, Math.min(100, remainingPercent));
 
   let name = 'CRITICAL';
@@ -43,9 +55,66 @@ export function calculateBracket(remainingPercent) {
     memoryLevel: MEMORY_LEVELS[name],
     handoffRequired: pct < 15,
     remainingPercent: pct,
+    usageSource: source,
   };
 }
 
+/**
+ * Resolve remaining context percentage from the best available signal.
+ *
+ * Checked in order:
+ *   1. remainingPercent reported directly
+ *   2. usedTokens reported by the provider (or its raw input_tokens /
+ *      cache_read_input_tokens / cache_creation_input_tokens usage)
+ *   3. transcriptChars — length of the conversation transcript
+ *   4. turnCount — falls back to estimateRemaining()
+ *
+ * @param {object} usage
+ * @param {number} [usage.remainingPercent]
+ * @param {number} [usage.usedTokens]
+ * @param {number} [usage.transcriptChars]
+ * @param {number} [usage.turnCount]
+ * @param {number} [usage.maxTurns]
+ * @param {number} [usage.contextWindow=200000] - Model context window in tokens
+ * @returns {{ remainingPercent: number, source: 'percent'|'provider'|'transcript'|'turns'|'none' }}
+ */
+export function resolveRemaining(usage = {}) {
+  if (Number.isFinite(usage.remainingPercent)) {
+    return { remainingPercent: clampPercent(usage.remainingPercent), source: 'percent' };
+  }
+
+  const contextWindow = usage.contextWindow > 0 ? usage.contextWindow : DEFAULT_CONTEXT_WINDOW;
+  const usedTokens = Number.isFinite(usage.usedTokens) ? usage.usedTokens : sumProviderUsage(usage);
+  if (usedTokens !== null) {
+    return { remainingPercent: percentLeft(usedTokens, contextWindow), source: 'provider' };
+  }
+
+  if (Number.isFinite(usage.transcriptChars)) {
+    return { remainingPercent: percentLeft(usage.transcriptChars / CHARS_PER_TOKEN, contextWindow), source: 'transcript' };
+  }
+
+  if (Number.isFinite(usage.turnCount)) {
+    return { remainingPercent: estimateRemaining(usage.turnCount, usage.maxTurns), source: 'turns' };
+  }
+
+  return { remainingPercent: 100, source: 'none' };
+}
+
+/** Sum raw provider usage fields (Anthropic-style), or null when none are present. */
+function sumProviderUsage(usage) {
+  const fields = ['input_tokens', 'cache_read_input_tokens', 'cache_creation_input_tokens'];
+  if (!fields.some(f => Number.isFinite(usage[f]))) return null;
+  return fields.reduce((sum, f) => sum + (Number.isFinite(usage[f]) ? usage[f] : 0), 0);
+}
+
+function percentLeft(usedTokens, contextWindow) {
+  return clampPercent(Math.round((1 - usedTokens / contextWindow) * 100));
+}
+
+function clampPercent(pct) {
+  return Math.max(0, Math.min(100, pct));
+}
+
 /**
  * Estimate remaining context percentage from prompt/turn count.
  * Heuristic: each turn consumes ~2-4% of context window.
@@ -4,7 +4,7 @@
  * Orchestrates L0-L4 layers, respects bracket constraints,
  * and produces formatted XML context for agent prompts.
  *
- * Pipeline: bracket calculation → layer processing → formatting → output
+ * Pipeline: bracket calculation → layer processing → formatting → budget trimming → output
  */
 
 import { calculateBracket, isLayerActive } from './bracket-tracker.js';
@@ -13,7 +13,7 @@ import { processL1 } from './layers/l1-global.js';
 import { processL2 } from './layers/l2-agent.js';
 import { processL3 } from './layers/l3-workflow.js';
 import { processL4 } from './layers/l4-task.js';
-import { formatContext } from './formatter.js';
+import { fitContext } from './formatter.js';
 
 const LAYER_TIMEOUT_MS = 100;
 
@@ -22,7 +22,9 @@ const LAYER_TIMEOUT_MS = 100;
  *
  * @param {object} input
  * @param {string} input.domainsDir - Path to chati.dev/domains/
- * @param {number} input.remainingPercent - Context window remaining (0-100)
+ * @param {number} [input.remainingPercent] - Context window remaining (0-100)
+ * @param {object} [input.contextUsage] - Measured usage (provider tokens, transcript length
+ *   or turn count — see resolveRemaining); takes precedence over remainingPercent
  * @param {string} [input.mode] - Current mode (planning, build, deploy)
  * @param {string} [input.agent] - Active agent name
  * @param {string} [input.workflow] - Active workflow name
@@ -31,14 +33,14 @@ const LAYER_TIMEOUT_MS = 100;
  * @param {object} [input.handoff] - Handoff data from previous agent
  * @param {string[]} [input.artifacts] - Relevant artifact paths
  * @param {string[]} [input.taskCriteria] - Active task criteria
- * @returns {{ xml: string, bracket: object, layers: object[], errors: string[] }}
+ * @returns {{ xml: string, bracket: object, layers: object[], errors: string[], layerCount: number, tokens: number, tokenBudget: number, layerTokens: Record<string, number>, dropped: object[] }}
  */
 export function runPrism(input) {
   const errors = [];
   const layers = [];
 
   // 1. Calculate bracket
-  const bracket = calculateBracket(input.remainingPercent);
+  const bracket = calculateBracket(input.contextUsage || input.remainingPercent);
 
   // 2. Build context for layer processors
   const ctx = {
@@ -85,19 +87,23 @@ export function runPrism(input) {
     if (l4) { layers.push(l4); layerResults.l4 = l4; }
   }
 
-  // 4. Format output
-  const xml = formatContext({
+  // 4. Format output and trim it to the bracket's token budget
+  const fitted = fitContext({
     bracket: bracket.bracket,
     tokenBudget: bracket.tokenBudget,
     ...layerResults,
   });
 
   return {
-    xml,
+    xml: fitted.xml,
     bracket,
     layers,
     errors,
     layerCount: layers.length,
+    tokens: fitted.tokens,
+    tokenBudget: bracket.tokenBudget,
+    layerTokens: fitted.layerTokens,
+    dropped: fitted.dropped,
   };
 }
 
@@ -134,7 +140,8 @@ export function getPrismInfo() {
     layerNames: ['L0 Constitution', 'L1 Global', 'L2 Agent', 'L3 Workflow', 'L4 Task'],
     brackets: ['FRESH', 'MODERATE', 'DEPLETED', 'CRITICAL'],
     features: [
-      'Priority-based context truncation',
+      'Token budget enforcement with priority-ordered trimming',
+      'Bracket detection from provider usage or transcript length',
       'Per-layer timeout protection',
       'Graceful degradation on layer failure',
       'XML structured output',
@@ -2,9 +2,42 @@
  * Context Formatter — Produces structured XML for agent prompt injection.
  *
  * Output format: <chati-context bracket="..."> with nested sections.
- * Truncates intelligently based on token budget via priority-based pruning.
+ * Each layer's output is measured in tokens; when the block exceeds the
+ * bracket budget, items are dropped in a fixed priority order (see TRIM_ORDER)
+ * until it fits. Trimming always removes whole elements, so the XML stays valid.
  */
 
+import { estimateTokens } from '../terminal/cost-tracker.js';
+
+/**
+ * Trim order, applied until the block fits the budget.
+ * Handoff and artifacts go first, then rules from the most specific layer up,
+ * then task criteria, then whole sections. L0 only ever loses non-critical rules.
+ */
+const TRIM_ORDER = [
+  { layer: 'L4', kind: 'handoff' },
+  { layer: 'L4', kind: 'artifact' },
+  { layer: 'L3', kind: 'rule' },
+  { layer: 'L2', kind: 'rule' },
+  { layer: 'L1', kind: 'rule' },
+  { layer: 'L4', kind: 'criterion' },
+  { layer: 'L4', kind: 'section' },
+  { layer: 'L3', kind: 'section' },
+  { layer: 'L2', kind: 'section' },
+  { layer: 'L0', kind: 'rule' },
+];
+
+/** Lower-priority rules are dropped first. */
+const PRIORITY_RANK = { critical: 0, high: 1, normal: 2, low: 3 };
+
+const SECTION_FORMATTERS = {
+  L0: formatConstitution,
+  L1: formatGlobal,
+  L2: formatAgent,
+  L3: formatWorkflow,
+  L4: formatTask,
+};
+
 /**
  * Format PRISM pipeline results into XML context block.
  * @param {object} options
@@ -18,43 +51,121 @@
  * @returns {string} XML context block
  */
 export function formatContext(options) {
-  const { bracket, tokenBudget, l0, l1, l2, l3, l4 } = options;
-  const sections = [];
+  return fitContext(options).xml;
+}
 
-  // L0 — Constitution (always present)
-  if (l0) {
-    sections.push(formatConstitution(l0));
-  }
+/**
+ * Format PRISM results and trim them to the token budget.
+ * Same options as formatContext().
+ * @param {object} options
+ * @returns {{ xml: string, tokens: number, tokenBudget: number|null, withinBudget: boolean, layerTokens: Record<string, number>, dropped: { layer: string, kind: string, id: string }[] }}
+ */
+export function fitContext(options) {
+  const { bracket, tokenBudget } = options;
+  const budget = tokenBudget > 0 ? tokenBudget : Infinity;
+  const layers = cloneLayers(options);
+  const dropped = [];
 
-  // L1 — Mode + Global
-  if (l1) {
-    sections.push(formatGlobal(l1));
+  let result = renderContext(bracket, layers, dropped);
+  for (const step of TRIM_ORDER) {
+    while (result.tokens > budget) {
+      const item = dropNext(layers, step);
+      if (!item) break;
+      dropped.push(item);
+      result = renderContext(bracket, layers, dropped);
+    }
+    if (result.tokens <= budget) break;
   }
 
-  // L2 — Agent
-  if (l2 && l2.agent) {
-    sections.push(formatAgent(l2));
-  }
+  return {
+    ...result,
+    tokenBudget: tokenBudget > 0 ? tokenBudget : null,
+    withinBudget: result.tokens <= budget,
+    dropped,
+  };
+}
 
-  // L3 — Pipeline/Workflow
-  if (l3 && l3.workflow) {
-    sections.push(formatWorkflow(l3));
-  }
+/**
+ * Copy the layer results that produce a section, so trimming never mutates
+ * the caller's objects.
+ */
+function cloneLayers({ l0, l1, l2, l3, l4 }) {
+  const copy = (layer) => ({ ...layer, rules: [...(layer.rules || [])] });
+  return {
+    L0: l0 ? copy(l0) : null,
+    L1: l1 ? copy(l1) : null,
+    L2: l2 && l2.agent ? copy(l2) : null,
+    L3: l3 && l3.workflow ? copy(l3) : null,
+    L4: l4 && l4.taskId
+      ? { ...l4, criteria: [...l4.criteria], artifacts: [...l4.artifacts], handoff: { ...l4.handoff } }
+      : null,
+  };
+}
 
-  // L4 — Task
-  if (l4 && l4.taskId) {
-    sections.push(formatTask(l4));
+function renderContext(bracket, layers, dropped) {
+  const sections = [];
+  const layerTokens = {};
+  for (const [name, format] of Object.entries(SECTION_FORMATTERS)) {
+    if (!layers[name]) continue;
+    const section = format(layers[name]);
+    sections.push(section);
+    layerTokens[name] = estimateTokens(section);
   }
 
-  let body = sections.join('\n\n');
+  const trimmed = dropped.length > 0 ? ` trimmed="${dropped.length}"` : '';
+  const xml = `<chati-context bracket="${bracket}"${trimmed}>\n${sections.join('\n\n')}\n</chati-context>`;
+  return { xml, tokens: estimateTokens(xml), layerTokens };
+}
 
-  // Truncate if over budget (rough estimate: 1 token ≈ 4 chars)
-  const maxChars = tokenBudget * 4;
-  if (body.length > maxChars) {
-    body = truncateByPriority(sections, maxChars);
+/**
+ * Remove the next item for a trim step. Lists lose their last entry first;
+ * rules lose their lowest-priority entry first.
+ * @returns {{ layer: string, kind: string, id: string }|null}
+ */
+function dropNext(layers, { layer, kind }) {
+  const data = layers[layer];
+  if (!data) return null;
+
+  switch (kind) {
+    case 'handoff': {
+      const key = Object.keys(data.handoff).pop();
+      if (key === undefined) return null;
+      delete data.handoff[key];
+      return { layer, kind, id: key };
+    }
+    case 'artifact':
+    case 'criterion': {
+      const list = kind === 'artifact' ? data.artifacts : data.criteria;
+      if (list.length === 0) return null;
+      return { layer, kind, id: String(list.pop()) };
+    }
+    case 'rule': {
+      const index = lowestPriorityRule(data.rules, { keepCritical: layer === 'L0' });
+      if (index === -1) return null;
+      const [rule] = data.rules.splice(index, 1);
+      return { layer, kind, id: rule.id };
+    }
+    case 'section': {
+      layers[layer] = null;
+      return { layer, kind, id: data.agent || data.workflow || data.taskId };
+    }
+    default:
+      return null;
   }
+}
 
-  return `<chati-context bracket="${bracket}">\n${body}\n</chati-context>`;
+function lowestPriorityRule(rules, { keepCritical }) {
+  let index = -1;
+  let lowest = -1;
+  rules.forEach((rule, i) => {
+    const rank = PRIORITY_RANK[rule.priority] ?? PRIORITY_RANK.normal;
+    if (keepCritical && rank === PRIORITY_RANK.critical) return;
+    if (rank >= lowest) {
+      index = i;
+      lowest = rank;
+    }
+  });
+  return index;
 }
 
 function formatConstitution(l0) {
@@ -154,25 +265,6 @@ function formatTask(l4) {
   return lines.join('\n');
 }
 
-/**
- * Truncate sections by removing lower-priority layers first (L4 → L3 → L2).
- * L0 and L1 are never truncated.
- */
-function truncateByPriority(sections, maxChars) {
-  let result = sections.join('\n\n');
-  // Remove from end (lowest priority) until within budget
-  const trimmed = [...sections];
-  while (trimmed.length > 2 && result.length > maxChars) {
-    trimmed.pop();
-    result = trimmed.join('\n\n');
-  }
-  // If still over, hard truncate
-  if (result.length > maxChars) {
-    result = result.slice(0, maxChars) + '\n  <!-- truncated -->';
-  }
-  return result;
-}
-
 /** Escape XML special characters */
 function esc(str) {
   if (!str) return '';
@@ -1,4 +1,4 @@
 export { runPrism, getPrismInfo } from './engine.js';
-export { calculateBracket, estimateRemaining, isLayerActive, getBracketDefinitions } from './bracket-tracker.js';
-export { formatContext } from './formatter.js';
+export { calculateBracket, resolveRemaining, estimateRemaining, isLayerActive, getBracketDefinitions, DEFAULT_CONTEXT_WINDOW } from './bracket-tracker.js';
+export { formatContext, fitContext } from './formatter.js';
 export { loadDomainFile, loadAgentDomains, loadWorkflowDomains, extractRules } from './domain-loader.js';
@@ -18,6 +18,8 @@ export async function readDashboardData(targetDir) {
     memoryStats: null,
     contextStatus: null,
     registryStats: null,
+    costStatus: null,
+    terminals: [],
   };
 
   // Read session.yaml
@@ -120,5 +122,39 @@ export async function readDashboardData(targetDir) {
     // Intelligence module not available
   }
 
+  // Spend against budget from the cost ledger (graceful degradation)
+  try {
+    const { getSpendSummary } = await import('../terminal/budget.js');
+    const { resolveSessionId } = await import('../terminal/cost-ledger.js');
+    data.costStatus = getSpendSummary(targetDir, {
+      sessionId: resolveSessionId(data.session),
+      buildId: readActiveBuildId(targetDir),
+    });
+  } catch {
+    // Cost modules not available
+  }
+
+  // Progress of streaming terminals (written by run-parallel)
+  try {
+    const { readTerminalProgress } = await import('../terminal/progress.js');
+    data.terminals = readTerminalProgress(targetDir);
+  } catch {
+    // Terminal module not available
+  }
+
   return data;
 }
+
+/**
+ * Read the id of the in-progress build loop run, if any
+ */
+function readActiveBuildId(targetDir) {
+  const buildStatePath = join(targetDir, '.chati', 'build-state.json');
+  if (!existsSync(buildStatePath)) return null;
+  try {
+    const state = JSON.parse(readFileSync(buildStatePath, 'utf-8'));
+    return state.status === 'in_progress' ? state.sessionId : null;
+  } catch {
+    return null;
+  }
+}
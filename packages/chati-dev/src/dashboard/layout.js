@@ -117,9 +117,16 @@ export function buildBuildSection(data) {
     devInfo.status === 'in_progress' ? yellow('In Progress') :
     green('Complete');
 
+  const running = (data.terminals || []).filter(t => t.status === 'running');
+  const terminalRows = running.map((t) => {
+    const text = `${t.lines} lines${t.handoff ? `, handoff ${t.handoff}` : ''}`;
+    return brand('│') + `  │ ${dim(t.agent.padEnd(10))} ${yellow(text)}` + ' '.repeat(Math.max(1, 44 - text.length)) + brand('│');
+  });
+
   return [
     brand('│') + `  ${brand('── BUILD')} ${'─'.repeat(48)}` + brand('│'),
     brand('│') + `  │ ${dim('Dev Agent:')} ${status}` + ' '.repeat(38) + brand('│'),
+    ...terminalRows,
     brand('│') + `  ${'─'.repeat(57)}` + brand('│'),
   ];
 }
@@ -159,6 +166,49 @@ export function buildIntelligenceSection(data) {
   ];
 }
 
+/**
+ * Format a budget scope as "$spent / $limit (pct%)", colored by level
+ */
+function formatBudgetScope(scope) {
+  const text = `$${scope.spent.toFixed(2)} / $${scope.limit.toFixed(2)} (${Math.round(scope.ratio * 100)}%)`;
+  if (scope.level === 'exceeded') return { text, colored: red(text) };
+  if (scope.level === 'warning') return { text, colored: yellow(text) };
+  return { text, colored: green(text) };
+}
+
+/**
+ * Build COST section (spend against budget)
+ */
+export function buildCostSection(data) {
+  const cost = data.costStatus;
+  const row = (label, text, colored = text) =>
+    brand('│') + `  │ ${dim(label.padEnd(10))} ${colored}` + ' '.repeat(Math.max(1, 44 - text.length)) + brand('│');
+
+  const lines = [brand('│') + `  ${brand('── COST')} ${'─'.repeat(49)}` + brand('│')];
+
+  if (!cost || cost.executions === 0) {
+    lines.push(row('Spent:', 'No executions recorded', gray('No executions recorded')));
+  } else {
+    const spentText = cost.sessionSpent !== null
+      ? `$${cost.totalSpent.toFixed(2)} total, $${cost.sessionSpent.toFixed(2)} session`
+      : `$${cost.totalSpent.toFixed(2)} total`;
+    lines.push(row('Spent:', spentText));
+  }
+
+  const scopes = [...(cost?.status?.scopes || []), ...(cost?.agentScopes || [])];
+  if (scopes.length === 0) {
+    lines.push(row('Budget:', 'None configured', gray('None configured')));
+  }
+  for (const scope of scopes) {
+    const label = scope.scope === 'agent' ? `${scope.key}:` : `${scope.scope[0].toUpperCase()}${scope.scope.slice(1)}:`;
+    const { text, colored } = formatBudgetScope(scope);
+    lines.push(row(label, text, colored));
+  }
+
+  lines.push(brand('│') + `  ${'─'.repeat(57)}` + brand('│'));
+  return lines;
+}
+
 /**
  * Build footer with recent activity, blockers, gotchas
  */
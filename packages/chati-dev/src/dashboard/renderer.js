@@ -6,6 +6,7 @@ import {
   buildBuildSection,
   buildValidateSection,
   buildIntelligenceSection,
+  buildCostSection,
   buildFooter,
 } from './layout.js';
 import { dim } from '../utils/colors.js';
@@ -33,6 +34,8 @@ export async function renderDashboard(targetDir) {
     '',
     ...buildIntelligenceSection(data),
     '',
+    ...buildCostSection(data),
+    '',
     ...buildFooter(data),
   ];
 
@@ -100,6 +103,25 @@ export async function renderPlainDashboard(targetDir) {
     console.log(`  ${name.padEnd(20)} ${status}`);
   }
 
+  const running = data.terminals.filter(t => t.status === 'running');
+  if (running.length > 0) {
+    console.log();
+    console.log('--- Terminals ---');
+    for (const t of running) {
+      console.log(`  ${t.agent.padEnd(20)} ${t.lines} lines${t.handoff ? `, handoff ${t.handoff}` : ''}`);
+    }
+  }
+
+  if (data.costStatus && data.costStatus.executions > 0) {
+    console.log();
+    console.log('--- Cost ---');
+    console.log(`  ${'Spent'.padEnd(20)} $${data.costStatus.totalSpent.toFixed(2)}`);
+    for (const scope of [...data.costStatus.status.scopes, ...data.costStatus.agentScopes]) {
+      const label = scope.scope === 'agent' ? `agent ${scope.key}` : scope.scope;
+      console.log(`  ${label.padEnd(20)} $${scope.spent.toFixed(2)} / $${scope.limit.toFixed(2)} (${scope.level})`);
+    }
+  }
+
   console.log();
   console.log(`Blockers: ${data.blockers.length || 'None'}`);
   console.log(`Gotchas:  ${data.gotchas.length} patterns`);
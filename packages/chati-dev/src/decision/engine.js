@@ -8,56 +8,72 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import yaml from 'js-yaml';
+import { updateSymbolIndex, searchSymbols, symbolRef } from './symbol-index.js';
 
 /**
  * Analyze a request against existing entities and recommend action.
- * Uses keyword matching to find similar existing artifacts.
+ * Uses keyword matching to find similar existing artifacts: entries of the
+ * entity registry, and the project's own code through the symbol index
+ * (matches with `source: 'code'` and paths like `src/lib/auth.ts#verifyToken`).
+ * The symbol index is only built and refreshed inside an initialized project
+ * (one with `.chati/`); elsewhere code matching needs `options.symbolIndex`.
  *
  * @param {string} projectDir
  * @param {object} request - { description, type, keywords, agent }
- * @returns {{ recommendation: 'REUSE'|'ADAPT'|'CREATE', score: number, matches: object[], reasoning: string }}
+ * @param {object} [options]
+ * @param {object} [options.symbolIndex] - Prebuilt symbol index to search instead of the project's
+ * @returns {{ recommendation: 'REUSE'|'ADAPT'|'CREATE', score: number, matches: object[], reasoning: string, target: string|null }}
  */
-export function analyzeRequest(projectDir, request) {
+export function analyzeRequest(projectDir, request, options = {}) {
   const registryPath = join(projectDir, 'chati.dev', 'entity-registry.yaml');
+  const codeMatches = findCodeMatches(projectDir, request, options.symbolIndex);
 
-  if (!existsSync(registryPath)) {
+  if (!existsSync(registryPath) && codeMatches.length === 0) {
     return {
       recommendation: 'CREATE',
       score: 0,
       matches: [],
-      reasoning: 'No entity registry found - first artifact in project'
+      reasoning: 'No entity registry found - first artifact in project',
+      target: null
     };
   }
 
-  const registry = yaml.load(readFileSync(registryPath, 'utf8'));
-  const entities = flattenEntities(registry);
+  const registry = existsSync(registryPath)
+    ? yaml.load(readFileSync(registryPath, 'utf8'))
+    : {};
+  const entities = flattenEntities(registry || {});
 
-  // Calculate similarity scores for all entities
+  // Calculate similarity scores for all entities; on equal scores the project's code wins
   const scoredMatches = entities
     .map(entity => ({
-      entity,
-      score: calculateSimilarity(request, entity)
+      path: entity.path,
+      type: entity.type,
+      score: calculateSimilarity(request, entity),
+      purpose: entity.purpose || 'No purpose defined',
+      source: 'registry'
     }))
     .filter(match => match.score > 0)
-    .sort((a, b) => b.score - a.score);
+    .concat(codeMatches)
+    .sort((a, b) => b.score - a.score || (a.source === 'code' ? -1 : 0) - (b.source === 'code' ? -1 : 0));
 
   const topScore = scoredMatches.length > 0 ? scoredMatches[0].score : 0;
-  const topMatches = scoredMatches.slice(0, 5).map(m => ({
-    path: m.entity.path,
-    type: m.entity.type,
-    score: m.score,
-    purpose: m.entity.purpose || 'No purpose defined'
-  }));
+  const topMatches = scoredMatches.slice(0, 5);
+  const top = topMatches[0];
+  const fromCode = top?.source === 'code';
 
   let recommendation;
   let reasoning;
 
   if (topScore >= 90) {
     recommendation = 'REUSE';
-    reasoning = `High similarity (${topScore}%) - existing artifact meets requirements`;
+    reasoning = fromCode
+      ? `High similarity (${topScore}%) - REUSE ${top.path} instead of writing a duplicate`
+      : `High similarity (${topScore}%) - existing artifact meets requirements`;
   } else if (topScore >= 60) {
     recommendation = 'ADAPT';
-    reasoning = `Moderate similarity (${topScore}%) - adapt existing artifact`;
+    reasoning = fromCode
+      ? `Moderate similarity (${topScore}%) - adapt ${top.path}`
+      : `Moderate similarity (${topScore}%) - adapt existing artifact`;
   } else {
     recommendation = 'CREATE';
     reasoning = topScore > 0
@@ -85,10 +101,36 @@ export function analyzeRequest(projectDir, request) {
     recommendation,
     score: topScore,
     matches: topMatches,
-    reasoning
+    reasoning,
+    target: recommendation === 'CREATE' ? null : top.path
   };
 }
 
+/**
+ * Score the project's own symbols against a request.
+ * @private
+ * @param {string} projectDir
+ * @param {object} request
+ * @param {object} [symbolIndex] - Searched as-is when given
+ * @returns {object[]} Matches shaped like registry matches, with file and line
+ */
+function findCodeMatches(projectDir, request, symbolIndex) {
+  // Never create project state as a side effect: index initialized projects only
+  const index = symbolIndex
+    || (existsSync(join(projectDir, '.chati')) ? updateSymbolIndex(projectDir).index : null);
+  if (!index) return [];
+
+  return searchSymbols(index, request).map(({ symbol, score }) => ({
+    path: symbolRef(symbol),
+    type: symbol.kind,
+    score,
+    purpose: symbol.doc || symbol.signature || 'No doc comment',
+    source: 'code',
+    file: symbol.file,
+    line: symbol.line
+  }));
+}
+
 /**
  * Calculate similarity between a request and an entity.
  * Uses keyword overlap (Jaccard similarity) + type matching.
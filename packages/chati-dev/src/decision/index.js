@@ -13,6 +13,17 @@ export {
   getEngineStats
 } from './engine.js';
 
+export {
+  extractSymbols,
+  updateSymbolIndex,
+  loadSymbolIndex,
+  searchSymbols,
+  scoreSymbol,
+  symbolRef,
+  splitTerms,
+  SYMBOL_INDEX_FILE
+} from './symbol-index.js';
+
 export {
   analyzeImpact,
   buildDependencyGraph,
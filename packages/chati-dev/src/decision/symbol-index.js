@@ -0,0 +1,427 @@
+/**
+ * Symbol Index - the target project's own code for COMPASS
+ * Extracts exported functions, classes, React components, routes and
+ * modules (with their doc comments) from JS/TS sources, so the decision
+ * engine can point at existing code before a duplicate gets written.
+ *
+ * Kept in .chati/symbol-index.json; a file is re-parsed only when its
+ * mtime or size changed since it was indexed.
+ *
+ * @module decision/symbol-index
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { join, extname, basename, dirname } from 'path';
+import { scanDirectory } from '../../scripts/codebase-mapper.js';
+
+export const SYMBOL_INDEX_FILE = join('.chati', 'symbol-index.json');
+const INDEX_VERSION = 1;
+
+const SOURCE_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts']);
+const MAX_FILE_SIZE = 512 * 1024;
+const MAX_DOC_LENGTH = 200;
+
+// Directories that hold no project code of interest (besides codebase-mapper's ignores)
+const SKIP_DIRS = new Set(['chati.dev', 'test', 'tests', '__tests__', '__mocks__', 'fixtures', 'e2e', 'cypress']);
+const SKIP_FILE = /\.(test|spec|stories|d)\.[cm]?[jt]sx?$|\.min\.js$/;
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Scoring: where a request term is found, and how much of the name it explains
+const TERM_WEIGHTS = { name: 1, path: 0.8, doc: 0.6 };
+const COVERAGE_WEIGHT = 0.7;
+const NAME_PRECISION_WEIGHT = 0.3;
+const KIND_BONUS = 10;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'the', 'this', 'to', 'with', 'that', 'we', 'need', 'new',
+  'src', 'lib', 'index', 'js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs'
+]);
+
+const FUNCTION_RE = /^export\s+(default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)?\s*(?:<[^>]*>)?\s*\(([^)]*)/;
+const CLASS_RE = /^export\s+(default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)(?:\s*<[^>]*>)?(?:\s+extends\s+([\w$.]+))?/;
+const ARROW_RE = /^export\s+const\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b[^(]*\(([^)]*)|\(([^)]*)\)[^=]*=>|([A-Za-z_$][\w$]*)\s*=>)/;
+const WRAPPED_COMPONENT_RE = /^export\s+const\s+([A-Z][\w$]*)\s*(?::[^=]+)?=\s*(?:React\.)?(?:memo|forwardRef)\s*[(<]/;
+const ROUTE_RE = /\b(?:app|router|server|api|routes?)\s*\.\s*(get|post|put|patch|delete|all|options|head)\s*\(\s*(['"`])([^'"`]+)\2/i;
+
+// ---------------------------------------------------------------------------
+// Terms
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize a term (lowercase, naive plural stripping).
+ * @private
+ */
+function normalizeTerm(term) {
+  const lower = term.toLowerCase();
+  return lower.length > 3 && lower.endsWith('s') && !lower.endsWith('ss') ? lower.slice(0, -1) : lower;
+}
+
+/**
+ * Split identifiers and text into normalized terms.
+ * Handles camelCase, PascalCase, snake_case, kebab-case and paths.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitTerms(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(t => t.length > 1)
+    .map(normalizeTerm)
+    .filter(t => !STOPWORDS.has(t));
+}
+
+// ---------------------------------------------------------------------------
+// Extraction
+// ---------------------------------------------------------------------------
+
+/**
+ * Description of the doc comment ending right above a line (JSDoc or // lines).
+ * @private
+ */
+function docCommentAbove(lines, lineIndex) {
+  let end = lineIndex - 1;
+  while (end >= 0 && /^\s*@\w/.test(lines[end])) end--; // Decorators
+
+  if (end < 0) return null;
+
+  if (lines[end].trim().endsWith('*/')) {
+    let start = end;
+    while (start > 0 && !lines[start].includes('/*')) start--;
+    if (!lines[start].includes('/**')) return null;
+    return describeComment(lines.slice(start, end + 1).map(l => l.replace(/^\s*\/?\*+\/?\s?|\*\/\s*$/g, '')));
+  }
+
+  const comments = [];
+  for (let i = end; i >= 0 && /^\s*\/\/(?!\/)/.test(lines[i]); i--) {
+    comments.unshift(lines[i].replace(/^\s*\/\/\s?/, ''));
+  }
+  return comments.length > 0 ? describeComment(comments) : null;
+}
+
+/**
+ * First paragraph of a comment, without tags.
+ * @private
+ */
+function describeComment(commentLines) {
+  const description = [];
+  for (const raw of commentLines) {
+    const line = raw.trim();
+    if (line.startsWith('@')) {
+      // @fileoverview / @description carry the description itself
+      const tagged = line.match(/^@(?:fileoverview|file|description)\s+(.*)/);
+      if (tagged) description.push(tagged[1]);
+      else break;
+    } else if (line === '') {
+      if (description.length > 0) break;
+    } else {
+      description.push(line);
+    }
+  }
+
+  const text = description.join(' ').trim();
+  if (!text) return null;
+  return text.length > MAX_DOC_LENGTH ? `${text.slice(0, MAX_DOC_LENGTH - 3)}...` : text;
+}
+
+/**
+ * Route of a Next.js route file (app router route handlers, pages/api).
+ * @private
+ */
+function fileRoute(file) {
+  const appRoute = file.match(/(?:^|\/)app\/(.*?)\/?route\.[cm]?[jt]sx?$/);
+  if (appRoute) return `/${appRoute[1]}`.replace(/\/$/, '') || '/';
+
+  const pagesApi = file.match(/(?:^|\/)pages\/(api\/.*?)\.[cm]?[jt]sx?$/);
+  if (pagesApi) return `/${pagesApi[1]}`.replace(/\/index$/, '');
+
+  return null;
+}
+
+/**
+ * Description of the comment a file starts with (after any shebang).
+ * @private
+ */
+function headerComment(lines) {
+  let start = 0;
+  while (start < lines.length && (lines[start].trim() === '' || lines[start].startsWith('#!'))) start++;
+  if (start === lines.length) return null;
+
+  let end = start;
+  if (lines[start].trim().startsWith('/**')) {
+    while (end < lines.length - 1 && !lines[end].includes('*/')) end++;
+  } else if (/^\s*\/\//.test(lines[start])) {
+    while (end < lines.length - 1 && /^\s*\/\//.test(lines[end + 1])) end++;
+  } else {
+    return null;
+  }
+  return docCommentAbove(lines, end + 1);
+}
+
+function isPascalCase(name) {
+  return /^[A-Z][a-z0-9]/.test(name);
+}
+
+/**
+ * Extract exported symbols from a JS/TS source file.
+ *
+ * Besides functions, classes and React components, Express-style routes
+ * (`router.get('/users', ...)`) and Next.js route handlers are recorded as
+ * `route` symbols named `METHOD /path`, and every file gets a `module`
+ * symbol carrying its header comment.
+ *
+ * @param {string} content - File content
+ * @param {string} file - Path relative to the project root
+ * @returns {object[]} Symbols: { name, kind, file, line, doc, signature? }
+ */
+export function extractSymbols(content, file) {
+  const lines = content.split('\n');
+  const symbols = [];
+  const ext = extname(file);
+  const jsx = ext === '.jsx' || ext === '.tsx' || /from\s+['"]react['"]/.test(content);
+  const route = fileRoute(file);
+  const moduleName = basename(file, ext);
+
+  symbols.push({ name: file, kind: 'module', file, line: 1, doc: headerComment(lines) });
+
+  lines.forEach((text, i) => {
+    const line = i + 1;
+    const routeCall = text.match(ROUTE_RE);
+    if (routeCall) {
+      symbols.push({ name: `${routeCall[1].toUpperCase()} ${routeCall[3]}`, kind: 'route', file, line, doc: docCommentAbove(lines, i) });
+      return;
+    }
+
+    const fn = text.match(FUNCTION_RE);
+    if (fn) {
+      const name = fn[2] || (fn[1] ? moduleName : null);
+      if (!name) return;
+      const doc = docCommentAbove(lines, i);
+      if (route && (HTTP_METHODS.includes(name) || fn[1])) {
+        symbols.push({ name: `${HTTP_METHODS.includes(name) ? name : 'ANY'} ${route}`, kind: 'route', file, line, doc });
+        return;
+      }
+      const kind = jsx && isPascalCase(name) ? 'component' : 'function';
+      symbols.push({ name, kind, file, line, doc, signature: `${name}(${fn[3].trim()})` });
+      return;
+    }
+
+    const cls = text.match(CLASS_RE);
+    if (cls) {
+      const kind = /(^|\.)(Pure)?Component$/.test(cls[3] || '') ? 'component' : 'class';
+      symbols.push({ name: cls[2], kind, file, line, doc: docCommentAbove(lines, i) });
+      return;
+    }
+
+    const wrapped = text.match(WRAPPED_COMPONENT_RE);
+    if (wrapped) {
+      symbols.push({ name: wrapped[1], kind: 'component', file, line, doc: docCommentAbove(lines, i) });
+      return;
+    }
+
+    const arrow = text.match(ARROW_RE);
+    if (arrow) {
+      const name = arrow[1];
+      const params = (arrow[2] ?? arrow[3] ?? arrow[4] ?? '').trim();
+      const doc = docCommentAbove(lines, i);
+      if (route && HTTP_METHODS.includes(name)) {
+        symbols.push({ name: `${name} ${route}`, kind: 'route', file, line, doc });
+        return;
+      }
+      const kind = jsx && isPascalCase(name) ? 'component' : 'function';
+      symbols.push({ name, kind, file, line, doc, signature: `${name}(${params})` });
+    }
+  });
+
+  return symbols;
+}
+
+// ---------------------------------------------------------------------------
+// Index
+// ---------------------------------------------------------------------------
+
+/**
+ * List the project's source files (relative paths).
+ * @private
+ */
+function collectSourceFiles(projectDir) {
+  const files = [];
+
+  const walk = (node, prefix) => {
+    for (const child of node.children || []) {
+      const rel = prefix ? `${prefix}/${child.name}` : child.name;
+      if (child.type === 'directory') {
+        if (!SKIP_DIRS.has(child.name) && !child.name.startsWith('.')) walk(child, rel);
+      } else if (SOURCE_EXTENSIONS.has(child.extension) && !SKIP_FILE.test(child.name)) {
+        files.push(rel);
+      }
+    }
+  };
+
+  walk(scanDirectory(projectDir), '');
+  return files.sort();
+}
+
+/**
+ * Load the persisted symbol index.
+ * @param {string} projectDir
+ * @returns {object|null} Index, or null when missing, unreadable or outdated
+ */
+export function loadSymbolIndex(projectDir) {
+  const indexPath = join(projectDir, SYMBOL_INDEX_FILE);
+  if (!existsSync(indexPath)) return null;
+
+  try {
+    const index = JSON.parse(readFileSync(indexPath, 'utf8'));
+    return index.version === INDEX_VERSION ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Bring the symbol index up to date with the project's sources.
+ * Only files whose mtime or size changed are re-parsed; deleted files are
+ * dropped. The index is saved when anything changed.
+ *
+ * @param {string} projectDir
+ * @returns {{ index: object, updated: string[], removed: string[] }}
+ */
+export function updateSymbolIndex(projectDir) {
+  const index = loadSymbolIndex(projectDir) || { version: INDEX_VERSION, files: {} };
+  const updated = [];
+  const removed = [];
+  const seen = new Set();
+
+  for (const file of existsSync(projectDir) ? collectSourceFiles(projectDir) : []) {
+    let stat;
+    try {
+      stat = statSync(join(projectDir, file));
+    } catch {
+      continue;
+    }
+    if (stat.size > MAX_FILE_SIZE) continue;
+
+    seen.add(file);
+    const previous = index.files[file];
+    if (previous && previous.mtimeMs === stat.mtimeMs && previous.size === stat.size) continue;
+
+    let symbols = [];
+    try {
+      symbols = extractSymbols(readFileSync(join(projectDir, file), 'utf8'), file);
+    } catch {
+      // Unreadable files index as empty
+    }
+    index.files[file] = { mtimeMs: stat.mtimeMs, size: stat.size, symbols };
+    updated.push(file);
+  }
+
+  for (const file of Object.keys(index.files)) {
+    if (!seen.has(file)) {
+      delete index.files[file];
+      removed.push(file);
+    }
+  }
+
+  if (updated.length > 0 || removed.length > 0) {
+    const indexPath = join(projectDir, SYMBOL_INDEX_FILE);
+    mkdirSync(dirname(indexPath), { recursive: true });
+    writeFileSync(indexPath, JSON.stringify(index), 'utf8');
+  }
+
+  return { index, updated, removed };
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+/**
+ * Reference to a symbol, e.g. `src/lib/auth.ts#verifyToken`.
+ * @param {object} symbol
+ * @returns {string}
+ */
+export function symbolRef(symbol) {
+  return symbol.kind === 'module' ? symbol.file : `${symbol.file}#${symbol.name}`;
+}
+
+/**
+ * Terms of a request: its keywords (split like identifiers), else its description.
+ * @private
+ */
+function requestTerms(request) {
+  const keywords = request.keywords || [];
+  const source = keywords.length > 0 ? keywords.join(' ') : request.description;
+  return [...new Set(splitTerms(source))];
+}
+
+/**
+ * Score a symbol against request terms.
+ *
+ * Coverage counts how many request terms the symbol explains (name hits
+ * weigh more than path hits, which weigh more than doc comment hits);
+ * name precision counts how much of the symbol's name the request asked
+ * for, so `verifyToken` beats `verifyTokenAndRefreshSession` for
+ * "verify token".
+ *
+ * @param {string[]} terms - Request terms
+ * @param {object} symbol
+ * @param {string} [type] - Requested kind (function, component, route, ...)
+ * @returns {number} Score 0-100
+ */
+export function scoreSymbol(terms, symbol, type) {
+  if (terms.length === 0) return 0;
+
+  const nameSource = symbol.kind === 'module' ? basename(symbol.file, extname(symbol.file)) : symbol.name;
+  const nameTerms = new Set(splitTerms(nameSource));
+  const pathTerms = new Set(splitTerms(symbol.file));
+  const docTerms = new Set(splitTerms(symbol.doc));
+
+  let covered = 0;
+  for (const term of terms) {
+    if (nameTerms.has(term)) covered += TERM_WEIGHTS.name;
+    else if (pathTerms.has(term)) covered += TERM_WEIGHTS.path;
+    else if (docTerms.has(term)) covered += TERM_WEIGHTS.doc;
+  }
+  if (covered === 0) return 0;
+
+  const nameHits = [...nameTerms].filter(t => terms.includes(t)).length;
+  const namePrecision = nameTerms.size > 0 ? nameHits / nameTerms.size : 0;
+
+  let score = 100 * (COVERAGE_WEIGHT * (covered / terms.length) + NAME_PRECISION_WEIGHT * namePrecision);
+  if (type && type === symbol.kind) {
+    score += KIND_BONUS;
+  }
+
+  return Math.min(100, Math.round(score));
+}
+
+/**
+ * Find the project symbols most similar to a request.
+ *
+ * @param {object} index - From updateSymbolIndex()
+ * @param {object} request - { description, type, keywords }
+ * @param {object} [options] - { limit }
+ * @returns {{ symbol: object, score: number }[]} Best first
+ */
+export function searchSymbols(index, request, options = {}) {
+  const { limit = 5 } = options;
+  const terms = requestTerms(request);
+  if (terms.length === 0) return [];
+
+  const matches = [];
+  for (const { symbols } of Object.values(index.files)) {
+    for (const symbol of symbols) {
+      const score = scoreSymbol(terms, symbol, request.type);
+      if (score > 0) matches.push({ symbol, score });
+    }
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score || (a.symbol.kind === 'module') - (b.symbol.kind === 'module'))
+    .slice(0, limit);
+}
@@ -8,59 +8,109 @@
  *   CLOSED   — Normal operation, requests flow through
  *   OPEN     — Failures exceeded threshold, requests rejected immediately
  *   HALF_OPEN — After reset timeout, allows a single test request
+ *
+ * A breaker given a `stateFile` keeps its state on disk (one file per gate
+ * or provider under .chati/circuits/), read and written under a file lock,
+ * so every runner process sees the same circuit and a trip in one terminal
+ * stops new work in the others.
  */
 
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { acquireLock } from '../utils/file-lock.js';
 import { track as telemetryTrack } from '../telemetry/collector.js';
 
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
 export const CIRCUIT_STATES = {
   CLOSED: 'CLOSED',
   OPEN: 'OPEN',
   HALF_OPEN: 'HALF_OPEN',
 };
 
+/** Error code of the rejection thrown by execute() while a circuit is open. */
+export const CIRCUIT_OPEN_CODE = 'CIRCUIT_OPEN';
+
+/** Directory (relative to the project) holding persisted circuit state. */
+export const CIRCUITS_DIR = join('.chati', 'circuits');
+
+/** Consecutive failed evaluations that open a gate's circuit. */
+export const GATE_FAILURE_THRESHOLD = 3;
+
+/** Time an open gate circuit stays open before a trial run (ms). */
+export const GATE_RESET_TIMEOUT = 10 * 60 * 1000;
+
+/** How long to wait for another process to release a state file (ms). */
+const STATE_LOCK_TIMEOUT = 2000;
+
+/**
+ * Build the error execute() throws when it refuses a request, tagged with
+ * CIRCUIT_OPEN_CODE so callers can tell it apart from errors thrown by fn.
+ * @param {string} message
+ * @returns {Error}
+ */
+function rejection(message) {
+  return Object.assign(new Error(message), { code: CIRCUIT_OPEN_CODE });
+}
+
+// ---------------------------------------------------------------------------
+// Circuit Breaker
+// ---------------------------------------------------------------------------
+
 export class CircuitBreaker {
   /**
    * @param {object} [options]
    * @param {number} [options.failureThreshold=3] - Consecutive failures before opening
    * @param {number} [options.resetTimeout=60000] - Milliseconds before trying recovery
+   * @param {string} [options.name] - Circuit name (recorded in the state file)
+   * @param {string} [options.stateFile] - JSON file the state is shared through
    */
   constructor(options = {}) {
     this.failureThreshold = options.failureThreshold ?? 3;
     this.resetTimeout = options.resetTimeout ?? 60000;
+    this.name = options.name || null;
+    this.stateFile = options.stateFile || null;
 
     this._state = CIRCUIT_STATES.CLOSED;
     this._failures = 0;
     this._successes = 0;
     this._lastFailure = null;
     this._lastSuccess = null;
+    this._trialStartedAt = null;
   }
 
   /**
    * Execute a function through the circuit breaker.
    *
+   * When fn returns a promise, the outcome is recorded once it settles and
+   * the promise is returned.
+   *
    * @param {Function} fn - Function to execute (may be async)
    * @returns {*} Result from fn
    * @throws {Error} If circuit is OPEN and timeout has not elapsed
    */
   execute(fn) {
-    if (this._state === CIRCUIT_STATES.OPEN) {
-      // Check if reset timeout has elapsed
-      const elapsed = Date.now() - (this._lastFailure || 0);
-      if (elapsed >= this.resetTimeout) {
-        this._state = CIRCUIT_STATES.HALF_OPEN;
-      } else {
-        throw new Error('Circuit breaker is OPEN. Request rejected.');
-      }
-    }
+    this._update(() => this._admit());
 
+    let result;
     try {
-      const result = fn();
-      this._onSuccess();
-      return result;
+      result = fn();
     } catch (error) {
-      this._onFailure();
+      this.recordFailure();
       throw error;
     }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        (value) => { this.recordSuccess(); return value; },
+        (error) => { this.recordFailure(); throw error; },
+      );
+    }
+
+    this.recordSuccess();
+    return result;
   }
 
   /**
@@ -69,23 +119,65 @@ export class CircuitBreaker {
    * @returns {Promise<*>} Result from fn
    */
   async executeAsync(fn) {
-    if (this._state === CIRCUIT_STATES.OPEN) {
-      const elapsed = Date.now() - (this._lastFailure || 0);
-      if (elapsed >= this.resetTimeout) {
-        this._state = CIRCUIT_STATES.HALF_OPEN;
-      } else {
-        throw new Error('Circuit breaker is OPEN. Request rejected.');
-      }
-    }
+    return this.execute(async () => fn());
+  }
 
-    try {
-      const result = await fn();
-      this._onSuccess();
-      return result;
-    } catch (error) {
-      this._onFailure();
-      throw error;
+  /**
+   * Whether a request would be let through right now, without starting
+   * a trial. Used to refuse work up front when the outcome is recorded
+   * later with recordSuccess()/recordFailure().
+   *
+   * @returns {boolean}
+   */
+  canExecute() {
+    this._refresh();
+    if (this._state === CIRCUIT_STATES.CLOSED) return true;
+    if (this._trialInFlight()) return false;
+    return this._state === CIRCUIT_STATES.HALF_OPEN || this._timeoutElapsed();
+  }
+
+  /**
+   * Record a success that happened outside execute().
+   */
+  recordSuccess() {
+    this._update(() => this._onSuccess());
+  }
+
+  /**
+   * Record a failure that happened outside execute().
+   */
+  recordFailure() {
+    this._update(() => this._onFailure());
+  }
+
+  /** @private */
+  _admit() {
+    if (this._state === CIRCUIT_STATES.CLOSED) return;
+
+    if (this._trialInFlight()) {
+      throw rejection('Circuit breaker is HALF_OPEN (recovery trial running). Request rejected.');
     }
+    if (this._state === CIRCUIT_STATES.OPEN && !this._timeoutElapsed()) {
+      throw rejection('Circuit breaker is OPEN. Request rejected.');
+    }
+
+    this._state = CIRCUIT_STATES.HALF_OPEN;
+    this._trialStartedAt = Date.now();
+  }
+
+  /** @private */
+  _timeoutElapsed() {
+    return Date.now() - (this._lastFailure || 0) >= this.resetTimeout;
+  }
+
+  /**
+   * A trial another caller started that has neither finished nor timed out.
+   * @private
+   */
+  _trialInFlight() {
+    return this._state === CIRCUIT_STATES.HALF_OPEN
+      && this._trialStartedAt !== null
+      && Date.now() - this._trialStartedAt < this.resetTimeout;
   }
 
   /** @private */
@@ -93,10 +185,11 @@ export class CircuitBreaker {
     this._successes++;
     this._lastSuccess = Date.now();
 
-    if (this._state === CIRCUIT_STATES.HALF_OPEN) {
+    if (this._state !== CIRCUIT_STATES.CLOSED) {
       // Recovery confirmed — close the circuit
       this._state = CIRCUIT_STATES.CLOSED;
       this._failures = 0;
+      this._trialStartedAt = null;
     }
   }
 
@@ -108,7 +201,8 @@ export class CircuitBreaker {
     if (this._state === CIRCUIT_STATES.HALF_OPEN) {
       // Recovery failed — reopen
       this._state = CIRCUIT_STATES.OPEN;
-    } else if (this._failures >= this.failureThreshold) {
+      this._trialStartedAt = null;
+    } else if (this._state === CIRCUIT_STATES.CLOSED && this._failures >= this.failureThreshold) {
       this._state = CIRCUIT_STATES.OPEN;
       telemetryTrack('circuit_breaker_triggered', {
         trigger: 'failure_threshold',
@@ -123,6 +217,7 @@ export class CircuitBreaker {
    * @returns {'CLOSED' | 'OPEN' | 'HALF_OPEN'}
    */
   getState() {
+    this._refresh();
     return this._state;
   }
 
@@ -131,6 +226,7 @@ export class CircuitBreaker {
    * @returns {{ state: string, failures: number, successes: number, lastFailure: number|null, lastSuccess: number|null }}
    */
   getStats() {
+    this._refresh();
     return {
       state: this._state,
       failures: this._failures,
@@ -144,8 +240,170 @@ export class CircuitBreaker {
    * Manually reset the circuit breaker to CLOSED state.
    */
   reset() {
-    this._state = CIRCUIT_STATES.CLOSED;
-    this._failures = 0;
-    this._lastFailure = null;
+    this._update(() => {
+      this._state = CIRCUIT_STATES.CLOSED;
+      this._failures = 0;
+      this._lastFailure = null;
+      this._trialStartedAt = null;
+    });
   }
+
+  // -------------------------------------------------------------------------
+  // Persistence
+  // -------------------------------------------------------------------------
+
+  /**
+   * Run a state change against the latest persisted state and save it.
+   *
+   * When the lock cannot be taken the change still applies in memory but
+   * is not written, so a busy state file never blocks the caller.
+   *
+   * @private
+   * @param {Function} change
+   * @returns {*} Result of change
+   */
+  _update(change) {
+    if (!this.stateFile) return change();
+
+    const lock = acquireLock(this.stateFile, { timeout: STATE_LOCK_TIMEOUT });
+    try {
+      this._load();
+      const result = change();
+      if (lock.acquired) this._save();
+      return result;
+    } finally {
+      lock.release();
+    }
+  }
+
+  /** @private */
+  _refresh() {
+    if (this.stateFile) this._load();
+  }
+
+  /** @private */
+  _load() {
+    const data = readStateFile(this.stateFile);
+    this._state = CIRCUIT_STATES[data?.state] || CIRCUIT_STATES.CLOSED;
+    this._failures = data?.failures ?? 0;
+    this._successes = data?.successes ?? 0;
+    this._lastFailure = data?.lastFailure ?? null;
+    this._lastSuccess = data?.lastSuccess ?? null;
+    this._trialStartedAt = data?.trialStartedAt ?? null;
+  }
+
+  /** @private */
+  _save() {
+    mkdirSync(dirname(this.stateFile), { recursive: true });
+    writeFileSync(this.stateFile, JSON.stringify({
+      name: this.name,
+      state: this._state,
+      failures: this._failures,
+      successes: this._successes,
+      lastFailure: this._lastFailure,
+      lastSuccess: this._lastSuccess,
+      trialStartedAt: this._trialStartedAt,
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      updatedAt: new Date().toISOString(),
+    }, null, 2) + '\n', 'utf-8');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Shared Circuits
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} CircuitInfo
+ * @property {'gate'|'provider'} kind
+ * @property {string} name - Gate id or provider name
+ * @property {string} state
+ * @property {number} failures
+ * @property {number|null} lastFailure
+ * @property {number|null} retryAt - When an OPEN circuit allows a trial run
+ * @property {string} file
+ */
+
+function readStateFile(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Path of the state file for a gate or provider circuit.
+ *
+ * @param {string} projectDir
+ * @param {'gate'|'provider'} kind
+ * @param {string} name - Gate id or provider name
+ * @returns {string}
+ */
+export function getCircuitStatePath(projectDir, kind, name) {
+  const safeName = String(name).replace(/[^a-zA-Z0-9._-]/g, '_');
+  return join(projectDir, CIRCUITS_DIR, `${kind}-${safeName}.json`);
+}
+
+/**
+ * Get the persisted circuit guarding a quality gate.
+ *
+ * @param {string} projectDir
+ * @param {string} gateId - e.g. g3-implementation
+ * @returns {CircuitBreaker}
+ */
+export function getGateCircuit(projectDir, gateId) {
+  return new CircuitBreaker({
+    name: gateId,
+    failureThreshold: GATE_FAILURE_THRESHOLD,
+    resetTimeout: GATE_RESET_TIMEOUT,
+    stateFile: getCircuitStatePath(projectDir, 'gate', gateId),
+  });
+}
+
+/**
+ * List every persisted circuit of a project.
+ *
+ * @param {string} projectDir
+ * @returns {CircuitInfo[]} Sorted by kind, then name
+ */
+export function listCircuits(projectDir) {
+  const dir = join(projectDir, CIRCUITS_DIR);
+  if (!existsSync(dir)) return [];
+
+  const circuits = [];
+  for (const entry of readdirSync(dir)) {
+    const match = entry.match(/^(gate|provider)-(.+)\.json$/);
+    if (!match) continue;
+
+    const file = join(dir, entry);
+    const data = readStateFile(file);
+    if (!data) continue;
+
+    const state = CIRCUIT_STATES[data.state] || CIRCUIT_STATES.CLOSED;
+    circuits.push({
+      kind: match[1],
+      name: data.name || match[2],
+      state,
+      failures: data.failures ?? 0,
+      lastFailure: data.lastFailure ?? null,
+      retryAt: state === CIRCUIT_STATES.OPEN && data.lastFailure
+        ? data.lastFailure + (data.resetTimeout ?? 0)
+        : null,
+      file,
+    });
+  }
+
+  return circuits.sort((a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name));
+}
+
+/**
+ * List the circuits that are not CLOSED (OPEN or in a recovery trial).
+ *
+ * @param {string} projectDir
+ * @returns {CircuitInfo[]}
+ */
+export function getOpenCircuits(projectDir) {
+  return listCircuits(projectDir).filter((c) => c.state !== CIRCUIT_STATES.CLOSED);
 }
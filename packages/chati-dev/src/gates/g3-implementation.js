@@ -3,7 +3,10 @@
  *
  * Post-Dev gate that validates implementation quality.
  * Checks that all dev tasks are completed, tests exist alongside
- * source files, lint passes, and no security issues are flagged.
+ * source files, the project's linter (run through runLint) stays within
+ * the `lint:` allowance in config.yaml, and the security scanner finds
+ * no critical or high issues. When coverage thresholds are configured,
+ * the latest coverage must meet them.
  */
 
 import { existsSync, readdirSync, readFileSync } from 'node:fs';
@@ -11,6 +14,13 @@ import { join } from 'node:path';
 import { GateBase } from './gate-base.js';
 import { loadSession } from '../orchestrator/session-manager.js';
 import { loadHandoff } from '../tasks/handoff.js';
+import { getCoverageEvidence } from '../quality/coverage.js';
+import { detectLintCommand, runLint } from '../quality/test-runner.js';
+import { loadLintAllowance, scoreLint } from '../quality/lint-reporters.js';
+import { getSecurityEvidence, describeFinding } from '../quality/security-scanner.js';
+
+/** Lint findings kept in the gate evidence. */
+const MAX_LINT_FINDINGS = 20;
 
 export class ImplementationGate extends GateBase {
   constructor() {
@@ -34,9 +44,12 @@ export class ImplementationGate extends GateBase {
       sourceFilesCreated: false,
       testFilesCreated: false,
       lintPasses: null, // null = unknown, true/false = checked
+      lint: null,
       securityClean: null,
+      security: null,
       devHandoff: null,
       sessionState: null,
+      coverage: null,
     };
 
     // Load session state for dev agent status
@@ -75,23 +88,22 @@ export class ImplementationGate extends GateBase {
       });
     }
 
-    // Check for lint results file — parse content for real findings
-    const lintResultPath = join(projectDir, '.lint-result');
-    if (existsSync(lintResultPath)) {
-      try {
-        const content = readFileSync(lintResultPath, 'utf-8');
-        const hasErrors = /error|failed|failure|\d+\s+error/i.test(content);
-        const hasPassIndicator = /pass|clean|ok|no\s*(errors|issues|warnings)|0\s+errors|success/i.test(content);
-        if (hasErrors && !hasPassIndicator) {
-          evidence.lintPasses = false;
-        } else if (hasPassIndicator) {
-          evidence.lintPasses = true;
-        } else {
-          evidence.lintPasses = null; // Ambiguous — file exists but no clear verdict
-        }
-      } catch {
-        evidence.lintPasses = null;
-      }
+    // Run the project's linter and score it against the configured allowance
+    const lintDetection = detectLintCommand(projectDir);
+    if (lintDetection.detected) {
+      const lint = runLint(projectDir, { command: lintDetection.command });
+      const allowance = loadLintAllowance(projectDir);
+      const scored = scoreLint(lint, allowance);
+      evidence.lint = {
+        linter: lint.linter,
+        format: lint.format,
+        errors: lint.errors,
+        warnings: lint.warnings,
+        allowance,
+        score: scored.score,
+        findings: lint.findings.slice(0, MAX_LINT_FINDINGS),
+      };
+      evidence.lintPasses = scored.passed;
     }
 
     // Check for security scan results
@@ -119,6 +131,14 @@ export class ImplementationGate extends GateBase {
       }
     }
 
+    // Scan for secrets, vulnerable dependencies and risky patterns
+    evidence.security = getSecurityEvidence(projectDir);
+    if (!evidence.security.clean) {
+      evidence.securityClean = false;
+    } else if (evidence.securityClean === null) {
+      evidence.securityClean = true;
+    }
+
     // If no explicit source/test file indicators, check project src/ and test/ dirs
     if (!evidence.sourceFilesCreated) {
       const srcDir = join(projectDir, 'src');
@@ -144,6 +164,8 @@ export class ImplementationGate extends GateBase {
       }
     }
 
+    evidence.coverage = getCoverageEvidence(projectDir);
+
     return evidence;
   }
 
@@ -162,6 +184,9 @@ export class ImplementationGate extends GateBase {
       'No security issues flagged',
       'Dev handoff score >= 90',
     ];
+    if (evidence.coverage?.configured) {
+      allCriteria.push('Coverage thresholds met');
+    }
 
     const criteriaResults = [];
     const warnings = [];
@@ -182,8 +207,19 @@ export class ImplementationGate extends GateBase {
 
     if (evidence.lintPasses === true) {
       criteriaResults.push('Lint passes');
-    } else if (evidence.lintPasses === null) {
-      warnings.push('Lint status unknown — no .lint-result found');
+    } else if (evidence.lintPasses === false) {
+      const { errors, warnings: lintWarnings, allowance, findings } = evidence.lint;
+      const worst = findings
+        .filter((f) => f.severity === 'error')
+        .slice(0, 5)
+        .map((f) => `${f.file || '?'}${f.line ? `:${f.line}` : ''} ${f.rule || f.message}`);
+      warnings.push(
+        `Lint: ${errors} error(s), ${lintWarnings} warning(s) (allowed ${allowance.errors} error(s)`
+        + `${allowance.warnings === null ? '' : `, ${allowance.warnings} warning(s)`})`
+        + (worst.length > 0 ? ` — ${worst.join('; ')}` : ''),
+      );
+    } else {
+      warnings.push('Lint status unknown — no lint command detected');
     }
 
     if (evidence.securityClean === true) {
@@ -191,6 +227,9 @@ export class ImplementationGate extends GateBase {
     } else if (evidence.securityClean === null) {
       warnings.push('Security scan not found — consider running a scan');
     }
+    if (evidence.security) {
+      reportSecurityFindings(evidence.security, warnings);
+    }
 
     // Check dev handoff score
     if (evidence.devHandoff) {
@@ -205,6 +244,10 @@ export class ImplementationGate extends GateBase {
       }
     }
 
+    if (evidence.coverage?.configured) {
+      checkCoverageCriterion(evidence.coverage, criteriaResults, warnings);
+    }
+
     const score = allCriteria.length > 0
       ? Math.round((criteriaResults.length / allCriteria.length) * 100)
       : 0;
@@ -212,3 +255,45 @@ export class ImplementationGate extends GateBase {
     return { score, criteriaResults, allCriteria, warnings };
   }
 }
+
+/**
+ * Score the coverage criterion (shared with G4). Totals below a threshold
+ * are a critical warning, which blocks the gate; a missing or stale report
+ * only withholds the criterion.
+ *
+ * @param {ReturnType<typeof getCoverageEvidence>} coverage
+ * @param {string[]} criteriaResults - Mutated
+ * @param {string[]} warnings - Mutated
+ */
+export function checkCoverageCriterion(coverage, criteriaResults, warnings) {
+  if (coverage.met === true) {
+    criteriaResults.push('Coverage thresholds met');
+  } else if (coverage.met === false) {
+    const worst = coverage.gaps.slice(0, 5).map((g) => `${g.file} (${g.below.map((k) => `${k} ${g[k]}%`).join(', ')})`);
+    warnings.push(`Critical: coverage below threshold — ${coverage.failures.join('; ')}`);
+    if (worst.length > 0) {
+      warnings.push(`Coverage gaps: ${worst.join('; ')}${coverage.gaps.length > worst.length ? ` and ${coverage.gaps.length - worst.length} more` : ''}`);
+    }
+  } else if (coverage.stale) {
+    warnings.push(`Coverage report is stale (collected ${coverage.report.collectedAt || 'at an unknown time'}, sources changed since) — run \`npx chati-dev coverage\``);
+  } else {
+    warnings.push('Coverage thresholds configured but no coverage report found — run `npx chati-dev coverage`');
+  }
+}
+
+/**
+ * Add security scanner findings to the gate warnings (shared with G4).
+ * Critical findings are a critical warning, which blocks the gate.
+ *
+ * @param {ReturnType<typeof getSecurityEvidence>} security
+ * @param {string[]} warnings - Mutated
+ */
+export function reportSecurityFindings(security, warnings) {
+  for (const severity of ['critical', 'high']) {
+    const count = security.counts[severity];
+    if (!count) continue;
+    const listed = security.findings.filter((f) => f.severity === severity).slice(0, 5).map(describeFinding);
+    const label = severity === 'critical' ? 'Critical: ' : '';
+    warnings.push(`${label}${count} ${severity} security finding(s) — ${listed.join('; ')}${count > listed.length ? ` and ${count - listed.length} more` : ''}`);
+  }
+}
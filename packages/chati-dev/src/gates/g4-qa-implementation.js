@@ -3,7 +3,10 @@
  *
  * Post-QA-Implementation gate — the most critical gate in the pipeline.
  * Validates that all tests pass, no critical bugs remain, performance
- * benchmarks are met, and security scans are clean.
+ * benchmarks are met, and security scans are clean. Configured coverage
+ * thresholds are enforced and critical security scanner findings fail
+ * the gate. Failing tests in the latest recorded full-suite run fail it
+ * too, and are listed by name.
  *
  * Verdicts:
  *   PASS     — All criteria met, score >= 95%
@@ -17,6 +20,10 @@ import { join } from 'node:path';
 import { GateBase, determineVerdict } from './gate-base.js';
 import { loadSession } from '../orchestrator/session-manager.js';
 import { loadHandoff } from '../tasks/handoff.js';
+import { getCoverageEvidence } from '../quality/coverage.js';
+import { getSecurityEvidence } from '../quality/security-scanner.js';
+import { getTestEvidence } from '../quality/test-results.js';
+import { checkCoverageCriterion, reportSecurityFindings } from './g3-implementation.js';
 
 export const QA_IMPL_VERDICTS = {
   PASS: 'pass',
@@ -48,7 +55,10 @@ export class QAImplementationGate extends GateBase {
       noCriticalBugs: true,
       performanceBenchmarksMet: null, // null = not defined
       securityScanClean: null,
+      security: null,
       sessionState: null,
+      coverage: null,
+      tests: null,
       verdict: null,
     };
 
@@ -122,6 +132,14 @@ export class QAImplementationGate extends GateBase {
       }
     }
 
+    // Scan for secrets, vulnerable dependencies and risky patterns
+    evidence.security = getSecurityEvidence(projectDir);
+    if (!evidence.security.clean) {
+      evidence.securityScanClean = false;
+    } else if (evidence.securityScanClean === null) {
+      evidence.securityScanClean = true;
+    }
+
     // Load session state
     const sessionResult = loadSession(projectDir);
     if (sessionResult.loaded && sessionResult.session) {
@@ -133,6 +151,9 @@ export class QAImplementationGate extends GateBase {
       };
     }
 
+    evidence.coverage = getCoverageEvidence(projectDir);
+    evidence.tests = getTestEvidence(projectDir);
+
     // Determine verdict
     evidence.verdict = this._determineVerdict(evidence);
 
@@ -152,7 +173,10 @@ export class QAImplementationGate extends GateBase {
 
     const score = evidence.qaImplHandoff.score ?? 0;
 
-    if (!evidence.noCriticalBugs) {
+    if (!evidence.noCriticalBugs
+      || evidence.coverage?.met === false
+      || evidence.security?.counts.critical > 0
+      || evidence.tests?.passed === false) {
       return QA_IMPL_VERDICTS.FAIL;
     }
 
@@ -182,6 +206,12 @@ export class QAImplementationGate extends GateBase {
       'Security scan clean',
       'QA-Implementation score >= 95',
     ];
+    if (evidence.coverage?.configured) {
+      allCriteria.push('Coverage thresholds met');
+    }
+    if (evidence.tests && evidence.tests.passed !== null) {
+      allCriteria.push('Latest test run passing');
+    }
 
     const criteriaResults = [];
     const warnings = [];
@@ -219,6 +249,9 @@ export class QAImplementationGate extends GateBase {
     } else if (evidence.securityScanClean === null) {
       warnings.push('Security scan not found');
     }
+    if (evidence.security) {
+      reportSecurityFindings(evidence.security, warnings);
+    }
 
     // Check score
     if (evidence.qaImplHandoff && evidence.qaImplHandoff.score >= 95) {
@@ -227,13 +260,54 @@ export class QAImplementationGate extends GateBase {
       warnings.push(`QA-Impl score: ${evidence.qaImplHandoff.score} (need >= 95)`);
     }
 
+    if (evidence.coverage?.configured) {
+      checkCoverageCriterion(evidence.coverage, criteriaResults, warnings);
+    }
+
+    if (evidence.tests) {
+      checkTestResults(evidence.tests, criteriaResults, warnings);
+    }
+
     const score = allCriteria.length > 0
       ? Math.round((criteriaResults.length / allCriteria.length) * 100)
       : 0;
 
-    const hasCriticalBlocker = !evidence.noCriticalBugs;
+    const hasCriticalBlocker = !evidence.noCriticalBugs
+      || evidence.coverage?.met === false
+      || evidence.security?.counts.critical > 0
+      || evidence.tests?.passed === false;
     const verdict = determineVerdict(score, 95, hasCriticalBlocker);
 
     return { score, criteriaResults, allCriteria, warnings, verdict };
   }
 }
+
+/**
+ * Score the latest recorded test run. Failing tests are a critical
+ * warning listing the first few by name; stale results only warn.
+ *
+ * @param {ReturnType<typeof getTestEvidence>} tests
+ * @param {string[]} criteriaResults - Mutated
+ * @param {string[]} warnings - Mutated
+ */
+function checkTestResults(tests, criteriaResults, warnings) {
+  if (tests.passed === true) {
+    criteriaResults.push('Latest test run passing');
+  } else if (tests.passed === false) {
+    const { failed, total } = tests.report;
+    if (failed === 0) {
+      warnings.push('Critical: the latest test run did not complete');
+      return;
+    }
+    const listed = tests.failing.slice(0, 5).map((t) => {
+      const message = t.message.split('\n')[0];
+      return `${t.name}${t.file ? ` (${t.file})` : ''}${message ? `: ${message}` : ''}`;
+    });
+    const details = listed.length > 0
+      ? ` — ${listed.join('; ')}${failed > listed.length ? ` and ${failed - listed.length} more` : ''}`
+      : '';
+    warnings.push(`Critical: ${failed}/${total} test(s) failing in the latest run${details}`);
+  } else if (tests.stale) {
+    warnings.push(`Test results are stale (recorded ${tests.report.collectedAt || 'at an unknown time'}, sources changed since) — run \`npx chati-dev coverage\``);
+  }
+}
@@ -4,10 +4,17 @@
  * Provides the abstract skeleton for all pipeline quality gates.
  * Subclasses implement _collectEvidence() and _validateEvidence()
  * while this base class handles evaluation orchestration.
+ *
+ * Autonomous evaluations of a project with a .chati/ directory feed the
+ * gate's persisted circuit breaker: repeated failures open it, and
+ * run-agent then refuses to spawn the gated agent until it may retry.
  */
 
+import { existsSync } from 'fs';
+import { join } from 'path';
 import { evaluateGate, getGateThreshold, resolveGateAction } from '../autonomy/autonomous-gate.js';
 import { track as telemetryTrack } from '../telemetry/collector.js';
+import { getGateCircuit } from './circuit-breaker.js';
 
 /**
  * Gate verdict constants (v3.0.0).
@@ -110,6 +117,8 @@ export class GateBase {
         blockers: warnings.filter(w => w.toLowerCase().includes('critical')),
       });
 
+      const circuit = this._recordOutcome(projectDir, verdict === GateVerdict.APPROVED);
+
       return {
         gateId: this.id,
         gateName: this.name,
@@ -121,6 +130,7 @@ export class GateBase {
         canProceed: verdict === GateVerdict.APPROVED,
         details: gateResult.details,
         warnings,
+        circuit,
       };
     }
 
@@ -147,6 +157,25 @@ export class GateBase {
     };
   }
 
+  /**
+   * Record an autonomous evaluation on the gate's persisted circuit.
+   *
+   * @param {string} projectDir
+   * @param {boolean} passed
+   * @returns {string|null} Circuit state afterwards (null without .chati/)
+   */
+  _recordOutcome(projectDir, passed) {
+    if (!existsSync(join(projectDir, '.chati'))) return null;
+
+    const circuit = getGateCircuit(projectDir, this.id);
+    if (passed) {
+      circuit.recordSuccess();
+    } else {
+      circuit.recordFailure();
+    }
+    return circuit.getState();
+  }
+
   /**
    * Collect evidence from the project filesystem.
    * ABSTRACT — subclass MUST implement.
@@ -6,7 +6,13 @@
  */
 
 export { GateBase } from './gate-base.js';
-export { CircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+export {
+  CircuitBreaker,
+  CIRCUIT_STATES,
+  getGateCircuit,
+  listCircuits,
+  getOpenCircuits,
+} from './circuit-breaker.js';
 export { PlanningCompleteGate } from './g1-planning-complete.js';
 export { QAPlanningGate } from './g2-qa-planning.js';
 export { ImplementationGate } from './g3-implementation.js';
@@ -44,3 +50,15 @@ export function getGateForPipelinePoint(point) {
   }
   return new GateClass();
 }
+
+/**
+ * Get the gates that evaluate an agent's output.
+ *
+ * @param {string} agent - Agent name (e.g. 'dev')
+ * @returns {import('./gate-base.js').GateBase[]} Gate instances (empty when none)
+ */
+export function getGatesForAgent(agent) {
+  return Object.values(PIPELINE_POINT_MAP)
+    .map((GateClass) => new GateClass())
+    .filter((gate) => gate.agent === agent);
+}
@@ -9,6 +9,7 @@
 import { existsSync, readFileSync } from 'fs';
 import { join } from 'path';
 import { isCommandAvailable, parseProviderConfig } from '../utils/config-parser.js';
+import { getAllProviders, loadCustomProviders } from '../terminal/cli-registry.js';
 
 // ---------------------------------------------------------------------------
 // Check Result Types
@@ -51,11 +52,16 @@ export async function checkCliAvailability(projectDir) {
     return { name: 'cli-availability', status: 'warn', message: 'No config.yaml found', duration: Date.now() - start };
   }
 
+  // Register custom providers so their declared command is checked, not their name
+  await loadCustomProviders(projectDir);
+  const registered = getAllProviders();
+
   const { enabled } = parseProviderConfig(projectDir);
   const missing = [];
 
   for (const provider of enabled) {
-    const available = await isCommandAvailable(provider);
+    const command = registered[provider]?.command || provider;
+    const available = await isCommandAvailable(command);
     if (!available) {
       missing.push(provider);
     }
@@ -1,5 +1,6 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
+import { updateMemoryIndex, searchMemoryIndex } from './memory-index.js';
 
 /**
  * Get the path to an agent's memory file.
@@ -16,7 +17,7 @@ function getAgentMemoryPath(projectDir, agentName) {
  * @param {string} content - Markdown content
  * @returns {object[]} Array of entries
  */
-function parseMemoryMarkdown(content) {
+export function parseMemoryMarkdown(content) {
   const entries = [];
   const lines = content.split('\n');
   let currentCategory = null;
@@ -74,7 +75,7 @@ function parseMemoryMarkdown(content) {
  * @param {object[]} entries - Array of entry objects
  * @returns {string} Markdown content
  */
-function formatMemoryMarkdown(entries) {
+export function formatMemoryMarkdown(entries) {
   const byCategory = {};
 
   entries.forEach(entry => {
@@ -167,52 +168,41 @@ export function writeAgentMemory(projectDir, agentName, entry) {
   return { saved: true };
 }
 
+/**
+ * Replace all entries of an agent's memory.
+ * @param {string} projectDir - Project directory
+ * @param {string} agentName - Agent name
+ * @param {object[]} entries - { category, content, confidence, tags }
+ * @returns {{ saved: boolean }}
+ */
+export function replaceAgentMemory(projectDir, agentName, entries) {
+  const memoryPath = getAgentMemoryPath(projectDir, agentName);
+  mkdirSync(dirname(memoryPath), { recursive: true });
+  writeFileSync(memoryPath, formatMemoryMarkdown(entries), 'utf-8');
+  return { saved: true };
+}
+
 /**
  * Search across all agent memories.
+ * Uses the memory index, so only MEMORY.md files changed since the last
+ * search are re-read; results are ranked best first.
  * @param {string} projectDir - Project directory
  * @param {string} query - Search query
  * @returns {object[]} Matching entries with agent attribution
  */
 export function searchAgentMemories(projectDir, query) {
-  const memoriesDir = join(projectDir, '.chati', 'memories');
-
-  if (!existsSync(memoriesDir)) {
-    return [];
-  }
-
-  const results = [];
-  const queryLower = query.toLowerCase();
-
-  try {
-    const agentDirs = readdirSync(memoriesDir, { withFileTypes: true })
-      .filter(d => d.isDirectory())
-      .map(d => d.name);
-
-    for (const agentName of agentDirs) {
-      const memory = readAgentMemory(projectDir, agentName);
-
-      if (!memory.loaded) continue;
-
-      memory.entries.forEach((entry, index) => {
-        const matchesContent = entry.content.toLowerCase().includes(queryLower);
-        const matchesCategory = entry.category.toLowerCase().includes(queryLower);
-        const matchesTags = entry.tags.some(t => t.toLowerCase().includes(queryLower));
-
-        if (matchesContent || matchesCategory || matchesTags) {
-          results.push({
-            agent: agentName,
-            ...entry,
-            index,
-            matchType: matchesContent ? 'content' : matchesCategory ? 'category' : 'tag',
-          });
-        }
-      });
-    }
-  } catch {
-    return [];
-  }
-
-  return results;
+  const { index } = updateMemoryIndex(projectDir);
+
+  return searchMemoryIndex(index, query, { types: ['agent'], limit: Infinity })
+    .map(({ doc, matchType }) => ({
+      agent: doc.agent,
+      category: doc.metadata.category,
+      content: doc.content,
+      confidence: doc.metadata.confidence,
+      tags: doc.metadata.tags,
+      index: doc.index,
+      matchType: matchType || 'content',
+    }));
 }
 
 /**
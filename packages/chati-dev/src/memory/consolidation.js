@@ -0,0 +1,407 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { createHash } from 'crypto';
+import { readAgentMemory, replaceAgentMemory, formatMemoryMarkdown } from './agent-memory.js';
+import { getGotchas, markGotchaPromoted } from './gotchas.js';
+import { tokenize } from './memory-index.js';
+
+/**
+ * Memory consolidation: merge near-duplicate agent memory entries, decay
+ * the confidence of entries nobody referenced for a while (removing low
+ * ones), and promote gotchas seen across sessions into agent memory.
+ *
+ * Reference times, decay times and merge provenance are kept in
+ * .chati/memories/shared/ledger.json, keyed by agent and entry content.
+ * Every pass is planned first and rendered as a diff, so it can be
+ * reviewed before anything is written.
+ */
+
+const MEMORIES_DIR = '.chati/memories';
+const LEDGER_FILE = '.chati/memories/shared/ledger.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Agent name of the memory file holding entries merged across agents. */
+export const SHARED_MEMORY_AGENT = 'shared';
+
+/** Defaults for a consolidation pass. */
+export const CONSOLIDATION_DEFAULTS = {
+  similarity: 0.8, // Token overlap (Jaccard) at which entries are duplicates
+  decayAfterDays: 30, // Unreferenced days before confidence drops a level
+  promoteAfterSessions: 3, // Sessions a gotcha must be seen in to be promoted
+};
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// ---------------------------------------------------------------------------
+// Ledger
+// ---------------------------------------------------------------------------
+
+/**
+ * Key of a memory entry in the ledger (stable while its text is unchanged).
+ * @param {string} agentName - Agent name
+ * @param {{ category: string, content: string }} entry
+ * @returns {string}
+ */
+export function getEntryKey(agentName, entry) {
+  const hash = createHash('sha256').update(`${entry.category}\n${entry.content}`).digest('hex').substring(0, 12);
+  return `${agentName}:${hash}`;
+}
+
+/**
+ * Load the memory ledger.
+ * @param {string} projectDir - Project directory
+ * @returns {{ entries: Record<string, object> }}
+ */
+export function loadMemoryLedger(projectDir) {
+  const ledgerPath = join(projectDir, LEDGER_FILE);
+  if (!existsSync(ledgerPath)) return { entries: {} };
+
+  try {
+    const ledger = JSON.parse(readFileSync(ledgerPath, 'utf-8'));
+    return { entries: ledger.entries || {} };
+  } catch {
+    return { entries: {} };
+  }
+}
+
+function saveMemoryLedger(projectDir, ledger) {
+  const ledgerPath = join(projectDir, LEDGER_FILE);
+  mkdirSync(dirname(ledgerPath), { recursive: true });
+  writeFileSync(ledgerPath, JSON.stringify(ledger, null, 2), 'utf-8');
+}
+
+/**
+ * Record that memory entries were used (e.g. injected into a handoff).
+ * Referenced entries do not decay.
+ * @param {string} projectDir - Project directory
+ * @param {string} agentName - Agent whose memory holds the entries
+ * @param {object[]} entries - Entries that were referenced
+ * @param {number} [now=Date.now()]
+ */
+export function recordMemoryReferences(projectDir, agentName, entries, now = Date.now()) {
+  if (entries.length === 0) return;
+
+  const ledger = loadMemoryLedger(projectDir);
+  const referencedAt = new Date(now).toISOString();
+  for (const entry of entries) {
+    const key = getEntryKey(agentName, entry);
+    ledger.entries[key] = { ...ledger.entries[key], lastReferenced: referencedAt };
+  }
+  saveMemoryLedger(projectDir, ledger);
+}
+
+// ---------------------------------------------------------------------------
+// Similarity
+// ---------------------------------------------------------------------------
+
+/**
+ * Token overlap of two entries (Jaccard index of their content terms).
+ * @param {{ content: string }} a
+ * @param {{ content: string }} b
+ * @returns {number} 0-1
+ */
+export function entrySimilarity(a, b) {
+  const termsA = new Set(tokenize(a.content));
+  const termsB = new Set(tokenize(b.content));
+  if (termsA.size === 0 || termsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const term of termsA) {
+    if (termsB.has(term)) shared++;
+  }
+  return shared / (termsA.size + termsB.size - shared);
+}
+
+function strongerConfidence(a, b) {
+  return CONFIDENCE_LEVELS.indexOf(a) >= CONFIDENCE_LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Group entries whose similarity reaches the threshold (transitively).
+ * @param {object[]} items - { agent, entry }
+ * @param {number} threshold
+ * @returns {object[][]} Groups of two or more items
+ */
+function findDuplicateGroups(items, threshold) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (entrySimilarity(items[i].entry, items[j].entry) >= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+// ---------------------------------------------------------------------------
+// Planning
+// ---------------------------------------------------------------------------
+
+function listMemoryAgents(projectDir) {
+  const memoriesDir = join(projectDir, MEMORIES_DIR);
+  if (!existsSync(memoriesDir)) return [];
+
+  return readdirSync(memoriesDir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && existsSync(join(memoriesDir, d.name, 'MEMORY.md')))
+    .map(d => d.name)
+    .sort();
+}
+
+function gotchaSessionCount(gotcha) {
+  if (Array.isArray(gotcha.sessions)) return gotcha.sessions.length;
+  // Gotchas recorded before sessions were tracked: count the days they span
+  return new Set([gotcha.first_seen, gotcha.last_seen].filter(Boolean).map(t => t.split('T')[0])).size;
+}
+
+/**
+ * Plan a consolidation pass without writing anything.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {object} [options] - CONSOLIDATION_DEFAULTS overrides, plus `now` (ms)
+ * @returns {object} Plan: { merges, decays, removals, promotions, files, ledger, changed }
+ */
+export function planConsolidation(projectDir, options = {}) {
+  const { similarity, decayAfterDays, promoteAfterSessions } = { ...CONSOLIDATION_DEFAULTS, ...options };
+  const now = options.now ?? Date.now();
+  const nowIso = new Date(now).toISOString();
+  const ledger = loadMemoryLedger(projectDir);
+  const nextLedger = { entries: {} };
+
+  // Current entries per agent; entries the ledger has not seen start their clock now
+  const before = {};
+  const after = {};
+  for (const agent of listMemoryAgents(projectDir)) {
+    before[agent] = readAgentMemory(projectDir, agent).entries;
+    after[agent] = before[agent].map(entry => {
+      const record = ledger.entries[getEntryKey(agent, entry)] || {};
+      return { ...entry, tags: [...entry.tags], record: { ...record, lastReferenced: record.lastReferenced || nowIso } };
+    });
+  }
+
+  const promotions = [];
+  const merges = [];
+  const decays = [];
+  const removals = [];
+
+  // 1. Promote gotchas seen in enough sessions
+  for (const gotcha of getGotchas(projectDir)) {
+    if (gotcha.promoted_to_memory || gotchaSessionCount(gotcha) < promoteAfterSessions) continue;
+
+    const agent = gotcha.agent || SHARED_MEMORY_AGENT;
+    const content = gotcha.resolution
+      ? `${gotcha.original_message} — Resolution: ${gotcha.resolution}`
+      : gotcha.original_message;
+    const entry = {
+      category: 'Gotchas',
+      content,
+      confidence: 'high',
+      tags: [String(gotcha.category || 'unknown').toLowerCase()],
+      record: { lastReferenced: nowIso, promotedFrom: gotcha.id },
+    };
+
+    after[agent] ||= [];
+    const existing = after[agent].find(e => entrySimilarity(e, entry) >= similarity);
+    if (existing) {
+      existing.confidence = 'high';
+      existing.record.promotedFrom = gotcha.id;
+    } else {
+      after[agent].push(entry);
+    }
+    promotions.push({ gotchaId: gotcha.id, agent, content, sessions: gotchaSessionCount(gotcha), mergedInto: existing ? existing.content : null });
+  }
+
+  // 2. Merge near-duplicates, across agents into the shared memory
+  const items = Object.entries(after).flatMap(([agent, entries]) => entries.map(entry => ({ agent, entry })));
+  for (const group of findDuplicateGroups(items, similarity)) {
+    const agents = [...new Set(group.map(item => item.agent))];
+    const target = agents.length === 1 ? agents[0] : SHARED_MEMORY_AGENT;
+    const survivor = group.reduce((best, item) => {
+      const a = CONFIDENCE_LEVELS.indexOf(item.entry.confidence);
+      const b = CONFIDENCE_LEVELS.indexOf(best.entry.confidence);
+      return a > b || (a === b && item.entry.content.length > best.entry.content.length) ? item : best;
+    });
+
+    const merged = {
+      category: survivor.entry.category,
+      content: survivor.entry.content,
+      confidence: group.reduce((c, item) => strongerConfidence(c, item.entry.confidence), 'low'),
+      tags: [...new Set(group.flatMap(item => item.entry.tags))],
+      record: {
+        lastReferenced: group.map(item => item.entry.record.lastReferenced).sort().pop(),
+        mergedFrom: [
+          ...group.flatMap(item => item.entry.record.mergedFrom || []),
+          ...group
+            .filter(item => item !== survivor || target !== survivor.agent)
+            .map(item => ({ agent: item.agent, category: item.entry.category, content: item.entry.content, confidence: item.entry.confidence })),
+        ],
+      },
+    };
+
+    for (const item of group) {
+      after[item.agent] = after[item.agent].filter(e => e !== item.entry);
+    }
+    after[target] ||= [];
+    after[target].push(merged);
+    merges.push({ agent: target, content: merged.content, from: group.map(item => ({ agent: item.agent, content: item.entry.content })) });
+  }
+
+  // 3. Decay entries nobody referenced within the window; age out low ones
+  const windowMs = decayAfterDays * DAY_MS;
+  for (const [agent, entries] of Object.entries(after)) {
+    after[agent] = entries.filter(entry => {
+      const lastTouched = [entry.record.lastReferenced, entry.record.decayedAt].filter(Boolean).sort().pop();
+      if (now - new Date(lastTouched).getTime() < windowMs) return true;
+
+      if (entry.confidence === 'low') {
+        removals.push({ agent, content: entry.content, lastReferenced: entry.record.lastReferenced });
+        return false;
+      }
+      const lowered = CONFIDENCE_LEVELS[CONFIDENCE_LEVELS.indexOf(entry.confidence) - 1] || 'low';
+      decays.push({ agent, content: entry.content, from: entry.confidence, to: lowered });
+      entry.confidence = lowered;
+      entry.record.decayedAt = nowIso;
+      return true;
+    });
+  }
+
+  // Rendered files and the ledger for the entries that remain
+  const files = {};
+  for (const [agent, entries] of Object.entries(after)) {
+    const plain = entries.map(({ category, content, confidence, tags }) => ({ category, content, confidence, tags }));
+    const beforeText = before[agent] ? formatMemoryMarkdown(before[agent]) : '';
+    const afterText = plain.length > 0 ? formatMemoryMarkdown(plain) : '';
+    if (beforeText !== afterText) {
+      files[agent] = { path: `${MEMORIES_DIR}/${agent}/MEMORY.md`, before: beforeText, after: afterText, entries: plain };
+    }
+    for (const entry of entries) {
+      nextLedger.entries[getEntryKey(agent, entry)] = entry.record;
+    }
+  }
+
+  return {
+    merges,
+    decays,
+    removals,
+    promotions,
+    files,
+    ledger: nextLedger,
+    changed: Object.keys(files).length > 0 || promotions.length > 0,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Diff
+// ---------------------------------------------------------------------------
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ op: ' '|'-'|'+', line: string }[]}
+ */
+function diffLines(before, after) {
+  const a = before ? before.replace(/\n$/, '').split('\n') : [];
+  const b = after ? after.replace(/\n$/, '').split('\n') : [];
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ op: ' ', line: a[i++] });
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ op: '+', line: b[j++] });
+    } else {
+      ops.push({ op: '-', line: a[i++] });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Render a consolidation plan as a reviewable diff.
+ * @param {object} plan - From planConsolidation()
+ * @returns {string} Empty when there is nothing to change
+ */
+export function formatConsolidationDiff(plan) {
+  if (!plan.changed) return '';
+
+  const out = [
+    `# ${plan.merges.length} merge(s), ${plan.decays.length} decay(s), ${plan.removals.length} removal(s), ${plan.promotions.length} promotion(s)`,
+  ];
+
+  for (const promotion of plan.promotions) {
+    out.push(`# gotcha ${promotion.gotchaId} (seen in ${promotion.sessions} sessions) -> ${promotion.agent} memory (high)`);
+  }
+  for (const merge of plan.merges) {
+    out.push(`# merged into ${merge.agent}: ${merge.from.map(f => f.agent).join(', ')}`);
+  }
+
+  for (const file of Object.values(plan.files)) {
+    out.push(`--- a/${file.path}`, `+++ b/${file.path}`);
+    const ops = diffLines(file.before, file.after);
+    ops.forEach((entry, k) => {
+      // Unchanged lines only as context next to a change
+      const isChange = (op) => op !== undefined && op.op !== ' ';
+      if (isChange(entry) || isChange(ops[k - 1]) || isChange(ops[k + 1])) out.push(`${entry.op}${entry.line}`);
+    });
+  }
+
+  return out.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Consolidation
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a consolidation pass.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {object} [options] - planConsolidation() options, plus `dryRun`
+ * @returns {{ merges: object[], decays: object[], removals: object[], promotions: object[], diff: string, applied: boolean }}
+ */
+export function consolidateMemories(projectDir, options = {}) {
+  const plan = planConsolidation(projectDir, options);
+  const diff = formatConsolidationDiff(plan);
+  const summary = {
+    merges: plan.merges,
+    decays: plan.decays,
+    removals: plan.removals,
+    promotions: plan.promotions,
+    diff,
+  };
+
+  if (options.dryRun) {
+    return { ...summary, applied: false };
+  }
+
+  for (const [agent, file] of Object.entries(plan.files)) {
+    replaceAgentMemory(projectDir, agent, file.entries);
+  }
+  for (const promotion of plan.promotions) {
+    markGotchaPromoted(projectDir, promotion.gotchaId, promotion.agent);
+  }
+  // Saved even without changes, so new entries start their decay clock
+  saveMemoryLedger(projectDir, plan.ledger);
+
+  return { ...summary, applied: plan.changed };
+}
@@ -21,7 +21,9 @@ export function buildGotchasContext(projectDir, context) {
       ? `${gotcha.original_message} — Resolution: ${gotcha.resolution}`
       : gotcha.original_message;
 
-    return `  <gotcha id="${gotcha.id}" pattern="${gotcha.pattern}" count="${gotcha.count}" relevance="${gotcha.relevance}">
+    const source = gotcha.source === 'shared' ? ' source="shared"' : '';
+
+    return `  <gotcha id="${gotcha.id}" pattern="${gotcha.pattern}" count="${gotcha.count}" relevance="${gotcha.relevance}"${source}>
     ${escapeXml(description)}
   </gotcha>`;
   }).join('\n');
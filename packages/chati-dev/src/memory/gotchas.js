@@ -1,12 +1,14 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { createHash } from 'crypto';
+import { loadSharedStoreConfig, readStoreGotchas } from './shared-store.js';
 
 const GOTCHAS_FILE = '.chati/memories/shared/gotchas.json';
 const ERROR_LOG_FILE = '.chati/memories/shared/error-log.json';
 const ERROR_PATTERN_THRESHOLD = 3; // Promote after 3 occurrences
 const ERROR_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
 const ERROR_RETENTION_DAYS = 7;
+const MAX_TRACKED_SESSIONS = 20;
 
 /**
  * Normalize error message to detect patterns.
@@ -170,14 +172,17 @@ function generateGotchaId(gotchas) {
 
 /**
  * Record an error occurrence. If this error has appeared 3+ times in 24h, promote to gotcha.
+ * Gotchas also track the sessions they were seen in (the error's sessionId,
+ * or its day when none is given).
  * @param {string} projectDir - Project directory
- * @param {object} error - { message, agent, task, context }
+ * @param {object} error - { message, agent, task, context, sessionId }
  * @returns {{ recorded: boolean, promoted: boolean, gotcha: object|null }}
  */
 export function recordError(projectDir, error) {
   const { message, agent, task, context = {} } = error;
   const hash = hashErrorMessage(message);
   const timestamp = new Date().toISOString();
+  const session = error.sessionId || context.sessionId || timestamp.split('T')[0];
 
   // Load error log
   const errorLog = loadErrorLog(projectDir);
@@ -190,6 +195,7 @@ export function recordError(projectDir, error) {
     timestamp,
     hash,
     context,
+    session,
   });
 
   // Save error log
@@ -213,6 +219,7 @@ export function recordError(projectDir, error) {
       // Update existing gotcha
       existingGotcha.count = recentErrors.length;
       existingGotcha.last_seen = timestamp;
+      existingGotcha.sessions = [...new Set([...(existingGotcha.sessions || []), session])].slice(-MAX_TRACKED_SESSIONS);
       saveGotchas(projectDir, gotchas);
 
       return {
@@ -240,6 +247,7 @@ export function recordError(projectDir, error) {
       category: classification.category,
       severity: classification.severity,
       context,
+      sessions: [...new Set(recentErrors.map(e => e.session).filter(Boolean))].slice(-MAX_TRACKED_SESSIONS),
     };
 
     gotchas.push(newGotcha);
@@ -315,15 +323,28 @@ function calculateRelevance(gotcha, context) {
 
 /**
  * Get relevant gotchas for a given agent/task context.
- * Matches by agent, task, and error pattern similarity.
+ * Matches by agent, task, and error pattern similarity. When a shared memory
+ * store is configured its gotchas are included; each result has a `source`
+ * of 'project' or 'shared'.
  * @param {string} projectDir - Project directory
  * @param {object} context - { agent, task, keywords }
  * @returns {object[]} Relevant gotchas sorted by relevance
  */
 export function getRelevantGotchas(projectDir, context) {
-  const gotchas = loadGotchas(projectDir);
-
-  const scored = gotchas.map(gotcha => ({
+  // Gotchas promoted into agent memory reach agents through that memory instead
+  const gotchas = loadGotchas(projectDir).filter(g => !g.promoted_to_memory);
+  const knownPatterns = new Set(gotchas.map(g => g.pattern));
+
+  // Team-wide gotchas from the shared store, unless the project already has them
+  const store = loadSharedStoreConfig(projectDir);
+  const sharedGotchas = store
+    ? readStoreGotchas(store.path).filter(g => !knownPatterns.has(g.pattern))
+    : [];
+
+  const scored = [
+    ...gotchas.map(gotcha => ({ ...gotcha, source: 'project' })),
+    ...sharedGotchas.map(gotcha => ({ ...gotcha, source: 'shared' })),
+  ].map(gotcha => ({
     ...gotcha,
     relevance: calculateRelevance(gotcha, context),
   }));
@@ -435,3 +456,86 @@ export function updateGotchaResolution(projectDir, gotchaId, resolution) {
 
   return { updated: true };
 }
+
+/**
+ * Mark a gotcha as promoted into agent memory.
+ * @param {string} projectDir - Project directory
+ * @param {string} gotchaId - Gotcha ID
+ * @param {string} agentName - Agent whose memory now holds it
+ * @returns {{ updated: boolean }}
+ */
+export function markGotchaPromoted(projectDir, gotchaId, agentName) {
+  const gotchas = loadGotchas(projectDir);
+  const gotcha = gotchas.find(g => g.id === gotchaId);
+
+  if (!gotcha) {
+    return { updated: false };
+  }
+
+  gotcha.promoted_to_memory = {
+    agent: agentName,
+    at: new Date().toISOString(),
+  };
+  saveGotchas(projectDir, gotchas);
+
+  return { updated: true };
+}
+
+/**
+ * Merge gotchas into a list, matching them by error pattern.
+ * Known patterns take over a missing resolution and the latest last_seen and
+ * highest count; new patterns are appended with an ID of the list.
+ * @param {object[]} gotchas - Gotchas to merge into (modified in place)
+ * @param {object[]} incoming - Gotchas from another project or the shared store
+ * @param {function} [extend] - (target, gotcha, isNew) => void, for extra fields
+ * @returns {{ added: number, updated: number }}
+ */
+export function mergeGotchaLists(gotchas, incoming, extend = () => {}) {
+  let added = 0;
+  let updated = 0;
+
+  for (const gotcha of incoming) {
+    const existing = gotchas.find(g => g.pattern === gotcha.pattern);
+
+    if (!existing) {
+      const copy = { ...gotcha, id: generateGotchaId(gotchas) };
+      delete copy.promoted_to_memory;
+      delete copy.sessions;
+      extend(copy, gotcha, true);
+      gotchas.push(copy);
+      added++;
+      continue;
+    }
+
+    const before = JSON.stringify(existing);
+    if (!existing.resolution && gotcha.resolution) existing.resolution = gotcha.resolution;
+    if (gotcha.last_seen > existing.last_seen) existing.last_seen = gotcha.last_seen;
+    existing.count = Math.max(existing.count || 0, gotcha.count || 0);
+    extend(existing, gotcha, false);
+    if (JSON.stringify(existing) !== before) updated++;
+  }
+
+  return { added, updated };
+}
+
+/**
+ * Import gotchas (e.g. from the shared store) into a project.
+ * @param {string} projectDir - Project directory
+ * @param {object[]} incoming - Gotchas to import
+ * @param {object} [options] - { dryRun }
+ * @returns {{ added: number, updated: number }}
+ */
+export function importGotchas(projectDir, incoming, options = {}) {
+  const gotchas = loadGotchas(projectDir);
+  const result = mergeGotchaLists(gotchas, incoming, (target, _gotcha, isNew) => {
+    if (isNew) {
+      target.imported_from = 'shared';
+      delete target.projects;
+    }
+  });
+
+  if (!options.dryRun && (result.added > 0 || result.updated > 0)) {
+    saveGotchas(projectDir, gotchas);
+  }
+  return result;
+}
@@ -7,6 +7,9 @@ export {
   getGotchaStats,
   clearExpiredErrors,
   updateGotchaResolution,
+  markGotchaPromoted,
+  mergeGotchaLists,
+  importGotchas,
 } from './gotchas.js';
 
 export {
@@ -17,6 +20,7 @@ export {
 export {
   readAgentMemory,
   writeAgentMemory,
+  replaceAgentMemory,
   searchAgentMemories,
   getAgentMemoryStats,
 } from './agent-memory.js';
@@ -33,3 +37,28 @@ export {
   searchAllMemories,
   getUnifiedMemoryStats,
 } from './search.js';
+
+export {
+  updateMemoryIndex,
+  updateSharedStoreIndex,
+  searchMemoryIndex,
+  parseMemoryQuery,
+  MEMORY_INDEX_DIR,
+} from './memory-index.js';
+
+export {
+  consolidateMemories,
+  planConsolidation,
+  formatConsolidationDiff,
+  recordMemoryReferences,
+  loadMemoryLedger,
+  CONSOLIDATION_DEFAULTS,
+} from './consolidation.js';
+
+export {
+  loadSharedStoreConfig,
+  readStoreGotchas,
+  readStoreMemories,
+  exportToSharedStore,
+  importFromSharedStore,
+} from './shared-store.js';
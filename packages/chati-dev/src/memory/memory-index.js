@@ -0,0 +1,547 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { join, relative, sep, dirname } from 'path';
+import yaml from 'js-yaml';
+import { parseMemoryMarkdown } from './agent-memory.js';
+import { parseMemoryFrontmatter } from '../intelligence/memory-manager.js';
+
+/**
+ * Inverted index over every memory source (gotchas, agent MEMORY.md files,
+ * session digests and frontmatter memory files), kept in
+ * .chati/memories/index/index.json.
+ *
+ * Each source file is re-read only when its mtime or size changed since it
+ * was indexed. Queries are ranked with BM25 over field-weighted term counts
+ * (tags and category count more than body text) and scaled by confidence.
+ */
+
+const MEMORIES_DIR = '.chati/memories';
+export const MEMORY_INDEX_DIR = '.chati/memories/index';
+const INDEX_FILE = 'index.json';
+const SHARED_STORE_INDEX_FILE = 'shared-store.json';
+const INDEX_VERSION = 1;
+
+/** BM25 parameters. */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/** Weight of a term occurrence per field. */
+export const FIELD_BOOSTS = {
+  tags: 3,
+  category: 2,
+  title: 1.5,
+  content: 1,
+  context: 0.5,
+};
+
+/** Score multiplier per confidence level. */
+const CONFIDENCE_BOOSTS = { high: 1.2, medium: 1, low: 0.8 };
+
+/** Weight of a query term matched only as a prefix of an indexed term. */
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with',
+]);
+
+/**
+ * Memory type aliases accepted by `type:` filters and the `types` option.
+ */
+const TYPE_ALIASES = {
+  gotcha: 'gotcha',
+  gotchas: 'gotcha',
+  agent: 'agent_memory',
+  agent_memory: 'agent_memory',
+  session: 'session_digest',
+  digest: 'session_digest',
+  session_digest: 'session_digest',
+  memory: 'memory',
+  memories: 'memory',
+};
+
+/**
+ * Resolve a memory type name or alias.
+ * @param {string} name - e.g. 'gotchas', 'agent', 'session_digest'
+ * @returns {string|null} Indexed type, or null when unknown
+ */
+export function resolveMemoryType(name) {
+  return TYPE_ALIASES[String(name).toLowerCase()] || null;
+}
+
+/**
+ * Split text into lowercase index terms.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order (stopwords and single characters dropped)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Parse a search query.
+ *
+ * Bare words are ranked terms, "double quoted" text must appear as a
+ * phrase, and `agent:<name>` / `type:<type>` restrict the results.
+ *
+ * @param {string} query - e.g. `"rate limit" retry agent:dev type:gotcha`
+ * @returns {{ terms: string[], phrases: string[][], agent: string|null, types: string[] }}
+ */
+export function parseMemoryQuery(query) {
+  const parsed = { terms: [], phrases: [], agent: null, types: [] };
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = tokenize(match[1]);
+      if (phrase.length > 1) parsed.phrases.push(phrase);
+      else parsed.terms.push(...phrase);
+      continue;
+    }
+
+    const filter = match[2].match(/^(agent|type):(.+)$/i);
+    if (filter && filter[1].toLowerCase() === 'agent') {
+      parsed.agent = filter[2];
+    } else if (filter) {
+      const type = resolveMemoryType(filter[2]);
+      if (type) parsed.types.push(type);
+    } else {
+      parsed.terms.push(...tokenize(match[2]));
+    }
+  }
+
+  parsed.terms = [...new Set(parsed.terms)];
+  return parsed;
+}
+
+/**
+ * Parse the confidence of a memory into a score multiplier.
+ * @param {string|number|undefined} confidence - high/medium/low or 0.0-1.0
+ * @returns {number}
+ */
+function confidenceBoost(confidence) {
+  if (typeof confidence === 'number' && Number.isFinite(confidence)) {
+    return 0.8 + 0.4 * Math.min(1, Math.max(0, confidence));
+  }
+  return CONFIDENCE_BOOSTS[confidence] || 1;
+}
+
+// ---------------------------------------------------------------------------
+// Sources
+// ---------------------------------------------------------------------------
+
+/**
+ * List the files the index is built from.
+ * @param {string} memoriesDir - .chati/memories of a project
+ * @returns {{ rel: string, path: string, kind: string }[]}
+ */
+function collectSources(memoriesDir) {
+  const sources = [];
+  const indexDir = join(memoriesDir, 'index');
+
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const path = join(dir, entry.name);
+      if (entry.name.startsWith('.')) continue; // e.g. .git in a shared store
+      if (entry.isDirectory()) {
+        if (path !== indexDir) walk(path);
+        continue;
+      }
+
+      const rel = relative(memoriesDir, path).split(sep).join('/');
+      const depth = rel.split('/').length;
+      let kind = null;
+      if (rel === 'shared/gotchas.json') kind = 'gotchas';
+      else if (entry.name === 'MEMORY.md' && depth === 2) kind = 'agent';
+      else if (/^shared\/session\/digest-.*\.yaml$/.test(rel)) kind = 'session';
+      else if (entry.name.endsWith('.md')) kind = 'memory';
+
+      if (kind) sources.push({ rel, path, kind });
+    }
+  };
+
+  walk(memoriesDir);
+  return sources;
+}
+
+/**
+ * Read the documents of one source file.
+ * @param {{ rel: string, path: string, kind: string }} source
+ * @returns {object[]} Documents (fields plus what search results show)
+ */
+function readSourceDocs(source) {
+  try {
+    switch (source.kind) {
+      case 'gotchas':
+        return readGotchaDocs(source.path);
+      case 'agent':
+        return readAgentDocs(source.path, source.rel.split('/')[0]);
+      case 'session':
+        return readDigestDocs(source.path, source.rel.split('/').pop());
+      case 'memory':
+        return readMemoryFileDocs(source.path, source.rel);
+      default:
+        return [];
+    }
+  } catch {
+    return [];
+  }
+}
+
+function readGotchaDocs(path) {
+  const gotchas = JSON.parse(readFileSync(path, 'utf-8'));
+  if (!Array.isArray(gotchas)) return [];
+
+  return gotchas.map(gotcha => ({
+    type: 'gotcha',
+    id: gotcha.id,
+    agent: gotcha.agent || null,
+    agents: gotcha.agent ? [gotcha.agent] : [],
+    title: gotcha.message,
+    content: gotcha.original_message || gotcha.message,
+    task: gotcha.task || null,
+    confidence: null,
+    fields: {
+      title: gotcha.message,
+      content: gotcha.original_message,
+      category: gotcha.category,
+      context: [gotcha.task, gotcha.agent].filter(Boolean).join(' '),
+    },
+    metadata: {
+      count: gotcha.count,
+      last_seen: gotcha.last_seen,
+      resolved: !!gotcha.resolution,
+    },
+  }));
+}
+
+function readAgentDocs(path, agentName) {
+  return parseMemoryMarkdown(readFileSync(path, 'utf-8')).map((entry, index) => ({
+    type: 'agent_memory',
+    id: `${agentName}-${index}`,
+    agent: agentName,
+    agents: [agentName],
+    title: entry.category,
+    content: entry.content,
+    index,
+    confidence: entry.confidence,
+    fields: {
+      content: entry.content,
+      category: entry.category,
+      tags: entry.tags.join(' '),
+    },
+    metadata: {
+      category: entry.category,
+      confidence: entry.confidence,
+      tags: entry.tags,
+    },
+  }));
+}
+
+function readDigestDocs(path, filename) {
+  const digest = yaml.load(readFileSync(path, 'utf-8')) || {};
+  const phase = digest.summary?.phase || 'unknown';
+  const completionRate = digest.summary?.completion_rate || 0;
+  const agents = Object.keys(digest.agents || {});
+
+  return [{
+    type: 'session_digest',
+    id: filename,
+    agent: null,
+    agents,
+    title: `Session ${digest.date || 'Unknown'}`,
+    content: `Mode: ${digest.mode}, Phase: ${phase}, Completion: ${completionRate}%`,
+    confidence: null,
+    fields: {
+      title: digest.date,
+      category: `${digest.mode || ''} ${phase}`,
+      context: [digest.project?.name, ...agents].filter(Boolean).join(' '),
+    },
+    metadata: {
+      timestamp: digest.timestamp,
+      mode: digest.mode,
+      phase,
+      completion_rate: completionRate,
+    },
+  }];
+}
+
+function readMemoryFileDocs(path, rel) {
+  const meta = parseMemoryFrontmatter(path);
+  if (!meta) return [];
+
+  const body = readFileSync(path, 'utf-8').replace(/^---\n[\s\S]*?\n---\n?/, '').trim();
+  const tags = Array.isArray(meta.tags) ? meta.tags : [];
+
+  return [{
+    type: 'memory',
+    id: meta.id || rel,
+    agent: meta.agent || null,
+    agents: meta.agent ? [meta.agent] : [],
+    title: meta.type || rel,
+    content: body,
+    confidence: meta.confidence,
+    fields: {
+      content: body,
+      category: [meta.type, meta.sector].filter(Boolean).join(' '),
+      tags: tags.join(' '),
+    },
+    metadata: {
+      path: rel,
+      sector: meta.sector || null,
+      tier: meta.tier || null,
+      tags,
+      confidence: meta.confidence ?? null,
+    },
+  }];
+}
+
+// ---------------------------------------------------------------------------
+// Index Maintenance
+// ---------------------------------------------------------------------------
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, sources: {}, docs: {}, postings: {} };
+}
+
+/**
+ * Load the persisted index.
+ * @param {string} projectDir - Project directory
+ * @returns {object|null} Index, or null when missing, unreadable or outdated
+ */
+export function loadMemoryIndex(projectDir) {
+  return readIndexFile(join(projectDir, MEMORY_INDEX_DIR, INDEX_FILE));
+}
+
+function readIndexFile(indexPath) {
+  if (!existsSync(indexPath)) return null;
+
+  try {
+    const index = JSON.parse(readFileSync(indexPath, 'utf-8'));
+    return index.version === INDEX_VERSION ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+function removeSource(index, rel) {
+  for (const docId of index.sources[rel]?.docs || []) {
+    for (const term of index.docs[docId]?.terms || []) {
+      delete index.postings[term]?.[docId];
+      if (index.postings[term] && Object.keys(index.postings[term]).length === 0) {
+        delete index.postings[term];
+      }
+    }
+    delete index.docs[docId];
+  }
+  delete index.sources[rel];
+}
+
+function addDoc(index, docId, doc) {
+  const weights = {};
+  let length = 0;
+
+  for (const [field, text] of Object.entries(doc.fields)) {
+    const boost = FIELD_BOOSTS[field] || 1;
+    for (const term of tokenize(text)) {
+      weights[term] = (weights[term] || 0) + boost;
+      length += boost;
+    }
+  }
+
+  for (const [term, weight] of Object.entries(weights)) {
+    (index.postings[term] ||= {})[docId] = weight;
+  }
+  index.docs[docId] = { ...doc, terms: Object.keys(weights), length };
+}
+
+/**
+ * Bring the index up to date with the memory files on disk.
+ *
+ * Only sources whose mtime or size changed are re-read; deleted sources
+ * are dropped. The index is saved when anything changed.
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {{ index: object, updated: string[], removed: string[] }}
+ *   Source paths are relative to .chati/memories
+ */
+export function updateMemoryIndex(projectDir) {
+  return refreshIndex(join(projectDir, MEMORIES_DIR), join(projectDir, MEMORY_INDEX_DIR, INDEX_FILE));
+}
+
+/**
+ * Bring the index of a shared memory store up to date.
+ *
+ * The store has the layout of .chati/memories; its index is kept in the
+ * project (.chati/memories/index/shared-store.json), so searching never
+ * writes to the store.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {string} storeDir - Shared store directory
+ * @returns {{ index: object, updated: string[], removed: string[] }}
+ */
+export function updateSharedStoreIndex(projectDir, storeDir) {
+  return refreshIndex(storeDir, join(projectDir, MEMORY_INDEX_DIR, SHARED_STORE_INDEX_FILE));
+}
+
+function refreshIndex(memoriesDir, indexPath) {
+  if (!existsSync(memoriesDir)) {
+    return { index: emptyIndex(), updated: [], removed: [] };
+  }
+
+  const index = readIndexFile(indexPath) || emptyIndex();
+  const updated = [];
+  const removed = [];
+  const seen = new Set();
+
+  for (const source of collectSources(memoriesDir)) {
+    seen.add(source.rel);
+    const stat = statSync(source.path);
+    const previous = index.sources[source.rel];
+    if (previous && previous.mtimeMs === stat.mtimeMs && previous.size === stat.size) continue;
+
+    removeSource(index, source.rel);
+    const docIds = readSourceDocs(source).map((doc, i) => {
+      const docId = `${source.rel}#${i}`;
+      addDoc(index, docId, doc);
+      return docId;
+    });
+    index.sources[source.rel] = { mtimeMs: stat.mtimeMs, size: stat.size, docs: docIds };
+    updated.push(source.rel);
+  }
+
+  for (const rel of Object.keys(index.sources)) {
+    if (!seen.has(rel)) {
+      removeSource(index, rel);
+      removed.push(rel);
+    }
+  }
+
+  if (updated.length > 0 || removed.length > 0) {
+    mkdirSync(dirname(indexPath), { recursive: true });
+    writeFileSync(indexPath, JSON.stringify(index), 'utf-8');
+  }
+
+  return { index, updated, removed };
+}
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a term sequence occurs in a document.
+ * @param {object} doc - Indexed document
+ * @param {string[]} phrase - Tokenized phrase
+ * @returns {boolean}
+ */
+function containsPhrase(doc, phrase) {
+  return Object.values(doc.fields).some(text => {
+    const tokens = tokenize(text);
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((term, j) => tokens[i + j] === term)) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Name the field a query matched in, strongest first.
+ * @param {object} doc - Indexed document
+ * @param {Set<string>} matched - Index terms that matched
+ * @returns {string|null} content, category or tag
+ */
+function matchedField(doc, matched) {
+  const hits = (text) => tokenize(text).some(t => matched.has(t));
+  if (hits(doc.fields.content)) return 'content';
+  if (hits(doc.fields.category)) return 'category';
+  if (hits(doc.fields.tags)) return 'tag';
+  return null;
+}
+
+/**
+ * Rank indexed memories against a query.
+ *
+ * @param {object} index - From updateMemoryIndex()
+ * @param {string|object} query - Query string or parseMemoryQuery() result
+ * @param {object} [options]
+ * @param {string[]} [options.types] - Memory types to include (names or aliases)
+ * @param {string|null} [options.agent] - Only memories of this agent (digests that include it)
+ * @param {number} [options.limit=20] - Max results
+ * @returns {{ doc: object, score: number, matchType: string|null }[]} Best first
+ */
+export function searchMemoryIndex(index, query, options = {}) {
+  const parsed = typeof query === 'string' ? parseMemoryQuery(query) : query;
+  const { limit = 20 } = options;
+  const agent = parsed.agent || options.agent || null;
+
+  let types = options.types ? options.types.map(resolveMemoryType).filter(Boolean) : null;
+  if (parsed.types.length > 0) {
+    types = types ? types.filter(t => parsed.types.includes(t)) : parsed.types;
+  }
+
+  const accepts = (doc) => (!types || types.includes(doc.type))
+    && (!agent || doc.agents.includes(agent));
+
+  const queryTerms = [...new Set([...parsed.terms, ...parsed.phrases.flat()])];
+  const docIds = Object.keys(index.docs);
+
+  // Filters alone list every memory they accept
+  if (queryTerms.length === 0) {
+    if (!agent && !types) return [];
+    return docIds
+      .map(id => index.docs[id])
+      .filter(accepts)
+      .slice(0, limit)
+      .map(doc => ({ doc, score: 0, matchType: null }));
+  }
+
+  const docCount = docIds.length;
+  const avgLength = docIds.reduce((sum, id) => sum + index.docs[id].length, 0) / (docCount || 1);
+  const scores = new Map();
+  const matchedTerms = new Map();
+
+  for (const queryTerm of queryTerms) {
+    // Exact term, or terms it prefixes when it is not indexed itself
+    const expansions = index.postings[queryTerm]
+      ? [[queryTerm, 1]]
+      : queryTerm.length >= 3
+        ? Object.keys(index.postings).filter(t => t.startsWith(queryTerm)).map(t => [t, PREFIX_MATCH_WEIGHT])
+        : [];
+
+    for (const [term, weight] of expansions) {
+      const postings = index.postings[term];
+      const df = Object.keys(postings).length;
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+
+      for (const [docId, tf] of Object.entries(postings)) {
+        const doc = index.docs[docId];
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (avgLength || 1));
+        scores.set(docId, (scores.get(docId) || 0) + weight * idf * (tf * (BM25_K1 + 1)) / norm);
+        if (!matchedTerms.has(docId)) matchedTerms.set(docId, new Set());
+        matchedTerms.get(docId).add(term);
+      }
+    }
+  }
+
+  const results = [];
+  for (const [docId, score] of scores) {
+    const doc = index.docs[docId];
+    if (!accepts(doc)) continue;
+    if (!parsed.phrases.every(phrase => containsPhrase(doc, phrase))) continue;
+
+    results.push({
+      doc,
+      score: Math.round(score * confidenceBoost(doc.confidence) * 1000) / 1000,
+      matchType: matchedField(doc, matchedTerms.get(docId)),
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -1,13 +1,24 @@
-import { getGotchas } from './gotchas.js';
-import { searchAgentMemories, getAgentMemoryStats } from './agent-memory.js';
+import { getAgentMemoryStats } from './agent-memory.js';
 import { listDigests } from './session-digest.js';
 import { getGotchaStats } from './gotchas.js';
+import { updateMemoryIndex, updateSharedStoreIndex, searchMemoryIndex } from './memory-index.js';
+import { loadSharedStoreConfig } from './shared-store.js';
 
 /**
- * Search across all memory types (gotchas, agent memories, session digests).
+ * Search across all memory types (gotchas, agent memories, session digests,
+ * and frontmatter memory files when 'memories' is in types).
+ *
+ * Results come from the on-disk index (see memory-index.js), refreshed for
+ * changed files first, and are ranked with BM25. The query may quote
+ * "exact phrases" and filter with agent:<name> and type:<type>.
+ *
+ * When a shared memory store is configured, its matches are merged in
+ * (minus entries the project already holds). Each result has a `source` of
+ * 'project' or 'shared'.
+ *
  * @param {string} projectDir - Project directory
  * @param {string} query - Search query
- * @param {object} [options] - { types: ['gotchas', 'agent', 'session'], agent, limit }
+ * @param {object} [options] - { types: ['gotchas', 'agent', 'session', 'memories'], agent, limit }
  * @returns {object[]} Unified results sorted by relevance
  */
 export function searchAllMemories(projectDir, query, options = {}) {
@@ -17,191 +28,50 @@ export function searchAllMemories(projectDir, query, options = {}) {
     limit = 20,
   } = options;
 
-  const results = [];
-  const queryLower = query.toLowerCase();
+  const { index } = updateMemoryIndex(projectDir);
+  const results = searchMemoryIndex(index, query, { types, agent, limit })
+    .map(match => toSearchResult(match, 'project'));
 
-  // Search gotchas
-  if (types.includes('gotchas')) {
-    const gotchas = getGotchas(projectDir);
+  const store = loadSharedStoreConfig(projectDir);
+  if (!store) return results;
 
-    gotchas.forEach(gotcha => {
-      const matchScore = calculateGotchaMatchScore(gotcha, queryLower, agent);
+  const seen = new Set(results.map(resultKey));
+  const { index: storeIndex } = updateSharedStoreIndex(projectDir, store.path);
+  const shared = searchMemoryIndex(storeIndex, query, { types, agent, limit })
+    .map(match => toSearchResult(match, 'shared'))
+    .filter(result => !seen.has(resultKey(result)));
 
-      if (matchScore > 0) {
-        results.push({
-          type: 'gotcha',
-          id: gotcha.id,
-          title: gotcha.message,
-          content: gotcha.original_message,
-          agent: gotcha.agent,
-          task: gotcha.task,
-          metadata: {
-            count: gotcha.count,
-            last_seen: gotcha.last_seen,
-            resolved: !!gotcha.resolution,
-          },
-          relevance: matchScore,
-        });
-      }
-    });
-  }
-
-  // Search agent memories
-  if (types.includes('agent')) {
-    const agentResults = searchAgentMemories(projectDir, query);
-
-    agentResults.forEach(result => {
-      if (agent && result.agent !== agent) return;
-
-      results.push({
-        type: 'agent_memory',
-        id: `${result.agent}-${result.index}`,
-        title: result.category,
-        content: result.content,
-        agent: result.agent,
-        metadata: {
-          confidence: result.confidence,
-          tags: result.tags,
-          match_type: result.matchType,
-        },
-        relevance: calculateAgentMemoryMatchScore(result),
-      });
-    });
-  }
-
-  // Search session digests
-  if (types.includes('session')) {
-    const digests = listDigests(projectDir);
-
-    digests.forEach(digest => {
-      const matchScore = calculateDigestMatchScore(digest, queryLower);
-
-      if (matchScore > 0) {
-        results.push({
-          type: 'session_digest',
-          id: digest.filename,
-          title: `Session ${digest.date || 'Unknown'}`,
-          content: `Mode: ${digest.mode}, Phase: ${digest.phase}, Completion: ${digest.completion_rate}%`,
-          metadata: {
-            timestamp: digest.timestamp,
-            mode: digest.mode,
-            phase: digest.phase,
-            completion_rate: digest.completion_rate,
-          },
-          relevance: matchScore,
-        });
-      }
-    });
-  }
-
-  // Sort by relevance and limit
-  return results
+  return [...results, ...shared]
     .sort((a, b) => b.relevance - a.relevance)
     .slice(0, limit);
 }
 
-/**
- * Calculate match score for a gotcha.
- * @param {object} gotcha - Gotcha object
- * @param {string} queryLower - Lowercase query
- * @param {string|null} agent - Agent filter
- * @returns {number} Match score (0-100)
- */
-function calculateGotchaMatchScore(gotcha, queryLower, agent) {
-  let score = 0;
-
-  // Agent match
-  if (agent && gotcha.agent === agent) {
-    score += 30;
-  } else if (agent && gotcha.agent !== agent) {
-    return 0; // Filter out non-matching agents
-  }
-
-  // Message match
-  const messageMatch = gotcha.message.toLowerCase().includes(queryLower);
-  const originalMatch = gotcha.original_message?.toLowerCase().includes(queryLower);
-
-  if (messageMatch || originalMatch) {
-    score += 40;
-  }
-
-  // Task match
-  if (gotcha.task?.toLowerCase().includes(queryLower)) {
-    score += 20;
-  }
-
-  // Frequency bonus
-  score += Math.min(10, gotcha.count);
-
-  return score;
-}
-
-/**
- * Calculate match score for an agent memory.
- * @param {object} result - Agent memory result
- * @returns {number} Match score (0-100)
- */
-function calculateAgentMemoryMatchScore(result) {
-  let score = 50; // Base score for matching
-
-  // Exact match in content
-  if (result.matchType === 'content') {
-    score += 20;
-  }
-
-  // Category match
-  if (result.matchType === 'category') {
-    score += 15;
-  }
-
-  // Tag match
-  if (result.matchType === 'tag') {
-    score += 10;
-  }
-
-  // Confidence bonus
-  if (result.confidence === 'high') {
-    score += 10;
-  } else if (result.confidence === 'low') {
-    score -= 5;
-  }
-
-  return score;
+function resultKey(result) {
+  return `${result.type}:${String(result.content).toLowerCase()}`;
 }
 
-/**
- * Calculate match score for a session digest.
- * @param {object} digest - Digest summary
- * @param {string} queryLower - Lowercase query
- * @returns {number} Match score (0-100)
- */
-function calculateDigestMatchScore(digest, queryLower) {
-  let score = 0;
-
-  // Mode match
-  if (digest.mode?.toLowerCase().includes(queryLower)) {
-    score += 30;
-  }
-
-  // Phase match
-  if (digest.phase?.toLowerCase().includes(queryLower)) {
-    score += 30;
-  }
-
-  // Date match
-  if (digest.date?.includes(queryLower)) {
-    score += 20;
-  }
+function toSearchResult({ doc, score, matchType }, source) {
+  const result = {
+    type: doc.type,
+    id: doc.id,
+    title: doc.title,
+    content: doc.content,
+    agent: doc.agent || undefined,
+    metadata: doc.metadata,
+    relevance: score,
+    source,
+  };
 
-  // Recency bonus (recent sessions more relevant)
-  if (digest.timestamp) {
-    const daysSince = (Date.now() - new Date(digest.timestamp).getTime()) / (1000 * 60 * 60 * 24);
-    if (daysSince < 7) {
-      score += 10 * (1 - daysSince / 7);
-    }
+  if (doc.type === 'gotcha') {
+    result.task = doc.task || undefined;
+  } else if (doc.type === 'agent_memory') {
+    result.metadata = {
+      confidence: doc.metadata.confidence,
+      tags: doc.metadata.tags,
+      match_type: matchType || 'content',
+    };
   }
-
-  return score;
+  return result;
 }
 
 /**
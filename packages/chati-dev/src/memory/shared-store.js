@@ -0,0 +1,306 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
+import { join, dirname, resolve, basename } from 'path';
+import { homedir } from 'os';
+import { execFileSync } from 'child_process';
+import yaml from 'js-yaml';
+import { readAgentMemory, replaceAgentMemory, parseMemoryMarkdown, formatMemoryMarkdown } from './agent-memory.js';
+import { getGotchas, mergeGotchaLists, importGotchas } from './gotchas.js';
+import { entrySimilarity, CONSOLIDATION_DEFAULTS } from './consolidation.js';
+
+/**
+ * Shared memory store: a user- or team-level directory (optionally a git
+ * clone) that several projects export resolved gotchas and high-confidence
+ * agent memories to, and import them from.
+ *
+ * Configured in chati.dev/config.yaml:
+ *
+ *   memory:
+ *     shared_store: ~/team/chati-memory        # or { path, git }
+ *
+ * The store has the layout of .chati/memories (shared/gotchas.json and
+ * <agent>/MEMORY.md), so it is indexed and searched like a project.
+ */
+
+const STORE_GOTCHAS_FILE = 'shared/gotchas.json';
+const GIT_TIMEOUT_MS = 30000;
+
+// Project-specific fields that do not travel to other projects
+const LOCAL_GOTCHA_FIELDS = ['context', 'sessions', 'promoted_to_memory', 'imported_from'];
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+/**
+ * Load the shared store settings from a project's config.yaml.
+ * @param {string} projectDir - Project directory
+ * @returns {{ path: string, git: boolean }|null} Null when no store is configured
+ */
+export function loadSharedStoreConfig(projectDir) {
+  const configPath = join(projectDir, 'chati.dev', 'config.yaml');
+  if (!existsSync(configPath)) return null;
+
+  let raw;
+  try {
+    raw = yaml.load(readFileSync(configPath, 'utf-8'))?.memory?.shared_store;
+  } catch {
+    return null;
+  }
+
+  const configured = typeof raw === 'string' ? raw : raw?.path;
+  if (typeof configured !== 'string' || configured.trim() === '') return null;
+
+  const expanded = configured.trim().replace(/^~(?=$|[/\\])/, homedir());
+  const path = resolve(projectDir, expanded);
+  const git = typeof raw === 'object' && typeof raw.git === 'boolean'
+    ? raw.git
+    : existsSync(join(path, '.git'));
+
+  return { path, git };
+}
+
+function requireSharedStore(projectDir) {
+  const store = loadSharedStoreConfig(projectDir);
+  if (!store) {
+    throw new Error('No shared memory store configured (set memory.shared_store in chati.dev/config.yaml)');
+  }
+  return store;
+}
+
+// ---------------------------------------------------------------------------
+// Store contents
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the gotchas of a shared store.
+ * @param {string} storeDir - Shared store directory
+ * @returns {object[]}
+ */
+export function readStoreGotchas(storeDir) {
+  const gotchasPath = join(storeDir, STORE_GOTCHAS_FILE);
+  if (!existsSync(gotchasPath)) return [];
+
+  try {
+    const gotchas = JSON.parse(readFileSync(gotchasPath, 'utf-8'));
+    return Array.isArray(gotchas) ? gotchas : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read the agent memories of a shared store.
+ * @param {string} storeDir - Shared store directory
+ * @returns {Record<string, object[]>} Entries per agent
+ */
+export function readStoreMemories(storeDir) {
+  const memories = {};
+  for (const agent of listMemoryAgents(storeDir)) {
+    try {
+      memories[agent] = parseMemoryMarkdown(readFileSync(join(storeDir, agent, 'MEMORY.md'), 'utf-8'));
+    } catch {
+      memories[agent] = [];
+    }
+  }
+  return memories;
+}
+
+function listMemoryAgents(memoriesDir) {
+  if (!existsSync(memoriesDir)) return [];
+
+  return readdirSync(memoriesDir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && !d.name.startsWith('.') && existsSync(join(memoriesDir, d.name, 'MEMORY.md')))
+    .map(d => d.name)
+    .sort();
+}
+
+/**
+ * Entries of `incoming` that are not near-duplicates of `existing` (or of
+ * each other).
+ */
+function newEntries(existing, incoming) {
+  const kept = [...existing];
+  const added = [];
+  for (const entry of incoming) {
+    if (kept.some(e => entrySimilarity(e, entry) >= CONSOLIDATION_DEFAULTS.similarity)) continue;
+    kept.push(entry);
+    added.push(entry);
+  }
+  return added;
+}
+
+// ---------------------------------------------------------------------------
+// Git
+// ---------------------------------------------------------------------------
+
+function git(cwd, args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'], timeout: GIT_TIMEOUT_MS });
+}
+
+function hasRemote(storeDir) {
+  try {
+    return git(storeDir, ['remote']).trim() !== '';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Commit the store's changes, and push them when it has a remote.
+ * @returns {{ committed: boolean, pushed: boolean, warnings: string[] }}
+ */
+function commitStore(storeDir, message) {
+  const result = { committed: false, pushed: false, warnings: [] };
+
+  try {
+    git(storeDir, ['add', '-A']);
+    try {
+      git(storeDir, ['diff', '--cached', '--quiet']);
+      return result; // Nothing staged
+    } catch {
+      // Staged changes to commit
+    }
+    git(storeDir, ['commit', '-q', '-m', message]);
+    result.committed = true;
+  } catch (err) {
+    result.warnings.push(`git commit failed: ${err.stderr?.trim() || err.message}`);
+    return result;
+  }
+
+  if (hasRemote(storeDir)) {
+    try {
+      git(storeDir, ['push', '-q']);
+      result.pushed = true;
+    } catch (err) {
+      result.warnings.push(`git push failed: ${err.stderr?.trim() || err.message}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fast-forward the store from its remote.
+ * @returns {{ pulled: boolean, warnings: string[] }}
+ */
+function pullStore(storeDir) {
+  if (!hasRemote(storeDir)) return { pulled: false, warnings: [] };
+
+  try {
+    git(storeDir, ['pull', '-q', '--ff-only']);
+    return { pulled: true, warnings: [] };
+  } catch (err) {
+    return { pulled: false, warnings: [`git pull failed: ${err.stderr?.trim() || err.message}`] };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Export / Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Export a project's resolved gotchas and high-confidence agent memories to
+ * the shared store. Gotchas are matched by error pattern and record the
+ * projects they came from; memories skip near-duplicates already stored.
+ * A git-backed store is pulled first, then committed (and pushed).
+ *
+ * @param {string} projectDir - Project directory
+ * @param {object} [options] - { dryRun }
+ * @returns {{ store: string, gotchas: { added: number, updated: number }, memories: { added: number }, committed: boolean, pushed: boolean, warnings: string[] }}
+ */
+export function exportToSharedStore(projectDir, options = {}) {
+  const store = requireSharedStore(projectDir);
+  const project = basename(resolve(projectDir));
+  const warnings = [];
+
+  if (store.git && !options.dryRun) {
+    warnings.push(...pullStore(store.path).warnings);
+  }
+
+  // Resolved gotchas, without project-specific fields
+  const resolved = getGotchas(projectDir)
+    .filter(g => g.resolution)
+    .map(g => {
+      const copy = { ...g };
+      for (const field of LOCAL_GOTCHA_FIELDS) delete copy[field];
+      return copy;
+    });
+  const storeGotchas = readStoreGotchas(store.path);
+  const gotchas = mergeGotchaLists(storeGotchas, resolved, (target) => {
+    target.projects = [...new Set([...(target.projects || []), project])];
+  });
+
+  // High-confidence memories per agent
+  const storeMemories = readStoreMemories(store.path);
+  const memoryUpdates = {};
+  let memoriesAdded = 0;
+  for (const agent of listMemoryAgents(join(projectDir, '.chati', 'memories'))) {
+    const high = readAgentMemory(projectDir, agent).entries.filter(e => e.confidence === 'high');
+    const added = newEntries(storeMemories[agent] || [], high);
+    if (added.length > 0) {
+      memoryUpdates[agent] = [...(storeMemories[agent] || []), ...added];
+      memoriesAdded += added.length;
+    }
+  }
+
+  const result = {
+    store: store.path,
+    gotchas,
+    memories: { added: memoriesAdded },
+    committed: false,
+    pushed: false,
+    warnings,
+  };
+  if (options.dryRun) return result;
+
+  if (gotchas.added > 0 || gotchas.updated > 0) {
+    const gotchasPath = join(store.path, STORE_GOTCHAS_FILE);
+    mkdirSync(dirname(gotchasPath), { recursive: true });
+    writeFileSync(gotchasPath, JSON.stringify(storeGotchas, null, 2), 'utf-8');
+  }
+  for (const [agent, entries] of Object.entries(memoryUpdates)) {
+    mkdirSync(join(store.path, agent), { recursive: true });
+    writeFileSync(join(store.path, agent, 'MEMORY.md'), formatMemoryMarkdown(entries), 'utf-8');
+  }
+
+  if (store.git) {
+    const commit = commitStore(store.path, `Export memories from ${project}`);
+    result.committed = commit.committed;
+    result.pushed = commit.pushed;
+    warnings.push(...commit.warnings);
+  }
+  return result;
+}
+
+/**
+ * Import the shared store's gotchas and agent memories into a project,
+ * skipping gotchas the project already has (by error pattern) and
+ * near-duplicate memories. A git-backed store is pulled first.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {object} [options] - { dryRun }
+ * @returns {{ store: string, gotchas: { added: number, updated: number }, memories: { added: number }, pulled: boolean, warnings: string[] }}
+ */
+export function importFromSharedStore(projectDir, options = {}) {
+  const store = requireSharedStore(projectDir);
+  const pull = store.git && !options.dryRun ? pullStore(store.path) : { pulled: false, warnings: [] };
+
+  const gotchas = importGotchas(projectDir, readStoreGotchas(store.path), { dryRun: options.dryRun });
+
+  let memoriesAdded = 0;
+  for (const [agent, entries] of Object.entries(readStoreMemories(store.path))) {
+    const existing = readAgentMemory(projectDir, agent).entries;
+    const added = newEntries(existing, entries);
+    if (added.length === 0) continue;
+
+    memoriesAdded += added.length;
+    if (!options.dryRun) replaceAgentMemory(projectDir, agent, [...existing, ...added]);
+  }
+
+  return {
+    store: store.path,
+    gotchas,
+    memories: { added: memoriesAdded },
+    pulled: pull.pulled,
+    warnings: pull.warnings,
+  };
+}
@@ -6,7 +6,9 @@
 import { INTENT_TYPES } from './intent-classifier.js';
 
 /**
- * The complete agent pipeline in execution order.
+ * The complete agent pipeline in execution order. Used when no workflow
+ * is selected; workflows loaded by workflow-loader.js produce agent lists
+ * of the same shape, which the functions below accept as `pipeline`.
  */
 export const AGENT_PIPELINE = [
   { name: 'greenfield-wu', phase: 'discover', group: 'wu', parallel: false },
@@ -27,30 +29,33 @@ export const AGENT_PIPELINE = [
  * Get agent definition by name.
  *
  * @param {string} name - Agent name
+ * @param {object[]} [pipeline=AGENT_PIPELINE]
  * @returns {object|null}
  */
-function getAgentDef(name) {
-  return AGENT_PIPELINE.find((a) => a.name === name) || null;
+function getAgentDef(name, pipeline = AGENT_PIPELINE) {
+  return pipeline.find((a) => a.name === name) || null;
 }
 
 /**
  * Get agents by phase.
  *
  * @param {string} phase - Phase name
+ * @param {object[]} [pipeline=AGENT_PIPELINE]
  * @returns {object[]}
  */
-function getAgentsByPhase(phase) {
-  return AGENT_PIPELINE.filter((a) => a.phase === phase);
+function getAgentsByPhase(phase, pipeline = AGENT_PIPELINE) {
+  return pipeline.filter((a) => a.phase === phase);
 }
 
 /**
  * Get agents by group.
  *
  * @param {string} group - Group name
+ * @param {object[]} [pipeline=AGENT_PIPELINE]
  * @returns {object[]}
  */
-function getAgentsByGroup(group) {
-  return AGENT_PIPELINE.filter((a) => a.group === group);
+function getAgentsByGroup(group, pipeline = AGENT_PIPELINE) {
+  return pipeline.filter((a) => a.group === group);
 }
 
 /**
@@ -62,6 +67,7 @@ function getAgentsByGroup(group) {
  * @param {string} [context.currentAgent] - Currently active agent
  * @param {string[]} [context.completedAgents] - Already completed agents
  * @param {boolean} [context.isGreenfield] - true for new projects, false for existing
+ * @param {object} [context.workflow] - Loaded workflow (see workflow-loader.js)
  * @returns {{ agent: string, reason: string, parallelGroup: string[]|null }}
  */
 export function selectAgent(context) {
@@ -71,11 +77,13 @@ export function selectAgent(context) {
     currentAgent,
     completedAgents = [],
     isGreenfield = true,
+    workflow = null,
   } = context;
+  const pipeline = workflow?.agents || AGENT_PIPELINE;
 
   // If resuming, continue from current agent
   if (intent === INTENT_TYPES.RESUME && currentAgent) {
-    const nextInfo = getNextAgent(currentAgent, completedAgents);
+    const nextInfo = getNextAgent(currentAgent, completedAgents, pipeline);
     if (nextInfo.next) {
       return {
         agent: nextInfo.next,
@@ -87,6 +95,17 @@ export function selectAgent(context) {
 
   // If starting fresh with no completed agents
   if (completedAgents.length === 0) {
+    // A selected workflow starts with its first agent
+    if (workflow) {
+      const first = pipeline[0];
+      return {
+        agent: first.name,
+        reason: `Starting ${workflow.name} workflow`,
+        parallelGroup: first.parallel ? getAgentsByGroup(first.group, pipeline).map((a) => a.name) : null,
+        workflowType: workflow.id,
+      };
+    }
+
     // Quick Flow: fast-track pipeline (Brief quick → Dev → QA → Deploy)
     if (intent === INTENT_TYPES.QUICK_FLOW) {
       return {
@@ -146,7 +165,7 @@ export function selectAgent(context) {
 
   // If there's a current agent, get next in sequence
   if (currentAgent) {
-    const nextInfo = getNextAgent(currentAgent, completedAgents);
+    const nextInfo = getNextAgent(currentAgent, completedAgents, pipeline);
     if (nextInfo.next) {
       return {
         agent: nextInfo.next,
@@ -157,7 +176,7 @@ export function selectAgent(context) {
   }
 
   // Find next incomplete agent in current phase
-  const phaseAgents = getAgentsByPhase(mode);
+  const phaseAgents = getAgentsByPhase(mode, pipeline);
   for (const agentDef of phaseAgents) {
     if (!completedAgents.includes(agentDef.name)) {
       // Handle WU fork
@@ -177,7 +196,7 @@ export function selectAgent(context) {
         agent: agentDef.name,
         reason: `Next incomplete agent in ${mode} phase`,
         parallelGroup: agentDef.parallel
-          ? getAgentsByGroup(agentDef.group).map((a) => a.name)
+          ? getAgentsByGroup(agentDef.group, pipeline).map((a) => a.name)
           : null,
       };
     }
@@ -196,19 +215,20 @@ export function selectAgent(context) {
  *
  * @param {string} agentName - Current agent
  * @param {string[]} completedAgents - Already completed
+ * @param {object[]} [pipeline=AGENT_PIPELINE] - Agent list, e.g. a workflow's agents
  * @returns {{ next: string|null, isParallel: boolean, group: string[] }}
  */
-export function getNextAgent(agentName, completedAgents = []) {
-  const currentDef = getAgentDef(agentName);
+export function getNextAgent(agentName, completedAgents = [], pipeline = AGENT_PIPELINE) {
+  const currentDef = getAgentDef(agentName, pipeline);
   if (!currentDef) {
     return { next: null, isParallel: false, group: [] };
   }
 
-  const currentIndex = AGENT_PIPELINE.indexOf(currentDef);
+  const currentIndex = pipeline.indexOf(currentDef);
 
   // Look ahead for next incomplete agent
-  for (let i = currentIndex + 1; i < AGENT_PIPELINE.length; i++) {
-    const nextDef = AGENT_PIPELINE[i];
+  for (let i = currentIndex + 1; i < pipeline.length; i++) {
+    const nextDef = pipeline[i];
 
     // Skip WU fork that doesn't apply
     if (nextDef.group === 'wu') {
@@ -225,7 +245,7 @@ export function getNextAgent(agentName, completedAgents = []) {
       next: nextDef.name,
       isParallel: nextDef.parallel,
       group: nextDef.parallel
-        ? getAgentsByGroup(nextDef.group).map((a) => a.name)
+        ? getAgentsByGroup(nextDef.group, pipeline).map((a) => a.name)
         : [],
     };
   }
@@ -254,13 +274,14 @@ export function isAgentAllowedInMode(agentName, mode) {
  * Get parallelizable agents that can run together.
  *
  * @param {string[]} completedAgents
+ * @param {object[]} [pipeline=AGENT_PIPELINE] - Agent list, e.g. a workflow's agents
  * @returns {string[][]} Groups of agents that can run in parallel
  */
-export function getParallelGroups(completedAgents = []) {
+export function getParallelGroups(completedAgents = [], pipeline = AGENT_PIPELINE) {
   const groups = [];
   const seenGroups = new Set();
 
-  for (const agentDef of AGENT_PIPELINE) {
+  for (const agentDef of pipeline) {
     if (!agentDef.parallel) {
       continue;
     }
@@ -270,7 +291,7 @@ export function getParallelGroups(completedAgents = []) {
     }
 
     // Get all agents in this parallel group
-    const groupAgents = getAgentsByGroup(agentDef.group);
+    const groupAgents = getAgentsByGroup(agentDef.group, pipeline);
     const incompleteAgents = groupAgents
       .filter((a) => !completedAgents.includes(a.name))
       .map((a) => a.name);
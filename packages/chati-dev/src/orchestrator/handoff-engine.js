@@ -8,6 +8,7 @@
 import { buildHandoff, saveHandoff, loadHandoff } from '../tasks/handoff.js';
 import { readAgentMemory } from '../memory/agent-memory.js';
 import { getRelevantGotchas } from '../memory/gotchas.js';
+import { recordMemoryReferences, SHARED_MEMORY_AGENT } from '../memory/consolidation.js';
 import { existsSync, readdirSync } from 'fs';
 import { join } from 'path';
 
@@ -160,6 +161,20 @@ export function loadHandoffContext(projectDir, fromAgent) {
       e => e.confidence === 'high' || e.confidence === 'medium'
     );
     sources.push(`${context.memories.length} memory entries from ${fromAgent}`);
+    recordMemoryReferences(projectDir, fromAgent, context.memories);
+  }
+
+  // Load memories merged across agents by consolidation
+  const sharedResult = fromAgent === SHARED_MEMORY_AGENT ? null : readAgentMemory(projectDir, SHARED_MEMORY_AGENT);
+  if (sharedResult?.loaded) {
+    const shared = sharedResult.entries.filter(
+      e => e.confidence === 'high' || e.confidence === 'medium'
+    );
+    if (shared.length > 0) {
+      context.memories.push(...shared);
+      sources.push(`${shared.length} shared memory entries`);
+      recordMemoryReferences(projectDir, SHARED_MEMORY_AGENT, shared);
+    }
   }
 
   // Load relevant gotchas
@@ -32,6 +32,16 @@ export {
   markAgentInProgress,
 } from './pipeline-manager.js';
 
+export {
+  WORKFLOWS_DIR,
+  WORKFLOW_CATEGORIES,
+  DEFAULT_QA_THRESHOLD,
+  findWorkflowFile,
+  listWorkflows,
+  interpretWorkflow,
+  loadWorkflow,
+} from './workflow-loader.js';
+
 export {
   executeHandoff,
   validateHandoffPreconditions,
@@ -1,9 +1,14 @@
 /**
  * @fileoverview Pipeline lifecycle management.
  * Manages the complete pipeline state and transitions.
+ *
+ * A pipeline either runs the built-in AGENT_PIPELINE or follows a
+ * workflow definition (workflow-loader.js) stored on its state, whose
+ * agent order, parallel groups and QA gates then drive every transition.
  */
 
 import { AGENT_PIPELINE, getNextAgent } from './agent-selector.js';
+import { loadWorkflow } from './workflow-loader.js';
 import { calculateBracket, estimateRemaining } from '../context/bracket-tracker.js';
 import { initCollector, track as telemetryTrack, flush as telemetryFlush } from '../telemetry/collector.js';
 import { sendEvents } from '../telemetry/sender.js';
@@ -33,14 +38,88 @@ export const AGENT_STATUS = {
 const QA_PLANNING_THRESHOLD = 95;
 const QA_IMPLEMENTATION_THRESHOLD = 95;
 
+/**
+ * Agent definitions a pipeline runs: its workflow's, or the built-in list.
+ *
+ * @param {object} state - Pipeline state
+ * @returns {object[]}
+ */
+function getPipelineAgents(state) {
+  return state.workflow?.agents || AGENT_PIPELINE;
+}
+
+/**
+ * Phase that follows the current one, or null when it is the last.
+ *
+ * @param {object} state - Pipeline state
+ * @returns {string|null}
+ */
+function getNextPhase(state) {
+  const phases = state.workflow?.phases || PIPELINE_PHASES;
+  const index = phases.indexOf(state.phase);
+  return index >= 0 && index < phases.length - 1 ? phases[index + 1] : null;
+}
+
+/**
+ * Whether an agent's score gates its phase transition.
+ *
+ * @param {object} state - Pipeline state
+ * @param {string} agentName
+ * @returns {boolean}
+ */
+function isGatedAgent(state, agentName) {
+  if (state.workflow) {
+    return agentName in state.workflow.gates;
+  }
+  return agentName === 'qa-planning' || agentName === 'qa-implementation';
+}
+
+/**
+ * Pending status entries for a list of agent names.
+ *
+ * @param {string[]} names
+ * @returns {object}
+ */
+function createAgentEntries(names) {
+  const agents = {};
+  for (const name of names) {
+    agents[name] = {
+      status: AGENT_STATUS.PENDING,
+      score: null,
+      startedAt: null,
+      completedAt: null,
+    };
+  }
+  return agents;
+}
+
 /**
  * Initialize a new pipeline for a project.
  *
- * @param {object} options - { isGreenfield, mode }
+ * With `workflow` (an id such as 'data-pipeline', or a workflow returned by
+ * loadWorkflow) the pipeline follows that definition; the id is looked up
+ * in <targetDir>/chati.dev/workflows before the shipped workflows.
+ *
+ * @param {object} options - { isGreenfield, mode, targetDir, workflow }
  * @returns {object} Pipeline state
  */
 export function initPipeline(options = {}) {
-  const { isGreenfield = true, mode = 'discover', targetDir } = options;
+  const { isGreenfield = true, targetDir } = options;
+  const resolvedDir = targetDir || process.cwd();
+
+  if (options.workflow) {
+    const workflow = typeof options.workflow === 'string'
+      ? loadWorkflow(options.workflow, { projectDir: resolvedDir })
+      : options.workflow;
+    return createWorkflowState(workflow, {
+      isGreenfield,
+      mode: options.mode || workflow.phases[0],
+      targetDir: resolvedDir,
+      pipelineType: workflow.id,
+    });
+  }
+
+  const { mode = 'discover' } = options;
 
   const agents = {};
   for (const agentDef of AGENT_PIPELINE) {
@@ -62,8 +141,6 @@ export function initPipeline(options = {}) {
     };
   }
 
-  const resolvedDir = targetDir || process.cwd();
-
   // Initialize telemetry collector based on project config
   initCollector(isTelemetryEnabled(resolvedDir));
 
@@ -92,62 +169,36 @@ export function initPipeline(options = {}) {
 }
 
 /**
- * Standard Flow pipeline agents (mid-tier — 8 agents).
- * Skips: WU, UX, Phases (tasks subsumes phase splitting).
- */
-const STANDARD_FLOW_AGENTS = [
-  'brief', 'detail', 'architect', 'tasks',
-  'qa-planning', 'dev', 'qa-implementation', 'devops',
-];
-
-/**
- * Quick Flow pipeline agents (subset of full pipeline).
- * Skips: WU, Detail, Architect, UX, Phases, Tasks, QA-Planning.
- */
-const QUICK_FLOW_AGENTS = ['brief', 'dev', 'qa-implementation', 'devops'];
-
-/**
- * Initialize a Quick Flow pipeline (fast-track for simple tasks).
+ * Build the state of a pipeline that follows a workflow.
  *
- * @param {object} options - { isGreenfield, mode }
- * @returns {object} Pipeline state
+ * @param {object} workflow - From loadWorkflow
+ * @param {object} options - { isGreenfield, mode, targetDir, pipelineType }
+ * @returns {object} Pipeline state (without flow flags)
  */
-export function initQuickFlowPipeline(options = {}) {
-  const { isGreenfield = false, mode = 'discover', targetDir } = options;
-
-  const agents = {};
-  for (const agentName of QUICK_FLOW_AGENTS) {
-    agents[agentName] = {
-      status: AGENT_STATUS.PENDING,
-      score: null,
-      startedAt: null,
-      completedAt: null,
-    };
-  }
-
-  const resolvedDir = targetDir || process.cwd();
+function createWorkflowState(workflow, options) {
+  const { isGreenfield, mode, targetDir, pipelineType } = options;
 
   // Initialize telemetry collector based on project config
-  initCollector(isTelemetryEnabled(resolvedDir));
+  initCollector(isTelemetryEnabled(targetDir));
 
   const sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   telemetryTrack('session_started', {
     sessionId,
-    pipelineType: 'quick-flow',
+    pipelineType,
     mode,
   });
 
   return {
     phase: mode,
     isGreenfield,
-    isQuickFlow: true,
+    workflow,
     sessionId,
-    targetDir: resolvedDir,
-    chatiVersion: getCurrentVersion(resolvedDir) || 'unknown',
+    targetDir,
+    chatiVersion: getCurrentVersion(targetDir) || 'unknown',
     startedAt: new Date().toISOString(),
     completedAt: null,
-    agents,
+    agents: createAgentEntries(workflow.agents.map((a) => a.name)),
     completedAgents: [],
     currentAgent: null,
     modeTransitions: [],
@@ -156,52 +207,39 @@ export function initQuickFlowPipeline(options = {}) {
 }
 
 /**
- * Initialize a Standard Flow pipeline (mid-tier for moderate tasks).
- * Uses 8 agents — between Quick Flow (4) and Full Flow (12).
+ * Initialize a Quick Flow pipeline (fast-track for simple tasks).
+ * Follows workflows/quick-flow.yaml: Brief → Dev → QA-Implementation → DevOps.
  *
  * @param {object} options - { isGreenfield, mode }
  * @returns {object} Pipeline state
  */
-export function initStandardFlowPipeline(options = {}) {
+export function initQuickFlowPipeline(options = {}) {
   const { isGreenfield = false, mode = 'discover', targetDir } = options;
-
-  const agents = {};
-  for (const agentName of STANDARD_FLOW_AGENTS) {
-    agents[agentName] = {
-      status: AGENT_STATUS.PENDING,
-      score: null,
-      startedAt: null,
-      completedAt: null,
-    };
-  }
-
   const resolvedDir = targetDir || process.cwd();
+  const workflow = loadWorkflow('quick-flow', { projectDir: resolvedDir });
 
-  // Initialize telemetry collector based on project config
-  initCollector(isTelemetryEnabled(resolvedDir));
-
-  const sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  return {
+    ...createWorkflowState(workflow, { isGreenfield, mode, targetDir: resolvedDir, pipelineType: 'quick-flow' }),
+    isQuickFlow: true,
+  };
+}
 
-  telemetryTrack('session_started', {
-    sessionId,
-    pipelineType: 'standard',
-    mode,
-  });
+/**
+ * Initialize a Standard Flow pipeline (mid-tier for moderate tasks).
+ * Follows workflows/standard-flow.yaml: 8 agents — between Quick Flow (4)
+ * and Full Flow (12), skipping WU, UX and Phases.
+ *
+ * @param {object} options - { isGreenfield, mode }
+ * @returns {object} Pipeline state
+ */
+export function initStandardFlowPipeline(options = {}) {
+  const { isGreenfield = false, mode = 'discover', targetDir } = options;
+  const resolvedDir = targetDir || process.cwd();
+  const workflow = loadWorkflow('standard-flow', { projectDir: resolvedDir });
 
   return {
-    phase: mode,
-    isGreenfield,
+    ...createWorkflowState(workflow, { isGreenfield, mode, targetDir: resolvedDir, pipelineType: 'standard' }),
     isStandardFlow: true,
-    sessionId,
-    targetDir: resolvedDir,
-    chatiVersion: getCurrentVersion(resolvedDir) || 'unknown',
-    startedAt: new Date().toISOString(),
-    completedAt: null,
-    agents,
-    completedAgents: [],
-    currentAgent: null,
-    modeTransitions: [],
-    history: [],
   };
 }
 
@@ -248,7 +286,7 @@ export function advancePipeline(pipelineState, completedAgent, results = {}) {
   });
 
   // Special handling for QA agents - check if they meet thresholds
-  const isQAAgent = completedAgent === 'qa-planning' || completedAgent === 'qa-implementation';
+  const isQAAgent = isGatedAgent(newState, completedAgent);
   if (isQAAgent) {
     const transitionCheck = checkPhaseTransition(newState);
 
@@ -269,9 +307,8 @@ export function advancePipeline(pipelineState, completedAgent, results = {}) {
       }
 
       // QA passed - advance to next phase
-      const currentPhaseIndex = PIPELINE_PHASES.indexOf(newState.phase);
-      if (currentPhaseIndex < PIPELINE_PHASES.length - 1) {
-        const nextPhase = PIPELINE_PHASES[currentPhaseIndex + 1];
+      const nextPhase = getNextPhase(newState);
+      if (nextPhase) {
 
         newState.modeTransitions.push({
           from: newState.phase,
@@ -294,7 +331,7 @@ export function advancePipeline(pipelineState, completedAgent, results = {}) {
 
       // Pipeline complete
       newState.completedAt = new Date().toISOString();
-      const pipelineType1 = newState.isQuickFlow ? 'quick-flow' : newState.isStandardFlow ? 'standard' : 'full';
+      const pipelineType1 = newState.isQuickFlow ? 'quick-flow' : newState.isStandardFlow ? 'standard' : newState.workflow?.id || 'full';
       const totalDuration1 = Date.now() - new Date(newState.startedAt).getTime();
       telemetryTrack('pipeline_completed', {
         pipelineType: pipelineType1,
@@ -341,9 +378,8 @@ export function advancePipeline(pipelineState, completedAgent, results = {}) {
 
   if (transitionCheck.canAdvance) {
     // Advance to next phase
-    const currentPhaseIndex = PIPELINE_PHASES.indexOf(newState.phase);
-    if (currentPhaseIndex < PIPELINE_PHASES.length - 1) {
-      const nextPhase = PIPELINE_PHASES[currentPhaseIndex + 1];
+    const nextPhase = getNextPhase(newState);
+    if (nextPhase) {
 
       newState.modeTransitions.push({
         from: newState.phase,
@@ -366,7 +402,7 @@ export function advancePipeline(pipelineState, completedAgent, results = {}) {
 
     // Pipeline complete
     newState.completedAt = new Date().toISOString();
-    const pipelineType2 = newState.isQuickFlow ? 'quick-flow' : newState.isStandardFlow ? 'standard' : 'full';
+    const pipelineType2 = newState.isQuickFlow ? 'quick-flow' : newState.isStandardFlow ? 'standard' : newState.workflow?.id || 'full';
     const totalDuration2 = Date.now() - new Date(newState.startedAt).getTime();
     telemetryTrack('pipeline_completed', {
       pipelineType: pipelineType2,
@@ -399,7 +435,7 @@ export function advancePipeline(pipelineState, completedAgent, results = {}) {
   }
 
   // Continue in current phase
-  const nextInfo = getNextAgent(completedAgent, newState.completedAgents);
+  const nextInfo = getNextAgent(completedAgent, newState.completedAgents, getPipelineAgents(newState));
 
   if (nextInfo.next) {
     newState.currentAgent = nextInfo.next;
@@ -435,7 +471,7 @@ export function advancePipeline(pipelineState, completedAgent, results = {}) {
  * @returns {string|null}
  */
 function getFirstAgentInPhase(state, phase) {
-  for (const agentDef of AGENT_PIPELINE) {
+  for (const agentDef of getPipelineAgents(state)) {
     if (agentDef.phase !== phase) {
       continue;
     }
@@ -463,6 +499,10 @@ function getFirstAgentInPhase(state, phase) {
  * @returns {{ canAdvance: boolean, reason: string, requiredScore: number|null }}
  */
 export function checkPhaseTransition(pipelineState) {
+  if (pipelineState.workflow) {
+    return checkWorkflowTransition(pipelineState);
+  }
+
   const { phase, agents } = pipelineState;
 
   // Check based on current phase
@@ -587,6 +627,59 @@ export function checkPhaseTransition(pipelineState) {
   };
 }
 
+/**
+ * Phase transition check for pipelines that follow a workflow: every
+ * agent of the current phase must be completed (or skipped) and every
+ * gated agent must meet its minimum score.
+ *
+ * @param {object} pipelineState
+ * @returns {{ canAdvance: boolean, reason: string, requiredScore: number|null }}
+ */
+function checkWorkflowTransition(pipelineState) {
+  const { phase, agents, workflow } = pipelineState;
+
+  if (!workflow.phases.includes(phase)) {
+    return {
+      canAdvance: false,
+      reason: `Phase ${phase} is not part of workflow ${workflow.id}`,
+      requiredScore: null,
+    };
+  }
+
+  const phaseAgents = workflow.agents.filter((a) => a.phase === phase && agents[a.name]);
+  let gateReason = null;
+
+  for (const { name } of phaseAgents) {
+    const agent = agents[name];
+    const requiredScore = workflow.gates[name] ?? null;
+
+    if (agent.status !== AGENT_STATUS.COMPLETED && agent.status !== AGENT_STATUS.SKIPPED) {
+      return {
+        canAdvance: false,
+        reason: `${name} not yet completed`,
+        requiredScore,
+      };
+    }
+
+    if (requiredScore !== null && agent.status === AGENT_STATUS.COMPLETED) {
+      if (agent.score === null || agent.score < requiredScore) {
+        return {
+          canAdvance: false,
+          reason: `${name} score ${agent.score || 0} below threshold ${requiredScore}`,
+          requiredScore,
+        };
+      }
+      gateReason = `${name} approved with score ${agent.score}`;
+    }
+  }
+
+  return {
+    canAdvance: true,
+    reason: gateReason || `${phase[0].toUpperCase()}${phase.slice(1)} phase agents completed`,
+    requiredScore: null,
+  };
+}
+
 /**
  * Get pipeline progress summary.
  *
@@ -604,7 +697,7 @@ export function getPipelineProgress(pipelineState) {
   // Find next agent
   let nextAgent = null;
   if (currentAgent) {
-    const nextInfo = getNextAgent(currentAgent, completedAgents);
+    const nextInfo = getNextAgent(currentAgent, completedAgents, getPipelineAgents(pipelineState));
     nextAgent = nextInfo.next;
   }
 
@@ -628,7 +721,8 @@ export function resetPipelineTo(pipelineState, targetAgent) {
   const newState = { ...pipelineState };
 
   // Find target agent in pipeline
-  const targetDef = AGENT_PIPELINE.find((a) => a.name === targetAgent);
+  const pipeline = getPipelineAgents(pipelineState);
+  const targetDef = pipeline.find((a) => a.name === targetAgent);
   if (!targetDef) {
     throw new Error(`Unknown target agent: ${targetAgent}`);
   }
@@ -637,8 +731,8 @@ export function resetPipelineTo(pipelineState, targetAgent) {
   newState.phase = targetDef.phase;
 
   // Find all agents after target in pipeline
-  const targetIndex = AGENT_PIPELINE.findIndex((a) => a.name === targetAgent);
-  const agentsToReset = AGENT_PIPELINE.slice(targetIndex).map((a) => a.name);
+  const targetIndex = pipeline.indexOf(targetDef);
+  const agentsToReset = pipeline.slice(targetIndex).map((a) => a.name);
 
   // Reset their status
   for (const agentName of agentsToReset) {
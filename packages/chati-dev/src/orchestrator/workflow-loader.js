@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Workflow loader and interpreter.
+ *
+ * Reads a workflow definition (chati.dev/workflows/<id>.yaml) and turns
+ * its phases and sequences into the agent list the pipeline runs:
+ * the same { name, phase, group, parallel } shape as AGENT_PIPELINE,
+ * plus the QA score gates that guard each phase transition.
+ *
+ * Workflows are looked up in the project first, so teams can add their
+ * own flows or override the shipped ones, then in the framework files
+ * bundled with the package.
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, dirname, basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Project-relative directory holding workflow definitions. */
+export const WORKFLOWS_DIR = join('chati.dev', 'workflows');
+
+/** Shipped workflow directories: the npm bundle, then the monorepo source. */
+const FRAMEWORK_WORKFLOW_DIRS = [
+  join(__dirname, '..', '..', 'framework', 'workflows'),
+  join(__dirname, '..', '..', '..', '..', 'chati.dev', 'workflows'),
+];
+
+/** Phase categories a workflow can use, in pipeline order. */
+export const WORKFLOW_CATEGORIES = ['discover', 'plan', 'build', 'deploy'];
+
+/** Score gate applied to qa-* agents that do not declare one. */
+export const DEFAULT_QA_THRESHOLD = 95;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} WorkflowAgent
+ * @property {string} name - Agent name
+ * @property {string} phase - Pipeline phase (discover/plan/build/deploy)
+ * @property {string} group - Parallel group name, or the phase when sequential
+ * @property {boolean} parallel - Runs alongside the rest of its group
+ * @property {string} stage - Name of the workflow phase it first appears in
+ * @property {string[]} actions - Actions across all of its steps
+ * @property {string[]} creates - Artifacts across all of its steps
+ */
+
+/**
+ * @typedef {object} Workflow
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} version
+ * @property {string|null} type
+ * @property {string|null} source - File the workflow was loaded from
+ * @property {string[]} phases - Pipeline phases used, in order
+ * @property {WorkflowAgent[]} agents - Agents in execution order
+ * @property {Record<string, number>} gates - Minimum score per gated agent
+ */
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+// Workflow ids are file names; anything else could escape the workflows dir
+const WORKFLOW_ID_PATTERN = /^[a-z0-9-]+$/;
+
+function workflowDirs(projectDir) {
+  return [
+    ...(projectDir ? [join(projectDir, WORKFLOWS_DIR)] : []),
+    ...FRAMEWORK_WORKFLOW_DIRS,
+  ];
+}
+
+/**
+ * Find the file defining a workflow.
+ *
+ * @param {string} id - Workflow id (file name without .yaml)
+ * @param {string} [projectDir] - Project root, searched before the framework
+ * @returns {string|null} Absolute path, or null when not found
+ * @throws {Error} When the id is not a plain workflow name (e.g. contains ../)
+ */
+export function findWorkflowFile(id, projectDir) {
+  if (typeof id !== 'string' || !WORKFLOW_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid workflow id "${id}": use lowercase letters, digits and dashes`);
+  }
+  for (const dir of workflowDirs(projectDir)) {
+    for (const ext of ['.yaml', '.yml']) {
+      const file = join(dir, `${id}${ext}`);
+      if (existsSync(file)) return file;
+    }
+  }
+  return null;
+}
+
+/**
+ * List the workflows available to a project.
+ *
+ * @param {string} [projectDir]
+ * @returns {string[]} Workflow ids, sorted
+ */
+export function listWorkflows(projectDir) {
+  const ids = new Set();
+  for (const dir of workflowDirs(projectDir)) {
+    if (!existsSync(dir)) continue;
+    for (const file of readdirSync(dir)) {
+      const ext = extname(file);
+      if (ext === '.yaml' || ext === '.yml') ids.add(basename(file, ext));
+    }
+  }
+  return [...ids].sort();
+}
+
+// ---------------------------------------------------------------------------
+// Interpretation
+// ---------------------------------------------------------------------------
+
+/**
+ * Read score gates from `<agent>.score >= N` transition triggers.
+ *
+ * @param {object} transitions
+ * @returns {Record<string, number>}
+ */
+function parseTransitionGates(transitions) {
+  const gates = {};
+  if (!transitions || typeof transitions !== 'object') return gates;
+
+  for (const transition of Object.values(transitions)) {
+    const match = /^\s*([\w-]+)\.score\s*>=\s*(\d+(?:\.\d+)?)\s*$/.exec(transition?.trigger || '');
+    if (match) gates[match[1]] = Number(match[2]);
+  }
+  return gates;
+}
+
+/**
+ * Interpret a parsed workflow document.
+ *
+ * Agents run in order of first appearance; an agent listed in several
+ * steps (e.g. architect's design and dependency audit) runs once and
+ * collects the actions and artifacts of every step. Agents run in
+ * parallel when a step lists `parallel_with: [agents]` or its phase sets
+ * `parallel: true`. A step's `config.minimum_score`, or a
+ * `<agent>.score >= N` transition trigger, gates the phase on that
+ * agent's score; qa-* agents default to DEFAULT_QA_THRESHOLD.
+ *
+ * @param {object} doc - Parsed workflow YAML
+ * @param {{ source?: string }} [options={}]
+ * @returns {Workflow}
+ * @throws {Error} When the definition is malformed
+ */
+export function interpretWorkflow(doc, options = {}) {
+  const where = options.source || 'workflow';
+  const meta = doc?.workflow;
+  if (!meta || typeof meta !== 'object' || !meta.id) {
+    throw new Error(`Invalid ${where}: workflow.id is required`);
+  }
+  if (!Array.isArray(doc.phases) || doc.phases.length === 0) {
+    throw new Error(`Invalid workflow "${meta.id}": phases must be a non-empty list`);
+  }
+
+  const errors = [];
+  const byName = new Map();
+  const links = [];
+  const gates = {};
+
+  doc.phases.forEach((phaseDef, i) => {
+    const label = `phases[${i}]`;
+    const phase = String(phaseDef?.category || '').toLowerCase();
+    if (!WORKFLOW_CATEGORIES.includes(phase)) {
+      errors.push(`${label}: category must be one of ${WORKFLOW_CATEGORIES.join(', ').toUpperCase()}`);
+      return;
+    }
+    if (!Array.isArray(phaseDef.sequence) || phaseDef.sequence.length === 0) {
+      errors.push(`${label}: sequence must be a non-empty list`);
+      return;
+    }
+
+    const phaseAgents = [];
+    phaseDef.sequence.forEach((step, j) => {
+      if (!step?.agent || typeof step.agent !== 'string') {
+        errors.push(`${label}.sequence[${j}]: agent is required`);
+        return;
+      }
+
+      let agent = byName.get(step.agent);
+      if (!agent) {
+        agent = {
+          name: step.agent,
+          phase,
+          group: phase,
+          parallel: false,
+          stage: phaseDef.name || `Phase ${phaseDef.phase ?? i}`,
+          actions: [],
+          creates: [],
+        };
+        byName.set(step.agent, agent);
+      }
+      if (step.action) agent.actions.push(step.action);
+      if (Array.isArray(step.creates)) agent.creates.push(...step.creates);
+      if (typeof step.config?.minimum_score === 'number') gates[step.agent] = step.config.minimum_score;
+      if (Array.isArray(step.parallel_with)) {
+        for (const other of step.parallel_with) links.push([step.agent, other]);
+      }
+      if (!phaseAgents.includes(step.agent)) phaseAgents.push(step.agent);
+    });
+
+    if (phaseDef.parallel === true) {
+      for (const other of phaseAgents.slice(1)) links.push([phaseAgents[0], other]);
+    }
+  });
+
+  for (const [a, b] of links) {
+    if (!byName.has(b)) errors.push(`${a}: parallel_with references unknown agent "${b}"`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid workflow "${meta.id}":\n  ${errors.join('\n  ')}`);
+  }
+
+  const agents = [...byName.values()];
+  assignParallelGroups(agents, links);
+
+  for (const agent of agents) {
+    if (agent.name.startsWith('qa-') && !(agent.name in gates)) {
+      gates[agent.name] = DEFAULT_QA_THRESHOLD;
+    }
+  }
+  const transitionGates = parseTransitionGates(doc.transitions);
+  for (const [name, score] of Object.entries(transitionGates)) {
+    if (byName.has(name) && !(name in gates)) gates[name] = score;
+  }
+
+  return {
+    id: String(meta.id),
+    name: meta.name || String(meta.id),
+    version: meta.version != null ? String(meta.version) : null,
+    type: meta.type || null,
+    source: options.source || null,
+    phases: WORKFLOW_CATEGORIES.filter(phase => agents.some(a => a.phase === phase)),
+    agents,
+    gates,
+  };
+}
+
+/**
+ * Merge linked agents into parallel groups named after the phase of
+ * their first member (`plan-parallel`, then `plan-parallel-2`, ...).
+ *
+ * @param {WorkflowAgent[]} agents - Mutated in place
+ * @param {Array<[string, string]>} links
+ */
+function assignParallelGroups(agents, links) {
+  const root = new Map(agents.map(a => [a.name, a.name]));
+  const find = (name) => (root.get(name) === name ? name : find(root.get(name)));
+  for (const [a, b] of links) {
+    if (a !== b) root.set(find(b), find(a));
+  }
+
+  const members = new Map();
+  for (const agent of agents) {
+    const key = find(agent.name);
+    if (!members.has(key)) members.set(key, []);
+    members.get(key).push(agent);
+  }
+
+  const perPhase = {};
+  for (const group of members.values()) {
+    if (group.length < 2) continue;
+    const phase = group[0].phase;
+    perPhase[phase] = (perPhase[phase] || 0) + 1;
+    const name = perPhase[phase] === 1 ? `${phase}-parallel` : `${phase}-parallel-${perPhase[phase]}`;
+    for (const agent of group) {
+      agent.group = name;
+      agent.parallel = true;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Load and interpret a workflow by id.
+ *
+ * @param {string} id - Workflow id, e.g. 'greenfield-fullstack'
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {Workflow}
+ * @throws {Error} When the workflow does not exist or is malformed
+ */
+export function loadWorkflow(id, options = {}) {
+  const file = findWorkflowFile(id, options.projectDir);
+  if (!file) {
+    const available = listWorkflows(options.projectDir);
+    throw new Error(`Workflow "${id}" not found. Available: ${available.join(', ') || 'none'}`);
+  }
+
+  let doc;
+  try {
+    doc = yaml.load(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to parse workflow ${file}: ${err.message}`, { cause: err });
+  }
+
+  return interpretWorkflow(doc, { source: file });
+}
@@ -0,0 +1,514 @@
+/**
+ * @fileoverview Test coverage collection and thresholds.
+ *
+ * runTests({ coverage: true }) asks the runner for coverage — node:test's
+ * --experimental-test-coverage table, jest/vitest json-summary reports, or
+ * c8 when it is installed — and falls back to an existing coverage/
+ * directory (coverage-summary.json or lcov.info). The latest report is
+ * kept in .chati/coverage/ and its totals go to the metrics history.
+ * Task verification collects it when thresholds are configured, and
+ * `chati coverage` collects it on demand.
+ *
+ * Thresholds come from `coverage:` in chati.dev/config.yaml; gates G3 and
+ * G4 enforce them and list the files below them. A report collected
+ * before the latest source change is stale: it neither passes nor blocks
+ * a gate.
+ *
+ * Constitution Article XIV — Framework Registry Governance.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { join, dirname, isAbsolute, relative } from 'path';
+import { execSync } from 'child_process';
+import yaml from 'js-yaml';
+import { recordMetric, METRIC_TYPES } from './metrics-collector.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Latest coverage report, relative to the project root. */
+export const COVERAGE_REPORT_FILE = '.chati/coverage/latest.json';
+
+/** Files checked for existing coverage output, in order. */
+const COVERAGE_ARTIFACTS = ['coverage-summary.json', 'lcov.info'];
+
+/** Sources whose changes make a coverage report stale. */
+const SOURCE_FILE_PATTERN = /\.[cm]?[jt]sx?$/;
+
+/** Directories never searched for sources outside a git repository. */
+const SKIPPED_DIRS = new Set(['node_modules', 'coverage']);
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} FileCoverage
+ * @property {string} file - Path relative to the project
+ * @property {number|null} lines - Line coverage %
+ * @property {number|null} branches - Branch coverage %
+ * @property {number|null} functions - Function coverage %
+ */
+
+/**
+ * @typedef {object} CoverageReport
+ * @property {number|null} lines - Total line coverage %
+ * @property {number|null} branches - Total branch coverage %
+ * @property {number|null} functions - Total function coverage %
+ * @property {FileCoverage[]} files
+ * @property {'node:test'|'istanbul'|'lcov'} source - Format the report was read from
+ * @property {string} [collectedAt] - ISO timestamp (set when recorded)
+ */
+
+/**
+ * @typedef {object} CoverageThresholds
+ * @property {number|null} lines - Minimum line coverage %
+ * @property {number|null} branches - Minimum branch coverage %
+ * @property {number|null} functions - Minimum function coverage %
+ */
+
+/**
+ * @typedef {object} CoverageCheck
+ * @property {boolean} met - Totals meet every configured threshold
+ * @property {string[]} failures - Totals below their threshold
+ * @property {Array<FileCoverage & { below: string[] }>} gaps - Files below a threshold
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percent(covered, total) {
+  return total > 0 ? round((covered / total) * 100) : null;
+}
+
+function toProjectPath(file, projectDir) {
+  return projectDir && isAbsolute(file) ? relative(projectDir, file) : file;
+}
+
+function toThreshold(value) {
+  const num = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(num) && num >= 0 && num <= 100 ? num : null;
+}
+
+/**
+ * Source files of a project, relative to it: tracked and unignored files
+ * in a git repository, otherwise a walk that skips dot-directories,
+ * node_modules and coverage output.
+ *
+ * @param {string} projectDir
+ * @returns {string[]}
+ */
+function listSourceFiles(projectDir) {
+  try {
+    return execSync('git ls-files -z --cached --others --exclude-standard', {
+      cwd: projectDir,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+    }).split('\0').filter((file) => SOURCE_FILE_PATTERN.test(file) && !file.startsWith('.chati/'));
+  } catch {
+    // Not a git repository — walk the tree
+  }
+
+  const files = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = readdirSync(join(projectDir, dir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const path = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name)) walk(path);
+      } else if (SOURCE_FILE_PATTERN.test(entry.name)) {
+        files.push(path);
+      }
+    }
+  };
+  walk('');
+  return files;
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the coverage table node:test prints with --experimental-test-coverage.
+ *
+ * @param {string} output - Test output (TAP `#` or spec `ℹ` prefixed)
+ * @returns {CoverageReport|null}
+ */
+export function parseNodeCoverage(output) {
+  const lines = String(output || '').split('\n');
+  const start = lines.findIndex((l) => /start of coverage report/.test(l));
+  if (start === -1) return null;
+
+  const files = [];
+  let total = null;
+  for (const line of lines.slice(start + 1)) {
+    if (/end of coverage report/.test(line)) break;
+    const cells = line.replace(/^\s*[#ℹ]\s?/, '').split('|').map((c) => c.trim());
+    if (cells.length < 4 || !/^\d/.test(cells[1])) continue;
+
+    const entry = {
+      file: cells[0],
+      lines: Number(cells[1]),
+      branches: Number(cells[2]),
+      functions: Number(cells[3]),
+    };
+    if (entry.file === 'all files') {
+      total = entry;
+    } else {
+      files.push(entry);
+    }
+  }
+
+  if (!total && files.length === 0) return null;
+  return {
+    lines: total?.lines ?? null,
+    branches: total?.branches ?? null,
+    functions: total?.functions ?? null,
+    files,
+    source: 'node:test',
+  };
+}
+
+/**
+ * Parse an istanbul json-summary report (c8, jest, vitest).
+ *
+ * @param {string|object} summary - coverage-summary.json text or object
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {CoverageReport|null}
+ */
+export function parseCoverageSummary(summary, options = {}) {
+  let data = summary;
+  if (typeof summary === 'string') {
+    try {
+      data = JSON.parse(summary);
+    } catch {
+      return null;
+    }
+  }
+  if (!data?.total) return null;
+
+  const pct = (entry, key) => (typeof entry?.[key]?.pct === 'number' ? entry[key].pct : null);
+  const files = Object.entries(data)
+    .filter(([file]) => file !== 'total')
+    .map(([file, entry]) => ({
+      file: toProjectPath(file, options.projectDir),
+      lines: pct(entry, 'lines'),
+      branches: pct(entry, 'branches'),
+      functions: pct(entry, 'functions'),
+    }));
+
+  return {
+    lines: pct(data.total, 'lines'),
+    branches: pct(data.total, 'branches'),
+    functions: pct(data.total, 'functions'),
+    files,
+    source: 'istanbul',
+  };
+}
+
+/**
+ * Parse an lcov tracefile.
+ *
+ * @param {string} text - lcov.info content
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {CoverageReport|null}
+ */
+export function parseLcov(text, options = {}) {
+  const files = [];
+  const totals = { LF: 0, LH: 0, BRF: 0, BRH: 0, FNF: 0, FNH: 0 };
+  let current = null;
+
+  for (const line of String(text || '').split('\n')) {
+    const [key, value] = line.trim().split(/:(.*)/s);
+    if (key === 'SF') {
+      current = { file: toProjectPath(value, options.projectDir), LF: 0, LH: 0, BRF: 0, BRH: 0, FNF: 0, FNH: 0 };
+    } else if (current && key in totals) {
+      current[key] = Number(value) || 0;
+    } else if (current && key === 'end_of_record') {
+      for (const k of Object.keys(totals)) totals[k] += current[k];
+      files.push({
+        file: current.file,
+        lines: percent(current.LH, current.LF),
+        branches: percent(current.BRH, current.BRF),
+        functions: percent(current.FNH, current.FNF),
+      });
+      current = null;
+    }
+  }
+
+  if (files.length === 0) return null;
+  return {
+    lines: percent(totals.LH, totals.LF),
+    branches: percent(totals.BRH, totals.BRF),
+    functions: percent(totals.FNH, totals.FNF),
+    files,
+    source: 'lcov',
+  };
+}
+
+/**
+ * Read coverage output left in a directory (json-summary first, then lcov).
+ *
+ * @param {string} dir - e.g. <project>/coverage
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {CoverageReport|null}
+ */
+export function readCoverageArtifacts(dir, options = {}) {
+  for (const name of COVERAGE_ARTIFACTS) {
+    const file = join(dir, name);
+    if (!existsSync(file)) continue;
+    try {
+      const content = readFileSync(file, 'utf-8');
+      const report = name.endsWith('.json') ? parseCoverageSummary(content, options) : parseLcov(content, options);
+      if (report) return report;
+    } catch {
+      // Unreadable — try the next artifact
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Collection
+// ---------------------------------------------------------------------------
+
+/**
+ * Describe how to collect coverage for a runner.
+ *
+ * node:test rejects --experimental-test-coverage in NODE_OPTIONS, so the
+ * flag is added to the `node --test` call itself — taken from the test
+ * script when the command is `npm test`. jest and vitest write a
+ * json-summary into `reportDir`; other runners are wrapped in c8 when the
+ * project has it installed.
+ *
+ * @param {string} runner
+ * @param {string} command - Test command
+ * @param {string} projectDir
+ * @param {string} reportDir - Where file-based coverage reports should go
+ * @returns {{ command: string, reportDir: string|null }|null} null when coverage cannot be collected
+ */
+export function getCoverageSetup(runner, command, projectDir, reportDir) {
+  const separator = /^npm (test|t|run(-script)? \S+)\b/.test(command) && !/\s--(\s|$)/.test(command) ? ' --' : '';
+  const dir = `"${reportDir}"`;
+
+  switch (runner) {
+    case 'node:test': {
+      let base = command;
+      if (/^npm (test|t)$/.test(command.trim())) {
+        try {
+          base = JSON.parse(readFileSync(join(projectDir, 'package.json'), 'utf-8')).scripts?.test || command;
+        } catch {
+          base = command;
+        }
+      }
+      if (/--experimental-test-coverage/.test(base)) return { command: base, reportDir: null };
+      if (!/node\s+--test\b/.test(base)) return null;
+      return { command: base.replace(/node\s+--test\b/, 'node --test --experimental-test-coverage'), reportDir: null };
+    }
+    case 'jest':
+      return {
+        command: `${command}${separator} --coverage --coverageReporters=json-summary --coverageReporters=lcov --coverageDirectory=${dir}`,
+        reportDir,
+      };
+    case 'vitest':
+      return {
+        command: `${command}${separator} --coverage.enabled --coverage.reporter=json-summary --coverage.reporter=lcov --coverage.reportsDirectory=${dir}`,
+        reportDir,
+      };
+    default: {
+      const c8 = join(projectDir, 'node_modules', '.bin', 'c8');
+      if (!existsSync(c8)) return null;
+      return { command: `"${c8}" --reporter=json-summary --reporter=lcov --report-dir=${dir} ${command}`, reportDir };
+    }
+  }
+}
+
+/**
+ * Store a coverage report as the project's latest and record its totals
+ * in the metrics history.
+ *
+ * @param {string} projectDir
+ * @param {CoverageReport} report
+ * @param {{ agent?: string, sessionId?: string }} [context={}]
+ * @returns {CoverageReport} The report with `collectedAt`
+ */
+export function recordCoverage(projectDir, report, context = {}) {
+  const stored = { ...report, collectedAt: new Date().toISOString() };
+  const path = join(projectDir, COVERAGE_REPORT_FILE);
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(stored, null, 2) + '\n', 'utf-8');
+
+  if (typeof report.lines === 'number') {
+    recordMetric(projectDir, { type: METRIC_TYPES.COVERAGE, value: report.lines, ...context });
+  }
+  if (typeof report.branches === 'number') {
+    recordMetric(projectDir, { type: METRIC_TYPES.BRANCH_COVERAGE, value: report.branches, ...context });
+  }
+  return stored;
+}
+
+/**
+ * Load the latest recorded coverage report.
+ *
+ * @param {string} projectDir
+ * @returns {CoverageReport|null}
+ */
+export function loadCoverageReport(projectDir) {
+  const path = join(projectDir, COVERAGE_REPORT_FILE);
+  if (!existsSync(path)) return null;
+  try {
+    const report = JSON.parse(readFileSync(path, 'utf-8'));
+    return Array.isArray(report?.files) ? report : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a coverage report predates the project's sources: it is stale
+ * when a source file was modified after `collectedAt`, or when it has no
+ * readable `collectedAt`.
+ *
+ * @param {string} projectDir
+ * @param {CoverageReport} report
+ * @returns {boolean}
+ */
+export function isCoverageStale(projectDir, report) {
+  return sourcesChangedSince(projectDir, report?.collectedAt);
+}
+
+/**
+ * Whether a project source file was modified after a timestamp (also
+ * true for a missing or unreadable timestamp). Used to tell whether a
+ * recorded report still describes the code.
+ *
+ * @param {string} projectDir
+ * @param {string|undefined} timestamp - ISO timestamp
+ * @returns {boolean}
+ */
+export function sourcesChangedSince(projectDir, timestamp) {
+  const since = Date.parse(timestamp);
+  if (Number.isNaN(since)) return true;
+
+  return listSourceFiles(projectDir).some((file) => {
+    try {
+      // Reports are stamped in whole milliseconds; a write within that millisecond preceded it
+      return Math.floor(statSync(join(projectDir, file)).mtimeMs) > since;
+    } catch {
+      return false; // Deleted since it was listed
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Thresholds
+// ---------------------------------------------------------------------------
+
+/**
+ * Load coverage thresholds from a project's config.yaml.
+ *
+ * @param {string} projectDir
+ * @returns {CoverageThresholds}
+ */
+export function loadCoverageThresholds(projectDir) {
+  const thresholds = { lines: null, branches: null, functions: null };
+
+  const configPath = join(projectDir, 'chati.dev', 'config.yaml');
+  if (!existsSync(configPath)) return thresholds;
+
+  let raw;
+  try {
+    raw = yaml.load(readFileSync(configPath, 'utf-8'))?.coverage;
+  } catch {
+    return thresholds;
+  }
+  if (!raw || typeof raw !== 'object') return thresholds;
+
+  thresholds.lines = toThreshold(raw.lines);
+  thresholds.branches = toThreshold(raw.branches);
+  thresholds.functions = toThreshold(raw.functions);
+  return thresholds;
+}
+
+/**
+ * Whether any threshold is configured.
+ *
+ * @param {CoverageThresholds} thresholds
+ * @returns {boolean}
+ */
+export function hasCoverageThresholds(thresholds) {
+  return Object.values(thresholds).some((value) => value !== null);
+}
+
+/**
+ * Check a coverage report against thresholds.
+ *
+ * @param {CoverageReport} report
+ * @param {CoverageThresholds} thresholds
+ * @returns {CoverageCheck}
+ */
+export function checkCoverage(report, thresholds) {
+  const metrics = Object.keys(thresholds).filter((key) => thresholds[key] !== null);
+  const failures = [];
+
+  for (const key of metrics) {
+    if (typeof report[key] !== 'number') {
+      failures.push(`${key} coverage not reported`);
+    } else if (report[key] < thresholds[key]) {
+      failures.push(`${key} ${report[key]}% < ${thresholds[key]}%`);
+    }
+  }
+
+  const gaps = [];
+  for (const file of report.files || []) {
+    const below = metrics.filter((key) => typeof file[key] === 'number' && file[key] < thresholds[key]);
+    if (below.length > 0) gaps.push({ ...file, below });
+  }
+  gaps.sort((a, b) => (a.lines ?? 100) - (b.lines ?? 100) || a.file.localeCompare(b.file));
+
+  return { met: failures.length === 0, failures, gaps };
+}
+
+/**
+ * Coverage evidence for a quality gate: the latest report checked against
+ * the configured thresholds.
+ *
+ * @param {string} projectDir
+ * @returns {{ configured: boolean, thresholds: CoverageThresholds, report: object|null, stale: boolean, met: boolean|null, failures: string[], gaps: object[] }}
+ *   `met` is null when no thresholds are configured or no fresh report exists
+ */
+export function getCoverageEvidence(projectDir) {
+  const thresholds = loadCoverageThresholds(projectDir);
+  const configured = hasCoverageThresholds(thresholds);
+  const report = loadCoverageReport(projectDir);
+  const stale = Boolean(configured && report && isCoverageStale(projectDir, report));
+  const check = configured && report && !stale ? checkCoverage(report, thresholds) : null;
+
+  return {
+    configured,
+    thresholds,
+    stale,
+    report: report && {
+      lines: report.lines,
+      branches: report.branches,
+      functions: report.functions,
+      collectedAt: report.collectedAt || null,
+    },
+    met: check ? check.met : null,
+    failures: check ? check.failures : [],
+    gaps: check ? check.gaps : [],
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Machine-readable lint reporter support.
+ *
+ * runLint asks ESLint, Biome and Ruff for JSON output and parses it into
+ * structured findings (rule, file, line, severity), so gates score lint
+ * on real error counts instead of scraping text. How many errors and
+ * warnings a project tolerates comes from `lint:` in chati.dev/config.yaml.
+ *
+ * Constitution Article XIV — Framework Registry Governance.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, isAbsolute, relative } from 'path';
+import yaml from 'js-yaml';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} LintFinding
+ * @property {string|null} rule - Rule id (e.g. no-unused-vars, F401)
+ * @property {string|null} file - File, relative to the project when possible
+ * @property {number|null} line
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} ParsedLintReport
+ * @property {number} errors
+ * @property {number} warnings
+ * @property {LintFinding[]} findings
+ */
+
+/**
+ * @typedef {object} LintAllowance
+ * @property {number} errors - Errors tolerated before lint fails (default 0)
+ * @property {number|null} warnings - Warnings tolerated; null = unlimited
+ */
+
+// ---------------------------------------------------------------------------
+// Reporter Selection
+// ---------------------------------------------------------------------------
+
+/**
+ * Name the linter a command runs.
+ *
+ * @param {string} command - Lint command or script
+ * @returns {'eslint'|'biome'|'ruff'|'unknown'}
+ */
+export function detectLinterFromScript(command) {
+  if (/\beslint\b/.test(command)) return 'eslint';
+  if (/\bbiome\b/.test(command)) return 'biome';
+  if (/\bruff\b/.test(command)) return 'ruff';
+  return 'unknown';
+}
+
+/**
+ * Describe how to ask a linter for JSON output.
+ *
+ * ESLint and Ruff write the report to a file, which keeps it clear of npm's
+ * script banner; Biome prints it on stdout.
+ *
+ * @param {string} linter - eslint|biome|ruff
+ * @param {string} command - Lint command
+ * @param {string} reportFile - Where file-based reporters should write
+ * @returns {{ command: string, reportFile: string|null }|null}
+ *   null when the linter has no supported format or the command already picks one
+ */
+export function getLintReporterSetup(linter, command, reportFile) {
+  const separator = /^npm (run(-script)? \S+)\b/.test(command) && !/\s--(\s|$)/.test(command) ? ' --' : '';
+  const file = `"${reportFile}"`;
+
+  switch (linter) {
+    case 'eslint':
+      if (/\s(-f|--format)\b/.test(command)) return null;
+      return { command: `${command}${separator} --format json --output-file ${file}`, reportFile };
+    case 'biome':
+      if (/--reporter\b/.test(command)) return null;
+      return { command: `${command}${separator} --reporter=json`, reportFile: null };
+    case 'ruff':
+      if (/--output-format\b|--format\b/.test(command)) return null;
+      return { command: `${command}${separator} --output-format=json --output-file=${file}`, reportFile };
+    default:
+      return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function toProjectPath(file, projectDir) {
+  if (!file) return null;
+  return projectDir && isAbsolute(file) ? relative(projectDir, file) : file;
+}
+
+/**
+ * Parse JSON that may be surrounded by other output (npm banners, summaries).
+ *
+ * @param {string|object} input
+ * @returns {*} Parsed value, or undefined
+ */
+function readJson(input) {
+  if (typeof input !== 'string') return input ?? undefined;
+  try {
+    return JSON.parse(input);
+  } catch {
+    // Look for the first line that opens a JSON value
+  }
+  const lines = input.split('\n');
+  const start = lines.findIndex((l) => /^\s*[[{]/.test(l));
+  if (start === -1) return undefined;
+  for (let end = lines.length; end > start; end--) {
+    try {
+      return JSON.parse(lines.slice(start, end).join('\n'));
+    } catch {
+      // Trailing non-JSON output — drop a line and retry
+    }
+  }
+  return undefined;
+}
+
+function summarize(findings) {
+  return {
+    errors: findings.filter((f) => f.severity === 'error').length,
+    warnings: findings.filter((f) => f.severity === 'warning').length,
+    findings,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Parsers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse ESLint `--format json` output.
+ *
+ * @param {string|object[]} report
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {ParsedLintReport|null} null when the report is not ESLint JSON
+ */
+export function parseEslintJson(report, options = {}) {
+  const data = readJson(report);
+  if (!Array.isArray(data)) return null;
+
+  const findings = [];
+  for (const result of data) {
+    for (const msg of result.messages || []) {
+      findings.push({
+        rule: msg.ruleId || null,
+        file: toProjectPath(result.filePath || null, options.projectDir),
+        line: typeof msg.line === 'number' ? msg.line : null,
+        severity: msg.severity === 2 || msg.fatal ? 'error' : 'warning',
+        message: String(msg.message || '').trim(),
+      });
+    }
+  }
+  return summarize(findings);
+}
+
+/**
+ * Parse Biome `--reporter=json` output.
+ *
+ * @param {string|object} report
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {ParsedLintReport|null} null when the report is not Biome JSON
+ */
+export function parseBiomeJson(report, options = {}) {
+  const data = readJson(report);
+  if (!data || !Array.isArray(data.diagnostics)) return null;
+
+  const findings = data.diagnostics
+    .filter((d) => d.severity === 'error' || d.severity === 'fatal' || d.severity === 'warning')
+    .map((d) => ({
+      rule: d.category || null,
+      file: toProjectPath(d.location?.path?.file || null, options.projectDir),
+      line: typeof d.location?.start?.line === 'number' ? d.location.start.line : null,
+      severity: d.severity === 'warning' ? 'warning' : 'error',
+      message: String(d.description || d.message || '').trim(),
+    }));
+  return summarize(findings);
+}
+
+/**
+ * Parse Ruff `--output-format=json` output. Every Ruff violation is an error.
+ *
+ * @param {string|object[]} report
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {ParsedLintReport|null} null when the report is not Ruff JSON
+ */
+export function parseRuffJson(report, options = {}) {
+  const data = readJson(report);
+  if (!Array.isArray(data)) return null;
+
+  const findings = data.map((v) => ({
+    rule: v.code || null,
+    file: toProjectPath(v.filename || null, options.projectDir),
+    line: typeof v.location?.row === 'number' ? v.location.row : null,
+    severity: 'error',
+    message: String(v.message || '').trim(),
+  }));
+  return summarize(findings);
+}
+
+/**
+ * Parse a linter's JSON report.
+ *
+ * @param {string} linter - eslint|biome|ruff
+ * @param {string|object} report
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {ParsedLintReport|null}
+ */
+export function parseLintReport(linter, report, options = {}) {
+  switch (linter) {
+    case 'eslint':
+      return parseEslintJson(report, options);
+    case 'biome':
+      return parseBiomeJson(report, options);
+    case 'ruff':
+      return parseRuffJson(report, options);
+    default:
+      return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Allowance
+// ---------------------------------------------------------------------------
+
+/**
+ * Load the lint allowance from a project's config.yaml.
+ *
+ * @param {string} projectDir
+ * @returns {LintAllowance}
+ */
+export function loadLintAllowance(projectDir) {
+  const allowance = { errors: 0, warnings: null };
+
+  const configPath = join(projectDir, 'chati.dev', 'config.yaml');
+  if (!existsSync(configPath)) return allowance;
+
+  let raw;
+  try {
+    raw = yaml.load(readFileSync(configPath, 'utf-8'))?.lint;
+  } catch {
+    return allowance;
+  }
+  if (!raw || typeof raw !== 'object') return allowance;
+
+  if (Number.isInteger(raw.max_errors) && raw.max_errors >= 0) allowance.errors = raw.max_errors;
+  if (Number.isInteger(raw.max_warnings) && raw.max_warnings >= 0) allowance.warnings = raw.max_warnings;
+  return allowance;
+}
+
+/**
+ * Score lint results against an allowance.
+ *
+ * Within the allowance the score is 100; each error over it costs 10
+ * points and each warning over it 1 point.
+ *
+ * @param {{ errors: number, warnings: number }} result
+ * @param {LintAllowance} allowance
+ * @returns {{ passed: boolean, score: number, excessErrors: number, excessWarnings: number }}
+ */
+export function scoreLint(result, allowance) {
+  const excessErrors = Math.max(0, result.errors - allowance.errors);
+  const excessWarnings = allowance.warnings === null ? 0 : Math.max(0, result.warnings - allowance.warnings);
+  return {
+    passed: excessErrors === 0 && excessWarnings === 0,
+    score: Math.max(0, 100 - excessErrors * 10 - excessWarnings),
+    excessErrors,
+    excessWarnings,
+  };
+}
@@ -28,7 +28,9 @@ export const METRIC_TYPES = {
   QA_SCORE: 'qa_score',
   HEALTH_SCORE: 'health_score',
   TEST_COUNT: 'test_count',
+  TEST_FAILURES: 'test_failures',
   COVERAGE: 'coverage',
+  BRANCH_COVERAGE: 'branch_coverage',
   LINT_ERRORS: 'lint_errors',
   BUILD_TIME: 'build_time',
 };
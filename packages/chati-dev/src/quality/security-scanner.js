@@ -0,0 +1,444 @@
+/**
+ * @fileoverview Local security scanner.
+ *
+ * Runs without network access and produces findings with file and line
+ * references for gates G3/G4 and the safety net:
+ *   - secrets: known key formats, and high-entropy values assigned to
+ *     secret-looking names, in the project's committed files
+ *   - dependencies: package-lock.json entries matching an offline advisory
+ *     database (chati.dev/security/advisories.json)
+ *   - patterns: eval, shell commands built from strings, and SQL built by
+ *     concatenation, in changed files (every source file outside git)
+ *
+ * A shell command is critical only when it interpolates request or argv
+ * input; other interpolation is reported as medium. Test and fixture files
+ * are not scanned for secrets or patterns, and a private key header only
+ * counts when key material follows it.
+ *
+ * A line containing `chati-security-ignore` is skipped.
+ *
+ * Constitution Article XIV — Framework Registry Governance.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import semver from 'semver';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Offline advisory database, relative to the project root. */
+export const ADVISORY_DB_FILE = 'chati.dev/security/advisories.json';
+
+/** Severities, most severe first. */
+export const SECURITY_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+/** Directories never scanned. */
+const IGNORED_DIRS = ['.git', 'node_modules', '.chati', 'coverage', 'dist'];
+
+/** Files larger than this are skipped. */
+const MAX_FILE_BYTES = 1_000_000;
+
+/** Upper bound on files read in one scan. */
+const MAX_SCANNED_FILES = 5000;
+
+/** Files checked for risky code patterns. */
+const SOURCE_PATTERN = /\.(c|m)?[jt]sx?$|\.py$/;
+
+/** Test and fixture files, skipped by the secret and pattern scans. */
+const TEST_OR_FIXTURE = /(^|\/)(test|tests|__tests__|fixtures?|__fixtures__|__mocks__)\/|\.(test|spec)\.(c|m)?[jt]sx?$|(^|\/)test_[^/]*\.py$/;
+
+/** Base64 key material following a private key header. */
+const KEY_MATERIAL = /^(\\n|["'`+,\s])*[A-Za-z0-9+/=]{40,}/;
+
+/** Names of values that come from a request or the command line. */
+const UNTRUSTED_INPUT = String.raw`(req|request|params|query|body|process\.argv|argv)\b`;
+
+/** Minimum Shannon entropy (bits per character) for an assigned secret. */
+const SECRET_ENTROPY_THRESHOLD = 3.5;
+
+const IGNORE_MARKER = 'chati-security-ignore';
+
+/** Known credential formats. */
+const SECRET_FORMATS = [
+  { rule: 'aws-access-key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/, message: 'AWS access key' },
+  { rule: 'github-token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/, message: 'GitHub token' },
+  { rule: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/, message: 'Slack token' },
+  { rule: 'stripe-live-key', pattern: /\b[rs]k_live_[0-9a-zA-Z]{24,}\b/, message: 'Stripe live key' },
+  { rule: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/, message: 'Google API key' },
+  { rule: 'anthropic-api-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{32,}/, message: 'Anthropic API key' },
+  { rule: 'openai-api-key', pattern: /\bsk-(proj-)?[A-Za-z0-9]{32,}\b/, message: 'OpenAI API key' },
+  { rule: 'private-key', pattern: /-----BEGIN (RSA |EC |DSA |OPENSSH |PGP )?PRIVATE KEY( BLOCK)?-----/, message: 'Private key', material: true },
+];
+
+/** `name = "value"` where the name suggests a credential. */
+const SECRET_ASSIGNMENT = /\b[\w-]*(secret|token|passw(or)?d|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)[\w-]*["']?\s*[:=]\s*(["'])([^"'\s]{16,})\3/i;
+
+/** Values that look like placeholders rather than secrets. */
+const PLACEHOLDER = /^(x+|\*+|<.*>|\$\{.*\}|your[-_].*|change[-_]?me.*|example.*|placeholder.*|dummy.*|test.*)$/i;
+
+/** Risky code patterns. */
+const CODE_PATTERNS = [
+  { rule: 'eval', severity: 'high', pattern: /(^|[^\w.])eval\s*\(/, message: 'eval() executes arbitrary code' }, // chati-security-ignore
+  { rule: 'new-function', severity: 'high', pattern: /\bnew\s+Function\s*\(/, message: 'new Function() executes arbitrary code' }, // chati-security-ignore
+  {
+    rule: 'shell-injection',
+    severity: 'critical',
+    pattern: new RegExp(String.raw`\b(exec|execSync|spawn|spawnSync)\s*\(\s*(\`[^\`]*\$\{[^}]*\b${UNTRUSTED_INPUT}|(["'])[^"']*\4\s*\+\s*${UNTRUSTED_INPUT})`),
+    message: 'Shell command built from request input',
+  },
+  {
+    rule: 'shell-injection',
+    severity: 'medium',
+    pattern: /\b(exec|execSync|spawn|spawnSync)\s*\(\s*(`[^`]*\$\{|(["'])[^"']*\3\s*\+)/,
+    message: 'Shell command built from interpolated values',
+  },
+  { rule: 'shell-injection', severity: 'high', pattern: /\bos\.system\s*\(\s*f?["'][^"']*["']\s*(%|\+|\.format)/, message: 'Shell command built from interpolated values' },
+  { rule: 'shell-injection', severity: 'medium', pattern: /\bshell\s*=\s*True/, message: 'Subprocess command run through the shell' },
+  {
+    rule: 'sql-concatenation',
+    severity: 'high',
+    pattern: /(["'`])\s*(SELECT\b[^"'`]*\bFROM|INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM)\b[^"'`]*(\1\s*\+|\$\{)/i,
+    message: 'SQL query built by string concatenation',
+  },
+];
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} SecurityFinding
+ * @property {'secret'|'dependency'|'pattern'} type
+ * @property {string} rule - e.g. aws-access-key, GHSA id, shell-injection
+ * @property {'critical'|'high'|'medium'|'low'} severity
+ * @property {string} file - Path relative to the project
+ * @property {number|null} line
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} SecurityScan
+ * @property {boolean} clean - No critical or high findings
+ * @property {SecurityFinding[]} findings - Most severe first
+ * @property {Record<string, number>} counts - Findings per severity
+ * @property {number} scannedFiles
+ * @property {string|null} advisoryDb - Advisory database used, if any
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+function isIgnored(relPath) {
+  return relPath.split('/').some((part) => IGNORED_DIRS.includes(part));
+}
+
+function walk(dir, root, files) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (files.length >= MAX_SCANNED_FILES) return;
+    const abs = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name)) walk(abs, root, files);
+    } else if (entry.isFile()) {
+      files.push(relative(root, abs).split('\\').join('/'));
+    }
+  }
+}
+
+/**
+ * Files the project would commit (git: tracked plus untracked, not ignored).
+ *
+ * @param {string} projectDir
+ * @returns {{ files: string[], changed: string[]|null }} changed is null outside git
+ */
+function listFiles(projectDir) {
+  try {
+    const files = git(['ls-files', '--cached', '--others', '--exclude-standard'], projectDir)
+      .split('\n')
+      .filter(Boolean);
+    const changed = git(['status', '--porcelain', '--untracked-files=all', '.'], projectDir)
+      .split('\n')
+      .filter((line) => line.length > 3 && line[0] !== 'D' && line[1] !== 'D')
+      .map((line) => line.slice(3).split(' -> ').pop().replace(/^"|"$/g, ''));
+    // git status paths are relative to the repository root
+    const prefix = git(['rev-parse', '--show-prefix'], projectDir).trim();
+    return {
+      files: [...new Set(files)].filter((f) => !isIgnored(f)).slice(0, MAX_SCANNED_FILES),
+      changed: changed.filter((f) => f.startsWith(prefix)).map((f) => f.slice(prefix.length)),
+    };
+  } catch {
+    const files = [];
+    walk(projectDir, projectDir, files);
+    return { files, changed: null };
+  }
+}
+
+function readText(path) {
+  try {
+    if (statSync(path).size > MAX_FILE_BYTES) return null;
+    const content = readFileSync(path, 'utf-8');
+    return content.includes('\0') ? null : content;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Shannon entropy of a string, in bits per character.
+ *
+ * @param {string} value
+ * @returns {number}
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function isCommentLine(line) {
+  return /^\s*(\/\/|\*|\/\*|#)/.test(line);
+}
+
+/**
+ * Whether key material follows a private key header, on the same line
+ * (e.g. after an escaped newline) or on the next non-empty line.
+ */
+function hasKeyMaterial(lines, index, header) {
+  const match = header.exec(lines[index]);
+  if (KEY_MATERIAL.test(lines[index].slice(match.index + match[0].length))) return true;
+  const next = lines.slice(index + 1).find((line) => line.trim());
+  return next !== undefined && KEY_MATERIAL.test(next.trim());
+}
+
+// ---------------------------------------------------------------------------
+// Scanners
+// ---------------------------------------------------------------------------
+
+/**
+ * Find credentials in file content.
+ *
+ * @param {string} content
+ * @param {string} file - Reported path
+ * @returns {SecurityFinding[]}
+ */
+export function scanSecrets(content, file) {
+  const findings = [];
+  const lines = String(content || '').split('\n');
+
+  lines.forEach((line, i) => {
+    if (line.includes(IGNORE_MARKER)) return;
+
+    const known = SECRET_FORMATS.find((f) => f.pattern.test(line) && (!f.material || hasKeyMaterial(lines, i, f.pattern)));
+    if (known) {
+      findings.push({ type: 'secret', rule: known.rule, severity: 'critical', file, line: i + 1, message: `${known.message} committed` });
+      return;
+    }
+
+    const assigned = SECRET_ASSIGNMENT.exec(line);
+    const value = assigned?.[4];
+    if (value && !PLACEHOLDER.test(value) && shannonEntropy(value) >= SECRET_ENTROPY_THRESHOLD) {
+      findings.push({
+        type: 'secret',
+        rule: 'high-entropy-secret',
+        severity: 'high',
+        file,
+        line: i + 1,
+        message: `Possible hardcoded ${assigned[1].toLowerCase()}`,
+      });
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Find risky code patterns in source content.
+ *
+ * @param {string} content
+ * @param {string} file - Reported path
+ * @returns {SecurityFinding[]}
+ */
+export function scanPatterns(content, file) {
+  const findings = [];
+  const lines = String(content || '').split('\n');
+
+  lines.forEach((line, i) => {
+    if (line.includes(IGNORE_MARKER) || isCommentLine(line)) return;
+    const seen = new Set();
+    for (const p of CODE_PATTERNS) {
+      if (seen.has(p.rule) || !p.pattern.test(line)) continue;
+      seen.add(p.rule);
+      findings.push({ type: 'pattern', rule: p.rule, severity: p.severity, file, line: i + 1, message: p.message });
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Load the offline advisory database.
+ *
+ * Format: `{ "advisories": [{ "id", "package", "vulnerable", "severity", "title" }] }`
+ * (or a bare array), where `vulnerable` is a semver range.
+ *
+ * @param {string} path
+ * @returns {object[]|null} null when the file is missing or invalid
+ */
+export function loadAdvisories(path) {
+  if (!existsSync(path)) return null;
+  try {
+    const data = JSON.parse(readFileSync(path, 'utf-8'));
+    const list = Array.isArray(data) ? data : data?.advisories;
+    return Array.isArray(list) ? list.filter((a) => a?.package && a?.vulnerable) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Match package-lock.json entries (lockfile v1-v3) against advisories.
+ *
+ * @param {string} lockContent - package-lock.json text
+ * @param {object[]} advisories
+ * @param {string} [file='package-lock.json'] - Reported path
+ * @returns {SecurityFinding[]}
+ */
+export function scanDependencies(lockContent, advisories, file = 'package-lock.json') {
+  let lock;
+  try {
+    lock = JSON.parse(lockContent);
+  } catch {
+    return [];
+  }
+
+  /** @type {Array<{ name: string, version: string, key: string }>} */
+  const installed = [];
+  if (lock.packages) {
+    for (const [key, meta] of Object.entries(lock.packages)) {
+      if (!key || !meta?.version) continue;
+      installed.push({ name: meta.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length), version: meta.version, key });
+    }
+  } else {
+    const visit = (deps) => {
+      for (const [name, meta] of Object.entries(deps || {})) {
+        if (meta?.version) installed.push({ name, version: meta.version, key: name });
+        visit(meta?.dependencies);
+      }
+    };
+    visit(lock.dependencies);
+  }
+
+  const lines = lockContent.split('\n');
+  const lineOf = (key) => {
+    const index = lines.findIndex((l) => l.includes(`"${key}": {`));
+    return index === -1 ? null : index + 1;
+  };
+
+  const findings = [];
+  for (const pkg of installed) {
+    for (const advisory of advisories) {
+      if (advisory.package !== pkg.name) continue;
+      // satisfies() is false for invalid versions and ranges
+      if (!semver.satisfies(pkg.version, advisory.vulnerable, { includePrerelease: true })) continue;
+      findings.push({
+        type: 'dependency',
+        rule: advisory.id || `${pkg.name}@${advisory.vulnerable}`,
+        severity: SECURITY_SEVERITIES.includes(advisory.severity) ? advisory.severity : 'high',
+        file,
+        line: lineOf(pkg.key),
+        message: `${pkg.name}@${pkg.version}: ${advisory.title || `vulnerable (${advisory.vulnerable})`}`,
+      });
+    }
+  }
+  return findings;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Scan a project for secrets, vulnerable dependencies and risky patterns.
+ *
+ * @param {string} projectDir
+ * @param {{ files?: string[], advisoryFile?: string }} [options={}]
+ *   files: limit the pattern scan to these files (default: git changes)
+ * @returns {SecurityScan}
+ */
+export function scanProject(projectDir, options = {}) {
+  const { files, changed } = listFiles(projectDir);
+  const patternFiles = new Set((options.files || changed || files).filter((f) => SOURCE_PATTERN.test(f)));
+  const findings = [];
+
+  for (const file of files) {
+    if (TEST_OR_FIXTURE.test(file)) continue;
+    const content = readText(join(projectDir, file));
+    if (content === null) continue;
+    findings.push(...scanSecrets(content, file));
+    if (patternFiles.has(file)) findings.push(...scanPatterns(content, file));
+  }
+
+  const advisoryDb = options.advisoryFile || join(projectDir, ADVISORY_DB_FILE);
+  const advisories = loadAdvisories(advisoryDb);
+  const lockPath = join(projectDir, 'package-lock.json');
+  if (advisories && existsSync(lockPath)) {
+    findings.push(...scanDependencies(readFileSync(lockPath, 'utf-8'), advisories));
+  }
+
+  findings.sort((a, b) =>
+    SECURITY_SEVERITIES.indexOf(a.severity) - SECURITY_SEVERITIES.indexOf(b.severity)
+    || a.file.localeCompare(b.file)
+    || (a.line ?? 0) - (b.line ?? 0));
+
+  const counts = Object.fromEntries(SECURITY_SEVERITIES.map((s) => [s, findings.filter((f) => f.severity === s).length]));
+
+  return {
+    clean: counts.critical === 0 && counts.high === 0,
+    findings,
+    counts,
+    scannedFiles: files.length,
+    advisoryDb: advisories ? advisoryDb : null,
+  };
+}
+
+/**
+ * Describe a finding with its location, e.g. "AWS access key committed (src/a.js:3)".
+ *
+ * @param {SecurityFinding} finding
+ * @returns {string}
+ */
+export function describeFinding(finding) {
+  return `${finding.message} (${finding.file}${finding.line ? `:${finding.line}` : ''})`;
+}
+
+/**
+ * Security evidence for a quality gate: a fresh scan, trimmed for the
+ * gate record.
+ *
+ * @param {string} projectDir
+ * @param {{ files?: string[], advisoryFile?: string, maxFindings?: number }} [options={}]
+ * @returns {{ clean: boolean, counts: Record<string, number>, findings: SecurityFinding[], scannedFiles: number, advisoryDb: string|null }}
+ */
+export function getSecurityEvidence(projectDir, options = {}) {
+  const scan = scanProject(projectDir, options);
+  return { ...scan, findings: scan.findings.slice(0, options.maxFindings ?? 20) };
+}
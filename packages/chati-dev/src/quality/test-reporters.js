@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Machine-readable test reporter support.
+ *
+ * runTests asks each runner for a structured format — TAP for node:test,
+ * JSON for jest and vitest, JUnit XML (xunit) for mocha — and parses it
+ * into per-test results, so callers can reason about individual failing
+ * tests instead of a pass/fail count.
+ *
+ * Constitution Article XIV — Framework Registry Governance.
+ */
+
+import yaml from 'js-yaml';
+import { isAbsolute, relative } from 'path';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} TestCase
+ * @property {string} name - Test name, prefixed with its suites ("suite > test")
+ * @property {string|null} file - Test file, relative to the project when possible
+ * @property {'passed'|'failed'|'skipped'} status
+ * @property {number|null} duration - Duration in ms
+ * @property {{ message: string, stack: string|null }|null} failure - Set for failed tests
+ */
+
+/**
+ * @typedef {object} ParsedReport
+ * @property {number} total
+ * @property {number} passed
+ * @property {number} failed
+ * @property {number} skipped
+ * @property {TestCase[]} tests
+ */
+
+// ---------------------------------------------------------------------------
+// Reporter Selection
+// ---------------------------------------------------------------------------
+
+/**
+ * Describe how to ask a runner for its machine-readable format.
+ *
+ * node:test takes its reporter through NODE_OPTIONS, because flags after
+ * the test files are read as file names; the others write a report file.
+ *
+ * @param {string} runner - node:test|jest|vitest|mocha
+ * @param {string} command - Test command
+ * @param {string} reportFile - Where file-based reporters should write
+ * @returns {{ format: 'tap'|'json'|'junit', command: string, env: Record<string, string> }|null}
+ *   null when the runner has no supported format or the command already picks a reporter
+ */
+export function getReporterSetup(runner, command, reportFile) {
+  const separator = /^npm (test|t|run(-script)? \S+)\b/.test(command) && !/\s--(\s|$)/.test(command) ? ' --' : '';
+  const file = `"${reportFile}"`;
+
+  switch (runner) {
+    case 'node:test':
+      if (/--test-reporter/.test(command)) return null;
+      return {
+        format: 'tap',
+        command,
+        env: { NODE_OPTIONS: `${process.env.NODE_OPTIONS || ''} --test-reporter=tap`.trim() },
+      };
+    case 'jest':
+      if (/--json\b/.test(command)) return null;
+      return { format: 'json', command: `${command}${separator} --json --outputFile=${file}`, env: {} };
+    case 'vitest':
+      if (/--reporter\b/.test(command)) return null;
+      return { format: 'json', command: `${command}${separator} --reporter=json --outputFile=${file}`, env: {} };
+    case 'mocha':
+      if (/--reporter\b|\s-R\s/.test(command)) return null;
+      return {
+        format: 'junit',
+        command: `${command}${separator} --reporter=xunit --reporter-option output=${file}`,
+        env: {},
+      };
+    default:
+      return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function toProjectPath(file, projectDir) {
+  if (!file) return null;
+  const path = file.replace(/^file:\/\//, '');
+  return projectDir && isAbsolute(path) ? relative(projectDir, path) : path;
+}
+
+function splitFailure(text) {
+  const [message, ...stack] = String(text || '').split('\n');
+  return { message: message.trim(), stack: stack.join('\n').trim() || null };
+}
+
+function summarize(tests, counts = {}) {
+  const count = (status) => tests.filter((t) => t.status === status).length;
+  const passed = counts.passed ?? count('passed');
+  const failed = counts.failed ?? count('failed');
+  const skipped = counts.skipped ?? count('skipped');
+  return { total: counts.total ?? passed + failed + skipped, passed, failed, skipped, tests };
+}
+
+// ---------------------------------------------------------------------------
+// TAP (node:test)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse TAP output from node:test into per-test results.
+ *
+ * Subtests are printed before the suite that contains them, so a test
+ * point with deeper test points right before it is a suite: its children
+ * are renamed "suite > child" and the suite itself is not counted.
+ *
+ * @param {string} output
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {ParsedReport|null} null when the output holds no TAP test points
+ */
+export function parseTapOutput(output, options = {}) {
+  const lines = String(output || '').split('\n');
+  /** @type {Map<number, TestCase[]>} */
+  const pending = new Map();
+  let found = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const point = /^(\s*)(not ok|ok) \d+ - (.*?)(?:\s+#\s+(SKIP|TODO)\b.*)?$/i.exec(lines[i]);
+    if (!point) continue;
+    found = true;
+
+    const indent = point[1].length;
+    const name = point[3].trim();
+    let details = {};
+
+    // YAML diagnostics block: "---" ... "..." indented two spaces deeper
+    if (lines[i + 1]?.trim() === '---') {
+      const block = [];
+      let j = i + 2;
+      while (j < lines.length && lines[j].trim() !== '...') {
+        block.push(lines[j].slice(indent + 2));
+        j++;
+      }
+      try {
+        details = yaml.load(block.join('\n')) || {};
+      } catch {
+        details = {};
+      }
+      i = j;
+    }
+
+    const children = pending.get(indent + 4) || [];
+    pending.delete(indent + 4);
+    if (!pending.has(indent)) pending.set(indent, []);
+
+    if (children.length > 0) {
+      for (const child of children) child.name = `${name} > ${child.name}`;
+      pending.get(indent).push(...children);
+      continue;
+    }
+    if (details.type === 'suite') continue;
+
+    const status = point[4] ? 'skipped' : point[2].toLowerCase() === 'ok' ? 'passed' : 'failed';
+    pending.get(indent).push({
+      name,
+      file: toProjectPath(String(details.location || '').replace(/:\d+:\d+$/, '') || null, options.projectDir),
+      status,
+      duration: typeof details.duration_ms === 'number' ? details.duration_ms : null,
+      failure: status === 'failed'
+        ? { message: String(details.error ?? 'Test failed').trim(), stack: details.stack ? String(details.stack).trim() : null }
+        : null,
+    });
+  }
+
+  if (!found) return null;
+
+  const tests = [...pending.entries()].sort(([a], [b]) => a - b).flatMap(([, list]) => list);
+  return summarize(tests);
+}
+
+// ---------------------------------------------------------------------------
+// JSON (jest, vitest)
+// ---------------------------------------------------------------------------
+
+const JSON_STATUS = { passed: 'passed', failed: 'failed', pending: 'skipped', skipped: 'skipped', todo: 'skipped', disabled: 'skipped' };
+
+/**
+ * Parse a jest `--json` report (vitest's json reporter uses the same shape).
+ *
+ * @param {string|object} report - JSON text or parsed report
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {ParsedReport|null} null when the report is not valid JSON
+ */
+export function parseJestJson(report, options = {}) {
+  let data = report;
+  if (typeof report === 'string') {
+    try {
+      data = JSON.parse(report);
+    } catch {
+      return null;
+    }
+  }
+  if (!data || !Array.isArray(data.testResults)) return null;
+
+  const tests = [];
+  for (const suite of data.testResults) {
+    const file = toProjectPath(suite.name || suite.testFilePath || null, options.projectDir);
+    const assertions = suite.assertionResults || suite.testResults || [];
+
+    for (const a of assertions) {
+      const status = JSON_STATUS[a.status] || 'failed';
+      tests.push({
+        name: a.fullName || [...(a.ancestorTitles || []), a.title].join(' > '),
+        file,
+        status,
+        duration: typeof a.duration === 'number' ? a.duration : null,
+        failure: status === 'failed' ? splitFailure((a.failureMessages || []).join('\n') || 'Test failed') : null,
+      });
+    }
+
+    // A file that failed to load has no assertions, only a message
+    if (assertions.length === 0 && suite.status === 'failed' && suite.message) {
+      tests.push({ name: file || 'test file', file, status: 'failed', duration: null, failure: splitFailure(suite.message) });
+    }
+  }
+
+  return summarize(tests, {
+    total: data.numTotalTests,
+    passed: data.numPassedTests,
+    failed: data.numFailedTests,
+    skipped: data.numPendingTests !== undefined ? data.numPendingTests + (data.numTodoTests || 0) : undefined,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// JUnit XML (mocha xunit and other JUnit reporters)
+// ---------------------------------------------------------------------------
+
+function decodeXml(text) {
+  return String(text || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function readAttributes(tag) {
+  const attrs = {};
+  for (const match of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attrs[match[1]] = decodeXml(match[2]);
+  }
+  return attrs;
+}
+
+/**
+ * Parse a JUnit XML report.
+ *
+ * @param {string} xml
+ * @param {{ projectDir?: string }} [options={}]
+ * @returns {ParsedReport|null} null when the report has no test cases
+ */
+export function parseJUnitXml(xml, options = {}) {
+  const tests = [];
+  const pattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+  for (const match of String(xml || '').matchAll(pattern)) {
+    const attrs = readAttributes(match[1]);
+    const body = match[2] || '';
+    const failure = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+    const skipped = /<skipped\b/.test(body);
+
+    let failureInfo = null;
+    if (failure) {
+      const failureAttrs = readAttributes(failure[2]);
+      const text = decodeXml(failure[3]).trim();
+      const split = splitFailure(text);
+      failureInfo = failureAttrs.message
+        ? { message: failureAttrs.message, stack: text && text !== failureAttrs.message ? text : split.stack }
+        : { message: split.message || 'Test failed', stack: split.stack };
+    }
+
+    const time = Number.parseFloat(attrs.time);
+    tests.push({
+      name: attrs.classname && attrs.name && !attrs.name.startsWith(attrs.classname)
+        ? `${attrs.classname} > ${attrs.name}`
+        : attrs.name || attrs.classname || 'unnamed test',
+      file: toProjectPath(attrs.file || null, options.projectDir),
+      status: failure ? 'failed' : skipped ? 'skipped' : 'passed',
+      duration: Number.isFinite(time) ? Math.round(time * 1000) : null,
+      failure: failureInfo,
+    });
+  }
+
+  return tests.length > 0 ? summarize(tests) : null;
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Latest full-suite test results for the quality gates.
+ *
+ * runTests({ record: true }) keeps the per-test results of a full run in
+ * .chati/tests/ — counts plus each failing test with its file, message
+ * and stack — and records the test and failure counts in the metrics
+ * history. Task verification records its unscoped runs, and
+ * `chati coverage` records every run.
+ *
+ * Gate G4 reads the latest results: failing tests fail the gate and are
+ * listed by name. Results recorded before the latest source change are
+ * stale and ignored.
+ *
+ * Constitution Article XIV — Framework Registry Governance.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { recordMetric, METRIC_TYPES } from './metrics-collector.js';
+import { sourcesChangedSince } from './coverage.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Latest test results, relative to the project root. */
+export const TEST_RESULTS_FILE = '.chati/tests/latest.json';
+
+/** Failing tests kept per run (the rest are counted, not listed). */
+export const MAX_RECORDED_FAILURES = 50;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} FailingTest
+ * @property {string} name - Test name, prefixed with its suites
+ * @property {string|null} file - Test file, relative to the project when possible
+ * @property {string} message - Failure message
+ * @property {string|null} stack
+ */
+
+/**
+ * @typedef {object} TestResultsReport
+ * @property {boolean} success - The run exited cleanly with no failing tests
+ * @property {string} runner
+ * @property {number} total
+ * @property {number} passed
+ * @property {number} failed
+ * @property {number} skipped
+ * @property {FailingTest[]} failing - Failing tests (empty when only counts were parsed)
+ * @property {string} collectedAt - ISO timestamp
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Store a test run as the project's latest and record its counts in the
+ * metrics history.
+ *
+ * @param {string} projectDir
+ * @param {import('./test-runner.js').TestResult} result
+ * @param {{ agent?: string, sessionId?: string }} [context={}]
+ * @returns {TestResultsReport}
+ */
+export function recordTestResults(projectDir, result, context = {}) {
+  const failing = (result.tests || [])
+    .filter((test) => test.status === 'failed')
+    .slice(0, MAX_RECORDED_FAILURES)
+    .map((test) => ({
+      name: test.name,
+      file: test.file,
+      message: test.failure?.message || '',
+      stack: test.failure?.stack || null,
+    }));
+
+  const stored = {
+    success: result.success,
+    runner: result.runner,
+    total: result.total,
+    passed: result.passed,
+    failed: result.failed,
+    skipped: result.skipped,
+    failing,
+    collectedAt: new Date().toISOString(),
+  };
+  const path = join(projectDir, TEST_RESULTS_FILE);
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(stored, null, 2) + '\n', 'utf-8');
+
+  recordMetric(projectDir, { type: METRIC_TYPES.TEST_COUNT, value: result.total, ...context });
+  recordMetric(projectDir, { type: METRIC_TYPES.TEST_FAILURES, value: result.failed, ...context });
+  return stored;
+}
+
+/**
+ * Load the latest recorded test results.
+ *
+ * @param {string} projectDir
+ * @returns {TestResultsReport|null}
+ */
+export function loadTestResults(projectDir) {
+  const path = join(projectDir, TEST_RESULTS_FILE);
+  if (!existsSync(path)) return null;
+  try {
+    const report = JSON.parse(readFileSync(path, 'utf-8'));
+    return Array.isArray(report?.failing) && typeof report.failed === 'number' ? report : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Test evidence for a quality gate: the latest results, unless sources
+ * changed after they were recorded.
+ *
+ * @param {string} projectDir
+ * @returns {{ report: TestResultsReport|null, stale: boolean, passed: boolean|null, failing: FailingTest[] }}
+ *   `passed` is null when no fresh results exist
+ */
+export function getTestEvidence(projectDir) {
+  const report = loadTestResults(projectDir);
+  const stale = Boolean(report && sourcesChangedSince(projectDir, report.collectedAt));
+  const fresh = report && !stale ? report : null;
+
+  return {
+    report,
+    stale,
+    passed: fresh ? fresh.success === true : null,
+    failing: fresh ? fresh.failing : [],
+  };
+}
@@ -1,15 +1,20 @@
 /**
  * @fileoverview Real code execution validation.
  *
- * Detects test runners, executes tests and lint commands,
+ * Detects test runners and linters, executes tests and lint commands,
  * and parses output for structured results.
  *
  * Constitution Article XIV — Framework Registry Governance.
  */
 
-import { existsSync, readFileSync } from 'fs';
+import { existsSync, readFileSync, mkdtempSync, rmSync } from 'fs';
 import { join } from 'path';
+import { tmpdir } from 'os';
 import { execSync } from 'child_process';
+import { getReporterSetup, parseTapOutput, parseJestJson, parseJUnitXml } from './test-reporters.js';
+import { getCoverageSetup, parseNodeCoverage, readCoverageArtifacts, recordCoverage } from './coverage.js';
+import { recordTestResults } from './test-results.js';
+import { detectLinterFromScript, getLintReporterSetup, parseLintReport } from './lint-reporters.js';
 
 // ---------------------------------------------------------------------------
 // Test Runner Detection
@@ -108,19 +113,35 @@ function detectRunnerFromScript(script) {
  * @property {number} duration - Execution time in ms
  * @property {string} rawOutput - Full command output
  * @property {string} runner - Detected runner
+ * @property {'tap'|'json'|'junit'|'text'} format - Format the counts were parsed from
+ * @property {import('./test-reporters.js').TestCase[]} tests - Per-test results (empty for 'text')
+ * @property {import('./coverage.js').CoverageReport|null} coverage - Set when coverage was requested and found
  */
 
 /**
  * Run tests in a project directory.
  *
+ * Unless `structured` is false, the runner is asked for a machine-readable
+ * report (test-reporters.js) and per-test results are returned; when that
+ * report is missing or unreadable the human-readable output is scraped
+ * for counts instead.
+ *
+ * With `coverage`, the runner also collects coverage (coverage.js); the
+ * report is recorded as the project's latest and in the metrics history.
+ * With `record`, the results themselves are (test-results.js) — meant for
+ * full-suite runs, which gate G4 reads.
+ *
  * @param {string} projectDir
- * @param {{ timeout?: number, command?: string }} [options={}]
+ * @param {{ timeout?: number, command?: string, structured?: boolean, coverage?: boolean, record?: boolean }} [options={}]
  * @returns {TestResult}
  */
 export function runTests(projectDir, options = {}) {
   const detection = detectTestCommand(projectDir);
   const command = options.command || detection.command;
   const timeout = options.timeout || 120_000;
+  // An explicit command may name its runner (e.g. a scoped `node --test <files>`)
+  const commandRunner = options.command ? detectRunnerFromScript(options.command) : 'unknown';
+  const runner = commandRunner !== 'unknown' ? commandRunner : detection.runner;
 
   if (!command) {
     return {
@@ -132,18 +153,28 @@ export function runTests(projectDir, options = {}) {
       duration: 0,
       rawOutput: 'No test command detected',
       runner: 'unknown',
+      format: 'text',
+      tests: [],
+      coverage: null,
     };
   }
 
+  const reportDir = mkdtempSync(join(tmpdir(), 'chati-test-report-'));
+  const coverageSetup = options.coverage ? getCoverageSetup(runner, command, projectDir, join(reportDir, 'coverage')) : null;
+  const runCommand = coverageSetup?.command || command;
+  const reportFile = join(reportDir, 'report');
+  const reporter = options.structured === false ? null : getReporterSetup(runner, runCommand, reportFile);
+
   const start = Date.now();
   let rawOutput, exitCode;
 
   try {
-    rawOutput = execSync(command, {
+    rawOutput = execSync(reporter?.command || runCommand, {
       cwd: projectDir,
       encoding: 'utf-8',
       timeout,
       stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ...reporter?.env },
     });
     exitCode = 0;
   } catch (err) {
@@ -152,9 +183,19 @@ export function runTests(projectDir, options = {}) {
   }
 
   const duration = Date.now() - start;
-  const parsed = parseTestOutput(rawOutput, detection.runner);
+  let report, coverage;
+  try {
+    report = reporter ? readStructuredReport(reporter.format, rawOutput, reportFile, projectDir) : null;
+    coverage = options.coverage ? collectCoverage(rawOutput, coverageSetup, projectDir) : null;
+  } finally {
+    rmSync(reportDir, { recursive: true, force: true });
+  }
+  if (coverage) {
+    coverage = recordCoverage(projectDir, coverage);
+  }
+  const parsed = report || parseTestOutput(rawOutput, runner);
 
-  return {
+  const result = {
     success: exitCode === 0 && parsed.failed === 0,
     total: parsed.total,
     passed: parsed.passed,
@@ -162,56 +203,153 @@ export function runTests(projectDir, options = {}) {
     skipped: parsed.skipped,
     duration,
     rawOutput: rawOutput.slice(0, 5000),
-    runner: detection.runner,
+    runner,
+    format: report ? reporter.format : 'text',
+    tests: report ? report.tests : [],
+    coverage,
   };
+  if (options.record) {
+    recordTestResults(projectDir, result);
+  }
+  return result;
+}
+
+/**
+ * Read the coverage a test run produced, falling back to the project's
+ * own coverage/ directory.
+ *
+ * @param {string} rawOutput
+ * @param {{ reportDir: string|null }|null} setup
+ * @param {string} projectDir
+ * @returns {import('./coverage.js').CoverageReport|null}
+ */
+function collectCoverage(rawOutput, setup, projectDir) {
+  return parseNodeCoverage(rawOutput)
+    || (setup?.reportDir ? readCoverageArtifacts(setup.reportDir, { projectDir }) : null)
+    || readCoverageArtifacts(join(projectDir, 'coverage'), { projectDir });
+}
+
+/**
+ * Read a runner's machine-readable report.
+ *
+ * @param {'tap'|'json'|'junit'} format
+ * @param {string} rawOutput - Command output (TAP is read from here)
+ * @param {string} reportFile - Report written by file-based reporters
+ * @param {string} projectDir
+ * @returns {import('./test-reporters.js').ParsedReport|null}
+ */
+function readStructuredReport(format, rawOutput, reportFile, projectDir) {
+  if (format === 'tap') {
+    return parseTapOutput(rawOutput, { projectDir });
+  }
+  if (!existsSync(reportFile)) return null;
+
+  const content = readFileSync(reportFile, 'utf-8');
+  return format === 'json'
+    ? parseJestJson(content, { projectDir })
+    : parseJUnitXml(content, { projectDir });
 }
 
 // ---------------------------------------------------------------------------
 // Lint Execution
 // ---------------------------------------------------------------------------
 
+/**
+ * @typedef {object} LintDetection
+ * @property {string|null} command - Lint command to run
+ * @property {string} linter - Detected linter (eslint|biome|ruff|unknown)
+ * @property {boolean} detected - Whether a lint setup was found
+ */
+
+/**
+ * Detect the lint command and linter for a project.
+ *
+ * Detection order:
+ * 1. package.json scripts.lint
+ * 2. biome.json / biome.jsonc presence
+ * 3. ruff.toml / .ruff.toml / pyproject.toml with [tool.ruff]
+ *
+ * @param {string} projectDir - Project root directory
+ * @returns {LintDetection}
+ */
+export function detectLintCommand(projectDir) {
+  const pkgPath = join(projectDir, 'package.json');
+  if (existsSync(pkgPath)) {
+    try {
+      const pkg = JSON.parse(readFileSync(pkgPath, 'utf-8'));
+      if (pkg.scripts?.lint) {
+        return { command: 'npm run lint', linter: detectLinterFromScript(pkg.scripts.lint), detected: true };
+      }
+    } catch {
+      // Malformed package.json — continue detection
+    }
+  }
+
+  if (['biome.json', 'biome.jsonc'].some((cfg) => existsSync(join(projectDir, cfg)))) {
+    return { command: 'npx biome lint .', linter: 'biome', detected: true };
+  }
+
+  const pyproject = join(projectDir, 'pyproject.toml');
+  const hasRuffConfig = ['ruff.toml', '.ruff.toml'].some((cfg) => existsSync(join(projectDir, cfg)))
+    || (existsSync(pyproject) && /^\[tool\.ruff\b/m.test(readFileSync(pyproject, 'utf-8')));
+  if (hasRuffConfig) {
+    return { command: 'ruff check .', linter: 'ruff', detected: true };
+  }
+
+  return { command: null, linter: 'unknown', detected: false };
+}
+
 /**
  * @typedef {object} LintResult
  * @property {boolean} success - No lint errors
  * @property {number} errors - Error count
  * @property {number} warnings - Warning count
  * @property {string} rawOutput - Full command output
+ * @property {string} linter - Detected linter
+ * @property {'json'|'text'} format - Format the counts were parsed from
+ * @property {import('./lint-reporters.js').LintFinding[]} findings - Structured findings (empty for 'text')
  */
 
 /**
  * Run lint in a project directory.
  *
+ * Unless `structured` is false, ESLint, Biome and Ruff are asked for JSON
+ * (lint-reporters.js) and findings are returned; other linters, or a
+ * missing report, fall back to scraping the output for counts.
+ *
  * @param {string} projectDir
- * @param {{ timeout?: number, command?: string }} [options={}]
+ * @param {{ timeout?: number, command?: string, structured?: boolean }} [options={}]
  * @returns {LintResult}
  */
 export function runLint(projectDir, options = {}) {
   const timeout = options.timeout || 60_000;
-  let command = options.command;
+  const detection = detectLintCommand(projectDir);
+  const command = options.command || detection.command;
 
-  // Auto-detect lint command
   if (!command) {
-    const pkgPath = join(projectDir, 'package.json');
-    if (existsSync(pkgPath)) {
-      try {
-        const pkg = JSON.parse(readFileSync(pkgPath, 'utf-8'));
-        if (pkg.scripts?.lint) {
-          command = 'npm run lint';
-        }
-      } catch {
-        // ignore
-      }
-    }
+    return {
+      success: true,
+      errors: 0,
+      warnings: 0,
+      rawOutput: 'No lint command detected',
+      linter: 'unknown',
+      format: 'text',
+      findings: [],
+    };
   }
 
-  if (!command) {
-    return { success: true, errors: 0, warnings: 0, rawOutput: 'No lint command detected' };
-  }
+  // An explicit command may name its linter (e.g. a scoped `npx eslint <files>`)
+  const commandLinter = options.command ? detectLinterFromScript(options.command) : 'unknown';
+  const linter = commandLinter !== 'unknown' ? commandLinter : detection.linter;
+
+  const reportDir = mkdtempSync(join(tmpdir(), 'chati-lint-report-'));
+  const reportFile = join(reportDir, 'report.json');
+  const reporter = options.structured === false ? null : getLintReporterSetup(linter, command, reportFile);
 
   let rawOutput, exitCode;
 
   try {
-    rawOutput = execSync(command, {
+    rawOutput = execSync(reporter?.command || command, {
       cwd: projectDir,
       encoding: 'utf-8',
       timeout,
@@ -223,13 +361,27 @@ export function runLint(projectDir, options = {}) {
     rawOutput = (err.stdout || '') + (err.stderr || '');
   }
 
-  const { errors, warnings } = parseLintOutput(rawOutput);
+  let report = null;
+  try {
+    if (reporter) {
+      const content = reporter.reportFile
+        ? (existsSync(reportFile) ? readFileSync(reportFile, 'utf-8') : null)
+        : rawOutput;
+      report = content ? parseLintReport(linter, content, { projectDir }) : null;
+    }
+  } finally {
+    rmSync(reportDir, { recursive: true, force: true });
+  }
+  const { errors, warnings } = report || parseLintOutput(rawOutput);
 
   return {
     success: exitCode === 0 && errors === 0,
     errors,
     warnings,
     rawOutput: rawOutput.slice(0, 5000),
+    linter,
+    format: report ? 'json' : 'text',
+    findings: report ? report.findings : [],
   };
 }
 
@@ -2,12 +2,14 @@
  * @fileoverview Claude Code CLI adapter.
  *
  * Translates chati.dev spawning config into Claude Code CLI
- * command, arguments, and environment variables.
+ * command, arguments, and environment variables, and extracts the
+ * agent text and real token usage from its structured output.
  */
 
 /**
  * @typedef {import('../cli-registry.js').ProviderConfig} ProviderConfig
  * @typedef {import('../spawner.js').SpawnConfig} SpawnConfig
+ * @typedef {import('../cost-tracker.js').TokenUsage} TokenUsage
  */
 
 /**
@@ -25,9 +27,106 @@ export function buildCommand(config, provider) {
     args.push(provider.modelFlag, resolvedModel);
   }
 
+  // JSON output carries the exact token usage of the run; streaming
+  // needs the JSONL variant (which requires --verbose with --print)
+  if (config.structuredOutput) {
+    if (config.stream) {
+      args.push('--output-format', 'stream-json', '--verbose');
+    } else {
+      args.push('--output-format', 'json');
+    }
+  }
+
   return {
     command: provider.command,
     args,
     stdinPrompt: config.prompt || null,
   };
 }
+
+/**
+ * Extract agent text and token usage from Claude Code output.
+ *
+ * Handles `--output-format json` (one result object) and `stream-json`
+ * (JSONL ending with a `result` event). Plain text passes through with
+ * `usage: null`.
+ *
+ * @param {string} stdout - Full process stdout
+ * @returns {{ text: string, usage: TokenUsage|null }}
+ */
+export function parseOutput(stdout) {
+  const raw = stdout || '';
+  const result = findResultEvent(raw);
+  if (!result) {
+    return { text: raw, usage: null };
+  }
+
+  const text = typeof result.result === 'string' ? result.result : '';
+  const u = result.usage;
+  if (!u || typeof u !== 'object') {
+    return { text, usage: null };
+  }
+
+  return {
+    text,
+    usage: {
+      inputTokens: u.input_tokens || 0,
+      outputTokens: u.output_tokens || 0,
+      cacheReadTokens: u.cache_read_input_tokens || 0,
+      cacheWriteTokens: u.cache_creation_input_tokens || 0,
+      reportedCost: typeof result.total_cost_usd === 'number' ? result.total_cost_usd : null,
+    },
+  };
+}
+
+/**
+ * Decode one `stream-json` line into the assistant text it carries.
+ *
+ * @param {string} line - One JSONL line
+ * @returns {string|null} Assistant text, or null for other events
+ */
+export function parseStreamLine(line) {
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (event?.type !== 'assistant' || !Array.isArray(event.message?.content)) return null;
+
+  const text = event.message.content
+    .filter(block => block?.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text)
+    .join('');
+  return text || null;
+}
+
+/**
+ * Locate the final `result` event in JSON or JSONL output.
+ *
+ * @param {string} raw
+ * @returns {object|null}
+ */
+function findResultEvent(raw) {
+  const trimmed = raw.trim();
+  if (!trimmed.startsWith('{')) return null;
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (!parsed || typeof parsed !== 'object') return null;
+    return parsed.type === 'result' || 'result' in parsed ? parsed : null;
+  } catch {
+    // Not a single object — try JSONL (stream-json)
+  }
+
+  const lines = trimmed.split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try {
+      const event = JSON.parse(lines[i]);
+      if (event?.type === 'result') return event;
+    } catch {
+      // Skip partial or non-JSON lines
+    }
+  }
+  return null;
+}
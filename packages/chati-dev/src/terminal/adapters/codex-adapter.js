@@ -2,7 +2,8 @@
  * @fileoverview OpenAI Codex CLI adapter.
  *
  * Translates chati.dev spawning config into Codex CLI
- * command, arguments, and environment variables.
+ * command, arguments, and environment variables, and extracts the
+ * agent text and real token usage from its JSONL event stream.
  */
 
 /**
@@ -20,6 +21,10 @@ export function buildCommand(config, provider) {
     args.push(provider.modelFlag, resolvedModel);
   }
 
+  if (config.structuredOutput) {
+    args.push('--json');
+  }
+
   // Codex exec reads prompt from stdin when `-` is passed
   args.push('-');
 
@@ -29,3 +34,68 @@ export function buildCommand(config, provider) {
     stdinPrompt: config.prompt || null,
   };
 }
+
+/**
+ * Extract agent text and token usage from `codex exec --json` output.
+ *
+ * The JSONL stream carries agent messages as `item.completed` events and
+ * usage on `turn.completed`. OpenAI input counts include cached tokens,
+ * so those are split into `cacheReadTokens`.
+ *
+ * @param {string} stdout - Full process stdout
+ * @returns {{ text: string, usage: import('../cost-tracker.js').TokenUsage|null }}
+ */
+export function parseOutput(stdout) {
+  const raw = stdout || '';
+  const messages = [];
+  let usage = null;
+  let sawEvent = false;
+
+  for (const line of raw.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) continue;
+
+    let event;
+    try {
+      event = JSON.parse(trimmed);
+    } catch {
+      continue;
+    }
+    if (!event || typeof event.type !== 'string') continue;
+    sawEvent = true;
+
+    if (event.type === 'item.completed' && event.item?.type === 'agent_message' && typeof event.item.text === 'string') {
+      messages.push(event.item.text);
+    } else if (event.type === 'turn.completed' && event.usage) {
+      const cached = event.usage.cached_input_tokens || 0;
+      usage = usage || { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, reportedCost: null };
+      usage.inputTokens += Math.max(0, (event.usage.input_tokens || 0) - cached);
+      usage.cacheReadTokens += cached;
+      usage.outputTokens += event.usage.output_tokens || 0;
+    }
+  }
+
+  if (!sawEvent) {
+    return { text: raw, usage: null };
+  }
+  return { text: messages.join('\n'), usage };
+}
+
+/**
+ * Decode one `--json` line into the agent message it carries.
+ *
+ * @param {string} line - One JSONL line
+ * @returns {string|null} Agent message text, or null for other events
+ */
+export function parseStreamLine(line) {
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (event?.type === 'item.completed' && event.item?.type === 'agent_message' && typeof event.item.text === 'string') {
+    return event.item.text;
+  }
+  return null;
+}
@@ -2,7 +2,8 @@
  * @fileoverview Gemini CLI adapter.
  *
  * Translates chati.dev spawning config into Gemini CLI
- * command, arguments, and environment variables.
+ * command, arguments, and environment variables, and extracts the
+ * agent text and real token usage from its structured output.
  */
 
 /**
@@ -20,9 +21,52 @@ export function buildCommand(config, provider) {
     args.push(provider.modelFlag, resolvedModel);
   }
 
+  if (config.structuredOutput) {
+    args.push('--output-format', 'json');
+  }
+
   return {
     command: provider.command,
     args,
     stdinPrompt: config.prompt || null,
   };
 }
+
+/**
+ * Extract agent text and token usage from Gemini CLI output.
+ *
+ * `--output-format json` prints `{ response, stats: { models: { <id>: { tokens } } } }`.
+ * Gemini's prompt count includes cached tokens and thinking tokens are
+ * billed as output, so both are split out accordingly.
+ *
+ * @param {string} stdout - Full process stdout
+ * @returns {{ text: string, usage: import('../cost-tracker.js').TokenUsage|null }}
+ */
+export function parseOutput(stdout) {
+  const raw = stdout || '';
+  let parsed;
+  try {
+    parsed = JSON.parse(raw.trim());
+  } catch {
+    return { text: raw, usage: null };
+  }
+  if (!parsed || typeof parsed !== 'object' || !('response' in parsed)) {
+    return { text: raw, usage: null };
+  }
+
+  const text = typeof parsed.response === 'string' ? parsed.response : '';
+  const models = parsed.stats?.models;
+  if (!models || typeof models !== 'object') {
+    return { text, usage: null };
+  }
+
+  const usage = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, reportedCost: null };
+  for (const { tokens = {} } of Object.values(models)) {
+    const cached = tokens.cached || 0;
+    usage.inputTokens += Math.max(0, (tokens.prompt || 0) - cached);
+    usage.cacheReadTokens += cached;
+    usage.outputTokens += (tokens.candidates || 0) + (tokens.thoughts || 0);
+  }
+
+  return { text, usage };
+}
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Generic CLI adapter for custom providers.
+ *
+ * Used by providers registered from config.yaml or chati.dev/providers/
+ * that do not ship their own buildCommand. Builds the command purely
+ * from the declarative provider definition.
+ */
+
+/**
+ * Build a custom provider's CLI command and arguments.
+ *
+ * When the provider cannot read the prompt from stdin, the prompt is
+ * appended as the last argument (preceded by `promptFlag` when set).
+ *
+ * @param {import('../spawner.js').SpawnConfig} config
+ * @param {import('../cli-registry.js').ProviderConfig} provider
+ * @returns {{ command: string, args: string[], stdinPrompt: string|null }}
+ */
+export function buildCommand(config, provider) {
+  const args = [...provider.baseArgs];
+
+  if (config.model && provider.modelFlag) {
+    const resolvedModel = provider.modelMap[config.model] || config.model;
+    args.push(provider.modelFlag, resolvedModel);
+  }
+
+  if (!provider.stdinSupport && config.prompt) {
+    if (provider.promptFlag) {
+      args.push(provider.promptFlag);
+    }
+    args.push(config.prompt);
+  }
+
+  return {
+    command: provider.command,
+    args,
+    stdinPrompt: provider.stdinSupport ? (config.prompt || null) : null,
+  };
+}
+
+/**
+ * Custom providers have no known structured format: output is the agent
+ * text and usage falls back to estimation.
+ *
+ * @param {string} stdout - Full process stdout
+ * @returns {{ text: string, usage: null }}
+ */
+export function parseOutput(stdout) {
+  return { text: stdout || '', usage: null };
+}
+
+/**
+ * Decode one streamed stdout line: plain output is the agent text.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+export function parseStreamLine(line) {
+  return line;
+}
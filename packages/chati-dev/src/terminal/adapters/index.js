@@ -5,3 +5,5 @@
 export * as claude from './claude-adapter.js';
 export * as gemini from './gemini-adapter.js';
 export * as codex from './codex-adapter.js';
+export * as generic from './generic-adapter.js';
+export * as mock from './mock-adapter.js';
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Mock CLI adapter for offline, deterministic pipeline runs.
+ *
+ * The `mock` provider spawns a small Node script (mock-cli.js) that
+ * replays a scripted response from a fixture file instead of calling an
+ * LLM. Fixtures are YAML or JSON files keyed by agent and task id:
+ *
+ *   <fixtures>/<agent>/<taskId>.yaml   exact match
+ *   <fixtures>/<agent>/default.yaml    any task of the agent
+ *   <fixtures>/<agent>.yaml            same, flat layout
+ *   <fixtures>/default.yaml            any agent
+ *
+ * The fixtures directory is `config.mockFixtures`, then $CHATI_MOCK_FIXTURES,
+ * then chati.dev/mock-fixtures/ in the working directory.
+ *
+ * Fixture fields (all optional):
+ *   stdout: Text, or a list of chunks written one by one
+ *   stderr: Text written to stderr
+ *   delay: Milliseconds the run takes (spread across stdout chunks)
+ *   exit_code: Process exit code (default 0)
+ *   handoff: Handoff fields, rendered as a <chati-handoff> block after stdout
+ *            (a string is written verbatim inside the block)
+ *   files: Map of relative path to content, written before exiting
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Fixtures directory relative to the working directory. */
+export const MOCK_FIXTURES_DIR = 'chati.dev/mock-fixtures';
+
+/** Script spawned by the mock provider. */
+export const MOCK_CLI_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'mock-cli.js');
+
+const FIXTURE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// ---------------------------------------------------------------------------
+// Adapter
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the mock CLI command. Fixture lookup happens in the spawned
+ * process, so a missing fixture surfaces as a failed run, not a spawn error.
+ *
+ * @param {import('../spawner.js').SpawnConfig & { mockFixtures?: string }} config
+ * @param {import('../cli-registry.js').ProviderConfig} provider
+ * @returns {{ command: string, args: string[], stdinPrompt: string|null }}
+ */
+export function buildCommand(config, provider) {
+  const args = [
+    ...provider.baseArgs,
+    '--fixtures', resolveFixturesDir(config),
+    '--agent', config.agent || '',
+    '--task-id', config.taskId || '',
+  ];
+
+  if (config.model && provider.modelFlag) {
+    args.push(provider.modelFlag, provider.modelMap[config.model] || config.model);
+  }
+
+  return {
+    command: provider.command,
+    args,
+    stdinPrompt: config.prompt || null,
+  };
+}
+
+/**
+ * Mock output is plain text; usage falls back to (deterministic) estimation.
+ *
+ * @param {string} stdout - Full process stdout
+ * @returns {{ text: string, usage: null }}
+ */
+export function parseOutput(stdout) {
+  return { text: stdout || '', usage: null };
+}
+
+/**
+ * Decode one streamed stdout line: plain output is the agent text.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+export function parseStreamLine(line) {
+  return line;
+}
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve the fixtures directory for a spawn.
+ *
+ * @param {{ mockFixtures?: string, workingDir?: string }} config
+ * @returns {string} Absolute path
+ */
+export function resolveFixturesDir(config = {}) {
+  const workingDir = config.workingDir || process.cwd();
+  const dir = config.mockFixtures || process.env.CHATI_MOCK_FIXTURES || MOCK_FIXTURES_DIR;
+  return resolve(workingDir, dir);
+}
+
+/**
+ * Find the fixture file for an agent and task, most specific first.
+ *
+ * @param {string} fixturesDir
+ * @param {string} agent
+ * @param {string} taskId
+ * @returns {string|null} Fixture path, or null when none matches
+ */
+export function findFixture(fixturesDir, agent, taskId) {
+  const candidates = [
+    join(fixturesDir, agent, taskId),
+    join(fixturesDir, agent, 'default'),
+    join(fixturesDir, agent),
+    join(fixturesDir, 'default'),
+  ];
+
+  for (const base of candidates) {
+    for (const ext of FIXTURE_EXTENSIONS) {
+      if (existsSync(base + ext)) return base + ext;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load and normalize a fixture file.
+ *
+ * @param {string} filePath
+ * @returns {{ stdout: string[], stderr: string, delay: number, exitCode: number, handoff: object|string|null, files: Record<string, string> }}
+ * @throws {Error} When the file cannot be parsed or has invalid fields
+ */
+export function loadFixture(filePath) {
+  const raw = readFileSync(filePath, 'utf-8');
+  const data = filePath.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Mock fixture ${filePath} must be a mapping`);
+  }
+
+  const stdout = data.stdout === undefined || data.stdout === null
+    ? []
+    : (Array.isArray(data.stdout) ? data.stdout : [data.stdout]).map(String);
+  const delay = Number(data.delay ?? 0);
+  const exitCode = Number(data.exit_code ?? data.exitCode ?? 0);
+
+  if (!Number.isFinite(delay) || delay < 0) {
+    throw new Error(`Mock fixture ${filePath}: delay must be a non-negative number`);
+  }
+  if (!Number.isInteger(exitCode)) {
+    throw new Error(`Mock fixture ${filePath}: exit_code must be an integer`);
+  }
+  if (data.files !== undefined && (typeof data.files !== 'object' || Array.isArray(data.files) || data.files === null)) {
+    throw new Error(`Mock fixture ${filePath}: files must be a mapping of path to content`);
+  }
+
+  return {
+    stdout,
+    stderr: data.stderr ? String(data.stderr) : '',
+    delay,
+    exitCode,
+    handoff: data.handoff ?? null,
+    files: { ...(data.files || {}) },
+  };
+}
+
+/**
+ * Render fixture handoff fields as a <chati-handoff> block in the
+ * key/value format agents are instructed to use.
+ *
+ * @param {object|string} handoff
+ * @returns {string}
+ */
+export function renderHandoff(handoff) {
+  if (typeof handoff === 'string') {
+    return `<chati-handoff>\n${handoff.trim()}\n</chati-handoff>\n`;
+  }
+
+  const lines = ['<chati-handoff>'];
+  for (const [key, value] of Object.entries(handoff)) {
+    if (Array.isArray(value)) {
+      lines.push(`${key}:`);
+      for (const item of value) lines.push(`  - ${item}`);
+    } else if (value !== null && typeof value === 'object') {
+      lines.push(`${key}:`);
+      for (const [k, v] of Object.entries(value)) lines.push(`  ${k}: ${v}`);
+    } else {
+      lines.push(`${key}: ${value ?? 'null'}`);
+    }
+  }
+  lines.push('</chati-handoff>');
+  return lines.join('\n') + '\n';
+}
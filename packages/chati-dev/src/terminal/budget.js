@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Spend budgets enforced against the cost ledger.
+ *
+ * Budgets are configured under `budgets:` in chati.dev/config.yaml as
+ * USD limits per session, per build loop run and per agent. Spend at or
+ * above `soft_threshold` of a limit is reported as a warning; spend at
+ * or above the limit itself blocks new spawns.
+ *
+ * Constitution Article XVI — Model Governance.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+import { readLedger } from './cost-ledger.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Fraction of a limit at which a warning is raised. */
+export const DEFAULT_SOFT_THRESHOLD = 0.8;
+
+/** Budget check outcomes, in increasing severity. */
+export const BudgetLevel = {
+  OK: 'ok',
+  WARNING: 'warning',
+  EXCEEDED: 'exceeded',
+};
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} BudgetConfig
+ * @property {number} softThreshold - Fraction of a limit that triggers a warning
+ * @property {number|null} session - USD limit per session
+ * @property {number|null} build - USD limit per build loop run
+ * @property {Record<string, number>} agents - USD limit per agent (within the session)
+ */
+
+/**
+ * @typedef {object} BudgetScope
+ * @property {'session'|'build'|'agent'} scope - Which limit
+ * @property {string} key - Session id, build id or agent name
+ * @property {number} limit - Limit in USD
+ * @property {number} spent - Spend so far in USD
+ * @property {number} ratio - spent / limit
+ * @property {string} level - BudgetLevel value
+ */
+
+/**
+ * @typedef {object} BudgetStatus
+ * @property {boolean} allowed - False once any hard limit is reached
+ * @property {string} level - Most severe BudgetLevel across scopes
+ * @property {BudgetScope[]} scopes - Every configured limit that applied
+ * @property {string|null} reason - Human-readable summary when not OK
+ */
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a positive USD limit; anything else means "no limit".
+ *
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toLimit(value) {
+  const num = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(num) && num > 0 ? num : null;
+}
+
+/**
+ * Load budgets from a project's config.yaml.
+ *
+ * @param {string} projectDir - Project root directory
+ * @returns {BudgetConfig}
+ */
+export function loadBudgets(projectDir) {
+  const budgets = { softThreshold: DEFAULT_SOFT_THRESHOLD, session: null, build: null, agents: {} };
+
+  const configPath = join(projectDir, 'chati.dev', 'config.yaml');
+  if (!existsSync(configPath)) return budgets;
+
+  let raw;
+  try {
+    raw = yaml.load(readFileSync(configPath, 'utf-8'))?.budgets;
+  } catch {
+    return budgets;
+  }
+  if (!raw || typeof raw !== 'object') return budgets;
+
+  const threshold = Number(raw.soft_threshold ?? raw.softThreshold);
+  if (Number.isFinite(threshold) && threshold > 0 && threshold <= 1) {
+    budgets.softThreshold = threshold;
+  }
+
+  budgets.session = toLimit(raw.session);
+  budgets.build = toLimit(raw.build);
+
+  for (const [agent, value] of Object.entries(raw.agents || {})) {
+    const limit = toLimit(value);
+    if (limit !== null) budgets.agents[agent] = limit;
+  }
+
+  return budgets;
+}
+
+/**
+ * Whether any limit is configured.
+ *
+ * @param {BudgetConfig} budgets
+ * @returns {boolean}
+ */
+export function hasBudgets(budgets) {
+  return budgets.session !== null || budgets.build !== null || Object.keys(budgets.agents).length > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Checking
+// ---------------------------------------------------------------------------
+
+/**
+ * Check spend recorded in the ledger against the configured budgets.
+ *
+ * Session and agent limits apply when `sessionId` is given (agent spend
+ * is counted within the session); the build limit applies when `buildId`
+ * is given. Scopes without a matching id or limit are skipped.
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {{ sessionId?: string|null, buildId?: string|null, agent?: string|null, budgets?: BudgetConfig }} [context={}]
+ * @returns {BudgetStatus}
+ */
+export function checkBudget(projectDir, context = {}) {
+  const budgets = context.budgets || loadBudgets(projectDir);
+  const status = { allowed: true, level: BudgetLevel.OK, scopes: [], reason: null };
+
+  if (!hasBudgets(budgets)) return status;
+
+  const { sessionId = null, buildId = null, agent = null } = context;
+  const sum = (entries) => entries.reduce((total, e) => total + (e.cost || 0), 0);
+
+  const sessionEntries = sessionId ? readLedger(projectDir, { sessionId }) : [];
+
+  if (sessionId && budgets.session !== null) {
+    status.scopes.push(scopeStatus('session', sessionId, budgets.session, sum(sessionEntries), budgets.softThreshold));
+  }
+
+  if (sessionId && agent && budgets.agents[agent] !== undefined) {
+    const agentSpend = sum(sessionEntries.filter(e => e.agent === agent));
+    status.scopes.push(scopeStatus('agent', agent, budgets.agents[agent], agentSpend, budgets.softThreshold));
+  }
+
+  if (buildId && budgets.build !== null) {
+    const buildSpend = sum(readLedger(projectDir, { buildId }));
+    status.scopes.push(scopeStatus('build', buildId, budgets.build, buildSpend, budgets.softThreshold));
+  }
+
+  const exceeded = status.scopes.filter(s => s.level === BudgetLevel.EXCEEDED);
+  const warning = status.scopes.filter(s => s.level === BudgetLevel.WARNING);
+
+  if (exceeded.length > 0) {
+    status.allowed = false;
+    status.level = BudgetLevel.EXCEEDED;
+    status.reason = `Budget exceeded: ${exceeded.map(describeScope).join('; ')}`;
+  } else if (warning.length > 0) {
+    status.level = BudgetLevel.WARNING;
+    status.reason = `Budget warning: ${warning.map(describeScope).join('; ')}`;
+  }
+
+  return status;
+}
+
+/**
+ * Summarize spend and budget status for display (dashboard).
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {{ sessionId?: string|null, buildId?: string|null }} [context={}]
+ * @returns {{ totalSpent: number, sessionSpent: number|null, executions: number, budgets: BudgetConfig, status: BudgetStatus, agentScopes: BudgetScope[] }}
+ */
+export function getSpendSummary(projectDir, context = {}) {
+  const entries = readLedger(projectDir);
+  const { sessionId = null, buildId = null } = context;
+  const budgets = loadBudgets(projectDir);
+  const sum = (list) => list.reduce((total, e) => total + (e.cost || 0), 0);
+
+  return {
+    totalSpent: sum(entries),
+    sessionSpent: sessionId ? sum(entries.filter(e => e.sessionId === sessionId)) : null,
+    executions: entries.length,
+    budgets,
+    status: checkBudget(projectDir, { sessionId, buildId, budgets }),
+    agentScopes: Object.keys(budgets.agents)
+      .map(agent => checkBudget(projectDir, { sessionId, agent, budgets }).scopes.find(sc => sc.scope === 'agent'))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Build the status of a single budget scope.
+ *
+ * @param {'session'|'build'|'agent'} scope
+ * @param {string} key
+ * @param {number} limit
+ * @param {number} spent
+ * @param {number} softThreshold
+ * @returns {BudgetScope}
+ */
+function scopeStatus(scope, key, limit, spent, softThreshold) {
+  const ratio = spent / limit;
+  let level = BudgetLevel.OK;
+  if (ratio >= 1) level = BudgetLevel.EXCEEDED;
+  else if (ratio >= softThreshold) level = BudgetLevel.WARNING;
+
+  return { scope, key, limit, spent: Math.round(spent * 1_000_000) / 1_000_000, ratio, level };
+}
+
+/**
+ * Format a scope for messages, e.g. `agent "dev" $4.12 of $5.00`.
+ *
+ * @param {BudgetScope} s
+ * @returns {string}
+ */
+function describeScope(s) {
+  return `${s.scope} "${s.key}" $${s.spent.toFixed(2)} of $${s.limit.toFixed(2)}`;
+}
@@ -4,8 +4,17 @@
  * Central registry of all supported CLI providers with their capabilities,
  * command syntax, model maps, and feature support. This is the source of
  * truth for multi-CLI governance (Constitution Article XIX).
+ *
+ * Besides the built-in providers, projects can register custom CLIs
+ * (aider, opencode, wrapper scripts) by declaring them under `providers:`
+ * in chati.dev/config.yaml or by shipping an adapter module in
+ * chati.dev/providers/. See loadCustomProviders().
  */
 
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, extname, basename, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import yaml from 'js-yaml';
 import * as adapters from './adapters/index.js';
 import { parseProviderConfig, parseAgentOverride } from '../utils/config-parser.js';
 
@@ -25,6 +34,8 @@ import { parseProviderConfig, parseAgentOverride } from '../utils/config-parser.
  * @property {string|null} contextFile - Project context file name (CLAUDE.md, GEMINI.md, etc.)
  * @property {Record<string, string>} modelMap - Tier-to-model-id mapping
  * @property {object} adapter - CLI-specific adapter module
+ * @property {string} [promptFlag] - Flag preceding the prompt argument when stdin is not supported
+ * @property {boolean} [custom] - True for providers registered at runtime
  */
 
 /** @type {Record<string, ProviderConfig>} */
@@ -75,8 +86,281 @@ const PROVIDERS = {
     },
     adapter: adapters.codex,
   },
+  // Replays fixture files instead of calling an LLM (offline pipeline tests)
+  mock: {
+    name: 'mock',
+    command: process.execPath,
+    baseArgs: [adapters.mock.MOCK_CLI_PATH],
+    modelFlag: '--model',
+    stdinSupport: true,
+    hooksSupport: false,
+    mcpSupport: false,
+    contextFile: null,
+    modelMap: {
+      mock: 'mock',
+    },
+    adapter: adapters.mock,
+  },
 };
 
+// ---------------------------------------------------------------------------
+// Custom Providers
+// ---------------------------------------------------------------------------
+
+/** Directory relative to project root where custom provider adapters live. */
+const PROVIDERS_DIR = 'chati.dev/providers';
+
+/**
+ * Custom providers registered at runtime (never shadows a built-in).
+ * @type {Record<string, ProviderConfig>}
+ */
+const customProviders = {};
+
+/**
+ * Validate a custom provider definition.
+ * Accepts camelCase keys (adapter modules) or snake_case keys (config.yaml).
+ *
+ * @param {object} def - Provider definition
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateProviderDefinition(def) {
+  const errors = [];
+
+  if (!def || typeof def !== 'object') {
+    return { valid: false, errors: ['Provider definition must be a non-null object'] };
+  }
+
+  if (!def.name || typeof def.name !== 'string') {
+    errors.push('name is required and must be a string');
+  } else if (PROVIDERS[def.name]) {
+    errors.push(`"${def.name}" is a built-in provider and cannot be redefined`);
+  }
+
+  if (!def.command || typeof def.command !== 'string') {
+    errors.push('command is required and must be a string');
+  }
+
+  const baseArgs = def.baseArgs ?? def.base_args;
+  if (baseArgs !== undefined && !Array.isArray(baseArgs)) {
+    errors.push('baseArgs must be an array');
+  }
+
+  const modelMap = def.modelMap ?? def.model_map;
+  if (modelMap !== undefined && (typeof modelMap !== 'object' || Array.isArray(modelMap) || modelMap === null)) {
+    errors.push('modelMap must be an object');
+  }
+
+  const buildCommand = def.buildCommand ?? def.adapter?.buildCommand;
+  if (buildCommand !== undefined && typeof buildCommand !== 'function') {
+    errors.push('buildCommand must be a function');
+  }
+
+  const parseOutput = def.parseOutput ?? def.adapter?.parseOutput;
+  if (parseOutput !== undefined && typeof parseOutput !== 'function') {
+    errors.push('parseOutput must be a function');
+  }
+
+  const parseStreamLine = def.parseStreamLine ?? def.adapter?.parseStreamLine;
+  if (parseStreamLine !== undefined && typeof parseStreamLine !== 'function') {
+    errors.push('parseStreamLine must be a function');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a validated definition into a full ProviderConfig.
+ *
+ * @param {object} def
+ * @returns {ProviderConfig}
+ */
+function normalizeProviderDefinition(def) {
+  const buildCommand = def.buildCommand ?? def.adapter?.buildCommand;
+  const parseOutput = def.parseOutput ?? def.adapter?.parseOutput;
+  // A custom output format without a line decoder yields no incremental text
+  const parseStreamLine = def.parseStreamLine ?? def.adapter?.parseStreamLine
+    ?? (parseOutput ? undefined : adapters.generic.parseStreamLine);
+  const stdinSupport = def.stdinSupport ?? def.stdin_support;
+
+  return {
+    name: def.name,
+    command: def.command,
+    baseArgs: (def.baseArgs ?? def.base_args ?? []).map(String),
+    modelFlag: def.modelFlag ?? def.model_flag ?? '--model',
+    stdinSupport: stdinSupport !== false,
+    hooksSupport: (def.hooksSupport ?? def.hooks_support) === true,
+    mcpSupport: (def.mcpSupport ?? def.mcp_support) === true,
+    contextFile: def.contextFile ?? def.context_file ?? null,
+    modelMap: { ...(def.modelMap ?? def.model_map ?? {}) },
+    promptFlag: def.promptFlag ?? def.prompt_flag ?? null,
+    adapter: {
+      buildCommand: buildCommand || adapters.generic.buildCommand,
+      parseOutput: parseOutput || adapters.generic.parseOutput,
+      ...(parseStreamLine ? { parseStreamLine } : {}),
+    },
+    custom: true,
+  };
+}
+
+/**
+ * Register a custom CLI provider. Re-registering a custom name replaces it.
+ *
+ * @param {object} def - Provider definition (name and command required)
+ * @returns {{ registered: boolean, error?: string }}
+ */
+export function registerProvider(def) {
+  const validation = validateProviderDefinition(def);
+  if (!validation.valid) {
+    return { registered: false, error: validation.errors.join('; ') };
+  }
+
+  customProviders[def.name] = normalizeProviderDefinition(def);
+  return { registered: true };
+}
+
+/**
+ * Remove a custom provider from the registry.
+ *
+ * @param {string} name - Provider name
+ * @returns {boolean} True if a custom provider was removed
+ */
+export function unregisterProvider(name) {
+  if (!customProviders[name]) return false;
+  delete customProviders[name];
+  return true;
+}
+
+/**
+ * Clear all custom providers (useful in tests).
+ */
+export function _resetCustomProviders() {
+  for (const name of Object.keys(customProviders)) {
+    delete customProviders[name];
+  }
+}
+
+/**
+ * Read non-built-in entries from the `providers:` section of config.yaml.
+ *
+ * @param {string} projectDir
+ * @returns {Record<string, object>}
+ */
+function readConfiguredCustomProviders(projectDir) {
+  const configPath = join(projectDir, 'chati.dev', 'config.yaml');
+  if (!existsSync(configPath)) return {};
+
+  let config;
+  try {
+    config = yaml.load(readFileSync(configPath, 'utf-8'));
+  } catch {
+    return {};
+  }
+
+  const section = config?.providers;
+  if (!section || typeof section !== 'object') return {};
+
+  const result = {};
+  for (const [name, entry] of Object.entries(section)) {
+    if (PROVIDERS[name] || !entry || typeof entry !== 'object') continue;
+    result[name] = entry;
+  }
+  return result;
+}
+
+/**
+ * Import a provider adapter module and return its definition.
+ * The module's default export (or the module itself) is the definition;
+ * top-level `buildCommand`/`parseOutput`/`parseStreamLine` exports become the adapter.
+ *
+ * @param {string} filePath - Absolute path to the module
+ * @returns {Promise<object>}
+ */
+async function importProviderModule(filePath) {
+  const mod = await import(pathToFileURL(filePath).href);
+  const exported = mod.default || mod;
+  const def = { ...exported };
+  for (const fn of ['buildCommand', 'parseOutput', 'parseStreamLine']) {
+    if (typeof mod[fn] === 'function' && !def[fn]) {
+      def[fn] = mod[fn];
+    }
+  }
+  return def;
+}
+
+/**
+ * Discover and register custom providers for a project.
+ *
+ * Sources, merged per provider name (config.yaml wins on conflicts):
+ * - chati.dev/providers/<name>.js adapter modules
+ * - `providers.<name>` entries in chati.dev/config.yaml, optionally with
+ *   `adapter: providers/<file>.js` (relative to chati.dev/)
+ *
+ * @param {string} projectDir - Project root directory
+ * @returns {Promise<{ loaded: string[], failed: number, errors: Array<{ source: string, error: string }> }>}
+ */
+export async function loadCustomProviders(projectDir) {
+  const definitions = {};
+  const errors = [];
+
+  const providersDir = join(projectDir, PROVIDERS_DIR);
+  if (existsSync(providersDir)) {
+    let files = [];
+    try {
+      files = readdirSync(providersDir).filter(f => extname(f) === '.js');
+    } catch {
+      // Unreadable directory — treat as empty
+    }
+
+    for (const file of files) {
+      try {
+        const def = await importProviderModule(join(providersDir, file));
+        const name = def.name || basename(file, '.js');
+        definitions[name] = { ...def, name };
+      } catch (err) {
+        errors.push({ source: file, error: err.message });
+      }
+    }
+  }
+
+  const configured = readConfiguredCustomProviders(projectDir);
+  for (const [name, entry] of Object.entries(configured)) {
+    // An entry is a custom provider only if it declares a command, an adapter
+    // path, or extends a module; otherwise it is a typo left for loadEnabledProviders
+    if (!entry.command && !entry.adapter && !definitions[name]) continue;
+
+    let base = definitions[name] || {};
+    if (typeof entry.adapter === 'string') {
+      const adapterPath = isAbsolute(entry.adapter) ? entry.adapter : join(projectDir, 'chati.dev', entry.adapter);
+      try {
+        base = { ...base, ...(await importProviderModule(adapterPath)) };
+      } catch (err) {
+        errors.push({ source: `config.yaml providers.${name}`, error: err.message });
+        continue;
+      }
+    }
+    // enabled/primary are provider-selection flags, not definition fields;
+    // snake_case keys become camelCase so they override module fields
+    const fields = {};
+    for (const [key, value] of Object.entries(entry)) {
+      if (['adapter', 'enabled', 'primary'].includes(key)) continue;
+      fields[key.replace(/_([a-z])/g, (_, c) => c.toUpperCase())] = value;
+    }
+    definitions[name] = { ...base, ...fields, name };
+  }
+
+  const loaded = [];
+  for (const [name, def] of Object.entries(definitions)) {
+    const result = registerProvider(def);
+    if (result.registered) {
+      loaded.push(name);
+    } else {
+      errors.push({ source: name, error: result.error });
+    }
+  }
+
+  return { loaded, failed: errors.length, errors };
+}
+
 // ---------------------------------------------------------------------------
 // Provider Resolution
 // ---------------------------------------------------------------------------
@@ -84,25 +368,25 @@ const PROVIDERS = {
 /**
  * Get a provider configuration by name.
  *
- * @param {string} name - Provider name (claude, gemini, codex)
+ * @param {string} name - Provider name (claude, gemini, codex or a registered custom provider)
  * @returns {ProviderConfig}
  * @throws {Error} When provider is not found
  */
 export function getProvider(name) {
-  const provider = PROVIDERS[name];
+  const provider = PROVIDERS[name] || customProviders[name];
   if (!provider) {
-    throw new Error(`Unknown CLI provider: "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    throw new Error(`Unknown CLI provider: "${name}". Available: ${Object.keys(getAllProviders()).join(', ')}`);
   }
   return provider;
 }
 
 /**
- * Get all registered providers.
+ * Get all registered providers (built-in and custom).
  *
  * @returns {Record<string, ProviderConfig>}
  */
 export function getAllProviders() {
-  return { ...PROVIDERS };
+  return { ...PROVIDERS, ...customProviders };
 }
 
 /**
@@ -113,7 +397,7 @@ export function getAllProviders() {
  */
 export function loadEnabledProviders(projectDir) {
   const { primary, enabled } = parseProviderConfig(projectDir);
-  const validNames = Object.keys(PROVIDERS);
+  const validNames = Object.keys(getAllProviders());
 
   // Filter out invalid provider names (typos in config.yaml)
   const validEnabled = enabled.filter(name => validNames.includes(name));
@@ -153,7 +437,7 @@ export function resolveProviderForAgent(agent, projectDir, agentModels) {
   }
 
   // Fallback to primary provider with its default light-tier model
-  const provider = PROVIDERS[primary];
+  const provider = getAllProviders()[primary];
   const defaultModel = provider ? Object.keys(provider.modelMap)[0] : 'sonnet';
   return { provider: primary, model: defaultModel };
 }
@@ -165,7 +449,7 @@ export function resolveProviderForAgent(agent, projectDir, agentModels) {
  * @returns {Promise<boolean>}
  */
 export async function isProviderAvailable(name) {
-  const provider = PROVIDERS[name];
+  const provider = getAllProviders()[name];
   if (!provider) return false;
 
   const { execFileSync } = await import('child_process');
@@ -8,6 +8,8 @@
  */
 
 import { getWriteScope } from './isolation.js';
+import { getTerminalOutput } from './spawner.js';
+import { MONITOR_CANCEL_REASONS } from './monitor.js';
 
 // ---------------------------------------------------------------------------
 // Public API
@@ -16,30 +18,48 @@ import { getWriteScope } from './isolation.js';
 /**
  * Collect structured results from every terminal in a completed group.
  *
+ * With `options.audit` (see scope-audit.js), each result carries the
+ * write scope violations reported against its agent.
+ *
+ * A terminal the monitor cancelled because it lingered after writing a
+ * complete handoff counts as a success.
+ *
  * @param {string} groupId - The group identifier
  * @param {import('./spawner.js').TerminalHandle[]} terminals
- * @returns {{ groupId: string, results: object[], summary: object }}
+ * @param {{ audit?: import('./scope-audit.js').ScopeAudit|null }} [options={}]
+ * @returns {{ groupId: string, results: object[], summary: object, audit: import('./scope-audit.js').ScopeAudit|null }}
  */
-export function collectResults(groupId, terminals) {
+export function collectResults(groupId, terminals, options = {}) {
+  const audit = options.audit || null;
+
   if (!Array.isArray(terminals)) {
     return {
       groupId: groupId || 'unknown',
       results: [],
-      summary: { total: 0, succeeded: 0, failed: 0 },
+      summary: { total: 0, succeeded: 0, failed: 0, scopeViolations: 0 },
+      audit,
     };
   }
 
-  const results = terminals.map(t => ({
-    terminalId: t.id,
-    agent: t.agent,
-    taskId: t.taskId,
-    status: t.exitCode === 0 ? 'success' : 'failed',
-    exitCode: t.exitCode,
-    stdout: (t.stdout || []).join(''),
-    stderr: (t.stderr || []).join(''),
-    startedAt: t.startedAt,
-    elapsed: Date.now() - new Date(t.startedAt).getTime(),
-  }));
+  const results = terminals.map(t => {
+    // Structured output is decoded so stdout always holds the agent text
+    const { text, usage } = getTerminalOutput(t);
+    const handedOff = t.cancelReason === MONITOR_CANCEL_REASONS.HANDOFF_COMPLETE;
+    return {
+      terminalId: t.id,
+      agent: t.agent,
+      taskId: t.taskId,
+      status: t.exitCode === 0 || handedOff ? 'success' : 'failed',
+      exitCode: t.exitCode,
+      cancelReason: t.cancelReason || null,
+      stdout: text,
+      stderr: (t.stderr || []).join(''),
+      usage,
+      startedAt: t.startedAt,
+      elapsed: Date.now() - new Date(t.startedAt).getTime(),
+      scopeViolations: audit ? audit.violations.filter(v => v.agents.includes(t.agent)) : [],
+    };
+  });
 
   const succeeded = results.filter(r => r.status === 'success').length;
   const failed = results.filter(r => r.status === 'failed').length;
@@ -47,7 +67,8 @@ export function collectResults(groupId, terminals) {
   return {
     groupId,
     results,
-    summary: { total: results.length, succeeded, failed },
+    summary: { total: results.length, succeeded, failed, scopeViolations: audit ? audit.violations.length : 0 },
+    audit,
   };
 }
 
@@ -57,9 +78,11 @@ export function collectResults(groupId, terminals) {
  *
  * Each result is expected to contain handoff-like fields:
  *   { agent, outputs[], decisions{}, blockers[], summary }
+ * Results that name their `provider` (and `model`, `fallbackFrom`) are
+ * listed in `providers`, keyed by agent.
  *
  * @param {object[]} results - Per-terminal result objects (from collectResults)
- * @returns {{ merged: boolean, outputs: string[], decisions: Record<string,string>, blockers: string[], summary: string }}
+ * @returns {{ merged: boolean, outputs: string[], decisions: Record<string,string>, blockers: string[], summary: string, providers: Record<string, {provider: string, model: string|null, fallbackFrom: string|null}> }}
  */
 export function mergeHandoffs(results) {
   if (!Array.isArray(results) || results.length === 0) {
@@ -69,6 +92,7 @@ export function mergeHandoffs(results) {
       decisions: {},
       blockers: [],
       summary: 'No results to merge.',
+      providers: {},
     };
   }
 
@@ -76,8 +100,18 @@ export function mergeHandoffs(results) {
   const decisions = {};
   const blockers = [];
   const summaries = [];
+  const providers = {};
 
   for (const result of results) {
+    // Which provider ran the agent (after any fallback)
+    if (result.provider) {
+      providers[result.agent] = {
+        provider: result.provider,
+        model: result.model || null,
+        fallbackFrom: result.fallbackFrom || null,
+      };
+    }
+
     // Gather outputs -- either explicit or inferred from write scopes
     if (Array.isArray(result.outputs)) {
       outputs.push(...result.outputs);
@@ -114,6 +148,7 @@ export function mergeHandoffs(results) {
     decisions,
     blockers,
     summary: summaries.join('\n'),
+    providers,
   };
 }
 
@@ -141,6 +176,7 @@ export function buildConsolidatedHandoff(mergedData, nextAgent) {
       blockers: [],
       criteria_met: [],
       criteria_unmet: [],
+      providers: {},
     };
   }
 
@@ -162,6 +198,7 @@ export function buildConsolidatedHandoff(mergedData, nextAgent) {
     blockers: mergedData.blockers || [],
     criteria_met: [],
     criteria_unmet: [],
+    providers: mergedData.providers || {},
   };
 }
 
@@ -200,6 +237,14 @@ export function validateResults(results) {
       );
     }
 
+    // Write scope violations found by the post-execution audit
+    for (const violation of result.scopeViolations || []) {
+      errors.push(
+        `Write scope violation in ${result.agent || 'unknown'}: ${violation.change} ${violation.path}` +
+        (violation.reverted ? ' (reverted)' : '')
+      );
+    }
+
     // Check for write scope violations in stderr
     if (result.stderr && result.stderr.includes('CHATI_WRITE_SCOPE')) {
       errors.push(
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Persistent cost ledger.
+ *
+ * Append-only JSONL record of every execution the cost tracker prices,
+ * stored under .chati/costs/ so spend survives run-agent/run-parallel
+ * process exits and can be totalled per session, build run and agent.
+ * Appends are serialized across processes with utils/file-lock.js.
+ *
+ * Constitution Article XVI — Model Governance.
+ */
+
+import { existsSync, readFileSync, appendFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { acquireLock } from '../utils/file-lock.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Ledger file relative to project root. */
+export const LEDGER_FILE = '.chati/costs/ledger.jsonl';
+
+/** Max time to wait for the ledger lock before appending anyway (single-line appends are atomic). */
+const LEDGER_LOCK_TIMEOUT_MS = 2000;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {import('./cost-tracker.js').ExecutionRecord & { sessionId: string|null, buildId: string|null }} LedgerEntry
+ */
+
+/**
+ * @typedef {object} LedgerFilter
+ * @property {string} [sessionId] - Only entries from this session
+ * @property {string} [buildId] - Only entries from this build loop run
+ * @property {string} [agent] - Only entries for this agent
+ * @property {string|Date} [since] - Only entries at or after this time
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the absolute ledger path for a project.
+ *
+ * @param {string} projectDir
+ * @returns {string}
+ */
+export function getLedgerPath(projectDir) {
+  return join(projectDir, LEDGER_FILE);
+}
+
+/**
+ * Derive the ledger session id from session state (.chati/session.yaml).
+ * Uses an explicit `sessionId`/`session_id` when present, otherwise the
+ * session's `started_at` timestamp, which is unique per initialized session.
+ *
+ * @param {object|null} sessionState
+ * @returns {string|null}
+ */
+export function resolveSessionId(sessionState) {
+  const id = sessionState?.sessionId || sessionState?.session_id || sessionState?.started_at || null;
+  if (id instanceof Date) return id.toISOString();
+  return id ? String(id) : null;
+}
+
+/**
+ * Append an execution record to the ledger.
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {import('./cost-tracker.js').ExecutionRecord} record - Priced execution
+ * @param {{ sessionId?: string|null, buildId?: string|null }} [context={}] - Attribution
+ * @returns {LedgerEntry}
+ */
+export function appendLedgerEntry(projectDir, record, context = {}) {
+  const ledgerPath = getLedgerPath(projectDir);
+  mkdirSync(dirname(ledgerPath), { recursive: true });
+
+  const entry = {
+    ...record,
+    sessionId: context.sessionId || null,
+    buildId: context.buildId || null,
+  };
+
+  const lock = acquireLock(ledgerPath, { timeout: LEDGER_LOCK_TIMEOUT_MS });
+  try {
+    appendFileSync(ledgerPath, JSON.stringify(entry) + '\n', 'utf-8');
+  } finally {
+    lock.release();
+  }
+
+  return entry;
+}
+
+/**
+ * Read ledger entries, optionally filtered.
+ * Malformed lines (e.g. from a crash mid-write) are skipped.
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {LedgerFilter} [filter={}]
+ * @returns {LedgerEntry[]}
+ */
+export function readLedger(projectDir, filter = {}) {
+  const ledgerPath = getLedgerPath(projectDir);
+  if (!existsSync(ledgerPath)) return [];
+
+  let raw;
+  try {
+    raw = readFileSync(ledgerPath, 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const since = filter.since ? new Date(filter.since).getTime() : null;
+  const entries = [];
+
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (filter.sessionId && entry.sessionId !== filter.sessionId) continue;
+    if (filter.buildId && entry.buildId !== filter.buildId) continue;
+    if (filter.agent && entry.agent !== filter.agent) continue;
+    if (since !== null && !(new Date(entry.timestamp).getTime() >= since)) continue;
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Total cost of ledger entries matching a filter.
+ *
+ * @param {string} projectDir
+ * @param {LedgerFilter} [filter={}]
+ * @returns {{ cost: number, tokens: number, count: number }}
+ */
+export function getLedgerSpend(projectDir, filter = {}) {
+  const entries = readLedger(projectDir, filter);
+  return {
+    cost: entries.reduce((sum, e) => sum + (e.cost || 0), 0),
+    tokens: entries.reduce(
+      (sum, e) => sum + (e.inputTokens || 0) + (e.outputTokens || 0) + (e.cacheReadTokens || 0) + (e.cacheWriteTokens || 0),
+      0,
+    ),
+    count: entries.length,
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Cost reports from the persistent cost ledger.
+ *
+ * Backs the `chati-dev cost` command: reads one or more projects'
+ * ledgers, aggregates them through the cost tracker's exportReport and
+ * formats the breakdowns (agent, model, provider, task, day) as a text
+ * table, JSON or CSV. With several projects a per-project breakdown is
+ * added so agent spend can be compared across projects.
+ *
+ * Constitution Article XVI — Model Governance.
+ */
+
+import { basename, resolve } from 'path';
+import { readLedger } from './cost-ledger.js';
+import { createCostTracker } from './cost-tracker.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Report sections in display order: [report key, heading]. */
+export const REPORT_DIMENSIONS = [
+  ['byAgent', 'agent'],
+  ['byModel', 'model'],
+  ['byProvider', 'provider'],
+  ['byTask', 'task'],
+  ['byDay', 'day'],
+];
+
+const RELATIVE_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {import('./cost-tracker.js').CostReport & {
+ *   since: string|null,
+ *   projects: Array<{ project: string, dir: string, totalCost: number, executionCount: number, byAgent: Record<string, import('./cost-tracker.js').CostBucket> }>
+ * }} LedgerReport
+ */
+
+// ---------------------------------------------------------------------------
+// Building
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a `--since` value: a relative window (`24h`, `7d`, `2w`) or any
+ * date Date can parse (`2026-03-01`).
+ *
+ * @param {string} value
+ * @param {Date} [now=new Date()]
+ * @returns {Date}
+ * @throws {Error} When the value is not a window or date
+ */
+export function parseSince(value, now = new Date()) {
+  const relative = /^(\d+)([hdw])$/.exec(String(value).trim());
+  if (relative) {
+    return new Date(now.getTime() - Number(relative[1]) * RELATIVE_UNITS_MS[relative[2]]);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value "${value}" (use e.g. 24h, 7d, 2w or 2026-03-01)`);
+  }
+  return date;
+}
+
+/**
+ * Build a cost report from the ledgers of one or more projects.
+ *
+ * @param {string[]} projectDirs - Project root directories
+ * @param {{ since?: Date|null }} [options={}]
+ * @returns {LedgerReport}
+ */
+export function buildLedgerReport(projectDirs, options = {}) {
+  const since = options.since || null;
+  const filter = since ? { since } : {};
+
+  const allRecords = [];
+  const projects = [];
+
+  for (const dir of projectDirs) {
+    const records = readLedger(dir, filter);
+    allRecords.push(...records);
+
+    const report = createCostTracker({ records }).exportReport();
+    projects.push({
+      project: basename(resolve(dir)),
+      dir: resolve(dir),
+      totalCost: report.totalCost,
+      executionCount: report.executionCount,
+      byAgent: report.byAgent,
+    });
+  }
+
+  const report = createCostTracker({ records: allRecords }).exportReport();
+  // Ledger entries carry the version that priced them; a table-wide version is meaningless here
+  delete report.pricingVersion;
+
+  return {
+    ...report,
+    since: since ? since.toISOString() : null,
+    projects,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Formatting
+// ---------------------------------------------------------------------------
+
+/**
+ * Format a USD amount for display.
+ *
+ * @param {number} cost
+ * @returns {string}
+ */
+function formatUsd(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Render buckets as aligned table rows, most expensive first
+ * (days in chronological order).
+ *
+ * @param {string} heading
+ * @param {Record<string, import('./cost-tracker.js').CostBucket>} buckets
+ * @param {boolean} [chronological=false]
+ * @returns {string[]}
+ */
+function formatTable(heading, buckets, chronological = false) {
+  const entries = Object.entries(buckets);
+  entries.sort(chronological ? (a, b) => a[0].localeCompare(b[0]) : (a, b) => b[1].cost - a[1].cost);
+
+  const width = Math.max(heading.length, ...entries.map(([key]) => key.length));
+  const lines = [
+    `  ${heading.toUpperCase().padEnd(width)}  ${'RUNS'.padStart(5)}  ${'INPUT'.padStart(10)}  ${'OUTPUT'.padStart(10)}  ${'COST'.padStart(10)}`,
+  ];
+  for (const [key, b] of entries) {
+    lines.push(
+      `  ${key.padEnd(width)}  ${String(b.count).padStart(5)}  ${String(b.inputTokens).padStart(10)}  ${String(b.outputTokens).padStart(10)}  ${formatUsd(b.cost).padStart(10)}`,
+    );
+  }
+  return lines;
+}
+
+/**
+ * Format a report as human-readable text.
+ *
+ * @param {LedgerReport} report
+ * @returns {string}
+ */
+export function formatCostReport(report) {
+  const lines = ['Cost Report', '='.repeat(30)];
+  lines.push(`  Since:      ${report.since || 'all time'}`);
+  lines.push(`  Executions: ${report.executionCount} (${report.tokenSources.reported} reported, ${report.tokenSources.estimated} estimated)`);
+  lines.push(`  Tokens:     ${report.totalTokens}`);
+  lines.push(`  Total:      ${formatUsd(report.totalCost)}`);
+
+  if (report.executionCount === 0) {
+    lines.push('', '  No executions recorded in .chati/costs/ledger.jsonl.');
+    return lines.join('\n');
+  }
+
+  for (const [key, heading] of REPORT_DIMENSIONS) {
+    lines.push('', ...formatTable(heading, report[key], key === 'byDay'));
+  }
+
+  if (report.projects.length > 1) {
+    const byProject = {};
+    for (const p of report.projects) {
+      for (const [agent, bucket] of Object.entries(p.byAgent)) {
+        byProject[`${p.project}/${agent}`] = bucket;
+      }
+    }
+    lines.push('', ...formatTable('project/agent', byProject));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Quote a CSV field when needed.
+ *
+ * @param {string|number} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a report as CSV: one row per bucket of every breakdown, with
+ * per-project agent rows when several projects were read.
+ *
+ * @param {LedgerReport} report
+ * @returns {string}
+ */
+export function formatCostCsv(report) {
+  const rows = [['project', 'dimension', 'key', 'executions', 'input_tokens', 'output_tokens', 'input_cost', 'output_cost', 'cost']];
+  const usd = (value) => Math.round(value * 1_000_000) / 1_000_000;
+  const push = (project, dimension, key, b) => {
+    rows.push([project, dimension, key, b.count, b.inputTokens, b.outputTokens, usd(b.inputCost), usd(b.outputCost), usd(b.cost)]);
+  };
+
+  for (const [key, heading] of REPORT_DIMENSIONS) {
+    for (const [bucketKey, bucket] of Object.entries(report[key])) {
+      push('*', heading, bucketKey, bucket);
+    }
+  }
+
+  if (report.projects.length > 1) {
+    for (const p of report.projects) {
+      for (const [agent, bucket] of Object.entries(p.byAgent)) {
+        push(p.project, 'agent', agent, bucket);
+      }
+    }
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n');
+}
@@ -1,19 +1,28 @@
 /**
  * @fileoverview Token cost tracking for terminal spawner.
  *
- * Estimates token usage and cost per agent execution,
- * providing session-level and per-agent cost visibility.
+ * Records token usage and cost per agent execution, providing
+ * session-level and per-agent cost visibility. Uses the token counts
+ * reported by the CLI's structured output when available (see each
+ * adapter's parseOutput) and falls back to a character estimate.
+ * Input and output are priced separately from the pricing table.
+ * With the `ledger` option every record is also appended to the
+ * persistent cost ledger (see cost-ledger.js).
  *
  * Constitution Article XVI — Model Governance.
  */
 
+import { DEFAULT_PRICING, loadPricing, priceUsage } from './pricing.js';
+import { appendLedgerEntry } from './cost-ledger.js';
+
 // ---------------------------------------------------------------------------
 // Cost Tables
 // ---------------------------------------------------------------------------
 
 /**
  * Estimated cost per 1K tokens (input + output average) in USD.
- * These are approximations for cost awareness — not billing.
+ * Legacy blended rates kept for backwards compatibility — the tracker
+ * prices executions from the split rates in pricing.js.
  */
 export const COST_PER_1K = {
   // Claude models
@@ -51,64 +60,140 @@ export function estimateTokens(text) {
 // Cost Tracker
 // ---------------------------------------------------------------------------
 
+/**
+ * Token usage as reported by a provider CLI.
+ * `inputTokens` excludes cache reads/writes.
+ *
+ * @typedef {object} TokenUsage
+ * @property {number} inputTokens - Uncached input tokens
+ * @property {number} outputTokens - Output tokens (including thinking)
+ * @property {number} [cacheReadTokens] - Input tokens served from cache
+ * @property {number} [cacheWriteTokens] - Input tokens written to cache
+ * @property {number|null} [reportedCost] - Cost reported by the CLI itself (USD), if any
+ */
+
 /**
  * @typedef {object} ExecutionRecord
  * @property {string} agent - Agent name
  * @property {string} model - Model tier used
+ * @property {string} provider - CLI provider name (the one that actually ran)
+ * @property {string} [fallbackFrom] - Primary provider, when a fallback ran instead
  * @property {string} taskId - Task identifier
- * @property {number} inputTokens - Estimated input tokens
- * @property {number} outputTokens - Estimated output tokens
- * @property {number} cost - Estimated cost in USD
+ * @property {number} inputTokens - Uncached input tokens
+ * @property {number} outputTokens - Output tokens
+ * @property {number} cacheReadTokens - Cache-read input tokens
+ * @property {number} cacheWriteTokens - Cache-write input tokens
+ * @property {number} inputCost - Input cost in USD (including cache)
+ * @property {number} outputCost - Output cost in USD
+ * @property {number} cost - Total cost in USD
+ * @property {number|null} reportedCost - Cost reported by the CLI, for reconciliation
+ * @property {'reported'|'estimated'} tokenSource - Where token counts came from
+ * @property {string} pricingVersion - Pricing table version used
  * @property {number} duration - Execution time in ms
  * @property {string} timestamp - ISO timestamp
  */
 
+/**
+ * @typedef {{ cost: number, tokens: number, count: number, inputTokens: number, outputTokens: number, inputCost: number, outputCost: number }} CostBucket
+ */
+
 /**
  * @typedef {object} CostReport
- * @property {number} totalCost - Total estimated cost
- * @property {number} totalTokens - Total estimated tokens
+ * @property {number} totalCost - Total cost
+ * @property {number} totalTokens - Total tokens (input, output and cache)
  * @property {number} executionCount - Number of executions
- * @property {Record<string, { cost: number, tokens: number, count: number }>} byAgent - Per-agent breakdown
- * @property {Record<string, { cost: number, tokens: number, count: number }>} byModel - Per-model breakdown
+ * @property {Record<string, CostBucket>} byAgent - Per-agent breakdown
+ * @property {Record<string, CostBucket>} byModel - Per-model breakdown
+ * @property {Record<string, CostBucket>} byProvider - Per-provider breakdown
+ * @property {Record<string, CostBucket>} byTask - Per-task breakdown
+ * @property {Record<string, CostBucket>} byDay - Per-day breakdown (UTC, YYYY-MM-DD)
+ * @property {{ reported: number, estimated: number }} tokenSources - Executions per token source
+ * @property {string} pricingVersion - Pricing table version
  * @property {string} generatedAt - ISO timestamp
  */
 
+/**
+ * Total tokens of a record, cache included.
+ *
+ * @param {ExecutionRecord} record
+ * @returns {number}
+ */
+function totalTokensOf(record) {
+  return (record.inputTokens || 0) + (record.outputTokens || 0) + (record.cacheReadTokens || 0) + (record.cacheWriteTokens || 0);
+}
+
 /**
  * Create a cost tracker instance.
  *
+ * @param {{ pricing?: import('./pricing.js').PricingTable, projectDir?: string, ledger?: { sessionId?: string|null, buildId?: string|null }, records?: ExecutionRecord[] }} [options={}]
+ *   Explicit pricing table, or a project whose config.yaml `pricing:` overrides the defaults.
+ *   `ledger` (requires projectDir) persists every record with that session/build attribution.
+ *   `records` seeds the tracker with already-priced records (e.g. read back from the ledger).
  * @returns {{ recordExecution: Function, getSessionCost: Function, getAgentCost: Function, exportReport: Function, reset: Function }}
  */
-export function createCostTracker() {
+export function createCostTracker(options = {}) {
+  const pricing = options.pricing || (options.projectDir ? loadPricing(options.projectDir) : DEFAULT_PRICING);
+
   /** @type {ExecutionRecord[]} */
-  let records = [];
+  let records = [...(options.records || [])];
 
   /**
    * Record a completed execution.
    *
-   * @param {{ agent: string, model?: string, taskId: string, inputText?: string, outputText?: string, duration?: number }} execution
+   * Pass `usage` (from the adapter's parseOutput) for exact accounting;
+   * otherwise tokens are estimated from inputText/outputText.
+   *
+   * @param {{ agent: string, model?: string, provider?: string, fallbackFrom?: string|null, taskId: string, usage?: TokenUsage|null, inputText?: string, outputText?: string, duration?: number }} execution
    * @returns {ExecutionRecord}
    */
   function recordExecution(execution) {
     const model = execution.model || 'unknown';
-    const inputTokens = estimateTokens(execution.inputText);
-    const outputTokens = estimateTokens(execution.outputText);
-    const totalTokens = inputTokens + outputTokens;
-    const costRate = COST_PER_1K[model] || COST_PER_1K.unknown;
-    const cost = (totalTokens / 1000) * costRate;
+    const usage = execution.usage || null;
+
+    const tokens = usage
+      ? {
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        cacheReadTokens: usage.cacheReadTokens || 0,
+        cacheWriteTokens: usage.cacheWriteTokens || 0,
+      }
+      : {
+        inputTokens: estimateTokens(execution.inputText),
+        outputTokens: estimateTokens(execution.outputText),
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+      };
+
+    const { inputCost, outputCost, cost } = priceUsage(tokens, model, pricing);
 
     const record = {
       agent: execution.agent,
       model,
       provider: execution.provider || 'unknown',
+      ...(execution.fallbackFrom ? { fallbackFrom: execution.fallbackFrom } : {}),
       taskId: execution.taskId,
-      inputTokens,
-      outputTokens,
-      cost: Math.round(cost * 1_000_000) / 1_000_000, // 6 decimal places
+      ...tokens,
+      inputCost,
+      outputCost,
+      cost,
+      reportedCost: usage && typeof usage.reportedCost === 'number' ? usage.reportedCost : null,
+      tokenSource: usage ? 'reported' : 'estimated',
+      pricingVersion: pricing.version,
       duration: execution.duration || 0,
       timestamp: new Date().toISOString(),
     };
 
     records.push(record);
+
+    if (options.ledger && options.projectDir) {
+      try {
+        appendLedgerEntry(options.projectDir, record, options.ledger);
+      } catch (err) {
+        // The execution already happened — never lose its result over a ledger write
+        console.error(`[chati] Cost ledger write failed: ${err.message}`);
+      }
+    }
+
     return record;
   }
 
@@ -118,7 +203,7 @@ export function createCostTracker() {
    * @returns {number} Total cost in USD
    */
   function getSessionCost() {
-    return records.reduce((sum, r) => sum + r.cost, 0);
+    return records.reduce((sum, r) => sum + (r.cost || 0), 0);
   }
 
   /**
@@ -131,7 +216,7 @@ export function createCostTracker() {
     const agentRecords = records.filter(r => r.agent === agent);
     return {
       cost: agentRecords.reduce((sum, r) => sum + r.cost, 0),
-      tokens: agentRecords.reduce((sum, r) => sum + r.inputTokens + r.outputTokens, 0),
+      tokens: agentRecords.reduce((sum, r) => sum + totalTokensOf(r), 0),
       count: agentRecords.length,
     };
   }
@@ -145,43 +230,44 @@ export function createCostTracker() {
     const byAgent = {};
     const byModel = {};
     const byProvider = {};
+    const byTask = {};
+    const byDay = {};
+    const tokenSources = { reported: 0, estimated: 0 };
 
-    for (const record of records) {
-      const totalTokens = record.inputTokens + record.outputTokens;
-
-      // Aggregate by agent
-      if (!byAgent[record.agent]) {
-        byAgent[record.agent] = { cost: 0, tokens: 0, count: 0 };
+    const addTo = (buckets, key, record) => {
+      if (!buckets[key]) {
+        buckets[key] = { cost: 0, tokens: 0, count: 0, inputTokens: 0, outputTokens: 0, inputCost: 0, outputCost: 0 };
       }
-      byAgent[record.agent].cost += record.cost;
-      byAgent[record.agent].tokens += totalTokens;
-      byAgent[record.agent].count += 1;
+      const bucket = buckets[key];
+      bucket.cost += record.cost || 0;
+      bucket.tokens += totalTokensOf(record);
+      bucket.count += 1;
+      bucket.inputTokens += (record.inputTokens || 0) + (record.cacheReadTokens || 0) + (record.cacheWriteTokens || 0);
+      bucket.outputTokens += record.outputTokens || 0;
+      bucket.inputCost += record.inputCost || 0;
+      bucket.outputCost += record.outputCost || 0;
+    };
 
-      // Aggregate by model
-      if (!byModel[record.model]) {
-        byModel[record.model] = { cost: 0, tokens: 0, count: 0 };
-      }
-      byModel[record.model].cost += record.cost;
-      byModel[record.model].tokens += totalTokens;
-      byModel[record.model].count += 1;
-
-      // Aggregate by provider
-      const prov = record.provider || 'unknown';
-      if (!byProvider[prov]) {
-        byProvider[prov] = { cost: 0, tokens: 0, count: 0 };
-      }
-      byProvider[prov].cost += record.cost;
-      byProvider[prov].tokens += totalTokens;
-      byProvider[prov].count += 1;
+    for (const record of records) {
+      addTo(byAgent, record.agent, record);
+      addTo(byModel, record.model, record);
+      addTo(byProvider, record.provider || 'unknown', record);
+      addTo(byTask, record.taskId || 'unknown', record);
+      addTo(byDay, record.timestamp ? record.timestamp.slice(0, 10) : 'unknown', record);
+      tokenSources[record.tokenSource === 'reported' ? 'reported' : 'estimated'] += 1;
     }
 
     return {
       totalCost: getSessionCost(),
-      totalTokens: records.reduce((sum, r) => sum + r.inputTokens + r.outputTokens, 0),
+      totalTokens: records.reduce((sum, r) => sum + totalTokensOf(r), 0),
       executionCount: records.length,
       byAgent,
       byModel,
       byProvider,
+      byTask,
+      byDay,
+      tokenSources,
+      pricingVersion: pricing.version,
       generatedAt: new Date().toISOString(),
     };
   }
@@ -5,9 +5,17 @@
  * <chati-handoff> block in their output. This module extracts
  * and parses that block so the orchestrator can read the results.
  *
+ * Agents often write a draft block before the final one, so the last
+ * complete block wins. Its body may be JSON, YAML (fenced or starting
+ * with `---`) or the key/value field format; all three are normalized
+ * to the same shape. A block cut off by truncated output is recovered
+ * as far as possible. Every step records diagnostics with the output
+ * line where parsing failed.
+ *
  * Includes integrity validation via schema checking (Item 13).
  */
 
+import yaml from 'js-yaml';
 import { validateSchema, HANDOFF_SCHEMA } from '../utils/schema-validator.js';
 
 /**
@@ -16,31 +24,86 @@ import { validateSchema, HANDOFF_SCHEMA } from '../utils/schema-validator.js';
  */
 const VALID_STATUSES = ['APPROVED', 'NEEDS_REVISION', 'BLOCKED', 'unknown'];
 
+const OPEN_TAG = '<chati-handoff>';
+const CLOSE_TAG = '</chati-handoff>';
+
+/** Code fence around a block body; the closing fence may be missing when truncated. */
+const FENCE_PATTERN = /^```([\w-]*)[^\S\n]*\n([\s\S]*?)(?:\n?```\s*)?$/;
+
+/**
+ * @typedef {Object} HandoffDiagnostic
+ * @property {'error'|'warning'|'info'} level
+ * @property {string} message
+ * @property {number|null} line   - 1-based line in the agent output
+ * @property {number|null} column - 1-based column, when known
+ */
+
+/**
+ * @typedef {Object} ParsedAgentOutput
+ * @property {boolean} found
+ * @property {object|null} handoff - Normalized handoff data
+ * @property {string} rawOutput
+ * @property {boolean} valid
+ * @property {string[]} warnings
+ * @property {'json'|'yaml'|'fields'|null} format - Body format that was parsed
+ * @property {boolean} truncated - The block had no closing tag
+ * @property {number} blockCount - Handoff blocks seen in the output
+ * @property {HandoffDiagnostic[]} diagnostics
+ */
+
 /**
  * Parse the <chati-handoff> block from agent stdout.
  *
  * Returns validation info alongside parsed data for integrity checking.
  *
  * @param {string} output - Full stdout from the agent process
- * @returns {{ found: boolean, handoff: object|null, rawOutput: string, valid: boolean, warnings: string[] }}
+ * @returns {ParsedAgentOutput}
  */
 export function parseAgentOutput(output) {
   if (!output || typeof output !== 'string') {
-    return { found: false, handoff: null, rawOutput: '', valid: false, warnings: ['No output provided'] };
+    return notFound('', 'No output provided');
   }
 
-  const match = output.match(/<chati-handoff>([\s\S]*?)<\/chati-handoff>/);
-  if (!match) {
-    return { found: false, handoff: null, rawOutput: output, valid: false, warnings: ['No handoff block found'] };
+  const blocks = extractBlocks(output);
+  if (blocks.length === 0) {
+    return notFound(output, 'No handoff block found');
   }
 
-  const content = match[1].trim();
-  const handoff = parseHandoffFields(content);
+  const diagnostics = [];
+  const complete = blocks.filter(b => b.complete);
+  const block = complete.length > 0 ? complete[complete.length - 1] : blocks[blocks.length - 1];
 
-  // Validate the parsed handoff
-  const { valid, warnings } = validateHandoff(handoff);
+  if (blocks.length > 1) {
+    diagnostics.push(diagnostic('info', `${blocks.length} handoff blocks found; using the one at line ${block.line}`, block.line));
+  }
+  if (block.complete && blocks[blocks.length - 1] !== block) {
+    const last = blocks[blocks.length - 1];
+    diagnostics.push(diagnostic('warning', 'A later handoff block is truncated (no closing tag); using the last complete block', last.line));
+  }
+  if (!block.complete) {
+    diagnostics.push(diagnostic('warning', 'Handoff block is truncated (no closing tag); recovering the fields present', block.line));
+  }
 
-  return { found: true, handoff, rawOutput: output, valid, warnings };
+  const { handoff, format } = parseBlockBody(block, diagnostics);
+
+  // Validate the normalized handoff
+  const validation = validateHandoff(handoff);
+  const warnings = [
+    ...diagnostics.filter(d => d.level !== 'info').map(formatDiagnostic),
+    ...validation.warnings,
+  ];
+
+  return {
+    found: true,
+    handoff,
+    rawOutput: output,
+    valid: validation.valid && block.complete,
+    warnings,
+    format,
+    truncated: !block.complete,
+    blockCount: blocks.length,
+    diagnostics,
+  };
 }
 
 /**
@@ -79,6 +142,315 @@ export function validateHandoff(handoff) {
   return { valid: !hasErrors, warnings };
 }
 
+// ---------------------------------------------------------------------------
+// Block extraction
+// ---------------------------------------------------------------------------
+
+/**
+ * Result for output without a usable handoff block.
+ *
+ * @param {string} rawOutput
+ * @param {string} message
+ * @returns {ParsedAgentOutput}
+ */
+function notFound(rawOutput, message) {
+  return {
+    found: false,
+    handoff: null,
+    rawOutput,
+    valid: false,
+    warnings: [message],
+    format: null,
+    truncated: false,
+    blockCount: 0,
+    diagnostics: [diagnostic('error', message, null)],
+  };
+}
+
+/**
+ * @param {'error'|'warning'|'info'} level
+ * @param {string} message
+ * @param {number|null} line
+ * @param {number|null} [column=null]
+ * @returns {HandoffDiagnostic}
+ */
+function diagnostic(level, message, line, column = null) {
+  return { level, message, line, column };
+}
+
+/**
+ * @param {HandoffDiagnostic} d
+ * @returns {string}
+ */
+function formatDiagnostic(d) {
+  if (d.line === null) return d.message;
+  return d.column === null ? `line ${d.line}: ${d.message}` : `line ${d.line}:${d.column}: ${d.message}`;
+}
+
+/**
+ * 1-based line number of a character index.
+ *
+ * @param {string} text
+ * @param {number} index
+ * @returns {number}
+ */
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Find every handoff block in the output. An opening tag that is
+ * re-opened before it closes is a discarded draft; a final opening
+ * tag without a closing tag is returned as an incomplete block.
+ *
+ * @param {string} output
+ * @returns {Array<{ content: string, contentIndex: number, line: number, complete: boolean, output: string }>}
+ */
+function extractBlocks(output) {
+  const blocks = [];
+  let pos = 0;
+
+  while (pos < output.length) {
+    let open = output.indexOf(OPEN_TAG, pos);
+    if (open === -1) break;
+
+    const close = output.indexOf(CLOSE_TAG, open + OPEN_TAG.length);
+    const end = close === -1 ? output.length : close;
+
+    // Skip drafts that were abandoned and re-opened before closing
+    let reopened = output.indexOf(OPEN_TAG, open + OPEN_TAG.length);
+    while (reopened !== -1 && reopened < end) {
+      open = reopened;
+      reopened = output.indexOf(OPEN_TAG, open + OPEN_TAG.length);
+    }
+
+    const contentIndex = open + OPEN_TAG.length;
+    blocks.push({
+      content: output.slice(contentIndex, end),
+      contentIndex,
+      line: lineAt(output, open),
+      complete: close !== -1,
+      output,
+    });
+
+    if (close === -1) break;
+    pos = close + CLOSE_TAG.length;
+  }
+
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Body parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a block body into a normalized handoff, trying the formats the
+ * body looks like in order and falling back to the field format.
+ *
+ * @param {{ content: string, contentIndex: number, complete: boolean, output: string }} block
+ * @param {HandoffDiagnostic[]} diagnostics - Appended to
+ * @returns {{ handoff: object, format: 'json'|'yaml'|'fields' }}
+ */
+function parseBlockBody(block, diagnostics) {
+  let body = block.content;
+  let bodyIndex = block.contentIndex;
+  let lang = null;
+
+  // Unwrap a ```json / ```yaml fence
+  const leading = body.length - body.trimStart().length;
+  const fence = body.trim().match(FENCE_PATTERN);
+  if (fence) {
+    lang = fence[1].toLowerCase() || null;
+    bodyIndex += leading + body.trimStart().indexOf('\n') + 1;
+    body = fence[2];
+  }
+
+  // Truncated output may end mid-line; that line cannot be trusted
+  if (!block.complete && !/\n\s*$/.test(block.content)) {
+    const lastNewline = body.lastIndexOf('\n');
+    const cut = body.slice(lastNewline + 1).trim();
+    if (cut && !looksLikeJson(body, lang)) {
+      diagnostics.push(diagnostic('warning', `Dropped incomplete last line "${cut.slice(0, 60)}"`, lineAt(block.output, bodyIndex + lastNewline + 1)));
+      body = lastNewline === -1 ? '' : body.slice(0, lastNewline);
+    }
+  }
+
+  const bodyLine = lineAt(block.output, bodyIndex);
+  const attempts = [];
+  if (looksLikeJson(body, lang)) attempts.push('json', 'yaml');
+  else if (lang === 'yaml' || lang === 'yml' || body.trimStart().startsWith('---')) attempts.push('yaml');
+
+  for (const format of attempts) {
+    const data = format === 'json'
+      ? parseJsonBody(body, bodyLine, !block.complete, diagnostics)
+      : parseYamlBody(body, bodyLine, diagnostics);
+    if (data) {
+      return { handoff: normalizeHandoff(data), format };
+    }
+  }
+
+  if (attempts.length > 0) {
+    diagnostics.push(diagnostic('warning', `Falling back to the field format after ${attempts.join('/')} parsing failed`, bodyLine));
+  }
+  return { handoff: parseHandoffFields(body, bodyLine, diagnostics), format: 'fields' };
+}
+
+/**
+ * @param {string} body
+ * @param {string|null} lang - Fence language
+ * @returns {boolean}
+ */
+function looksLikeJson(body, lang) {
+  return lang === 'json' || (lang === null && body.trimStart().startsWith('{'));
+}
+
+/**
+ * Parse a JSON body, closing brackets left open by truncation.
+ *
+ * @param {string} body
+ * @param {number} bodyLine - Output line of the body's first line
+ * @param {boolean} truncated
+ * @param {HandoffDiagnostic[]} diagnostics
+ * @returns {object|null} Parsed object, or null on failure
+ */
+function parseJsonBody(body, bodyLine, truncated, diagnostics) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (err) {
+    const repaired = truncated ? closeTruncatedJson(body) : null;
+    if (repaired) {
+      try {
+        data = JSON.parse(repaired);
+        diagnostics.push(diagnostic('warning', 'Closed truncated JSON body', bodyLine));
+      } catch { /* report the original error below */ }
+    }
+    if (data === undefined) {
+      const position = /position (\d+)/.exec(err.message);
+      const index = position ? Math.min(Number(position[1]), body.length) : null;
+      const line = index === null ? bodyLine : bodyLine + lineAt(body, index) - 1;
+      const column = index === null ? null : index - body.lastIndexOf('\n', index - 1);
+      diagnostics.push(diagnostic('error', `Invalid JSON: ${err.message}`, line, column));
+      return null;
+    }
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    diagnostics.push(diagnostic('error', 'JSON body is not an object', bodyLine));
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Close strings and brackets left open at the end of a truncated JSON body.
+ *
+ * @param {string} body
+ * @returns {string|null} Repaired text, or null when nothing was open
+ */
+function closeTruncatedJson(body) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const ch of body) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    }
+  }
+
+  if (!inString && stack.length === 0) return null;
+
+  let text = inString ? `${body}"` : body.trimEnd();
+  // A dangling separator or key cannot be completed
+  text = text.replace(/,\s*$/, '').replace(/,?\s*"[^"]*"\s*:\s*$/, '');
+  return text + stack.reverse().join('');
+}
+
+/**
+ * Parse a YAML body.
+ *
+ * @param {string} body
+ * @param {number} bodyLine - Output line of the body's first line
+ * @param {HandoffDiagnostic[]} diagnostics
+ * @returns {object|null} Parsed object, or null on failure
+ */
+function parseYamlBody(body, bodyLine, diagnostics) {
+  let data;
+  try {
+    data = yaml.load(body);
+  } catch (err) {
+    const mark = err.mark;
+    diagnostics.push(diagnostic(
+      'error',
+      `Invalid YAML: ${err.reason || err.message}`,
+      mark ? bodyLine + mark.line : bodyLine,
+      mark ? mark.column + 1 : null,
+    ));
+    return null;
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    diagnostics.push(diagnostic('error', 'YAML body is not a mapping', bodyLine));
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Normalize JSON/YAML handoff data to the shape the field format produces.
+ *
+ * @param {object} data
+ * @returns {object}
+ */
+function normalizeHandoff(data) {
+  const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+  const list = (value) => {
+    if (value === null || value === undefined || value === '') return [];
+    return (Array.isArray(value) ? value : [value])
+      .map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : text(item)))
+      .filter(Boolean);
+  };
+  const optional = (value) => {
+    const str = text(value);
+    return str === '' || str === 'null' ? null : str;
+  };
+
+  const decisions = {};
+  if (data.decisions && typeof data.decisions === 'object' && !Array.isArray(data.decisions)) {
+    for (const [key, value] of Object.entries(data.decisions)) {
+      decisions[key] = value !== null && typeof value === 'object' ? value : text(value);
+    }
+  }
+
+  const score = typeof data.score === 'number' ? data.score : parseInt(data.score, 10);
+
+  return {
+    status: text(data.status) || 'unknown',
+    score: Number.isNaN(score) ? null : score,
+    summary: text(data.summary),
+    outputs: list(data.outputs),
+    decisions,
+    blockers: list(data.blockers),
+    needs_input_question: optional(data.needs_input_question),
+    provider: optional(data.provider),
+    model: optional(data.model),
+  };
+}
+
 /**
  * Parse YAML-like key-value fields from the handoff block content.
  *
@@ -91,10 +463,14 @@ export function validateHandoff(handoff) {
  *     key1: value1
  *     key2: value2
  *
+ * Lines matching none of these are reported as warnings.
+ *
  * @param {string} content - Content inside <chati-handoff> tags
+ * @param {number} [firstLine=1] - Output line of the content's first line
+ * @param {HandoffDiagnostic[]} [diagnostics=[]] - Appended to
  * @returns {object} Parsed handoff data
  */
-function parseHandoffFields(content) {
+function parseHandoffFields(content, firstLine = 1, diagnostics = []) {
   const result = {
     status: 'unknown',
     score: null,
@@ -111,7 +487,7 @@ function parseHandoffFields(content) {
   let currentKey = null;
   let currentType = null; // 'list' | 'map'
 
-  for (const line of lines) {
+  for (const [index, line] of lines.entries()) {
     const trimmed = line.trim();
     if (!trimmed) continue;
 
@@ -177,7 +553,10 @@ function parseHandoffFields(content) {
       } else if (key === 'model') {
         result.model = value || null;
       }
+      continue;
     }
+
+    diagnostics.push(diagnostic('warning', `Unrecognized handoff line "${trimmed.slice(0, 60)}"`, firstLine + index));
   }
 
   return result;
@@ -9,10 +9,72 @@ export {
   killTerminal,
   getTerminalStatus,
   cleanParentEnv,
+  getTerminalOutput,
+  spawnTerminalWithRetry,
+  spawnTerminalWithFallback,
+  isProviderMissing,
   _resetCounter,
 } from './spawner.js';
 
-export { TerminalMonitor } from './monitor.js';
+export {
+  parseFallbackChain,
+  loadFallbackConfig,
+  getFallbackChain,
+  resolveFallbackChain,
+  getProviderCircuit,
+} from './provider-fallback.js';
+
+export {
+  createCostTracker,
+  estimateTokens,
+} from './cost-tracker.js';
+
+export {
+  DEFAULT_PRICING,
+  loadPricing,
+  getModelPrice,
+  priceUsage,
+} from './pricing.js';
+
+export {
+  LEDGER_FILE,
+  getLedgerPath,
+  appendLedgerEntry,
+  readLedger,
+  getLedgerSpend,
+  resolveSessionId,
+} from './cost-ledger.js';
+
+export {
+  BudgetLevel,
+  DEFAULT_SOFT_THRESHOLD,
+  loadBudgets,
+  hasBudgets,
+  checkBudget,
+  getSpendSummary,
+} from './budget.js';
+
+export {
+  REPORT_DIMENSIONS,
+  parseSince,
+  buildLedgerReport,
+  formatCostReport,
+  formatCostCsv,
+} from './cost-report.js';
+
+export {
+  createLineSplitter,
+  createOutputStream,
+} from './output-stream.js';
+
+export { TerminalMonitor, MONITOR_CANCEL_REASONS } from './monitor.js';
+
+export {
+  TERMINAL_PROGRESS_DIR,
+  createProgressReporter,
+  readTerminalProgress,
+  pruneTerminalProgress,
+} from './progress.js';
 
 export {
   collectResults,
@@ -28,8 +90,17 @@ export {
   isPathAllowed,
   getReadScope,
   buildIsolationEnv,
+  HANDOFF_DIR,
 } from './isolation.js';
 
+export {
+  AUDIT_IGNORED_DIRS,
+  snapshotWorkingTree,
+  diffWorkingTree,
+  auditWriteScopes,
+  revertChange,
+} from './scope-audit.js';
+
 export {
   buildAgentPrompt,
   AGENT_FILE_MAP,
@@ -38,3 +109,12 @@ export {
 export {
   parseAgentOutput,
 } from './handoff-parser.js';
+
+export {
+  getProvider,
+  getAllProviders,
+  registerProvider,
+  unregisterProvider,
+  loadCustomProviders,
+  validateProviderDefinition,
+} from './cli-registry.js';
@@ -30,6 +30,9 @@ export const WRITE_SCOPES = {
   'devops':        ['.github/', 'Dockerfile', 'docker-compose.yml', 'chati.dev/artifacts/9-Deploy/'],
 };
 
+/** Directory where every agent writes its own `<agent>-handoff.md`. */
+export const HANDOFF_DIR = 'chati.dev/artifacts/handoffs/';
+
 /**
  * Return the write scope for a given agent.
  *
@@ -81,6 +84,7 @@ export function validateWriteScopes(configs) {
 
 /**
  * Check whether a file path falls within an agent's write scope.
+ * An agent with a scope may also write its own handoff file.
  *
  * @param {string} agent - Agent name
  * @param {string} filePath - Relative file path to check
@@ -97,6 +101,9 @@ export function isPathAllowed(agent, filePath) {
   }
 
   const normalised = filePath.replace(/\\/g, '/');
+  if (normalised === `${HANDOFF_DIR}${agent}-handoff.md`) {
+    return true;
+  }
   return scope.some(prefix => normalised === prefix || normalised.startsWith(prefix));
 }
 
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Mock agent CLI spawned by the `mock` provider.
+ *
+ * Replays the fixture for an agent/task (see adapters/mock-adapter.js)
+ * so pipelines can run end to end without any LLM: writes the scripted
+ * stdout chunks over the fixture's delay, then the handoff block, writes
+ * the fixture's files and exits with its exit code.
+ *
+ * Usage:
+ *   node mock-cli.js --fixtures /path/to/fixtures --agent dev --task-id T1
+ *
+ * The prompt is read from stdin and ignored.
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, isAbsolute, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { findFixture, loadFixture, renderHandoff } from './adapters/mock-adapter.js';
+
+// ---------------------------------------------------------------------------
+// CLI argument parsing
+// ---------------------------------------------------------------------------
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        args[key] = next;
+        i++;
+      } else {
+        args[key] = 'true';
+      }
+    }
+  }
+  return args;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const args = parseArgs(process.argv);
+
+  // Drain the prompt so the parent's stdin write never hits a closed pipe
+  if (!process.stdin.isTTY) {
+    await new Promise((done) => {
+      process.stdin.on('end', done).on('error', done).resume();
+    });
+  }
+
+  if (!args.fixtures || !args.agent || !args['task-id']) {
+    process.stderr.write('mock-cli: --fixtures, --agent and --task-id are required\n');
+    return 2;
+  }
+
+  const fixturePath = findFixture(args.fixtures, args.agent, args['task-id']);
+  if (!fixturePath) {
+    process.stderr.write(`mock-cli: no fixture for agent "${args.agent}" task "${args['task-id']}" in ${args.fixtures}\n`);
+    return 1;
+  }
+
+  const fixture = loadFixture(fixturePath);
+  const step = fixture.delay / (fixture.stdout.length + 1);
+
+  for (const chunk of fixture.stdout) {
+    await sleep(step);
+    process.stdout.write(chunk);
+  }
+  await sleep(step);
+
+  if (fixture.stderr) {
+    process.stderr.write(fixture.stderr);
+  }
+  if (fixture.handoff !== null) {
+    const last = fixture.stdout[fixture.stdout.length - 1];
+    const separator = last && !last.endsWith('\n') ? '\n' : '';
+    process.stdout.write(separator + renderHandoff(fixture.handoff));
+  }
+
+  writeFixtureFiles(fixture.files);
+  return fixture.exitCode;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Write fixture files under the working directory.
+ *
+ * @param {Record<string, string>} files
+ * @throws {Error} When a path points outside the working directory
+ */
+function writeFixtureFiles(files) {
+  const root = process.cwd();
+  for (const [path, content] of Object.entries(files)) {
+    const target = resolve(root, path);
+    const rel = relative(root, target);
+    if (!rel || rel.startsWith('..') || isAbsolute(rel)) {
+      throw new Error(`fixture file "${path}" is outside the working directory`);
+    }
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, String(content ?? ''), 'utf-8');
+  }
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise(r => setTimeout(r, ms)) : Promise.resolve();
+}
+
+// Guard pattern
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().then(
+    (code) => { process.exitCode = code; },
+    (err) => {
+      process.stderr.write(`mock-cli: ${err.message}\n`);
+      process.exitCode = 1;
+    },
+  );
+}
+
+export { parseArgs };
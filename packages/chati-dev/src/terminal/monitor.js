@@ -4,9 +4,23 @@
  * Tracks the lifecycle of every spawned terminal through a polling
  * loop and event-based callbacks.  Detects completion, failure,
  * and timeout conditions and notifies registered listeners.
+ *
+ * In streaming mode (`stream: true`) the monitor listens to the event
+ * bus instead of polling: exits are handled as they happen and output
+ * lines and handoff progress of streaming terminals are forwarded to
+ * onOutput/onHandoff listeners. A watchdog then cancels terminals that
+ * stop writing output (`idleTimeout`) and terminals that keep running
+ * after writing a complete handoff (`handoffGrace`).
  */
 
-import { getTerminalStatus } from './spawner.js';
+import { getTerminalStatus, killTerminal } from './spawner.js';
+import { on, off, EVENTS } from '../utils/event-bus.js';
+
+/** Reasons the streaming watchdog cancels a terminal with. */
+export const MONITOR_CANCEL_REASONS = Object.freeze({
+  IDLE: 'idle',
+  HANDOFF_COMPLETE: 'handoff_complete',
+});
 
 /**
  * Monitors a set of active terminal handles, providing
@@ -17,20 +31,45 @@ export class TerminalMonitor {
    * @param {object} [options]
    * @param {number} [options.pollInterval=2000] - Polling interval in ms
    * @param {number} [options.timeout=300000]    - Default terminal timeout in ms
+   * @param {boolean} [options.stream=false]     - Event-driven mode (no polling)
+   * @param {number} [options.idleTimeout=0]     - Streaming: cancel a terminal silent this long (0: never)
+   * @param {number|null} [options.handoffGrace=null] - Streaming: cancel a terminal still running this
+   *   long after its last output that followed a complete, valid handoff (null: never)
    */
   constructor(options = {}) {
     /** @type {number} */
     this.pollInterval = options.pollInterval ?? 2000;
 
+    /** @type {boolean} */
+    this.stream = options.stream === true;
+
     /** @type {number} */
     this.defaultTimeout = options.timeout ?? 300_000;
 
+    /** @type {number} */
+    this.idleTimeout = options.idleTimeout ?? 0;
+
+    /** @type {number|null} */
+    this.handoffGrace = options.handoffGrace ?? null;
+
     /** @type {Map<string, import('./spawner.js').TerminalHandle>} */
     this._terminals = new Map();
 
     /** @type {NodeJS.Timeout|null} */
     this._timer = null;
 
+    /** @type {NodeJS.Timeout|null} Streaming watchdog */
+    this._watchdog = null;
+
+    /** @type {Map<string, number>} Last stream activity per terminal (ms) */
+    this._lastActivity = new Map();
+
+    /** @type {Set<string>} Terminals that wrote a complete, valid handoff */
+    this._handoffDone = new Set();
+
+    /** @type {Set<string>} Terminals already reported to onExit listeners */
+    this._finished = new Set();
+
     /** @type {string} */
     this._startedAt = new Date().toISOString();
 
@@ -41,6 +80,15 @@ export class TerminalMonitor {
     this._onFailure = [];
     /** @type {Function[]} */
     this._onProgress = [];
+    /** @type {Function[]} */
+    this._onOutput = [];
+    /** @type {Function[]} */
+    this._onHandoff = [];
+    /** @type {Function[]} */
+    this._onExit = [];
+
+    /** @type {Array<[string, Function]>} Event bus subscriptions in streaming mode */
+    this._subscriptions = [];
   }
 
   // -------------------------------------------------------------------
@@ -57,6 +105,7 @@ export class TerminalMonitor {
       throw new Error('addTerminal requires a valid terminal handle with an id');
     }
     this._terminals.set(handle.id, handle);
+    this._lastActivity.set(handle.id, Date.now());
   }
 
   /**
@@ -77,19 +126,89 @@ export class TerminalMonitor {
    * Begin the monitoring poll loop.
    */
   startMonitoring() {
-    if (this._timer) return; // already running
+    if (this._timer || this._subscriptions.length > 0) return; // already running
     this._startedAt = new Date().toISOString();
-    this._timer = setInterval(() => this._pollOnce(), this.pollInterval);
+
+    if (!this.stream) {
+      this._timer = setInterval(() => this._pollOnce(), this.pollInterval);
+      return;
+    }
+
+    const forOwnTerminal = (handler) => (event) => {
+      if (this._terminals.has(event.terminalId)) handler(event);
+    };
+    const notify = (callbacks) => forOwnTerminal((event) => {
+      for (const cb of callbacks) {
+        try { cb(event); } catch { /* consumer error -- swallow */ }
+      }
+    });
+
+    const active = (handler) => forOwnTerminal((event) => {
+      this._lastActivity.set(event.terminalId, Date.now());
+      handler(event);
+    });
+    const notifyOutput = notify(this._onOutput);
+    const notifyHandoff = notify(this._onHandoff);
+
+    this._subscriptions = [
+      [EVENTS.TERMINAL_EXITED, forOwnTerminal(() => this._pollOnce())],
+      [EVENTS.TERMINAL_OUTPUT, active(notifyOutput)],
+      [EVENTS.TERMINAL_HANDOFF_STARTED, active(notifyHandoff)],
+      [EVENTS.TERMINAL_HANDOFF_PARTIAL, active(notifyHandoff)],
+      [EVENTS.TERMINAL_HANDOFF_COMPLETE, active((event) => {
+        if (event.valid !== false) this._handoffDone.add(event.terminalId);
+        notifyHandoff(event);
+      })],
+    ];
+    for (const [event, handler] of this._subscriptions) {
+      on(event, handler);
+    }
+
+    const watchdogLimits = [this.idleTimeout, this.handoffGrace].filter(ms => typeof ms === 'number' && ms > 0);
+    if (this.idleTimeout > 0 || this.handoffGrace !== null) {
+      this._watchdog = setInterval(() => this._checkStalled(), Math.min(this.pollInterval, ...watchdogLimits));
+    }
+
+    // Terminals that finished before monitoring started
+    if (this._terminals.size > 0 && this.isAllComplete()) {
+      this._pollOnce();
+    }
   }
 
   /**
-   * Stop the monitoring poll loop.
+   * Stop the monitoring poll loop (or event subscriptions in streaming mode).
    */
   stopMonitoring() {
     if (this._timer) {
       clearInterval(this._timer);
       this._timer = null;
     }
+    if (this._watchdog) {
+      clearInterval(this._watchdog);
+      this._watchdog = null;
+    }
+    for (const [event, handler] of this._subscriptions) {
+      off(event, handler);
+    }
+    this._subscriptions = [];
+  }
+
+  /**
+   * Cancel a monitored terminal (e.g. a runaway agent) before its timeout.
+   *
+   * @param {string} terminalId
+   * @param {string} [reason='cancelled']
+   * @returns {Promise<{ killed: boolean, exitCode: number|null }>}
+   */
+  cancelTerminal(terminalId, reason = 'cancelled') {
+    const handle = this._terminals.get(terminalId);
+    if (!handle) {
+      return Promise.resolve({ killed: false, exitCode: null });
+    }
+    if (handle.status === 'running') {
+      handle.stderr.push(`cancelled: ${reason}`);
+    }
+    return killTerminal(handle, reason);
   }
 
   // -------------------------------------------------------------------
@@ -188,6 +307,41 @@ export class TerminalMonitor {
     }
   }
 
+  /**
+   * Register a callback for each output line of a streaming terminal.
+   *
+   * @param {Function} callback - Receives the TERMINAL_OUTPUT event payload.
+   */
+  onOutput(callback) {
+    if (typeof callback === 'function') {
+      this._onOutput.push(callback);
+    }
+  }
+
+  /**
+   * Register a callback for handoff progress of a streaming terminal.
+   * `event.phase` is 'started', 'partial' (with `content`) or 'complete' (with `handoff`).
+   *
+   * @param {Function} callback - Receives the handoff event payload.
+   */
+  onHandoff(callback) {
+    if (typeof callback === 'function') {
+      this._onHandoff.push(callback);
+    }
+  }
+
+  /**
+   * Register a callback invoked once per terminal when it has finished
+   * (exited, killed or timed out).
+   *
+   * @param {Function} callback - Receives the terminal handle.
+   */
+  onExit(callback) {
+    if (typeof callback === 'function') {
+      this._onExit.push(callback);
+    }
+  }
+
   // -------------------------------------------------------------------
   // Internal
   // -------------------------------------------------------------------
@@ -214,6 +368,15 @@ export class TerminalMonitor {
       }
     }
 
+    // Notify exit listeners once per terminal
+    for (const handle of this._terminals.values()) {
+      if (handle.status === 'running' || this._finished.has(handle.id)) continue;
+      this._finished.add(handle.id);
+      for (const cb of this._onExit) {
+        try { cb(handle); } catch { /* consumer error -- swallow */ }
+      }
+    }
+
     // Notify progress listeners
     const status = this.getStatus();
     for (const cb of this._onProgress) {
@@ -252,6 +415,25 @@ export class TerminalMonitor {
     }
   }
 
+  /**
+   * Streaming watchdog: cancel running terminals that went silent for
+   * `idleTimeout`, or for `handoffGrace` after a complete handoff.
+   *
+   * @param {number} [now=Date.now()]
+   */
+  _checkStalled(now = Date.now()) {
+    for (const handle of this._terminals.values()) {
+      if (handle.status !== 'running' || handle.cancelReason) continue;
+      const silent = now - (this._lastActivity.get(handle.id) ?? new Date(handle.startedAt).getTime());
+
+      if (this.handoffGrace !== null && this._handoffDone.has(handle.id) && silent >= this.handoffGrace) {
+        this.cancelTerminal(handle.id, MONITOR_CANCEL_REASONS.HANDOFF_COMPLETE);
+      } else if (this.idleTimeout > 0 && silent >= this.idleTimeout) {
+        this.cancelTerminal(handle.id, MONITOR_CANCEL_REASONS.IDLE);
+      }
+    }
+  }
+
   /**
    * Check whether a terminal has exceeded its timeout.
    * If it has, mark it as timed-out (exitCode -2) and kill the process
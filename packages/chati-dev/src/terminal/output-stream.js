@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Incremental stdout processing for streaming terminals.
+ *
+ * Splits a spawned terminal's stdout into lines as chunks arrive and
+ * publishes them on the event bus, decoding structured output (JSONL)
+ * into agent text through the provider adapter's parseStreamLine. The
+ * accumulated text is watched for <chati-handoff> blocks so listeners
+ * learn about a handoff as soon as the agent writes it, not at exit.
+ * Agents may write a draft block before the final one; each block is
+ * reported, and the last complete one is the handoff.
+ */
+
+import { emit, EVENTS } from '../utils/event-bus.js';
+import { parseAgentOutput } from './handoff-parser.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const HANDOFF_OPEN = '<chati-handoff>';
+const HANDOFF_CLOSE = '</chati-handoff>';
+
+/** Cap on accumulated agent text kept for handoff detection (~2MB). */
+const MAX_TEXT_LENGTH = 2_000_000;
+
+// ---------------------------------------------------------------------------
+// Line Splitting
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a line splitter that buffers partial lines across chunks.
+ *
+ * @param {function(string): void} onLine - Called once per complete line (without newline)
+ * @returns {{ push: function(string): void, flush: function(): void }}
+ */
+export function createLineSplitter(onLine) {
+  let pending = '';
+
+  return {
+    push(chunk) {
+      pending += chunk;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        onLine(line.endsWith('\r') ? line.slice(0, -1) : line);
+      }
+    },
+    flush() {
+      if (pending !== '') {
+        const line = pending;
+        pending = '';
+        onLine(line);
+      }
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Output Stream
+// ---------------------------------------------------------------------------
+
+/**
+ * Create the streaming processor for one terminal.
+ *
+ * Emits, with `terminalId`, `agent` and `taskId` on every payload:
+ * - TERMINAL_OUTPUT `{ stream, line, text }` per stdout/stderr line;
+ *   `text` is the decoded agent text (null for structured lines without text)
+ * - TERMINAL_HANDOFF_STARTED `{ phase: 'started' }` when `<chati-handoff>` appears
+ * - TERMINAL_HANDOFF_PARTIAL `{ phase: 'partial', content }` as the block grows
+ * - TERMINAL_HANDOFF_COMPLETE `{ phase: 'complete', handoff, valid, warnings }` once it closes
+ *   (again for every later block, which supersedes the earlier one)
+ *
+ * @param {import('./spawner.js').TerminalHandle} handle
+ * @param {{ parseLine?: function(string): string|null, finalText?: function(): string }} [options={}]
+ *   `parseLine` decodes one stdout line into agent text (identity when omitted);
+ *   `finalText` returns the full agent text at exit, for outputs that only
+ *   carry it in a final result object.
+ * @returns {{ write: function(string): void, writeStderr: function(string): void, end: function(): void, state: object }}
+ */
+export function createOutputStream(handle, options = {}) {
+  const parseLine = options.parseLine || ((line) => line);
+  const base = { terminalId: handle.id, agent: handle.agent, taskId: handle.taskId };
+
+  const state = {
+    text: '',
+    lines: 0,
+    handoffStarted: false,
+    handoffComplete: false,
+    handoffCount: 0,
+  };
+
+  // Start of the text not yet covered by a completed block
+  let searchFrom = 0;
+  let blockOpen = false;
+
+  /**
+   * Append agent text and publish handoff progress.
+   *
+   * @param {string} text
+   */
+  function appendText(text) {
+    if (state.text.length >= MAX_TEXT_LENGTH) return;
+    state.text += state.text && !state.text.endsWith('\n') ? `\n${text}` : text;
+    detectHandoff();
+  }
+
+  function detectHandoff() {
+    const openIdx = state.text.indexOf(HANDOFF_OPEN, searchFrom);
+    if (openIdx === -1) return;
+
+    if (!blockOpen) {
+      blockOpen = true;
+      state.handoffStarted = true;
+      emit(EVENTS.TERMINAL_HANDOFF_STARTED, { ...base, phase: 'started' });
+    }
+
+    const body = state.text.slice(openIdx + HANDOFF_OPEN.length);
+    const closeIdx = body.indexOf(HANDOFF_CLOSE);
+    if (closeIdx === -1) {
+      emit(EVENTS.TERMINAL_HANDOFF_PARTIAL, { ...base, phase: 'partial', content: body.trim() });
+      return;
+    }
+
+    blockOpen = false;
+    searchFrom = openIdx + HANDOFF_OPEN.length + closeIdx + HANDOFF_CLOSE.length;
+    state.handoffComplete = true;
+    state.handoffCount += 1;
+    const parsed = parseAgentOutput(state.text.slice(0, searchFrom));
+    emit(EVENTS.TERMINAL_HANDOFF_COMPLETE, {
+      ...base,
+      phase: 'complete',
+      handoff: parsed.handoff,
+      valid: parsed.valid,
+      warnings: parsed.warnings,
+    });
+
+    // A later block may already be in the same text
+    detectHandoff();
+  }
+
+  const stdoutLines = createLineSplitter((line) => {
+    state.lines += 1;
+    let text;
+    try {
+      text = parseLine(line);
+    } catch {
+      text = null;
+    }
+    emit(EVENTS.TERMINAL_OUTPUT, { ...base, stream: 'stdout', line, text });
+    if (typeof text === 'string' && text !== '') appendText(text);
+  });
+
+  const stderrLines = createLineSplitter((line) => {
+    emit(EVENTS.TERMINAL_OUTPUT, { ...base, stream: 'stderr', line, text: null });
+  });
+
+  return {
+    state,
+    write: (chunk) => stdoutLines.push(chunk),
+    writeStderr: (chunk) => stderrLines.push(chunk),
+    end() {
+      stdoutLines.flush();
+      stderrLines.flush();
+
+      // Outputs that only carry the agent text in a final result object
+      if (!state.handoffComplete && options.finalText) {
+        let finalText;
+        try {
+          finalText = options.finalText() || '';
+        } catch {
+          finalText = '';
+        }
+        if (finalText.includes(HANDOFF_OPEN)) {
+          state.text = finalText.slice(0, MAX_TEXT_LENGTH);
+          searchFrom = 0;
+          detectHandoff();
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Versioned model pricing table for cost accounting.
+ *
+ * Prices are USD per 1M tokens, split into input, output, cache read
+ * and cache write so token counts reported by each CLI can be priced
+ * the same way the provider invoices them. Projects can override or
+ * extend the table under `pricing:` in chati.dev/config.yaml.
+ *
+ * Constitution Article XVI — Model Governance.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+import { getAllProviders } from './cli-registry.js';
+
+// ---------------------------------------------------------------------------
+// Default Pricing
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} ModelPrice
+ * @property {number} input - USD per 1M input tokens
+ * @property {number} output - USD per 1M output tokens
+ * @property {number} [cacheRead] - USD per 1M cache-read input tokens (defaults to input)
+ * @property {number} [cacheWrite] - USD per 1M cache-write input tokens (defaults to input)
+ */
+
+/**
+ * @typedef {object} PricingTable
+ * @property {string} version - Table version, recorded on every priced execution
+ * @property {string} currency - Always USD
+ * @property {Record<string, ModelPrice>} models - Keyed by model tier or model id
+ */
+
+/** @type {PricingTable} */
+export const DEFAULT_PRICING = {
+  version: '2026-03-01',
+  currency: 'USD',
+  models: {
+    // Claude models
+    opus: { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    sonnet: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    haiku: { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    // Gemini models
+    pro: { input: 1.25, output: 10, cacheRead: 0.31 },
+    flash: { input: 0.3, output: 2.5, cacheRead: 0.075 },
+    // Codex/Copilot
+    codex: { input: 1.25, output: 10, cacheRead: 0.125 },
+    copilot: { input: 1.25, output: 10, cacheRead: 0.125 },
+    mini: { input: 1.5, output: 6, cacheRead: 0.375 },
+    // Mock provider (fixture replay)
+    mock: { input: 0, output: 0 },
+    // Fallback
+    unknown: { input: 3, output: 15 },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Load the pricing table for a project.
+ *
+ * Entries under `pricing.models` in config.yaml are merged per model over
+ * the defaults; `pricing.version` replaces the default version so records
+ * show which table priced them. Accepts snake_case cache keys.
+ *
+ * @param {string} [projectDir] - Project root directory
+ * @returns {PricingTable}
+ */
+export function loadPricing(projectDir) {
+  const table = {
+    version: DEFAULT_PRICING.version,
+    currency: DEFAULT_PRICING.currency,
+    models: { ...DEFAULT_PRICING.models },
+  };
+
+  if (!projectDir) return table;
+
+  const configPath = join(projectDir, 'chati.dev', 'config.yaml');
+  if (!existsSync(configPath)) return table;
+
+  let pricing;
+  try {
+    pricing = yaml.load(readFileSync(configPath, 'utf-8'))?.pricing;
+  } catch {
+    return table;
+  }
+  if (!pricing || typeof pricing !== 'object') return table;
+
+  if (pricing.version) {
+    table.version = String(pricing.version);
+  }
+
+  for (const [model, price] of Object.entries(pricing.models || {})) {
+    if (!price || typeof price !== 'object') continue;
+    const normalized = { ...table.models[model] };
+    for (const [key, value] of Object.entries(price)) {
+      const field = key === 'cache_read' ? 'cacheRead' : key === 'cache_write' ? 'cacheWrite' : key;
+      const num = Number(value);
+      if (['input', 'output', 'cacheRead', 'cacheWrite'].includes(field) && Number.isFinite(num)) {
+        normalized[field] = num;
+      }
+    }
+    if (typeof normalized.input === 'number' && typeof normalized.output === 'number') {
+      table.models[model] = normalized;
+    }
+  }
+
+  return table;
+}
+
+// ---------------------------------------------------------------------------
+// Pricing
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the price entry for a model tier or model id.
+ * Model ids (e.g. "claude-sonnet-4-5-20250929") are mapped back to their
+ * tier through the provider model maps, then to a tier name they contain as
+ * whole words (see matchTier), then to `unknown`.
+ *
+ * @param {string} model
+ * @param {PricingTable} [pricing=DEFAULT_PRICING]
+ * @returns {ModelPrice}
+ */
+export function getModelPrice(model, pricing = DEFAULT_PRICING) {
+  const models = pricing.models;
+  if (model && models[model]) return models[model];
+
+  if (model) {
+    for (const provider of Object.values(getAllProviders())) {
+      const tier = Object.keys(provider.modelMap || {}).find(t => provider.modelMap[t] === model);
+      if (tier && models[tier]) return models[tier];
+    }
+
+    const tier = matchTier(model, Object.keys(models).filter(t => t !== 'unknown'));
+    if (tier) return models[tier];
+  }
+
+  return models.unknown || DEFAULT_PRICING.models.unknown;
+}
+
+/**
+ * Find the tier named inside a model id, independent of table order.
+ * Tiers only match whole words ("mini" does not match "gemini"). Multi-word
+ * tiers ("codex-mini") beat single words; otherwise the word that comes last
+ * wins, since ids name the family before the variant ("gpt-5-codex-mini").
+ *
+ * @param {string} model
+ * @param {string[]} tiers
+ * @returns {string|null}
+ */
+function matchTier(model, tiers) {
+  const lower = model.toLowerCase();
+  let best = null;
+  for (const tier of tiers) {
+    const escaped = tier.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`(?:^|[^a-z0-9])(${escaped})(?=$|[^a-z0-9])`).exec(lower);
+    if (!match) continue;
+    const candidate = {
+      tier,
+      words: tier.split(/[^a-z0-9]+/i).length,
+      index: match.index + match[0].length - match[1].length,
+    };
+    if (!best || candidate.words > best.words || (candidate.words === best.words && candidate.index > best.index)) {
+      best = candidate;
+    }
+  }
+  return best ? best.tier : null;
+}
+
+/**
+ * Price a token usage breakdown.
+ *
+ * `inputTokens` excludes cache tokens, matching how providers report them.
+ *
+ * @param {{ inputTokens?: number, outputTokens?: number, cacheReadTokens?: number, cacheWriteTokens?: number }} usage
+ * @param {string} model - Model tier or id
+ * @param {PricingTable} [pricing=DEFAULT_PRICING]
+ * @returns {{ inputCost: number, outputCost: number, cost: number }}
+ */
+export function priceUsage(usage, model, pricing = DEFAULT_PRICING) {
+  const price = getModelPrice(model, pricing);
+  const perToken = (rate) => (rate ?? price.input) / 1_000_000;
+
+  const inputCost =
+    (usage.inputTokens || 0) * perToken(price.input) +
+    (usage.cacheReadTokens || 0) * perToken(price.cacheRead) +
+    (usage.cacheWriteTokens || 0) * perToken(price.cacheWrite);
+  const outputCost = (usage.outputTokens || 0) * perToken(price.output);
+
+  return {
+    inputCost: round6(inputCost),
+    outputCost: round6(outputCost),
+    cost: round6(inputCost + outputCost),
+  };
+}
+
+/**
+ * Round to 6 decimal places (sub-cent precision for per-execution costs).
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function round6(value) {
+  return Math.round(value * 1_000_000) / 1_000_000;
+}
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Per-terminal progress files for streaming terminals.
+ *
+ * run-parallel feeds the monitor's stream events into a progress reporter,
+ * which keeps one JSON file per terminal under .chati/terminals/ (status,
+ * output lines, last output, handoff phase, exit) and logs state changes
+ * as live progress. The dashboard reads the files to show running agents
+ * from another process.
+ */
+
+import { existsSync, readdirSync, readFileSync, writeFileSync, mkdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Progress files, relative to the project root. */
+export const TERMINAL_PROGRESS_DIR = '.chati/terminals';
+
+/** Minimum time between writes of one terminal's file for output lines (ms). */
+export const PROGRESS_WRITE_INTERVAL = 1000;
+
+/** Finished terminals older than this are pruned when a reporter starts (ms). */
+export const PROGRESS_RETENTION = 60 * 60 * 1000;
+
+/** Characters of the last output line kept in a progress file. */
+const MAX_LAST_OUTPUT = 200;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} TerminalProgress
+ * @property {string} terminalId
+ * @property {string} agent
+ * @property {string} taskId
+ * @property {string} provider
+ * @property {string} model
+ * @property {'running'|'exited'|'cancelled'} status
+ * @property {number} lines - Stdout lines so far
+ * @property {string|null} lastOutput - Latest agent text (or raw line)
+ * @property {'started'|'partial'|'complete'|null} handoff - Handoff phase seen on the stream
+ * @property {number|null} exitCode
+ * @property {string|null} cancelReason
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function progressPath(projectDir, terminalId) {
+  return join(projectDir, TERMINAL_PROGRESS_DIR, `${terminalId}.json`);
+}
+
+function writeProgress(projectDir, record) {
+  try {
+    mkdirSync(join(projectDir, TERMINAL_PROGRESS_DIR), { recursive: true });
+    writeFileSync(progressPath(projectDir, record.terminalId), JSON.stringify(record, null, 2) + '\n', 'utf-8');
+  } catch {
+    // Progress is informational -- never fail a run over it
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Read every terminal progress file of a project, oldest first.
+ *
+ * @param {string} projectDir
+ * @returns {TerminalProgress[]}
+ */
+export function readTerminalProgress(projectDir) {
+  const dir = join(projectDir, TERMINAL_PROGRESS_DIR);
+  if (!existsSync(dir)) return [];
+
+  const records = [];
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    try {
+      const record = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+      if (record?.terminalId && record.agent) records.push(record);
+    } catch {
+      // Partially written or corrupt -- skip
+    }
+  }
+  return records.sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+}
+
+/**
+ * Delete progress files of finished terminals last updated before `olderThan` ms ago.
+ *
+ * @param {string} projectDir
+ * @param {number} [olderThan=PROGRESS_RETENTION]
+ * @returns {number} Files removed
+ */
+export function pruneTerminalProgress(projectDir, olderThan = PROGRESS_RETENTION) {
+  const cutoff = Date.now() - olderThan;
+  let removed = 0;
+  for (const record of readTerminalProgress(projectDir)) {
+    if (record.status === 'running' || new Date(record.updatedAt).getTime() >= cutoff) continue;
+    try {
+      unlinkSync(progressPath(projectDir, record.terminalId));
+      removed++;
+    } catch {
+      // Removed by another runner
+    }
+  }
+  return removed;
+}
+
+/**
+ * Create a progress reporter for the terminals of one run.
+ *
+ * Wire `output` and `handoff` to TerminalMonitor.onOutput/onHandoff and
+ * `exit` to onExit. Output lines are written at most once per
+ * PROGRESS_WRITE_INTERVAL per terminal; other changes are written at once.
+ * With `options.log`, spawns, handoff phases and exits are reported as
+ * one-line messages.
+ *
+ * @param {string} projectDir
+ * @param {{ log?: function(string): void }} [options={}]
+ * @returns {{ add: function(object): void, output: function(object): void, handoff: function(object): void, exit: function(object): void, get: function(string): TerminalProgress|undefined }}
+ */
+export function createProgressReporter(projectDir, options = {}) {
+  const log = options.log || (() => {});
+  /** @type {Map<string, TerminalProgress>} */
+  const records = new Map();
+  const lastWrite = new Map();
+
+  pruneTerminalProgress(projectDir);
+
+  function save(record, force) {
+    const now = Date.now();
+    record.updatedAt = new Date(now).toISOString();
+    if (!force && now - (lastWrite.get(record.terminalId) || 0) < PROGRESS_WRITE_INTERVAL) return;
+    lastWrite.set(record.terminalId, now);
+    writeProgress(projectDir, record);
+  }
+
+  return {
+    add(handle) {
+      const record = {
+        terminalId: handle.id,
+        agent: handle.agent,
+        taskId: handle.taskId,
+        provider: handle.provider || 'claude',
+        model: handle.model || 'unknown',
+        status: 'running',
+        lines: 0,
+        lastOutput: null,
+        handoff: null,
+        exitCode: null,
+        cancelReason: null,
+        startedAt: handle.startedAt || new Date().toISOString(),
+        updatedAt: null,
+      };
+      records.set(handle.id, record);
+      save(record, true);
+      log(`${record.agent} started on ${record.provider}`);
+    },
+
+    output(event) {
+      const record = records.get(event.terminalId);
+      if (!record || event.stream !== 'stdout') return;
+      record.lines += 1;
+      const text = typeof event.text === 'string' && event.text.trim() ? event.text : event.line;
+      if (text && text.trim()) record.lastOutput = text.trim().slice(0, MAX_LAST_OUTPUT);
+      save(record, false);
+    },
+
+    handoff(event) {
+      const record = records.get(event.terminalId);
+      if (!record) return;
+      const changed = record.handoff !== event.phase;
+      record.handoff = event.phase;
+      if (!changed && event.phase === 'partial') {
+        save(record, false);
+        return;
+      }
+      save(record, true);
+      if (event.phase === 'started') log(`${record.agent} is writing its handoff`);
+      if (event.phase === 'complete') log(`${record.agent} handoff complete${event.valid === false ? ' (invalid)' : ''}`);
+    },
+
+    exit(handle) {
+      const record = records.get(handle.id);
+      if (!record) return;
+      record.status = handle.cancelReason ? 'cancelled' : 'exited';
+      record.exitCode = handle.exitCode;
+      record.cancelReason = handle.cancelReason || null;
+      save(record, true);
+      log(handle.cancelReason
+        ? `${record.agent} cancelled (${handle.cancelReason})`
+        : `${record.agent} exited with code ${handle.exitCode}`);
+    },
+
+    get(terminalId) {
+      return records.get(terminalId);
+    },
+  };
+}
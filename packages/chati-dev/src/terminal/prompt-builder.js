@@ -332,6 +332,7 @@ needs_input_question: null
 
 ### Important:
 - The \`<chati-handoff>\` block MUST appear in your response
+- To revise a handoff, write a new block; only the last complete block is read
 - Score must be 0-100 (95+ to pass quality gate)
 - List ALL artifacts you created/modified in outputs
 - The \`provider\` and \`model\` fields MUST match: provider: ${providerValue}, model: ${modelValue}
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Provider fallback chains for agent execution.
+ *
+ * An agent can declare an ordered chain of provider:model pairs in
+ * chati.dev/config.yaml. When a provider keeps failing transiently
+ * (rate limits, 5xx), is not installed, or its circuit is open, the
+ * spawner moves on to the next entry (see spawnTerminalWithFallback).
+ * Provider circuits of a project are shared across processes through
+ * .chati/circuits/.
+ *
+ *   fallback:
+ *     max_retries: 1          # transient retries per provider before failing over
+ *     chains:
+ *       default: claude:opus -> gemini:pro -> codex:codex
+ *       dev: [claude:sonnet, codex:codex]
+ *
+ * Constitution Article XIX — Multi-CLI Governance.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+import { getAllProviders } from './cli-registry.js';
+import { CircuitBreaker, getCircuitStatePath } from '../gates/circuit-breaker.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Transient retries on one provider before failing over. */
+export const DEFAULT_FALLBACK_RETRIES = 2;
+
+/** Consecutive provider failures that open its circuit. */
+export const PROVIDER_FAILURE_THRESHOLD = 3;
+
+/** Time an open provider circuit stays open before a trial run (ms). */
+export const PROVIDER_RESET_TIMEOUT = 5 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} ChainEntry
+ * @property {string} provider - Provider name
+ * @property {string|null} model - Model tier or id (null: provider default)
+ */
+
+/**
+ * @typedef {object} FallbackConfig
+ * @property {number} maxRetries - Transient retries per provider
+ * @property {Record<string, ChainEntry[]>} chains - Keyed by agent name or `default`
+ * @property {string[]} errors - Invalid chain entries that were ignored
+ */
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a chain spec: `"claude:opus -> gemini:pro"` or a list of
+ * `"provider:model"` strings / `{ provider, model }` objects.
+ *
+ * @param {string|Array<string|{provider: string, model?: string}>} spec
+ * @returns {ChainEntry[]}
+ * @throws {Error} When an entry has no provider
+ */
+export function parseFallbackChain(spec) {
+  if (spec === null || spec === undefined || spec === '') return [];
+
+  const items = Array.isArray(spec) ? spec : String(spec).split('->');
+  return items.map((item) => {
+    if (item && typeof item === 'object') {
+      if (!item.provider || typeof item.provider !== 'string') {
+        throw new Error(`Invalid fallback entry ${JSON.stringify(item)} (provider is required)`);
+      }
+      return { provider: item.provider, model: item.model ? String(item.model) : null };
+    }
+
+    const text = String(item).trim();
+    const [provider, ...rest] = text.split(':');
+    if (!provider) {
+      throw new Error(`Invalid fallback entry "${text}" (expected provider:model)`);
+    }
+    return { provider: provider.trim(), model: rest.join(':').trim() || null };
+  });
+}
+
+/**
+ * Load fallback chains from chati.dev/config.yaml.
+ * Chains naming providers that are not registered keep their other entries.
+ *
+ * @param {string} projectDir - Project root directory
+ * @returns {FallbackConfig}
+ */
+export function loadFallbackConfig(projectDir) {
+  const result = { maxRetries: DEFAULT_FALLBACK_RETRIES, chains: {}, errors: [] };
+
+  const configPath = join(projectDir, 'chati.dev', 'config.yaml');
+  if (!existsSync(configPath)) return result;
+
+  let section;
+  try {
+    section = yaml.load(readFileSync(configPath, 'utf-8'))?.fallback;
+  } catch {
+    return result;
+  }
+  if (!section || typeof section !== 'object') return result;
+
+  const maxRetries = Number(section.max_retries ?? section.maxRetries);
+  if (Number.isInteger(maxRetries) && maxRetries >= 0) {
+    result.maxRetries = maxRetries;
+  }
+
+  const providers = getAllProviders();
+  for (const [key, spec] of Object.entries(section.chains || {})) {
+    let entries;
+    try {
+      entries = parseFallbackChain(spec);
+    } catch (err) {
+      result.errors.push(`fallback.chains.${key}: ${err.message}`);
+      continue;
+    }
+
+    result.chains[key] = entries.filter((entry) => {
+      if (providers[entry.provider]) return true;
+      result.errors.push(`fallback.chains.${key}: unknown provider "${entry.provider}"`);
+      return false;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Get the configured chain for an agent (its own, else `default`).
+ *
+ * @param {string} projectDir
+ * @param {string} agent
+ * @returns {ChainEntry[]} Empty when no chain is configured
+ */
+export function getFallbackChain(projectDir, agent) {
+  const { chains } = loadFallbackConfig(projectDir);
+  return chains[agent] || chains.default || [];
+}
+
+/**
+ * Resolve the providers to try for an agent, in order: the primary
+ * provider first, then the configured chain without the primary's provider.
+ * Entries without a model use the provider's first model tier.
+ *
+ * @param {string} projectDir
+ * @param {string} agent
+ * @param {ChainEntry} primary - Provider/model the agent resolved to
+ * @returns {ChainEntry[]}
+ */
+export function resolveFallbackChain(projectDir, agent, primary) {
+  const providers = getAllProviders();
+  const chain = [primary, ...getFallbackChain(projectDir, agent).filter(e => e.provider !== primary.provider)];
+
+  return chain.map(entry => ({
+    provider: entry.provider,
+    model: entry.model || Object.keys(providers[entry.provider]?.modelMap || {})[0] || null,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Provider Circuits
+// ---------------------------------------------------------------------------
+
+/** @type {Map<string, CircuitBreaker>} */
+const circuits = new Map();
+
+/**
+ * Get the circuit breaker guarding a provider.
+ *
+ * With a project directory the circuit's state lives in
+ * .chati/circuits/provider-<name>.json and is shared by every runner of
+ * that project; without one it is kept per process.
+ *
+ * @param {string} provider
+ * @param {string} [projectDir]
+ * @returns {CircuitBreaker}
+ */
+export function getProviderCircuit(provider, projectDir) {
+  const key = projectDir ? `${provider}@${projectDir}` : provider;
+  if (!circuits.has(key)) {
+    circuits.set(key, new CircuitBreaker({
+      name: provider,
+      failureThreshold: PROVIDER_FAILURE_THRESHOLD,
+      resetTimeout: PROVIDER_RESET_TIMEOUT,
+      stateFile: projectDir ? getCircuitStatePath(projectDir, 'provider', provider) : null,
+    }));
+  }
+  return circuits.get(key);
+}
+
+/**
+ * Clear all provider circuits (useful in tests).
+ */
+export function _resetProviderCircuits() {
+  circuits.clear();
+}
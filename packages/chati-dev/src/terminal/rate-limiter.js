@@ -2,11 +2,25 @@
  * @fileoverview Rate limiting for terminal spawner.
  *
  * Prevents exceeding API rate limits when spawning multiple agent
- * processes. Uses a sliding window counter per provider.
+ * processes. Uses a sliding window per provider that counts requests
+ * and tokens per minute.
+ *
+ * The window adapts to what the provider reports: a 429, "overloaded"
+ * or quota error in stderr halves the effective request limit, and a
+ * retry-after hint pauses new spawns until it passes. The limit grows
+ * back step by step once a full window goes by without throttling.
+ *
+ * With `projectDir`, limiter state lives in .chati/rate-limits.json
+ * (guarded by a file lock) so concurrent run-agent / run-parallel
+ * processes share one quota instead of each using all of it.
  *
  * Constitution Article XIX — Multi-CLI Governance.
  */
 
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { acquireLock } from '../utils/file-lock.js';
+
 // ---------------------------------------------------------------------------
 // Default Limits
 // ---------------------------------------------------------------------------
@@ -20,87 +34,353 @@ export const DEFAULT_LIMITS = {
   gemini: 15,
   codex: 10,
   copilot: 10,
+  mock: Infinity,
+};
+
+/**
+ * Default token limits per provider (tokens per minute).
+ * Conservative defaults — can be overridden at creation time.
+ */
+export const DEFAULT_TOKEN_LIMITS = {
+  claude: 400_000,
+  gemini: 1_000_000,
+  codex: 200_000,
+  copilot: 200_000,
+  mock: Infinity,
 };
 
 /** Sliding window size in milliseconds (1 minute). */
 const WINDOW_MS = 60_000;
 
+/** Shared limiter state, relative to the project root. */
+export const RATE_LIMIT_STATE_FILE = '.chati/rate-limits.json';
+
+/** Factor applied to the effective limit on each throttling response. */
+export const THROTTLE_FACTOR = 0.5;
+
+/** Lowest fraction of the configured limit the window shrinks to. */
+export const MIN_LIMIT_SCALE = 0.1;
+
+/** Fraction of the configured limit restored per unthrottled response. */
+export const RECOVERY_STEP = 0.1;
+
+/** Patterns in stderr that mean the provider is throttling us. */
+export const THROTTLE_PATTERNS = [
+  /rate.?limit/i, /too many requests/i, /\b429\b/, /\b529\b/,
+  /overloaded/i, /quota/i, /resource.?exhausted/i,
+];
+
+const RETRY_AFTER_PATTERNS = [
+  /retry[-_ ]?after["':=\s]*(\d+(?:\.\d+)?)\s*([a-z]*)/i,
+  /retry[-_ ]?delay["':=\s]*(\d+(?:\.\d+)?)\s*([a-z]*)/i,
+  /(?:try again|retry) in (\d+(?:\.\d+)?)\s*([a-z]*)/i,
+];
+
+const STATE_LOCK_TIMEOUT_MS = 2000;
+
 // ---------------------------------------------------------------------------
-// RateLimiter Class
+// Backoff Hints
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} BackoffHint
+ * @property {boolean} throttled - The provider reported a rate limit or overload
+ * @property {number|null} retryAfterMs - Wait the provider asked for, when given
+ */
+
+/**
+ * Read throttling and retry-after hints from provider error output.
+ * Retry-after values without a unit are seconds.
+ *
+ * @param {string|string[]|null} stderr
+ * @returns {BackoffHint}
+ */
+export function parseBackoffHint(stderr) {
+  const text = Array.isArray(stderr) ? stderr.join('') : String(stderr || '');
+  const throttled = THROTTLE_PATTERNS.some(p => p.test(text));
+
+  let retryAfterMs = null;
+  for (const pattern of RETRY_AFTER_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      retryAfterMs = Math.round(Number(match[1]) * unitMultiplier(match[2]));
+      break;
+    }
+  }
+
+  return { throttled: throttled || retryAfterMs !== null, retryAfterMs };
+}
+
+/**
+ * Milliseconds per unit of a retry-after value.
+ *
+ * @param {string} unit
+ * @returns {number}
+ */
+function unitMultiplier(unit) {
+  const u = (unit || '').toLowerCase();
+  if (u === 'ms' || u.startsWith('milli')) return 1;
+  if (u === 'm' || u.startsWith('min')) return 60_000;
+  if (u === 'h' || u.startsWith('hour')) return 3_600_000;
+  return 1000;
+}
+
+// ---------------------------------------------------------------------------
+// State Storage
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} ProviderState
+ * @property {number[]} requests - Timestamps of spawns in the window
+ * @property {Array<[number, number]>} tokens - [timestamp, tokens] pairs in the window
+ * @property {number} scale - Fraction of the configured limits in effect
+ * @property {number} backoffUntil - No spawns before this timestamp
+ * @property {number} throttledAt - Last throttling response timestamp
+ */
+
+/**
+ * @returns {ProviderState}
+ */
+function emptyState() {
+  return { requests: [], tokens: [], scale: 1, backoffUntil: 0, throttledAt: 0 };
+}
+
+/**
+ * Drop window entries older than WINDOW_MS.
+ *
+ * @param {ProviderState} state
+ * @param {number} now
+ */
+function prune(state, now) {
+  const cutoff = now - WINDOW_MS;
+  state.requests = state.requests.filter(t => t > cutoff);
+  state.tokens = state.tokens.filter(([t]) => t > cutoff);
+}
+
+/**
+ * Get the path of the shared limiter state file.
+ *
+ * @param {string} projectDir
+ * @returns {string}
+ */
+export function getRateLimitStatePath(projectDir) {
+  return join(projectDir, RATE_LIMIT_STATE_FILE);
+}
+
+/**
+ * Create the state store of one provider: in memory, or shared through
+ * the project state file. `update` runs the mutation under the file lock
+ * so check-and-record is atomic across processes.
+ *
+ * @param {string} provider
+ * @param {string|null} projectDir
+ * @returns {{ update: (fn: (state: ProviderState) => any) => any }}
+ */
+function createStateStore(provider, projectDir) {
+  if (!projectDir) {
+    const state = emptyState();
+    return { update: (fn) => fn(state) };
+  }
+
+  const statePath = getRateLimitStatePath(projectDir);
+
+  function readAll() {
+    try {
+      const data = JSON.parse(readFileSync(statePath, 'utf-8'));
+      return data && typeof data === 'object' && data.providers ? data : { providers: {} };
+    } catch {
+      // Missing or corrupt — start over rather than block spawns
+      return { providers: {} };
+    }
+  }
+
+  function update(fn) {
+    mkdirSync(dirname(statePath), { recursive: true });
+    const lock = acquireLock(statePath, { timeout: STATE_LOCK_TIMEOUT_MS });
+    try {
+      const data = existsSync(statePath) ? readAll() : { providers: {} };
+      const state = { ...emptyState(), ...data.providers[provider] };
+      const result = fn(state);
+      data.providers[provider] = state;
+      writeFileSync(statePath, JSON.stringify(data) + '\n', 'utf-8');
+      return result;
+    } finally {
+      lock.release();
+    }
+  }
+
+  return { update };
+}
+
+// ---------------------------------------------------------------------------
+// RateLimiter Factory
 // ---------------------------------------------------------------------------
 
 /**
  * @typedef {object} RateLimiterStats
  * @property {number} used - Requests used in current window
- * @property {number} limit - Maximum requests per window
+ * @property {number} limit - Effective maximum requests per window
+ * @property {number} baseLimit - Configured maximum requests per window
+ * @property {number} tokensUsed - Tokens used in current window
+ * @property {number} tokenLimit - Effective maximum tokens per window
+ * @property {number} scale - Fraction of the configured limits in effect
+ * @property {number|null} backoffUntil - Timestamp a retry-after hint expires (null if none)
  * @property {number} windowStart - Window start timestamp (ms)
  * @property {number|null} nextAvailable - Timestamp when next slot opens (null if available now)
  * @property {string} provider - Provider name
  */
 
+/**
+ * @typedef {object} RateLimiterOptions
+ * @property {number} [limit] - Requests per minute
+ * @property {number} [tokenLimit] - Tokens per minute
+ * @property {string} [projectDir] - Share state with other processes through .chati/rate-limits.json
+ */
+
 /**
  * Create a rate limiter instance for a specific provider.
  *
  * @param {string} provider - Provider name (claude, gemini, codex, copilot)
- * @param {{ limit?: number }} [customLimits={}]
- * @returns {{ canSpawn: () => boolean, recordSpawn: () => void, waitForSlot: () => Promise<void>, getStats: () => RateLimiterStats, reset: () => void }}
+ * @param {RateLimiterOptions} [customLimits={}]
+ * @returns {{ canSpawn: (tokens?: number) => boolean, recordSpawn: (tokens?: number) => void, recordTokens: (tokens: number) => void, recordResponse: (exitCode: number|null, stderr: string|string[]) => BackoffHint, acquire: (tokens?: number) => Promise<void>, waitForSlot: (tokens?: number) => Promise<void>, getStats: () => RateLimiterStats, reset: () => void }}
  */
 export function createRateLimiter(provider, customLimits = {}) {
   const limit = customLimits.limit || DEFAULT_LIMITS[provider] || 10;
+  const tokenLimit = customLimits.tokenLimit || DEFAULT_TOKEN_LIMITS[provider] || 200_000;
+  const store = createStateStore(provider, customLimits.projectDir || null);
 
-  /** @type {number[]} Timestamps of recorded spawns */
-  let timestamps = [];
+  /**
+   * Limits in effect after throttling shrank the window.
+   */
+  function effectiveLimits(state) {
+    return {
+      requests: Math.max(1, Math.floor(limit * state.scale)),
+      tokens: Math.max(1, Math.floor(tokenLimit * state.scale)),
+    };
+  }
 
   /**
-   * Prune timestamps outside the sliding window.
+   * Earliest time a spawn needing `tokens` fits in the window.
+   * A request larger than the whole token limit waits for an empty window.
    */
-  function prune() {
-    const cutoff = Date.now() - WINDOW_MS;
-    timestamps = timestamps.filter(t => t > cutoff);
+  function nextAvailableAt(state, tokens, now) {
+    prune(state, now);
+    const limits = effectiveLimits(state);
+    let at = Math.max(now, state.backoffUntil);
+
+    if (state.requests.length >= limits.requests) {
+      at = Math.max(at, state.requests[state.requests.length - limits.requests] + WINDOW_MS);
+    }
+
+    // Every spawn uses some tokens, so a full token window blocks it
+    const needed = Math.max(1, Math.min(tokens, limits.tokens));
+    let used = state.tokens.reduce((sum, [, n]) => sum + n, 0);
+    for (const [t, n] of state.tokens) {
+      if (used + needed <= limits.tokens) break;
+      used -= n;
+      at = Math.max(at, t + WINDOW_MS);
+    }
+
+    return at;
+  }
+
+  function record(state, tokens, now) {
+    state.requests.push(now);
+    if (tokens > 0) state.tokens.push([now, tokens]);
   }
 
   /**
    * Check if a spawn is allowed under current rate limits.
+   * @param {number} [tokens=0] - Tokens the spawn is expected to use
    * @returns {boolean}
    */
-  function canSpawn() {
-    prune();
-    return timestamps.length < limit;
+  function canSpawn(tokens = 0) {
+    const now = Date.now();
+    return store.update(state => nextAvailableAt(state, tokens, now) <= now);
   }
 
   /**
    * Record a spawn event.
+   * @param {number} [tokens=0] - Tokens reserved for the spawn
+   */
+  function recordSpawn(tokens = 0) {
+    const now = Date.now();
+    store.update(state => record(state, tokens, now));
+  }
+
+  /**
+   * Record tokens used after the fact (e.g. output tokens of a finished run).
+   * @param {number} tokens
    */
-  function recordSpawn() {
-    timestamps.push(Date.now());
+  function recordTokens(tokens) {
+    if (!(tokens > 0)) return;
+    const now = Date.now();
+    store.update((state) => { state.tokens.push([now, tokens]); });
+  }
+
+  /**
+   * Adapt the window to a finished run: shrink it and honour retry-after
+   * when the provider throttled, grow it back once a full window passed
+   * without throttling.
+   *
+   * @param {number|null} exitCode
+   * @param {string|string[]} stderr
+   * @returns {BackoffHint}
+   */
+  function recordResponse(exitCode, stderr) {
+    const hint = exitCode === 0 ? { throttled: false, retryAfterMs: null } : parseBackoffHint(stderr);
+    const now = Date.now();
+
+    store.update((state) => {
+      if (hint.throttled) {
+        state.scale = Math.max(MIN_LIMIT_SCALE, state.scale * THROTTLE_FACTOR);
+        state.throttledAt = now;
+        if (hint.retryAfterMs) {
+          state.backoffUntil = Math.max(state.backoffUntil, now + hint.retryAfterMs);
+        }
+      } else if (state.scale < 1 && now - state.throttledAt >= WINDOW_MS) {
+        state.scale = Math.min(1, state.scale + RECOVERY_STEP);
+      }
+    });
+
+    return hint;
   }
 
   /**
    * Wait until a rate limit slot becomes available.
    * Resolves immediately if a slot is available.
    *
+   * @param {number} [tokens=0] - Tokens the spawn is expected to use
    * @returns {Promise<void>}
    */
-  function waitForSlot() {
-    if (canSpawn()) {
-      return Promise.resolve();
-    }
-
-    // Calculate when the oldest timestamp exits the window
-    prune();
-    if (timestamps.length === 0) {
+  function waitForSlot(tokens = 0) {
+    const now = Date.now();
+    const at = store.update(state => nextAvailableAt(state, tokens, now));
+    if (at <= now) {
       return Promise.resolve();
     }
 
-    const oldestInWindow = timestamps[0];
-    const waitTime = Math.max(0, (oldestInWindow + WINDOW_MS) - Date.now() + 10);
+    return new Promise(resolve => setTimeout(resolve, at - now + 10));
+  }
 
-    return new Promise(resolve => {
-      setTimeout(() => {
-        prune();
-        resolve();
-      }, waitTime);
-    });
+  /**
+   * Wait for a slot and record the spawn in one step, so concurrent
+   * processes sharing the state file cannot both take the last slot.
+   *
+   * @param {number} [tokens=0] - Tokens to reserve for the spawn
+   * @returns {Promise<void>}
+   */
+  async function acquire(tokens = 0) {
+    for (;;) {
+      const now = Date.now();
+      const at = store.update((state) => {
+        const next = nextAvailableAt(state, tokens, now);
+        if (next <= now) record(state, tokens, now);
+        return next;
+      });
+      if (at <= now) return;
+      await new Promise(resolve => setTimeout(resolve, at - now + 10));
+    }
   }
 
   /**
@@ -108,33 +388,34 @@ export function createRateLimiter(provider, customLimits = {}) {
    * @returns {RateLimiterStats}
    */
   function getStats() {
-    prune();
-
     const now = Date.now();
-    const windowStart = now - WINDOW_MS;
-
-    let nextAvailable = null;
-    if (timestamps.length >= limit && timestamps.length > 0) {
-      nextAvailable = timestamps[0] + WINDOW_MS;
-    }
 
-    return {
-      used: timestamps.length,
-      limit,
-      windowStart,
-      nextAvailable,
-      provider,
-    };
+    return store.update((state) => {
+      const next = nextAvailableAt(state, 0, now);
+      const limits = effectiveLimits(state);
+      return {
+        used: state.requests.length,
+        limit: limits.requests,
+        baseLimit: limit,
+        tokensUsed: state.tokens.reduce((sum, [, n]) => sum + n, 0),
+        tokenLimit: limits.tokens,
+        scale: state.scale,
+        backoffUntil: state.backoffUntil > now ? state.backoffUntil : null,
+        windowStart: now - WINDOW_MS,
+        nextAvailable: next > now ? next : null,
+        provider,
+      };
+    });
   }
 
   /**
-   * Reset the rate limiter (clear all recorded timestamps).
+   * Reset the rate limiter (clear the window, backoff and throttling).
    */
   function reset() {
-    timestamps = [];
+    store.update(state => Object.assign(state, emptyState()));
   }
 
-  return { canSpawn, recordSpawn, waitForSlot, getStats, reset };
+  return { canSpawn, recordSpawn, recordTokens, recordResponse, acquire, waitForSlot, getStats, reset };
 }
 
 // ---------------------------------------------------------------------------
@@ -146,17 +427,18 @@ const _registry = new Map();
 
 /**
  * Get or create a rate limiter for a provider.
- * Ensures one limiter per provider across the application.
+ * Ensures one limiter per provider (and state file) across the application.
  *
  * @param {string} provider - Provider name
- * @param {{ limit?: number }} [customLimits={}]
+ * @param {RateLimiterOptions} [customLimits={}]
  * @returns {ReturnType<typeof createRateLimiter>}
  */
 export function getRateLimiter(provider, customLimits = {}) {
-  if (!_registry.has(provider)) {
-    _registry.set(provider, createRateLimiter(provider, customLimits));
+  const key = `${provider}\0${customLimits.projectDir || ''}`;
+  if (!_registry.has(key)) {
+    _registry.set(key, createRateLimiter(provider, customLimits));
   }
-  return _registry.get(provider);
+  return _registry.get(key);
 }
 
 /**
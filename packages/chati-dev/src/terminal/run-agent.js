@@ -10,14 +10,48 @@
  *     --project-dir /path/to/project --previous-agent brief \
  *     --timeout 600000
  *
+ * Optional: --session-id / --build-id attribute spend in the cost ledger
+ * (defaults: the session in .chati/session.yaml, $CHATI_BUILD_ID). The
+ * spawn is refused once a hard budget limit is reached.
+ *
+ * When chati.dev/config.yaml declares a fallback chain for the agent
+ * (`fallback.chains`), a missing, rate-limited or failing provider is
+ * replaced by the next one; the output and cost ledger record which
+ * provider actually ran.
+ *
+ * Spawns wait for a slot from the provider's rate limiter, whose state is
+ * shared with other runners through .chati/rate-limits.json.
+ *
+ * Gate and provider circuit breakers are shared the same way through
+ * .chati/circuits/: the spawn is refused while a gate evaluating this agent
+ * or the provider has an open circuit, and each run is recorded on the
+ * provider's circuit.
+ *
+ * After the agent exits, changes to the working tree outside its write
+ * scope are reported in `scopeViolations` (and undone with
+ * --revert-scope-violations).
+ *
  * Outputs JSON to stdout for the orchestrator to parse.
  */
 
 import { fileURLToPath } from 'url';
 import { buildAgentPrompt } from './prompt-builder.js';
-import { spawnTerminal } from './spawner.js';
+import {
+  spawnTerminal,
+  spawnTerminalWithFallback,
+  getTerminalOutput,
+  isTransientFailure,
+  isProviderMissing,
+} from './spawner.js';
 import { parseAgentOutput } from './handoff-parser.js';
-import { createCostTracker } from './cost-tracker.js';
+import { createCostTracker, estimateTokens } from './cost-tracker.js';
+import { getRateLimiter } from './rate-limiter.js';
+import { snapshotWorkingTree, auditWriteScopes } from './scope-audit.js';
+import { resolveSessionId } from './cost-ledger.js';
+import { checkBudget, BudgetLevel } from './budget.js';
+import { loadCustomProviders } from './cli-registry.js';
+import { loadFallbackConfig, resolveFallbackChain, getProviderCircuit } from './provider-fallback.js';
+import { getGatesForAgent, getGateCircuit } from '../gates/index.js';
 import { initCollector, track as telemetryTrack, flush as telemetryFlush } from '../telemetry/collector.js';
 import { sendEvents } from '../telemetry/sender.js';
 import { getTelemetryConfig, isEnabled as isTelemetryEnabled } from '../telemetry/config.js';
@@ -81,6 +115,41 @@ async function main() {
     // Session state is optional — continue without it
   }
 
+  // Register project-defined CLI providers before provider resolution
+  const customProviders = await loadCustomProviders(projectDir);
+  for (const { source, error } of customProviders.errors) {
+    console.error(`[chati] Custom provider "${source}" not loaded: ${error}`);
+  }
+
+  // Enforce spend budgets before spawning
+  const ledgerContext = {
+    sessionId: args['session-id'] || resolveSessionId(sessionState),
+    buildId: args['build-id'] || process.env.CHATI_BUILD_ID || null,
+  };
+  const budget = checkBudget(projectDir, { ...ledgerContext, agent: args.agent });
+  if (!budget.allowed) {
+    outputError(budget.reason);
+    process.exit(1);
+  }
+  if (budget.level === BudgetLevel.WARNING) {
+    console.error(`[chati] ${budget.reason}`);
+  }
+
+  // Refuse new work while a gate evaluating this agent keeps failing
+  const trippedGate = getGatesForAgent(args.agent).find(gate => !getGateCircuit(projectDir, gate.id).canExecute());
+  if (trippedGate) {
+    outputError(`Circuit for gate ${trippedGate.id} is OPEN after repeated failures; not spawning ${args.agent} until it may retry (see chati health)`);
+    process.exit(1);
+  }
+
+  // Fallback chain — its head is the agent's provider unless --provider is given
+  const fallbackConfig = loadFallbackConfig(projectDir);
+  for (const error of fallbackConfig.errors) {
+    console.error(`[chati] Fallback chain entry ignored: ${error}`);
+  }
+  const configuredChain = fallbackConfig.chains[args.agent] || fallbackConfig.chains.default || [];
+  const chainHead = args.provider ? null : configuredChain[0] || null;
+
   // Build the agent prompt
   let promptResult;
   try {
@@ -92,30 +161,64 @@ async function main() {
       workflow: args.workflow || null,
       sessionState,
       additionalContext: args['additional-context'] || null,
-      provider: args.provider || null,
+      provider: args.provider || chainHead?.provider || null,
+      model: chainHead?.model || null,
     });
   } catch (err) {
     outputError(`Failed to build prompt: ${err.message}`);
     process.exit(1);
   }
 
-  // Spawn the agent terminal
+  // Spawn the agent terminal (walking the fallback chain when one is configured)
   const startTime = Date.now();
+  const chain = resolveFallbackChain(projectDir, args.agent, {
+    provider: promptResult.provider,
+    model: promptResult.model,
+  });
+  const spawnConfig = {
+    agent: args.agent,
+    taskId: args['task-id'],
+    model: promptResult.model,
+    provider: promptResult.provider,
+    prompt: promptResult.prompt,
+    workingDir: projectDir,
+    timeout,
+    structuredOutput: true,
+  };
+  const rateLimit = { projectDir };
+  const revertViolations = args['revert-scope-violations'] === 'true';
+  const snapshot = snapshotWorkingTree(projectDir, { keepContent: revertViolations });
   let handle;
-
-  try {
-    handle = spawnTerminal({
-      agent: args.agent,
-      taskId: args['task-id'],
-      model: promptResult.model,
-      provider: promptResult.provider,
-      prompt: promptResult.prompt,
-      workingDir: projectDir,
-      timeout,
-    });
-  } catch (err) {
-    outputError(`Failed to spawn terminal: ${err.message}`);
-    process.exit(1);
+  let limiter = null;
+  let providerCircuit = null;
+  let reservedTokens = 0;
+
+  if (chain.length > 1) {
+    try {
+      handle = await spawnTerminalWithFallback(spawnConfig, chain, {
+        maxRetries: fallbackConfig.maxRetries,
+        rateLimit,
+        projectDir,
+      });
+    } catch (err) {
+      outputError(`Failed to spawn terminal: ${err.message}`);
+      process.exit(1);
+    }
+  } else {
+    providerCircuit = getProviderCircuit(spawnConfig.provider || 'claude', projectDir);
+    if (!providerCircuit.canExecute()) {
+      outputError(`Circuit for provider ${spawnConfig.provider || 'claude'} is OPEN after repeated failures; not spawning ${args.agent} until it may retry (see chati health)`);
+      process.exit(1);
+    }
+    limiter = getRateLimiter(spawnConfig.provider || 'claude', rateLimit);
+    reservedTokens = estimateTokens(spawnConfig.prompt);
+    await limiter.acquire(reservedTokens);
+    try {
+      handle = spawnTerminal(spawnConfig);
+    } catch (err) {
+      outputError(`Failed to spawn terminal: ${err.message}`);
+      process.exit(1);
+    }
   }
 
   // Wait for the process to complete
@@ -125,7 +228,7 @@ async function main() {
     telemetryTrack('error_occurred', {
       errorType: 'agent_failure',
       agent: args.agent,
-      provider: promptResult.provider || args.provider || 'claude',
+      provider: handle.provider,
       phase: sessionState?.phase || 'unknown',
     });
     await flushAndSend(projectDir);
@@ -134,25 +237,53 @@ async function main() {
   }
 
   const elapsed = Date.now() - startTime;
-  const stdout = handle.stdout.join('');
+  const { text: stdout, usage } = getTerminalOutput(handle);
+
+  // Audit what the agent wrote against its write scope
+  const audit = auditWriteScopes(snapshot, [args.agent], { revert: revertViolations });
+  for (const violation of audit.violations) {
+    console.error(`[chati] ${args.agent} wrote outside its scope: ${violation.change} ${violation.path}${violation.reverted ? ' (reverted)' : ''}`);
+  }
   const stderr = handle.stderr.join('');
 
-  // Track cost metrics
-  const tracker = createCostTracker();
+  // Track cost metrics (real usage when the CLI reported it, estimate otherwise)
+  const tracker = createCostTracker({ projectDir, ledger: ledgerContext });
   const costRecord = tracker.recordExecution({
     agent: args.agent,
-    model: promptResult.model,
-    provider: promptResult.provider || args.provider || 'claude',
+    model: handle.model,
+    provider: handle.provider,
+    fallbackFrom: handle.fallbackFrom || null,
     taskId: args['task-id'],
+    usage,
     inputText: promptResult.prompt || '',
     outputText: stdout,
     duration: elapsed,
   });
 
+  // Feed the run back to the rate limiter and provider circuit (the fallback path already did)
+  if (limiter) {
+    limiter.recordTokens(costRecord.inputTokens + costRecord.outputTokens - reservedTokens);
+    limiter.recordResponse(handle.exitCode, handle.stderr);
+  }
+  if (providerCircuit) {
+    if (isProviderMissing(handle) || isTransientFailure(handle.exitCode, handle.stderr)) {
+      providerCircuit.recordFailure();
+    } else {
+      providerCircuit.recordSuccess();
+    }
+  }
+
   const costEstimate = {
     inputTokens: costRecord.inputTokens,
     outputTokens: costRecord.outputTokens,
+    cacheReadTokens: costRecord.cacheReadTokens,
+    cacheWriteTokens: costRecord.cacheWriteTokens,
+    inputCost: costRecord.inputCost,
+    outputCost: costRecord.outputCost,
     totalCost: costRecord.cost,
+    reportedCost: costRecord.reportedCost,
+    tokenSource: costRecord.tokenSource,
+    pricingVersion: costRecord.pricingVersion,
     model: costRecord.model,
     provider: costRecord.provider,
   };
@@ -187,15 +318,23 @@ async function main() {
 
   // Parse the handoff from stdout
   const parsed = parseAgentOutput(stdout);
+  const providerInfo = {
+    model: handle.model,
+    provider: handle.provider,
+    fallbackFrom: handle.fallbackFrom || null,
+    providerAttempts: handle.providerAttempts || [],
+  };
 
   if (parsed.found) {
     outputResult({
       status: parsed.handoff.status,
       agent: args.agent,
-      model: promptResult.model,
-      provider: promptResult.provider || args.provider || 'claude',
+      ...providerInfo,
       exitCode: handle.exitCode,
-      handoff: parsed.handoff,
+      // The prompt named the primary provider; record the one that actually ran
+      handoff: { ...parsed.handoff, provider: handle.provider, model: handle.model },
+      handoffDiagnostics: parsed.diagnostics,
+      scopeViolations: audit.violations,
       elapsed,
       costEstimate,
     });
@@ -204,10 +343,11 @@ async function main() {
     outputResult({
       status: handle.exitCode === 0 ? 'partial' : 'error',
       agent: args.agent,
-      model: promptResult.model,
-      provider: promptResult.provider || args.provider || 'claude',
+      ...providerInfo,
       exitCode: handle.exitCode,
       handoff: null,
+      handoffDiagnostics: parsed.diagnostics,
+      scopeViolations: audit.violations,
       rawOutput: stdout.slice(0, 5000), // Truncate to avoid huge JSON
       stderr: stderr.slice(0, 2000),
       elapsed,
@@ -240,10 +380,12 @@ async function flushAndSend(projectDir) {
 
 /**
  * Wait for a terminal handle's process to exit.
+ * Handles that are no longer running (exited, or killed by the spawner's own
+ * timeout) resolve immediately — their 'exit' event has already fired.
  */
 function waitForExit(handle, timeout) {
   return new Promise((resolve, reject) => {
-    if (handle.status === 'exited') {
+    if (handle.status !== 'running') {
       resolve();
       return;
     }
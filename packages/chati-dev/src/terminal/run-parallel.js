@@ -11,16 +11,66 @@
  *     --project-dir /path/to/project --previous-agent brief \
  *     --timeout 900000
  *
+ * Optional: --session-id / --build-id attribute spend in the cost ledger
+ * (defaults: the session in .chati/session.yaml, $CHATI_BUILD_ID). The
+ * whole group is refused if a hard budget limit blocks any of its agents.
+ * Each terminal takes a slot from its provider's rate limiter first.
+ *
+ * When chati.dev/config.yaml declares a fallback chain for an agent
+ * (`fallback.chains`), its terminal fails over to the next provider like
+ * run-agent does; the output, merged handoff and cost ledger record which
+ * provider actually ran for each agent.
+ *
+ * Like run-agent, the group is refused while a gate evaluating one of its
+ * agents, or the provider of an agent without a fallback chain, has an
+ * open circuit (.chati/circuits/); each such run is recorded on its
+ * provider's circuit.
+ *
+ * Afterwards the working tree is audited against the agents' write
+ * scopes; out-of-scope changes fail the group, and are undone with
+ * --revert-scope-violations.
+ *
+ * While the group runs, progress is logged to stderr and kept per terminal
+ * in .chati/terminals/ for the dashboard. A terminal silent for
+ * --idle-timeout ms (default 5 minutes, 0 disables) is cancelled, and so is
+ * one still running --handoff-grace ms (default 60s) after its last output
+ * once it wrote a complete handoff; the latter counts as completed.
+ *
  * Outputs consolidated JSON to stdout for the orchestrator to parse.
  */
 
 import { fileURLToPath } from 'url';
 import { buildAgentPrompt } from './prompt-builder.js';
-import { spawnParallelGroup } from './spawner.js';
+import {
+  spawnTerminal,
+  spawnTerminalWithFallback,
+  waitForTerminal,
+  isTransientFailure,
+  isProviderMissing,
+} from './spawner.js';
+import { validateWriteScopes } from './isolation.js';
 import { TerminalMonitor } from './monitor.js';
-import { collectResults, mergeHandoffs, buildConsolidatedHandoff } from './collector.js';
+import { createProgressReporter } from './progress.js';
+import { collectResults, mergeHandoffs, buildConsolidatedHandoff, validateResults } from './collector.js';
+import { snapshotWorkingTree, auditWriteScopes } from './scope-audit.js';
 import { parseAgentOutput } from './handoff-parser.js';
-import { estimateTokens, COST_PER_1K } from './cost-tracker.js';
+import { createCostTracker, estimateTokens } from './cost-tracker.js';
+import { getRateLimiter } from './rate-limiter.js';
+import { resolveSessionId } from './cost-ledger.js';
+import { checkBudget, BudgetLevel } from './budget.js';
+import { loadCustomProviders } from './cli-registry.js';
+import { loadFallbackConfig, resolveFallbackChain, getProviderCircuit } from './provider-fallback.js';
+import { getGatesForAgent, getGateCircuit } from '../gates/index.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Silence after which a terminal is cancelled (ms). */
+const DEFAULT_IDLE_TIMEOUT = 300_000;
+
+/** Time a terminal may keep running after its complete handoff (ms). */
+const DEFAULT_HANDOFF_GRACE = 60_000;
 
 // ---------------------------------------------------------------------------
 // CLI argument parsing
@@ -71,6 +121,8 @@ async function main() {
   const projectDir = args['project-dir'] || process.cwd();
   const previousAgent = args['previous-agent'] || null;
   const timeout = parseInt(args.timeout, 10) || 900_000; // default 15 minutes
+  const idleTimeout = parseDuration(args['idle-timeout'], DEFAULT_IDLE_TIMEOUT);
+  const handoffGrace = parseDuration(args['handoff-grace'], DEFAULT_HANDOFF_GRACE);
 
   // Load session state
   let sessionState = {};
@@ -89,11 +141,27 @@ async function main() {
     }
   } catch { /* optional */ }
 
+  // Register project-defined CLI providers before provider resolution
+  const customProviders = await loadCustomProviders(projectDir);
+  for (const { source, error } of customProviders.errors) {
+    console.error(`[chati] Custom provider "${source}" not loaded: ${error}`);
+  }
+
+  // Fallback chains — each head is its agent's provider unless --provider is given
+  const fallbackConfig = loadFallbackConfig(projectDir);
+  for (const error of fallbackConfig.errors) {
+    console.error(`[chati] Fallback chain entry ignored: ${error}`);
+  }
+
   // Build prompts for all agents
   const configs = [];
+  const chains = [];
   const startTime = Date.now();
 
   for (let i = 0; i < agents.length; i++) {
+    const chainHead = args.provider
+      ? null
+      : (fallbackConfig.chains[agents[i]] || fallbackConfig.chains.default || [])[0] || null;
     try {
       const promptResult = buildAgentPrompt({
         agent: agents[i],
@@ -101,7 +169,8 @@ async function main() {
         projectDir,
         previousAgent,
         sessionState,
-        provider: args.provider || null,
+        provider: args.provider || chainHead?.provider || null,
+        model: chainHead?.model || null,
       });
 
       configs.push({
@@ -112,73 +181,210 @@ async function main() {
         prompt: promptResult.prompt,
         workingDir: projectDir,
         timeout,
+        structuredOutput: true,
+        stream: true,
       });
+      chains.push(resolveFallbackChain(projectDir, agents[i], {
+        provider: promptResult.provider,
+        model: promptResult.model,
+      }));
     } catch (err) {
       outputError(`Failed to build prompt for ${agents[i]}: ${err.message}`);
       process.exit(1);
     }
   }
 
-  // Spawn all terminals in parallel
-  let group;
-  try {
-    group = spawnParallelGroup(configs);
-  } catch (err) {
-    outputError(`Failed to spawn parallel group: ${err.message}`);
-    process.exit(1);
+  // Enforce spend budgets before spawning (all or nothing, so handoffs merge cleanly)
+  const ledgerContext = {
+    sessionId: args['session-id'] || resolveSessionId(sessionState),
+    buildId: args['build-id'] || process.env.CHATI_BUILD_ID || null,
+  };
+  for (const agent of new Set(agents)) {
+    const budget = checkBudget(projectDir, { ...ledgerContext, agent });
+    if (!budget.allowed) {
+      outputError(budget.reason);
+      process.exit(1);
+    }
+    if (budget.level === BudgetLevel.WARNING) {
+      console.error(`[chati] ${budget.reason}`);
+    }
   }
 
-  // Monitor until completion
-  const monitor = new TerminalMonitor({ pollInterval: 2000, timeout });
+  // Refuse the group while a gate or provider it needs keeps failing
+  for (const agent of new Set(agents)) {
+    const trippedGate = getGatesForAgent(agent).find(gate => !getGateCircuit(projectDir, gate.id).canExecute());
+    if (trippedGate) {
+      outputError(`Circuit for gate ${trippedGate.id} is OPEN after repeated failures; not spawning ${agent} until it may retry (see chati health)`);
+      process.exit(1);
+    }
+  }
+  // Terminals with a fallback chain skip open circuits themselves
+  const providerCircuits = configs.map(cfg => getProviderCircuit(cfg.provider || 'claude', projectDir));
+  for (let i = 0; i < configs.length; i++) {
+    if (chains[i].length <= 1 && !providerCircuits[i].canExecute()) {
+      outputError(`Circuit for provider ${configs[i].provider || 'claude'} is OPEN after repeated failures; not spawning ${configs[i].agent} until it may retry (see chati health)`);
+      process.exit(1);
+    }
+  }
 
-  for (const terminal of group.terminals) {
-    monitor.addTerminal(terminal);
+  const scopes = validateWriteScopes(configs);
+  if (!scopes.valid) {
+    const details = scopes.conflicts.map(c => `${c.agents.join(' vs ')} on ${c.path}`).join('; ');
+    outputError(`Failed to spawn parallel group: Write scope conflicts detected: ${details}`);
+    process.exit(1);
   }
 
-  await new Promise((resolve) => {
-    monitor.onComplete(() => {
-      monitor.stopMonitoring();
-      resolve();
-    });
+  // Snapshot the tree for the post-execution write scope audit
+  const revertViolations = args['revert-scope-violations'] === 'true';
+  const snapshot = snapshotWorkingTree(projectDir, { keepContent: revertViolations });
+
+  // Monitor every spawned terminal (fallback attempts included), reporting
+  // progress and cancelling stalled terminals
+  const groupId = `group-${Date.now()}`;
+  const progress = createProgressReporter(projectDir, { log: (message) => console.error(`[chati] ${message}`) });
+  const monitor = new TerminalMonitor({ pollInterval: 2000, timeout, stream: true, idleTimeout, handoffGrace });
+  monitor.onOutput(progress.output);
+  monitor.onHandoff(progress.handoff);
+  monitor.onExit(progress.exit);
+
+  const running = new Set();
+  let timedOut = false;
+  const track = (handle) => {
+    running.add(handle);
+    monitor.addTerminal(handle);
+    progress.add(handle);
+    monitor.startMonitoring(); // resumes after the monitor saw every earlier attempt finish
+    if (timedOut) monitor.cancelTerminal(handle.id, 'timeout');
+  };
 
-    // Safety timeout
-    const safetyTimer = setTimeout(() => {
-      monitor.stopMonitoring();
-      resolve();
-    }, timeout + 10_000);
+  // Safety timeout: cancel whatever is still running, and any later attempt
+  const safetyTimer = setTimeout(() => {
+    timedOut = true;
+    for (const handle of running) {
+      if (handle.status === 'running') monitor.cancelTerminal(handle.id, 'timeout');
+    }
+  }, timeout + 10_000);
 
-    monitor.onComplete(() => clearTimeout(safetyTimer));
-    monitor.startMonitoring();
-  });
+  // Spawn all terminals in parallel, each walking its fallback chain when one is configured
+  const rateLimit = { projectDir };
+  const reservedTokens = configs.map(cfg => estimateTokens(cfg.prompt));
+  const runs = await Promise.all(configs.map(async (cfg, i) => {
+    try {
+      if (chains[i].length > 1) {
+        const handle = await spawnTerminalWithFallback(cfg, chains[i], {
+          maxRetries: fallbackConfig.maxRetries,
+          rateLimit,
+          projectDir,
+          onSpawn: track,
+        });
+        return { handle, error: null };
+      }
+      // Take a rate limit slot (shared with other runners via .chati/)
+      await getRateLimiter(cfg.provider || 'claude', rateLimit).acquire(reservedTokens[i]);
+      const handle = spawnTerminal(cfg);
+      track(handle);
+      await waitForTerminal(handle);
+      return { handle, error: null };
+    } catch (err) {
+      console.error(`[chati] ${cfg.agent} not spawned: ${err.message}`);
+      return { handle: null, error: err.message };
+    }
+  }));
+  clearTimeout(safetyTimer);
+  monitor.stopMonitoring();
 
   const elapsed = Date.now() - startTime;
 
-  // Cost estimation per agent
-  const costEstimates = configs.map((cfg, i) => {
-    const terminal = group.terminals[i];
-    const inputTokens = estimateTokens(cfg.prompt || '');
-    const outputTokens = estimateTokens((terminal?.stdout || []).join(''));
-    const modelKey = cfg.model || 'sonnet';
-    const rate = COST_PER_1K[modelKey] || COST_PER_1K.sonnet || 0.015;
-    return {
+  // Audit writes, then collect and merge results
+  const audit = auditWriteScopes(snapshot, agents, { revert: revertViolations });
+  for (const violation of audit.violations) {
+    console.error(`[chati] Write outside scope of ${violation.agents.join(', ')}: ${violation.change} ${violation.path}${violation.reverted ? ' (reverted)' : ''}`);
+  }
+  const handles = runs.map(run => run.handle).filter(Boolean);
+  const rawResults = collectResults(groupId, handles, { audit });
+  const validation = validateResults(rawResults.results);
+  runs.forEach((run, i) => {
+    if (run.error) validation.errors.push(`${configs[i].agent}: not spawned: ${run.error}`);
+  });
+  validation.valid = validation.errors.length === 0;
+  const resultOf = (i) => runs[i].handle
+    ? rawResults.results.find(r => r.terminalId === runs[i].handle.id)
+    : null;
+
+  // Cost per spawned agent, on the provider that ran (real usage when the
+  // CLI reported it, estimate otherwise)
+  const tracker = createCostTracker({ projectDir, ledger: ledgerContext });
+  const costEstimates = configs.flatMap((cfg, i) => {
+    const { handle } = runs[i];
+    if (!handle) return [];
+    const result = resultOf(i);
+    const record = tracker.recordExecution({
       agent: cfg.agent,
-      model: modelKey,
-      provider: cfg.provider || 'claude',
-      inputTokens,
-      outputTokens,
-      estimatedCost: ((inputTokens + outputTokens) / 1000) * rate,
-    };
+      model: handle.model || 'sonnet',
+      provider: handle.provider || 'claude',
+      fallbackFrom: handle.fallbackFrom || null,
+      taskId: cfg.taskId,
+      usage: result?.usage || null,
+      inputText: cfg.prompt || '',
+      outputText: result?.stdout || '',
+      duration: result?.elapsed || elapsed,
+    });
+    // Feed the run back to the rate limiter and provider circuit (the fallback path already did)
+    if (chains[i].length <= 1) {
+      const limiter = getRateLimiter(record.provider, rateLimit);
+      limiter.recordTokens(record.inputTokens + record.outputTokens - reservedTokens[i]);
+      limiter.recordResponse(result?.exitCode ?? null, result?.stderr || '');
+      if (isProviderMissing(handle) || isTransientFailure(handle.exitCode, handle.stderr)) {
+        providerCircuits[i].recordFailure();
+      } else {
+        providerCircuits[i].recordSuccess();
+      }
+    }
+    return [{
+      agent: record.agent,
+      model: record.model,
+      provider: record.provider,
+      fallbackFrom: record.fallbackFrom || null,
+      inputTokens: record.inputTokens,
+      outputTokens: record.outputTokens,
+      cacheReadTokens: record.cacheReadTokens,
+      cacheWriteTokens: record.cacheWriteTokens,
+      inputCost: record.inputCost,
+      outputCost: record.outputCost,
+      estimatedCost: record.cost,
+      reportedCost: record.reportedCost,
+      tokenSource: record.tokenSource,
+    }];
   });
 
-  // Collect and merge results
-  const rawResults = collectResults(group.groupId, group.terminals);
-
   // Parse handoffs from each terminal's stdout
-  const agentResults = rawResults.results.map(r => {
-    const parsed = parseAgentOutput(r.stdout);
+  const agentResults = configs.map((cfg, i) => {
+    const { handle, error } = runs[i];
+    if (!handle) {
+      return {
+        agent: cfg.agent,
+        taskId: cfg.taskId,
+        model: cfg.model,
+        provider: cfg.provider || 'claude',
+        fallbackFrom: null,
+        providerAttempts: [],
+        exitCode: null,
+        cancelReason: null,
+        error,
+        handoff: null,
+        handoffFound: false,
+      };
+    }
+    const result = resultOf(i);
+    const parsed = parseAgentOutput(result.stdout);
     return {
-      ...r,
-      handoff: parsed.found ? parsed.handoff : null,
+      ...result,
+      model: handle.model,
+      provider: handle.provider || 'claude',
+      fallbackFrom: handle.fallbackFrom || null,
+      providerAttempts: handle.providerAttempts || [],
+      // The prompt named the chain head; record the provider that actually ran
+      handoff: parsed.found ? { ...parsed.handoff, provider: handle.provider, model: handle.model } : null,
       handoffFound: parsed.found,
     };
   });
@@ -186,6 +392,9 @@ async function main() {
   // Merge handoffs
   const mergeInput = agentResults.map(r => ({
     agent: r.agent,
+    provider: r.provider,
+    model: r.model,
+    fallbackFrom: r.fallbackFrom,
     status: r.handoff?.status || (r.exitCode === 0 ? 'complete' : 'failed'),
     outputs: r.handoff?.outputs || [],
     decisions: r.handoff?.decisions || {},
@@ -199,18 +408,24 @@ async function main() {
 
   // Output consolidated result
   const output = {
-    status: rawResults.summary.failed === 0 ? 'complete' : 'partial',
-    groupId: group.groupId,
+    status: validation.valid ? 'complete' : 'partial',
+    groupId,
     agents: agents.map((a, i) => ({
       agent: a,
-      model: configs[i].model,
+      model: agentResults[i].model,
+      provider: agentResults[i].provider,
+      fallbackFrom: agentResults[i].fallbackFrom,
+      providerAttempts: agentResults[i].providerAttempts,
       status: agentResults[i].handoff?.status || (agentResults[i].exitCode === 0 ? 'complete' : 'failed'),
       score: agentResults[i].handoff?.score || null,
       exitCode: agentResults[i].exitCode,
+      cancelReason: agentResults[i].cancelReason,
       handoffFound: agentResults[i].handoffFound,
     })),
     mergedHandoff: consolidated,
     summary: rawResults.summary,
+    scopeViolations: audit.violations,
+    validationErrors: validation.errors,
     elapsed,
     performance: {
       sequentialEstimate: elapsed * agents.length,
@@ -221,7 +436,7 @@ async function main() {
   };
 
   process.stdout.write(JSON.stringify(output, null, 2) + '\n');
-  process.exit(rawResults.summary.failed > 0 ? 1 : 0);
+  process.exit(validation.valid ? 0 : 1);
 }
 
 // ---------------------------------------------------------------------------
@@ -244,6 +459,14 @@ function determineNextAgent(agents) {
   return null;
 }
 
+/**
+ * Parse a millisecond option, keeping 0 (disabled) apart from a missing value.
+ */
+function parseDuration(value, fallback) {
+  const ms = parseInt(value, 10);
+  return Number.isNaN(ms) || ms < 0 ? fallback : ms;
+}
+
 function outputError(message) {
   process.stdout.write(JSON.stringify({ status: 'error', error: message }) + '\n');
 }
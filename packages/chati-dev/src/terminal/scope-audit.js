@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Post-execution write scope audit.
+ *
+ * isolation.js only tells a spawned agent its write scope through
+ * environment variables. This module checks what the agent actually did:
+ * the working tree is snapshotted before the spawn and diffed after it
+ * exits, and every changed path is checked against isPathAllowed.
+ * Out-of-scope changes are reported and can be reverted.
+ *
+ * In a git repository only paths reported by `git status` are hashed;
+ * elsewhere every file is hashed (installer/file-hasher.js). Git-ignored
+ * files are not audited.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readdirSync, readFileSync, writeFileSync, unlinkSync, mkdirSync } from 'fs';
+import { join, dirname, relative, resolve } from 'path';
+import { hashFile, hashContent } from '../installer/file-hasher.js';
+import { getWriteScope, isPathAllowed } from './isolation.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Directories never audited (VCS data, dependencies, chati runtime state). */
+export const AUDIT_IGNORED_DIRS = ['.git', 'node_modules', '.chati'];
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} TreeSnapshot
+ * @property {string} projectDir - Absolute project root
+ * @property {'git'|'hash'} method - How changes are detected
+ * @property {Record<string, { hash: string|null, content?: Buffer|null }>} files
+ *   Hashes by relative path (git: only paths that differ from HEAD; null = deleted)
+ * @property {string} takenAt - ISO timestamp
+ */
+
+/**
+ * @typedef {object} TreeChange
+ * @property {string} path - Path relative to the project root
+ * @property {'added'|'modified'|'deleted'} change
+ */
+
+/**
+ * @typedef {object} ScopeViolation
+ * @property {string} path - Path relative to the project root
+ * @property {'added'|'modified'|'deleted'} change
+ * @property {string[]} agents - Audited agents none of whose scopes allow the path
+ * @property {boolean} reverted - Whether the change was undone
+ */
+
+/**
+ * @typedef {object} ScopeAudit
+ * @property {'git'|'hash'} method
+ * @property {string[]} agents - Agents whose scopes were checked
+ * @property {TreeChange[]} changes - Every change since the snapshot
+ * @property {ScopeViolation[]} violations - Changes outside every agent's scope
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+function isIgnored(relPath) {
+  return AUDIT_IGNORED_DIRS.some(dir => relPath === dir || relPath.startsWith(`${dir}/`));
+}
+
+/**
+ * Path prefix of the project inside its git repository, or null
+ * when the project is not in one.
+ *
+ * @param {string} projectDir
+ * @returns {string|null} '' at the repository root, else 'sub/dir/'
+ */
+function gitPrefix(projectDir) {
+  try {
+    return git(['rev-parse', '--show-prefix'], projectDir).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Paths under the project that differ from HEAD (including untracked).
+ *
+ * @param {string} projectDir
+ * @param {string} prefix - From gitPrefix
+ * @returns {string[]} Relative to the project root
+ */
+function gitDirtyPaths(projectDir, prefix) {
+  const out = git(['status', '--porcelain', '-z', '--untracked-files=all', '--', '.'], projectDir);
+  const entries = out.split('\0');
+  const paths = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.length < 4) continue;
+    paths.push(entry.slice(3));
+    // Renames and copies are followed by their source path
+    if (entry[0] === 'R' || entry[0] === 'C') paths.push(entries[++i]);
+  }
+
+  return paths
+    .filter(p => p.startsWith(prefix))
+    .map(p => p.slice(prefix.length))
+    .filter(p => p && !p.endsWith('/') && !isIgnored(p));
+}
+
+/**
+ * Every file under the project, relative to it.
+ *
+ * @param {string} projectDir
+ * @returns {string[]}
+ */
+function listFiles(projectDir) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const full = join(dir, entry.name);
+      const rel = relative(projectDir, full).replace(/\\/g, '/');
+      if (isIgnored(rel)) continue;
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile()) files.push(rel);
+    }
+  };
+  walk(projectDir);
+  return files;
+}
+
+function readState(projectDir, relPath, keepContent) {
+  const full = join(projectDir, relPath);
+  if (!existsSync(full)) return { hash: null, ...(keepContent ? { content: null } : {}) };
+  try {
+    return {
+      hash: hashFile(full),
+      ...(keepContent ? { content: readFileSync(full) } : {}),
+    };
+  } catch {
+    // Directories reported by git (e.g. nested repositories) are not files
+    return { hash: null };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Snapshot the working tree before spawning agents.
+ *
+ * @param {string} projectDir - Project root
+ * @param {{ keepContent?: boolean }} [options={}] - Keep file contents so
+ *   out-of-scope changes can be reverted later
+ * @returns {TreeSnapshot}
+ */
+export function snapshotWorkingTree(projectDir, options = {}) {
+  const root = resolve(projectDir);
+  const keepContent = Boolean(options.keepContent);
+  const prefix = gitPrefix(root);
+  const method = prefix === null ? 'hash' : 'git';
+  const paths = method === 'git' ? gitDirtyPaths(root, prefix) : listFiles(root);
+
+  const files = {};
+  for (const path of paths) {
+    files[path] = readState(root, path, keepContent);
+  }
+
+  return { projectDir: root, method, files, takenAt: new Date().toISOString() };
+}
+
+/**
+ * List the changes made to the working tree since a snapshot.
+ *
+ * @param {TreeSnapshot} before
+ * @returns {TreeChange[]} Sorted by path
+ */
+export function diffWorkingTree(before) {
+  const root = before.projectDir;
+  const changes = [];
+
+  if (before.method === 'git') {
+    const prefix = gitPrefix(root) ?? '';
+    const dirty = new Set(gitDirtyPaths(root, prefix));
+    const paths = new Set([...dirty, ...Object.keys(before.files)]);
+
+    for (const path of paths) {
+      const current = readState(root, path, false).hash;
+      // Paths missing from the snapshot were identical to HEAD
+      const previous = path in before.files ? before.files[path].hash : headHash(root, path);
+      pushChange(changes, path, previous, current);
+    }
+  } else {
+    const current = new Set(listFiles(root));
+    const paths = new Set([...current, ...Object.keys(before.files)]);
+    for (const path of paths) {
+      const previous = before.files[path]?.hash ?? null;
+      const now = current.has(path) ? readState(root, path, false).hash : null;
+      pushChange(changes, path, previous, now);
+    }
+  }
+
+  return changes.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+function pushChange(changes, path, previous, current) {
+  if (previous === current) return;
+  const change = previous === null ? 'added' : current === null ? 'deleted' : 'modified';
+  changes.push({ path, change });
+}
+
+/**
+ * Hash of a file as committed in HEAD (null when untracked).
+ *
+ * @param {string} root
+ * @param {string} relPath
+ * @returns {string|null}
+ */
+function headHash(root, relPath) {
+  try {
+    return hashContent(git(['show', `HEAD:./${relPath}`], root));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Audit the changes since a snapshot against the write scopes of the
+ * agents that ran. In a parallel group a change cannot be traced to one
+ * agent, so it is a violation only when no agent's scope allows it, and
+ * it is reported against every audited agent.
+ *
+ * Agents without a write scope (see WRITE_SCOPES) are not audited.
+ *
+ * @param {TreeSnapshot} before - Snapshot taken before the spawn
+ * @param {string[]} agents - Agents that ran since the snapshot
+ * @param {{ revert?: boolean }} [options={}] - Undo out-of-scope changes
+ * @returns {ScopeAudit}
+ */
+export function auditWriteScopes(before, agents, options = {}) {
+  const audited = [...new Set(agents)].filter(agent => getWriteScope(agent).length > 0);
+  const changes = diffWorkingTree(before);
+
+  const violations = audited.length === 0 ? [] : changes
+    .filter(({ path }) => !audited.some(agent => isPathAllowed(agent, path)))
+    .map(({ path, change }) => ({ path, change, agents: audited, reverted: false }));
+
+  if (options.revert) {
+    for (const violation of violations) {
+      violation.reverted = revertChange(before, violation);
+    }
+  }
+
+  return { method: before.method, agents: audited, changes, violations };
+}
+
+/**
+ * Undo one change: delete added files, restore modified or deleted ones
+ * from the snapshot's content, or from HEAD when the file was clean.
+ *
+ * @param {TreeSnapshot} before
+ * @param {TreeChange} change
+ * @returns {boolean} False when there is no copy to restore from
+ */
+export function revertChange(before, { path, change }) {
+  const full = join(before.projectDir, path);
+
+  try {
+    if (change === 'added') {
+      unlinkSync(full);
+      return true;
+    }
+
+    const saved = before.files[path];
+    if (saved?.content) {
+      mkdirSync(dirname(full), { recursive: true });
+      writeFileSync(full, saved.content);
+      return true;
+    }
+
+    if (before.method === 'git' && !saved) {
+      git(['checkout', '--', path], before.projectDir);
+      return true;
+    }
+  } catch {
+    // Fall through — reported as not reverted
+  }
+
+  return false;
+}
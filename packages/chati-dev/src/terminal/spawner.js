@@ -10,6 +10,13 @@
 import { spawn } from 'child_process';
 import { validateWriteScopes, buildIsolationEnv } from './isolation.js';
 import { getProvider } from './cli-registry.js';
+import { checkBudget } from './budget.js';
+import { createOutputStream } from './output-stream.js';
+import { getProviderCircuit } from './provider-fallback.js';
+import { getRateLimiter } from './rate-limiter.js';
+import { CIRCUIT_OPEN_CODE } from '../gates/circuit-breaker.js';
+import { estimateTokens } from './cost-tracker.js';
+import { emit, EVENTS } from '../utils/event-bus.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -105,6 +112,8 @@ export function cleanParentEnv(env) {
  * @property {string[]} [writeScope]   - Override write scope
  * @property {string} [workingDir]     - Working directory for the process
  * @property {number} [timeout]        - Max execution time in ms
+ * @property {boolean} [structuredOutput] - Ask the CLI for machine-readable output with token usage
+ * @property {boolean} [stream]        - Publish stdout lines and handoff progress on the event bus as they arrive
  */
 
 /**
@@ -120,6 +129,11 @@ export function cleanParentEnv(env) {
  * @property {string[]} stdout   - Captured stdout lines
  * @property {string[]} stderr   - Captured stderr lines
  * @property {number} timeout    - Max execution time in ms
+ * @property {boolean} [streaming] - Whether output is published on the event bus
+ * @property {string|null} [cancelReason] - Why the terminal was cancelled, if it was
+ * @property {Array<{ provider: string, model: string|null, outcome: string, exitCode: number|null }>} [providerAttempts] - Providers tried by spawnTerminalWithFallback
+ * @property {string|null} [fallbackFrom] - First provider of the chain, when a later one ran
+ * @property {boolean} structuredOutput - Whether stdout is the CLI's structured format (decode with getTerminalOutput)
  */
 
 /**
@@ -193,9 +207,40 @@ export function buildSpawnCommand(config) {
   return { command, args, env, terminalId, prompt, providerFallback };
 }
 
+/**
+ * Return the agent text and reported token usage of a terminal.
+ *
+ * Structured output (JSON/JSONL) is decoded through the provider
+ * adapter's parseOutput; plain output is returned as-is with
+ * `usage: null` so callers fall back to estimation.
+ *
+ * @param {TerminalHandle} handle
+ * @returns {{ text: string, usage: import('./cost-tracker.js').TokenUsage|null }}
+ */
+export function getTerminalOutput(handle) {
+  const raw = (handle?.stdout || []).join('');
+  if (!handle?.structuredOutput) {
+    return { text: raw, usage: null };
+  }
+
+  try {
+    const adapter = getProvider(handle.provider).adapter;
+    if (typeof adapter.parseOutput !== 'function') {
+      return { text: raw, usage: null };
+    }
+    return adapter.parseOutput(raw);
+  } catch {
+    return { text: raw, usage: null };
+  }
+}
+
 /**
  * Spawn a new terminal process for an agent task.
  *
+ * Emits TERMINAL_SPAWNED and TERMINAL_EXITED on the event bus. With
+ * `config.stream`, stdout/stderr lines and handoff progress are also
+ * published as they arrive (see output-stream.js).
+ *
  * @param {SpawnConfig} config
  * @returns {TerminalHandle}
  */
@@ -226,56 +271,119 @@ export function spawnTerminal(config) {
     model: config.model || 'unknown',
     provider: config.provider || 'claude',
     providerFallback,
+    // The claude fallback command is built without the structured-output flag
+    structuredOutput: Boolean(config.structuredOutput) && !providerFallback,
     startedAt: new Date().toISOString(),
     status: 'running',
     exitCode: null,
     stdout: [],
     stderr: [],
     timeout,
+    streaming: Boolean(config.stream),
+    cancelReason: null,
   };
 
+  const outputStream = handle.streaming ? createStreamFor(handle) : null;
+
   // Capture output (capped at ~10MB to prevent unbounded memory growth)
   const MAX_BUFFER_CHUNKS = 10_000;
   if (child.stdout) {
     child.stdout.on('data', (chunk) => {
+      const text = chunk.toString();
       if (handle.stdout.length < MAX_BUFFER_CHUNKS) {
-        handle.stdout.push(chunk.toString());
+        handle.stdout.push(text);
       }
+      if (outputStream) outputStream.write(text);
     });
   }
   if (child.stderr) {
     child.stderr.on('data', (chunk) => {
+      const text = chunk.toString();
       if (handle.stderr.length < MAX_BUFFER_CHUNKS) {
-        handle.stderr.push(chunk.toString());
+        handle.stderr.push(text);
       }
+      if (outputStream) outputStream.writeStderr(text);
     });
   }
 
+  // Published once, after stdio has drained ('close') or the spawn failed
+  let exitPublished = false;
+  const publishExit = () => {
+    if (exitPublished) return;
+    exitPublished = true;
+    if (outputStream) outputStream.end();
+    emit(EVENTS.TERMINAL_EXITED, {
+      terminalId: handle.id,
+      agent: handle.agent,
+      taskId: handle.taskId,
+      exitCode: handle.exitCode,
+      status: handle.status,
+      cancelReason: handle.cancelReason,
+    });
+  };
+
   child.on('exit', (code) => {
-    handle.status = 'exited';
+    if (handle.status === 'running') handle.status = 'exited';
     handle.exitCode = code;
   });
 
+  child.on('close', publishExit);
+
   child.on('error', (err) => {
     handle.status = 'exited';
     handle.exitCode = -1;
     handle.stderr.push(`spawn error: ${err.message}`);
+    publishExit();
+  });
+
+  emit(EVENTS.TERMINAL_SPAWNED, {
+    terminalId: handle.id,
+    agent: handle.agent,
+    taskId: handle.taskId,
+    provider: handle.provider,
+    model: handle.model,
+    streaming: handle.streaming,
   });
 
   // Enforce timeout — kill process if it exceeds max execution time
   const timeoutTimer = setTimeout(() => {
     if (handle.status === 'running') {
       handle.stderr.push(`timeout: process exceeded ${timeout}ms limit`);
-      killTerminal(handle);
+      killTerminal(handle, 'timeout');
     }
   }, timeout);
 
-  // Clear timer when process exits normally
+  // Clear timer when process exits normally or never started
   child.on('exit', () => clearTimeout(timeoutTimer));
+  child.on('error', () => clearTimeout(timeoutTimer));
 
   return handle;
 }
 
+/**
+ * Build the streaming processor for a handle, decoding structured lines
+ * through the provider adapter.
+ *
+ * @param {TerminalHandle} handle
+ * @returns {ReturnType<typeof createOutputStream>}
+ */
+function createStreamFor(handle) {
+  let parseLine;
+  if (handle.structuredOutput) {
+    try {
+      const adapter = getProvider(handle.provider).adapter;
+      parseLine = typeof adapter.parseStreamLine === 'function' ? adapter.parseStreamLine : () => null;
+    } catch {
+      parseLine = () => null;
+    }
+  }
+
+  return createOutputStream(handle, {
+    parseLine,
+    finalText: handle.structuredOutput ? () => getTerminalOutput(handle).text : undefined,
+  });
+}
+
 /**
  * Spawn a group of terminals concurrently.
  * Validates write scopes before spawning to prevent conflicts.
@@ -314,10 +422,14 @@ export function spawnParallelGroup(configs) {
  * limits the number of simultaneously running processes. When one process
  * exits, the next in the queue is spawned.
  *
+ * When `options.budget` is given, the spend budget (see budget.js) is
+ * checked before each spawn with the config's agent. Configs refused by
+ * a hard limit are not spawned and are returned in `skipped`.
+ *
  * @param {SpawnConfig[]} configs
- * @param {{ maxConcurrency?: number }} [options={}]
- * @returns {Promise<{ groupId: string, terminals: TerminalHandle[], startedAt: string }>}
- * @throws {Error} When write scope conflicts are detected
+ * @param {{ maxConcurrency?: number, budget?: { projectDir: string, sessionId?: string|null, buildId?: string|null } }} [options={}]
+ * @returns {Promise<{ groupId: string, terminals: TerminalHandle[], startedAt: string, skipped: SpawnConfig[], budget: import('./budget.js').BudgetStatus|null }>}
+ * @throws {Error} When write scope conflicts are detected, or the budget refuses every config
  */
 export async function spawnParallelGroupAsync(configs, options = {}) {
   if (!Array.isArray(configs) || configs.length === 0) {
@@ -336,15 +448,43 @@ export async function spawnParallelGroupAsync(configs, options = {}) {
 
   const groupId = `group-${Date.now()}`;
   const startedAt = new Date().toISOString();
+  const terminals = [];
+  const skipped = [];
+  let budgetStatus = null;
+
+  /**
+   * Spawn a config unless a hard budget limit refuses it.
+   * Returns null when refused.
+   */
+  function spawnWithinBudget(cfg) {
+    if (options.budget) {
+      const { projectDir, sessionId, buildId } = options.budget;
+      budgetStatus = checkBudget(projectDir, { sessionId, buildId, agent: cfg.agent });
+      if (!budgetStatus.allowed) {
+        skipped.push(cfg);
+        return null;
+      }
+    }
+    const handle = spawnTerminal(cfg);
+    terminals.push(handle);
+    return handle;
+  }
+
+  /** Build the group result, failing when nothing could be spawned. */
+  function finish() {
+    if (terminals.length === 0 && skipped.length > 0) {
+      throw new Error(budgetStatus.reason);
+    }
+    return { groupId, terminals, startedAt, skipped, budget: budgetStatus };
+  }
 
   // If within concurrency limit, spawn all at once (fast path)
   if (configs.length <= maxConcurrency) {
-    const terminals = configs.map(cfg => spawnTerminal(cfg));
-    return { groupId, terminals, startedAt };
+    configs.forEach(cfg => spawnWithinBudget(cfg));
+    return finish();
   }
 
   // Pool pattern: spawn up to maxConcurrency, refill as processes exit
-  const terminals = [];
   const queue = [...configs];
   const active = new Set();
 
@@ -367,10 +507,8 @@ export async function spawnParallelGroupAsync(configs, options = {}) {
 
   // Fill initial pool
   while (queue.length > 0 && active.size < maxConcurrency) {
-    const cfg = queue.shift();
-    const handle = spawnTerminal(cfg);
-    terminals.push(handle);
-    active.add(handle);
+    const handle = spawnWithinBudget(queue.shift());
+    if (handle) active.add(handle);
   }
 
   // Process remaining queue as slots free up
@@ -387,25 +525,24 @@ export async function spawnParallelGroupAsync(configs, options = {}) {
 
     // Fill freed slots
     while (queue.length > 0 && active.size < maxConcurrency) {
-      const cfg = queue.shift();
-      const handle = spawnTerminal(cfg);
-      terminals.push(handle);
-      active.add(handle);
+      const handle = spawnWithinBudget(queue.shift());
+      if (handle) active.add(handle);
     }
   }
 
-  return { groupId, terminals, startedAt };
+  return finish();
 }
 
 /**
  * Gracefully kill a spawned terminal.
  * Sends SIGTERM first; if the process is still alive after 5 seconds,
- * escalates to SIGKILL.
+ * escalates to SIGKILL. Emits TERMINAL_KILLED with the reason.
  *
  * @param {TerminalHandle} handle
+ * @param {string} [reason] - Why the terminal is being cancelled (recorded on the handle)
  * @returns {Promise<{ killed: boolean, exitCode: number|null }>}
  */
-export function killTerminal(handle) {
+export function killTerminal(handle, reason) {
   if (!handle || !handle.process) {
     return Promise.resolve({ killed: false, exitCode: handle?.exitCode ?? null });
   }
@@ -414,6 +551,14 @@ export function killTerminal(handle) {
     return Promise.resolve({ killed: false, exitCode: handle.exitCode });
   }
 
+  handle.cancelReason = reason || null;
+  emit(EVENTS.TERMINAL_KILLED, {
+    terminalId: handle.id,
+    agent: handle.agent,
+    taskId: handle.taskId,
+    reason: handle.cancelReason,
+  });
+
   return new Promise((resolve) => {
     const forceKillTimer = setTimeout(() => {
       try {
@@ -488,27 +633,39 @@ export function isTransientFailure(exitCode, stderr) {
  * Wraps `spawnTerminal()` with exponential backoff.
  * Non-transient failures are returned immediately without retry.
  *
+ * With `retryOptions.rateLimit`, each attempt first takes a slot from
+ * the provider's rate limiter (see rate-limiter.js) and reports its
+ * tokens and stderr back to it. A retry-after hint then replaces the
+ * exponential delay, since the limiter already waits for it.
+ *
+ * `retryOptions.onSpawn` is called with each attempt's handle as soon as
+ * it is spawned, e.g. to monitor it.
+ *
  * @param {SpawnConfig} config
- * @param {{ maxRetries?: number, baseDelay?: number, shouldRetry?: function }} [retryOptions={}]
+ * @param {{ maxRetries?: number, baseDelay?: number, shouldRetry?: function, rateLimit?: import('./rate-limiter.js').RateLimiterOptions, onSpawn?: function(TerminalHandle): void }} [retryOptions={}]
  * @returns {Promise<TerminalHandle>}
  */
 export async function spawnTerminalWithRetry(config, retryOptions = {}) {
   const maxRetries = retryOptions.maxRetries ?? 2;
   const baseDelay = retryOptions.baseDelay ?? 2000;
   const shouldRetry = retryOptions.shouldRetry || isTransientFailure;
+  const limiter = retryOptions.rateLimit
+    ? getRateLimiter(config.provider || 'claude', retryOptions.rateLimit)
+    : null;
 
   let lastHandle = null;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const reserved = estimateTokens(config.prompt);
+    if (limiter) await limiter.acquire(reserved);
+
     const handle = spawnTerminal(config);
     lastHandle = handle;
+    if (retryOptions.onSpawn) retryOptions.onSpawn(handle);
 
-    // Wait for process to exit
-    await new Promise((resolve) => {
-      if (!handle.process) { resolve(); return; }
-      if (handle.status !== 'running') { resolve(); return; }
-      handle.process.once('exit', () => resolve());
-    });
+    await waitForTerminal(handle);
+
+    const hint = limiter ? reportToRateLimiter(limiter, handle, reserved) : null;
 
     // Success — return immediately
     if (handle.exitCode === 0) {
@@ -517,7 +674,7 @@ export async function spawnTerminalWithRetry(config, retryOptions = {}) {
 
     // Check if failure is transient and retries remain
     if (attempt < maxRetries && shouldRetry(handle.exitCode, handle.stderr)) {
-      const delay = baseDelay * Math.pow(2, attempt);
+      const delay = hint?.retryAfterMs ? 0 : baseDelay * Math.pow(2, attempt);
       await new Promise(resolve => setTimeout(resolve, delay));
       continue;
     }
@@ -528,3 +685,139 @@ export async function spawnTerminalWithRetry(config, retryOptions = {}) {
 
   return lastHandle;
 }
+
+/**
+ * Report a finished terminal to its provider's rate limiter: tokens
+ * beyond the reservation, and stderr for throttling hints.
+ *
+ * @param {ReturnType<typeof getRateLimiter>} limiter
+ * @param {TerminalHandle} handle
+ * @param {number} reserved - Tokens reserved when the slot was taken
+ * @returns {import('./rate-limiter.js').BackoffHint}
+ */
+function reportToRateLimiter(limiter, handle, reserved) {
+  const { text, usage } = getTerminalOutput(handle);
+  const used = usage
+    ? (usage.inputTokens || 0) + (usage.outputTokens || 0)
+    : reserved + estimateTokens(text);
+  limiter.recordTokens(used - reserved);
+  return limiter.recordResponse(handle.exitCode, handle.stderr);
+}
+
+/**
+ * Wait until a terminal's process has exited and its output has drained,
+ * or it failed to spawn.
+ *
+ * @param {TerminalHandle} handle
+ * @returns {Promise<void>}
+ */
+export function waitForTerminal(handle) {
+  return new Promise((resolve) => {
+    if (!handle.process || handle.status !== 'running') { resolve(); return; }
+    handle.process.once('close', () => resolve());
+    handle.process.once('error', () => resolve());
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Provider Fallback
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a terminal failed because its CLI is not installed.
+ *
+ * @param {TerminalHandle} handle
+ * @returns {boolean}
+ */
+export function isProviderMissing(handle) {
+  return handle.exitCode === -1 && handle.stderr.some(line => /spawn error:.*ENOENT/.test(line));
+}
+
+/**
+ * Spawn a terminal, failing over along a provider chain.
+ *
+ * Each provider runs through spawnTerminalWithRetry behind its circuit
+ * breaker. The next provider is tried when the CLI is missing, the
+ * failure is still transient after the retries, or the circuit is open.
+ * Other failures are the agent's, not the provider's, and are returned
+ * as-is.
+ *
+ * The returned handle records the chain walk in `providerAttempts` and,
+ * when a later provider ran, the first one in `fallbackFrom`. With
+ * `retryOptions.projectDir` the provider circuits are the project's
+ * persisted ones, shared with other runners.
+ *
+ * @param {SpawnConfig} config - Provider and model are taken from the chain
+ * @param {import('./provider-fallback.js').ChainEntry[]} chain
+ * @param {{ maxRetries?: number, baseDelay?: number, shouldRetry?: function, projectDir?: string, rateLimit?: import('./rate-limiter.js').RateLimiterOptions, onSpawn?: function(TerminalHandle): void }} [retryOptions={}]
+ * @returns {Promise<TerminalHandle>}
+ * @throws {Error} When every provider's circuit is open
+ */
+export async function spawnTerminalWithFallback(config, chain, retryOptions = {}) {
+  if (!Array.isArray(chain) || chain.length === 0) {
+    throw new Error('spawnTerminalWithFallback requires a non-empty provider chain');
+  }
+
+  const shouldRetry = retryOptions.shouldRetry || isTransientFailure;
+  const attempts = [];
+  let lastHandle = null;
+
+  for (const entry of chain) {
+    const circuit = getProviderCircuit(entry.provider, retryOptions.projectDir);
+    let handle;
+
+    try {
+      handle = await circuit.executeAsync(async () => {
+        const attempt = await spawnTerminalWithRetry(
+          { ...config, provider: entry.provider, model: entry.model || config.model },
+          { ...retryOptions, shouldRetry },
+        );
+        if (isProviderMissing(attempt)) {
+          throw Object.assign(new Error(`${entry.provider} CLI is not installed`), { outcome: 'missing', handle: attempt });
+        }
+        if (attempt.exitCode !== 0 && shouldRetry(attempt.exitCode, attempt.stderr)) {
+          throw Object.assign(new Error(`${entry.provider} kept failing transiently`), { outcome: 'transient', handle: attempt });
+        }
+        return attempt;
+      });
+    } catch (err) {
+      lastHandle = err.handle || lastHandle;
+      const outcome = err.outcome || (err.code === CIRCUIT_OPEN_CODE ? 'circuit_open' : 'error');
+      attempts.push({
+        provider: entry.provider,
+        model: entry.model,
+        outcome,
+        exitCode: err.handle ? err.handle.exitCode : null,
+        ...(outcome === 'error' ? { error: err.message } : {}),
+      });
+      continue;
+    }
+
+    attempts.push({
+      provider: entry.provider,
+      model: entry.model,
+      outcome: handle.exitCode === 0 ? 'success' : 'failed',
+      exitCode: handle.exitCode,
+    });
+    return withFallbackInfo(handle, chain, attempts);
+  }
+
+  if (!lastHandle) {
+    throw new Error(`No provider available: ${attempts.map(a => `${a.provider} (${a.error ? `error: ${a.error}` : a.outcome})`).join(', ')}`);
+  }
+  return withFallbackInfo(lastHandle, chain, attempts);
+}
+
+/**
+ * Record the chain walk on the handle that is returned.
+ *
+ * @param {TerminalHandle} handle
+ * @param {import('./provider-fallback.js').ChainEntry[]} chain
+ * @param {object[]} attempts
+ * @returns {TerminalHandle}
+ */
+function withFallbackInfo(handle, chain, attempts) {
+  handle.providerAttempts = attempts;
+  handle.fallbackFrom = handle.provider !== chain[0].provider ? chain[0].provider : null;
+  return handle;
+}
@@ -2,15 +2,49 @@
  * @fileoverview Shared YAML config parser for provider configuration.
  *
  * Extracts provider enabled/primary status and agent overrides from
- * config.yaml using lightweight regex-based parsing. Used by
- * cli-registry.js, context-file-generator.js, and health/engine.js.
+ * config.yaml. The `providers:` map is read with js-yaml; agent overrides
+ * use lightweight regex-based parsing. Used by cli-registry.js,
+ * context-file-generator.js, and health/engine.js.
  */
 
 import { existsSync, readFileSync } from 'fs';
 import { join } from 'path';
+import yaml from 'js-yaml';
+
+/** Built-in provider names, always checked even without a `providers:` block. */
+const BUILTIN_PROVIDER_NAMES = ['claude', 'gemini', 'codex'];
+
+/**
+ * Read the `providers:` map from raw config.yaml content.
+ *
+ * @param {string} raw - Raw config.yaml content
+ * @returns {Record<string, object>} Provider entries by name (empty when missing or invalid)
+ */
+function readProvidersSection(raw) {
+  let config;
+  try {
+    config = yaml.load(raw);
+  } catch {
+    return {};
+  }
+  const section = config?.providers;
+  return section && typeof section === 'object' && !Array.isArray(section) ? section : {};
+}
+
+/**
+ * List the provider names declared directly under the `providers:` block.
+ * Used to pick up custom providers (aider, opencode, ...) next to the built-ins.
+ *
+ * @param {string} raw - Raw config.yaml content
+ * @returns {string[]}
+ */
+export function listConfiguredProviderNames(raw) {
+  return Object.keys(readProvidersSection(raw));
+}
 
 /**
- * Parse provider configuration from config.yaml.
+ * Parse provider configuration from config.yaml. Each provider's
+ * `enabled`/`primary` flags are read from its own entry.
  *
  * @param {string} projectDir - Project root directory
  * @returns {{ primary: string, enabled: string[], raw: string|null }}
@@ -22,17 +56,18 @@ export function parseProviderConfig(projectDir) {
   }
 
   const raw = readFileSync(configPath, 'utf-8');
-  const providers = ['claude', 'gemini', 'codex'];
+  const section = readProvidersSection(raw);
+  const customNames = Object.keys(section).filter(n => !BUILTIN_PROVIDER_NAMES.includes(n));
   const enabled = [];
   let primary = 'claude';
 
-  for (const name of providers) {
-    const enabledMatch = raw.match(new RegExp(`${name}:[\\s\\S]*?enabled:\\s*(true|false)`, 'm'));
-    if (enabledMatch && enabledMatch[1] === 'true') {
+  for (const name of [...BUILTIN_PROVIDER_NAMES, ...customNames]) {
+    const entry = section[name];
+    if (!entry || typeof entry !== 'object') continue;
+    if (entry.enabled === true) {
       enabled.push(name);
     }
-    const primaryMatch = raw.match(new RegExp(`${name}:[\\s\\S]*?primary:\\s*(true|false)`, 'm'));
-    if (primaryMatch && primaryMatch[1] === 'true') {
+    if (entry.primary === true) {
       primary = name;
     }
   }
@@ -5,11 +5,6 @@
  * across subsystems (build-loop, spawner, pipeline, safety-net).
  */
 
-/**
- * @deprecated Not currently imported by any production module.
- * Retained for potential future integration. Remove if still unused by v4.0.
- */
-
 import { EventEmitter } from 'node:events';
 
 // ---------------------------------------------------------------------------
@@ -33,6 +28,10 @@ export const EVENTS = {
   TERMINAL_SPAWNED: 'terminal:spawned',
   TERMINAL_EXITED: 'terminal:exited',
   TERMINAL_KILLED: 'terminal:killed',
+  TERMINAL_OUTPUT: 'terminal:output',
+  TERMINAL_HANDOFF_STARTED: 'terminal:handoff:started',
+  TERMINAL_HANDOFF_PARTIAL: 'terminal:handoff:partial',
+  TERMINAL_HANDOFF_COMPLETE: 'terminal:handoff:complete',
 
   // Pipeline
   PHASE_ADVANCED: 'pipeline:phase:advanced',
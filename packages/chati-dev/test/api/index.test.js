@@ -29,6 +29,8 @@ describe('API — exports', () => {
     assert.equal(typeof api.initQuickFlowPipeline, 'function');
     assert.equal(typeof api.initStandardFlowPipeline, 'function');
     assert.equal(typeof api.selectAgent, 'function');
+    assert.equal(typeof api.loadWorkflow, 'function');
+    assert.equal(typeof api.listWorkflows, 'function');
   });
 
   it('should export session management functions', async () => {
@@ -61,6 +63,7 @@ describe('API — exports', () => {
     assert.equal(typeof api.getMetricsHistory, 'function');
     assert.equal(typeof api.getQualityDashboard, 'function');
     assert.equal(typeof api.recordMetric, 'function');
+    assert.equal(typeof api.scanProject, 'function');
   });
 
   it('should export extension functions', async () => {
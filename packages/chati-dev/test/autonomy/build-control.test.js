@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Tests for the build loop control channel
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, existsSync, writeFileSync, mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  BUILD_CONTROL_FILE,
+  BuildCommand,
+  readBuildControl,
+  sendBuildCommand,
+  acknowledgeSkips,
+  clearBuildControl,
+} from '../../src/autonomy/build-control.js';
+import { runBuildLoop } from '../../src/autonomy/build-loop.js';
+import { BuildStatus, CheckpointStatus, loadBuildState } from '../../src/autonomy/build-state.js';
+
+describe('build-control', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'chati-build-control-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('signals', () => {
+    it('should default to no signals', () => {
+      assert.deepEqual(readBuildControl(tempDir), { paused: false, cancelled: false, skip: [], updatedAt: null });
+    });
+
+    it('should record pause, resume, skip and cancel', () => {
+      sendBuildCommand(tempDir, BuildCommand.PAUSE);
+      assert.equal(readBuildControl(tempDir).paused, true);
+
+      sendBuildCommand(tempDir, BuildCommand.SKIP, 'T1.2');
+      sendBuildCommand(tempDir, BuildCommand.SKIP, 'T1.2');
+      sendBuildCommand(tempDir, BuildCommand.SKIP, 'T2.1');
+      sendBuildCommand(tempDir, BuildCommand.RESUME);
+      const control = sendBuildCommand(tempDir, BuildCommand.CANCEL);
+
+      assert.equal(control.paused, false);
+      assert.equal(control.cancelled, true);
+      assert.deepEqual(control.skip, ['T1.2', 'T2.1']);
+      assert.ok(control.updatedAt);
+      assert.deepEqual(readBuildControl(tempDir), control);
+    });
+
+    it('should drop acknowledged skips', () => {
+      sendBuildCommand(tempDir, BuildCommand.SKIP, 'a');
+      sendBuildCommand(tempDir, BuildCommand.SKIP, 'b');
+      assert.deepEqual(acknowledgeSkips(tempDir, ['a']).skip, ['b']);
+    });
+
+    it('should reject unknown commands and skips without a task', () => {
+      assert.throws(() => sendBuildCommand(tempDir, 'stop'), /Unknown build command "stop"/);
+      assert.throws(() => sendBuildCommand(tempDir, BuildCommand.SKIP), /task ID is required/);
+    });
+
+    it('should treat a corrupt file as no signals and clear it', () => {
+      mkdirSync(join(tempDir, '.chati'), { recursive: true });
+      writeFileSync(join(tempDir, BUILD_CONTROL_FILE), '{not json');
+      assert.equal(readBuildControl(tempDir).paused, false);
+      clearBuildControl(tempDir);
+      assert.equal(existsSync(join(tempDir, BUILD_CONTROL_FILE)), false);
+    });
+  });
+
+  describe('runBuildLoop', () => {
+    const ok = async () => ({ success: true, output: 'ok' });
+
+    it('should pause after the running task and continue on resume', async () => {
+      const events = [];
+      const executed = [];
+      const result = await runBuildLoop({
+        projectDir: tempDir,
+        taskIds: ['a', 'b'],
+        controlPollMs: 5,
+        executor: async (taskId) => {
+          executed.push(taskId);
+          if (taskId === 'a') sendBuildCommand(tempDir, BuildCommand.PAUSE);
+          return ok();
+        },
+        onProgress: (event) => {
+          events.push(event.type);
+          if (event.type === 'build_paused') {
+            // The running task checkpointed before the pause
+            const state = loadBuildState(tempDir);
+            assert.equal(state.status, BuildStatus.PAUSED);
+            assert.equal(state.checkpoints[0].status, CheckpointStatus.COMPLETED);
+            assert.equal(state.checkpoints[1].status, CheckpointStatus.PENDING);
+            setTimeout(() => sendBuildCommand(tempDir, BuildCommand.RESUME), 20);
+          }
+        },
+      });
+
+      assert.equal(result.status, BuildStatus.COMPLETED);
+      assert.deepEqual(executed, ['a', 'b']);
+      assert.deepEqual(events.filter((t) => t.startsWith('build_')), ['build_paused', 'build_resumed']);
+      assert.ok(loadBuildState(tempDir).pausedMs >= 0);
+      assert.equal(existsSync(join(tempDir, BUILD_CONTROL_FILE)), false);
+    });
+
+    it('should skip requested tasks and their dependents', async () => {
+      const executed = [];
+      const events = [];
+      const result = await runBuildLoop({
+        projectDir: tempDir,
+        taskIds: ['a', 'b', 'c', 'd'],
+        dependencies: { c: ['b'] },
+        executor: async (taskId) => {
+          executed.push(taskId);
+          if (taskId === 'a') sendBuildCommand(tempDir, BuildCommand.SKIP, 'b');
+          return ok();
+        },
+        onProgress: (event) => events.push(event),
+      });
+
+      assert.equal(result.status, BuildStatus.COMPLETED);
+      assert.deepEqual(executed, ['a', 'd']);
+      assert.equal(result.skipped, 2);
+      assert.deepEqual(events.filter((e) => e.type === 'task_skipped').map((e) => [e.taskId, e.reason]), [
+        ['b', 'Skipped by operator'],
+        ['c', 'Skipped: depends on skipped task b'],
+      ]);
+    });
+
+    it('should cancel cleanly after the running task', async () => {
+      const executed = [];
+      const result = await runBuildLoop({
+        projectDir: tempDir,
+        taskIds: ['a', 'b', 'c'],
+        executor: async (taskId) => {
+          executed.push(taskId);
+          sendBuildCommand(tempDir, BuildCommand.CANCEL);
+          return ok();
+        },
+      });
+
+      assert.deepEqual(executed, ['a']);
+      assert.equal(result.status, BuildStatus.CANCELLED);
+      assert.equal(result.failureReason, 'Cancelled by operator');
+      assert.equal(loadBuildState(tempDir).checkpoints[0].status, CheckpointStatus.COMPLETED);
+    });
+
+    it('should cancel a paused build', async () => {
+      const result = await runBuildLoop({
+        projectDir: tempDir,
+        taskIds: ['a', 'b'],
+        controlPollMs: 5,
+        executor: async () => {
+          sendBuildCommand(tempDir, BuildCommand.PAUSE);
+          return ok();
+        },
+        onProgress: (event) => {
+          if (event.type === 'build_paused') {
+            setTimeout(() => sendBuildCommand(tempDir, BuildCommand.CANCEL), 10);
+          }
+        },
+      });
+
+      assert.equal(result.status, BuildStatus.CANCELLED);
+      assert.equal(result.completed, 1);
+    });
+
+    it('should ignore signals left over from a previous run', async () => {
+      sendBuildCommand(tempDir, BuildCommand.CANCEL);
+      const result = await runBuildLoop({ projectDir: tempDir, taskIds: ['a'], executor: ok });
+      assert.equal(result.status, BuildStatus.COMPLETED);
+    });
+  });
+});
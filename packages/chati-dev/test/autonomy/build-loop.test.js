@@ -0,0 +1,437 @@
+/**
+ * @fileoverview Tests for build-loop budget enforcement, task DAG scheduling
+ * and worktree isolation
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execSync } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync, lstatSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { runBuildLoop } from '../../src/autonomy/build-loop.js';
+import { BuildStatus, loadBuildState } from '../../src/autonomy/build-state.js';
+import { appendLedgerEntry } from '../../src/terminal/cost-ledger.js';
+
+function writeBudgets(dir, lines) {
+  mkdirSync(join(dir, 'chati.dev'), { recursive: true });
+  writeFileSync(join(dir, 'chati.dev', 'config.yaml'), ['budgets:', ...lines].join('\n'));
+}
+
+describe('build-loop budgets', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'chati-build-loop-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should pass the build id to the executor', async () => {
+    const seen = [];
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['t1'],
+      executor: async (taskId, options) => {
+        seen.push(options.buildId);
+        return { success: true, output: 'ok' };
+      },
+    });
+
+    assert.equal(result.status, BuildStatus.COMPLETED);
+    assert.equal(seen[0], result.buildId);
+    assert.match(result.buildId, /^build-/);
+  });
+
+  it('should fail the build once the build budget is exhausted', async () => {
+    writeBudgets(tempDir, ['  build: 1']);
+    const events = [];
+    const executed = [];
+
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['t1', 't2', 't3', 't4'],
+      onProgress: (event) => events.push(event),
+      executor: async (taskId, options) => {
+        executed.push(taskId);
+        appendLedgerEntry(tempDir, { agent: 'dev', taskId, cost: 0.45 }, { buildId: options.buildId });
+        return { success: true, output: 'ok' };
+      },
+    });
+
+    assert.deepEqual(executed, ['t1', 't2', 't3']);
+    assert.equal(result.status, BuildStatus.FAILED);
+    assert.match(result.failureReason, /Budget exceeded: build/);
+    assert.equal(loadBuildState(tempDir).failureReason, result.failureReason);
+
+    const types = events.map(e => e.type);
+    assert.equal(types.filter(t => t === 'budget_warning').length, 1);
+    assert.equal(events.find(e => e.type === 'budget_warning').taskId, 't3');
+    assert.equal(events.find(e => e.type === 'budget_exceeded').taskId, 't4');
+  });
+
+  it('should enforce agent budgets within the session', async () => {
+    writeBudgets(tempDir, ['  agents:', '    dev: 2']);
+    appendLedgerEntry(tempDir, { agent: 'dev', cost: 2 }, { sessionId: 'session-1' });
+
+    let executed = false;
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['t1'],
+      sessionId: 'session-1',
+      executor: async () => {
+        executed = true;
+        return { success: true, output: 'ok' };
+      },
+    });
+
+    assert.equal(executed, false);
+    assert.equal(result.status, BuildStatus.FAILED);
+    assert.match(result.failureReason, /agent "dev"/);
+  });
+});
+
+describe('build-loop task DAG', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'chati-build-dag-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /** Executor that records overlap and finishes tasks after a tick. */
+  function trackingExecutor(failing = []) {
+    const log = { started: [], maxRunning: 0 };
+    let active = 0;
+    log.executor = async (taskId) => {
+      log.started.push(taskId);
+      active++;
+      log.maxRunning = Math.max(log.maxRunning, active);
+      await new Promise((r) => setTimeout(r, 5));
+      active--;
+      return failing.includes(taskId)
+        ? { success: false, output: 'Error: compilation failed' }
+        : { success: true, output: 'ok' };
+    };
+    return log;
+  }
+
+  it('should run independent tasks concurrently up to the limit', async () => {
+    const log = trackingExecutor();
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a', 'b', 'c', 'd', 'e'],
+      dependencies: { e: ['a', 'b', 'c', 'd'] },
+      concurrency: 2,
+      isolation: 'none',
+      executor: log.executor,
+    });
+
+    assert.equal(result.status, BuildStatus.COMPLETED);
+    assert.equal(result.completed, 5);
+    assert.equal(log.maxRunning, 2);
+    assert.equal(log.started.at(-1), 'e');
+  });
+
+  it('should start dependents only after their dependencies complete', async () => {
+    const log = trackingExecutor();
+    await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['T1.2', 'T1.1'],
+      dependencies: { 'T1.2': ['T1.1'] },
+      concurrency: 4,
+      isolation: 'none',
+      executor: log.executor,
+    });
+
+    assert.deepEqual(log.started, ['T1.1', 'T1.2']);
+    assert.equal(log.maxRunning, 1);
+  });
+
+  it('should skip dependents of a failed task with a reason', async () => {
+    const log = trackingExecutor(['a']);
+    const events = [];
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a', 'b', 'c', 'd'],
+      dependencies: { b: ['a'], c: ['b'] },
+      concurrency: 2,
+      isolation: 'none',
+      executor: log.executor,
+      onProgress: (event) => events.push(event),
+    });
+
+    assert.equal(result.status, BuildStatus.FAILED);
+    assert.equal(result.failed, 1);
+    assert.equal(result.skipped, 2);
+    assert.equal(result.completed, 1);
+    assert.ok(!log.started.includes('b'));
+
+    const skipped = events.filter((e) => e.type === 'task_skipped');
+    assert.deepEqual(skipped.map((e) => [e.taskId, e.reason]), [
+      ['b', 'Skipped: depends on failed task a'],
+      ['c', 'Skipped: depends on skipped task b'],
+    ]);
+    const state = loadBuildState(tempDir);
+    assert.equal(state.checkpoints.find((c) => c.taskId === 'c').error, 'Skipped: depends on skipped task b');
+  });
+
+  it('should run tasks one at a time when worktrees are unavailable', async () => {
+    const run = async () => {
+      const log = trackingExecutor();
+      const events = [];
+      const result = await runBuildLoop({
+        projectDir: tempDir,
+        taskIds: ['a', 'b', 'c'],
+        concurrency: 3,
+        executor: log.executor,
+        onProgress: (event) => events.push(event),
+      });
+      assert.equal(result.status, BuildStatus.COMPLETED);
+      assert.equal(log.maxRunning, 1);
+      return events.find((e) => e.type === 'concurrency_capped');
+    };
+
+    const noGit = await run();
+    assert.deepEqual([noGit.requested, noGit.concurrency], [3, 1]);
+    assert.match(noGit.reason, /is not a git repository/);
+
+    // A git repository without a test command cannot verify worktree attempts
+    execSync('git init -q && git config user.email "test@test.com" && git config user.name "Test"', { cwd: tempDir });
+    writeFileSync(join(tempDir, '.gitignore'), '.chati/\n');
+    execSync('git add -A && git commit -qm initial', { cwd: tempDir });
+    assert.match((await run()).reason, /no test command was found/);
+  });
+
+  it('should reject a cyclic task graph', async () => {
+    await assert.rejects(
+      runBuildLoop({
+        projectDir: tempDir,
+        taskIds: ['a', 'b'],
+        dependencies: { a: ['b'], b: ['a'] },
+        executor: async () => ({ success: true, output: 'ok' }),
+      }),
+      /Task dependency cycle/,
+    );
+  });
+
+  it('should isolate concurrent tasks in worktrees and merge them back', async () => {
+    execSync('git init -q && git config user.email "test@test.com" && git config user.name "Test"', { cwd: tempDir });
+    writeFileSync(join(tempDir, '.gitignore'), '.chati/\n');
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ scripts: { test: 'node -e ""' } }));
+    writeFileSync(join(tempDir, 'README.md'), '# Test\n');
+    execSync('git add -A && git commit -qm initial', { cwd: tempDir });
+
+    const dirs = {};
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a', 'b', 'c'],
+      dependencies: { c: ['a', 'b'] },
+      concurrency: 2,
+      executor: async (taskId, options) => {
+        dirs[taskId] = options.workingDir;
+        if (taskId === 'c') {
+          // Dependents see the merged work of their dependencies
+          assert.equal(readFileSync(join(options.workingDir, 'a.txt'), 'utf-8'), 'a');
+        }
+        writeFileSync(join(options.workingDir, `${taskId}.txt`), taskId);
+        return { success: true, output: 'ok' };
+      },
+    });
+
+    assert.equal(result.status, BuildStatus.COMPLETED);
+    assert.notEqual(dirs.a, dirs.b);
+    assert.ok(dirs.a.includes(join('.chati', 'worktrees')));
+    for (const file of ['a.txt', 'b.txt', 'c.txt']) {
+      assert.ok(existsSync(join(tempDir, file)), `${file} not merged`);
+    }
+    assert.equal(existsSync(dirs.a), false);
+  });
+});
+
+describe('build-loop worktree isolation', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'chati-build-isolation-'));
+    execSync('git init -q && git config user.email "test@test.com" && git config user.name "Test"', { cwd: tempDir });
+    writeFileSync(join(tempDir, '.gitignore'), '.chati/\n');
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ scripts: { test: 'node -e ""' } }));
+    writeFileSync(join(tempDir, 'README.md'), '# Test\n');
+    execSync('git add -A && git commit -qm initial', { cwd: tempDir });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const branches = () => execSync('git branch --format="%(refname:short)"', { cwd: tempDir, encoding: 'utf-8' })
+    .split('\n').filter((b) => b.startsWith('chati/'));
+
+  it('should merge only successful attempts and keep failed attempt branches', async () => {
+    let attempt = 0;
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a'],
+      isolation: 'worktree',
+      executor: async (taskId, options) => {
+        attempt++;
+        writeFileSync(join(options.workingDir, 'a.txt'), `attempt ${attempt}`);
+        return attempt === 1 ? { success: false, output: 'Error: tests failed' } : { success: true, output: 'ok' };
+      },
+    });
+
+    assert.equal(result.status, BuildStatus.COMPLETED);
+    assert.equal(readFileSync(join(tempDir, 'a.txt'), 'utf-8'), 'attempt 2');
+
+    const checkpoint = loadBuildState(tempDir).checkpoints[0];
+    assert.deepEqual(checkpoint.failedBranches, ['chati/a-attempt-1']);
+    assert.deepEqual(branches(), ['chati/a-attempt-1']);
+    const kept = execSync('git show chati/a-attempt-1:a.txt', { cwd: tempDir, encoding: 'utf-8' });
+    assert.equal(kept, 'attempt 1');
+    assert.equal(existsSync(join(tempDir, '.chati', 'worktrees', 'a-attempt-1')), false);
+  });
+
+  it('should merge only attempts whose tests pass, even without verify set', async () => {
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ scripts: { test: 'node check.js' } }));
+    writeFileSync(join(tempDir, 'check.js'), "process.exit(require('fs').readFileSync('a.txt', 'utf-8') === 'good' ? 0 : 1);\n");
+    execSync('git add -A && git commit -qm "add tests"', { cwd: tempDir });
+
+    const events = [];
+    let attempt = 0;
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a'],
+      isolation: 'worktree',
+      executor: async (taskId, options) => {
+        attempt++;
+        // The first attempt claims success but breaks the tests
+        writeFileSync(join(options.workingDir, 'a.txt'), attempt === 1 ? 'bad' : 'good');
+        return { success: true, output: 'ok' };
+      },
+      onProgress: (event) => events.push(event),
+    });
+
+    assert.equal(result.status, BuildStatus.COMPLETED);
+    assert.equal(attempt, 2);
+    const failed = events.find((e) => e.type === 'task_failed');
+    assert.equal(failed.verification.passed, false);
+    assert.equal(failed.branch, 'chati/a-attempt-1');
+    assert.deepEqual(branches(), ['chati/a-attempt-1']);
+    assert.equal(execSync('git show chati/a-attempt-1:a.txt', { cwd: tempDir, encoding: 'utf-8' }), 'bad');
+    assert.equal(readFileSync(join(tempDir, 'a.txt'), 'utf-8'), 'good');
+    assert.equal(execSync('git log --format=%s', { cwd: tempDir, encoding: 'utf-8' }).includes('attempt 1'), false);
+  });
+
+  it('should refuse worktree isolation without runnable tests', async () => {
+    const run = (overrides) => runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a'],
+      isolation: 'worktree',
+      executor: async () => ({ success: true, output: 'ok' }),
+      ...overrides,
+    });
+
+    await assert.rejects(run({ verify: false }), /cannot run with verify: false/);
+    rmSync(join(tempDir, 'package.json'));
+    await assert.rejects(run({}), /no test command was found/);
+    assert.equal((await run({ verify: { testCommand: 'node -e ""', lint: false } })).status, BuildStatus.COMPLETED);
+  });
+
+  it('should never write a failed attempt into the main checkout', async () => {
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a'],
+      isolation: 'worktree',
+      executor: async (taskId, options) => {
+        writeFileSync(join(options.workingDir, 'half-written.txt'), 'partial');
+        throw new Error('Agent crashed');
+      },
+    });
+
+    assert.equal(result.status, BuildStatus.FAILED);
+    assert.equal(existsSync(join(tempDir, 'half-written.txt')), false);
+    assert.equal(execSync('git status --porcelain', { cwd: tempDir, encoding: 'utf-8' }), '');
+    assert.ok(loadBuildState(tempDir).checkpoints[0].failedBranches.length > 0);
+  });
+
+  it('should record merge conflicts in the checkpoint', async () => {
+    const events = [];
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a'],
+      isolation: 'worktree',
+      executor: async (taskId, options) => {
+        writeFileSync(join(options.workingDir, 'README.md'), '# From the task\n');
+        // Someone changes the same lines in the main checkout meanwhile
+        writeFileSync(join(tempDir, 'README.md'), '# From main\n');
+        execSync('git commit -qam "main change"', { cwd: tempDir });
+        return { success: true, output: 'ok' };
+      },
+      onProgress: (event) => events.push(event),
+    });
+
+    assert.equal(result.status, BuildStatus.FAILED);
+    const checkpoint = loadBuildState(tempDir).checkpoints[0];
+    assert.deepEqual(checkpoint.conflicts, ['README.md']);
+    assert.ok(checkpoint.failedBranches.includes('chati/a-attempt-1'));
+
+    const failed = events.find((e) => e.type === 'task_failed');
+    assert.match(failed.error, /Merge conflict in: README\.md/);
+    assert.deepEqual(failed.conflicts, ['README.md']);
+    assert.equal(failed.branch, 'chati/a-attempt-1');
+    assert.equal(readFileSync(join(tempDir, 'README.md'), 'utf-8'), '# From main\n');
+  });
+
+  it('should verify attempts in worktrees against the project\'s installed dependencies', async () => {
+    // An installed (git-ignored) dependency that the test command needs
+    writeFileSync(join(tempDir, '.gitignore'), '.chati/\nnode_modules/\n');
+    execSync('git commit -qam "ignore deps"', { cwd: tempDir });
+    mkdirSync(join(tempDir, 'node_modules', 'check-file'), { recursive: true });
+    writeFileSync(join(tempDir, 'node_modules', 'check-file', 'cli.js'), [
+      "const { readFileSync } = require('fs');",
+      "const ok = readFileSync(process.argv[2], 'utf-8') === 'a';",
+      "console.log(ok ? 'pass' : 'fail');",
+      'process.exit(ok ? 0 : 1);',
+    ].join('\n'));
+
+    const result = await runBuildLoop({
+      projectDir: tempDir,
+      taskIds: ['a'],
+      isolation: 'worktree',
+      verify: { testCommand: 'node node_modules/check-file/cli.js a.txt', lint: false },
+      executor: async (taskId, options) => {
+        writeFileSync(join(options.workingDir, 'a.txt'), 'a');
+        return { success: true, output: 'ok' };
+      },
+    });
+
+    assert.equal(result.status, BuildStatus.COMPLETED);
+    assert.equal(readFileSync(join(tempDir, 'a.txt'), 'utf-8'), 'a');
+    // The dependency link is never merged back
+    assert.equal(execSync('git ls-files node_modules', { cwd: tempDir, encoding: 'utf-8' }), '');
+    assert.equal(lstatSync(join(tempDir, 'node_modules')).isSymbolicLink(), false);
+  });
+
+  it('should require a git repository for explicit worktree isolation', async () => {
+    const plainDir = mkdtempSync(join(tmpdir(), 'chati-build-plain-'));
+    try {
+      await assert.rejects(
+        runBuildLoop({
+          projectDir: plainDir,
+          taskIds: ['a'],
+          isolation: 'worktree',
+          executor: async () => ({ success: true, output: 'ok' }),
+        }),
+        /Worktree isolation requires a git repository/,
+      );
+    } finally {
+      rmSync(plainDir, { recursive: true, force: true });
+    }
+  });
+});
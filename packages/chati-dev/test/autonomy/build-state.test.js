@@ -18,10 +18,16 @@ import {
   startBuild,
   completeBuild,
   failBuild,
+  cancelBuild,
+  pauseBuild,
+  resumeBuild,
   getNextPendingTask,
   isTaskExhausted,
   isTimedOut,
   getProgress,
+  validateTaskGraph,
+  getReadyTasks,
+  skipBlockedTasks,
 } from '../../src/autonomy/build-state.js';
 import { mkdirSync, rmSync, existsSync } from 'fs';
 import { join } from 'path';
@@ -166,6 +172,24 @@ describe('build-state', () => {
       const failed = failBuild(state, 'reason');
       assert.equal(failed.status, BuildStatus.FAILED);
       assert.ok(failed.completedAt !== null);
+      assert.equal(failed.failureReason, 'reason');
+    });
+
+    it('should set status to CANCELLED', () => {
+      const cancelled = cancelBuild(createBuildState(['task-1']), 'Cancelled by operator');
+      assert.equal(cancelled.status, BuildStatus.CANCELLED);
+      assert.ok(cancelled.completedAt !== null);
+      assert.equal(cancelled.failureReason, 'Cancelled by operator');
+    });
+
+    it('should accumulate paused time on resume', () => {
+      const state = pauseBuild(startBuild(createBuildState(['task-1'])));
+      assert.equal(state.status, BuildStatus.PAUSED);
+      state.pausedAt = new Date(Date.now() - 5000).toISOString();
+      resumeBuild(state);
+      assert.equal(state.status, BuildStatus.IN_PROGRESS);
+      assert.equal(state.pausedAt, null);
+      assert.ok(state.pausedMs >= 5000);
     });
   });
 
@@ -190,6 +214,47 @@ describe('build-state', () => {
     });
   });
 
+  describe('task DAG', () => {
+    const dependencies = { b: ['a'], c: ['a'], d: ['b', 'c'] };
+
+    it('should store dependencies on checkpoints', () => {
+      const state = createBuildState(['a', 'b', 'c', 'd'], { dependencies });
+      assert.deepEqual(state.checkpoints.map((c) => c.dependsOn), [[], ['a'], ['a'], ['b', 'c']]);
+    });
+
+    it('should reject unknown dependencies and cycles', () => {
+      assert.throws(() => validateTaskGraph(['a'], { a: ['z'] }), /Task "a" depends on unknown task "z"/);
+      assert.throws(() => validateTaskGraph(['a'], { z: ['a'] }), /unknown task "z"/);
+      assert.throws(
+        () => createBuildState(['a', 'b', 'c'], { dependencies: { a: ['c'], b: ['a'], c: ['b'] } }),
+        /Task dependency cycle: a -> c -> b -> a/,
+      );
+    });
+
+    it('should return tasks whose dependencies completed', () => {
+      const state = createBuildState(['a', 'b', 'c', 'd'], { dependencies });
+      assert.deepEqual(getReadyTasks(state).map((c) => c.taskId), ['a']);
+
+      state.checkpoints[0].status = CheckpointStatus.COMPLETED;
+      assert.deepEqual(getReadyTasks(state).map((c) => c.taskId), ['b', 'c']);
+      assert.deepEqual(getReadyTasks(state, ['b']).map((c) => c.taskId), ['c']);
+    });
+
+    it('should skip transitive dependents of failed tasks', () => {
+      const state = createBuildState(['a', 'b', 'c', 'd'], { dependencies });
+      state.checkpoints[0].status = CheckpointStatus.COMPLETED;
+      state.checkpoints[1].status = CheckpointStatus.FAILED;
+
+      assert.deepEqual(skipBlockedTasks(state), [
+        { taskId: 'd', reason: 'Skipped: depends on failed task b' },
+      ]);
+      assert.equal(state.checkpoints[3].status, CheckpointStatus.SKIPPED);
+      assert.equal(state.checkpoints[2].status, CheckpointStatus.PENDING);
+      assert.equal(getProgress(state).skipped, 1);
+      assert.deepEqual(skipBlockedTasks(state), []);
+    });
+  });
+
   describe('isTimedOut', () => {
     it('should return false for recent build', () => {
       const state = createBuildState(['task-1']);
@@ -201,6 +266,13 @@ describe('build-state', () => {
       state.startedAt = new Date(Date.now() - GLOBAL_TIMEOUT_MS - 1000).toISOString();
       assert.equal(isTimedOut(state), true);
     });
+
+    it('should not count paused time', () => {
+      const state = createBuildState(['task-1']);
+      state.startedAt = new Date(Date.now() - GLOBAL_TIMEOUT_MS - 1000).toISOString();
+      state.pausedMs = 60_000;
+      assert.equal(isTimedOut(state), false);
+    });
   });
 
   describe('getProgress', () => {
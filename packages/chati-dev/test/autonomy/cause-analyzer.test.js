@@ -218,6 +218,15 @@ describe('analyzeCause — isRepetitive', () => {
 // ---------------------------------------------------------------------------
 
 describe('buildRetryGuidance', () => {
+  it('should list parsed failures', () => {
+    const analysis = analyzeCause('Verification failed: tests failed (1/3 failing)', [], {
+      failures: ['test: adds two numbers'],
+    });
+    assert.equal(analysis.category, FAILURE_CATEGORIES.TEST_FAILURE);
+    const guidance = buildRetryGuidance(analysis, 2);
+    assert.ok(guidance.includes('**Failing checks**:\n- test: adds two numbers'));
+  });
+
   it('should include attempt number', () => {
     const analysis = {
       category: FAILURE_CATEGORIES.SYNTAX_ERROR,
@@ -67,6 +67,24 @@ describe('safety-net', () => {
       assert.ok(result.triggers.some(t => t.severity === 'critical'));
     });
 
+    it('should trigger on critical security findings with their location', () => {
+      const result = checkSafety({
+        consecutiveFailures: 0,
+        lastScore: 90,
+        riskFlags: [],
+        sessionGotchas: 0,
+        securityFindings: [
+          { type: 'secret', rule: 'aws-access-key', severity: 'critical', file: 'src/config.js', line: 12, message: 'AWS access key committed' },
+          { type: 'pattern', rule: 'eval', severity: 'high', file: 'src/run.js', line: 3, message: 'eval() executes arbitrary code' },
+        ],
+      });
+
+      const risk = result.triggers.find(t => t.severity === 'critical');
+      assert.equal(result.safe, false);
+      assert.match(risk.details, /AWS access key committed \(src\/config\.js:12\)/);
+      assert.ok(!risk.details.includes('eval'));
+    });
+
     it('should trigger on timeout', () => {
       const result = checkSafety({
         consecutiveFailures: 0,
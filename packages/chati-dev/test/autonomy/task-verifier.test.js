@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Tests for test-verified task completion
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execSync } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  getChangedFiles,
+  snapshotChanges,
+  scopeTestCommand,
+  extractFailures,
+  verifyTask,
+} from '../../src/autonomy/task-verifier.js';
+import { runBuildLoop } from '../../src/autonomy/build-loop.js';
+import { getCoverageEvidence } from '../../src/quality/coverage.js';
+import { loadTestResults } from '../../src/quality/test-results.js';
+import { BuildStatus, loadBuildState } from '../../src/autonomy/build-state.js';
+
+const SUM_TEST = `import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sum } from '../sum.js';
+
+test('adds two numbers', () => {
+  assert.equal(sum(2, 3), 5);
+});
+`;
+
+// Nested node:test runs report to this runner unless the context is dropped
+const NODE_TEST = 'env -u NODE_TEST_CONTEXT node --test';
+
+describe('task-verifier', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'chati-verify-'));
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ type: 'module', scripts: { test: 'node --test' } }));
+    mkdirSync(join(tempDir, 'test'));
+    writeFileSync(join(tempDir, 'test', 'sum.test.js'), SUM_TEST);
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('extractFailures', () => {
+    it('should read node:test, jest and mocha failures', () => {
+      const output = [
+        'not ok 1 - adds two numbers',
+        '  ● Cart › applies discounts',
+        '  1) Router handles 404',
+      ].join('\n');
+      assert.deepEqual(extractFailures(output), ['adds two numbers', 'Cart › applies discounts', 'Router handles 404']);
+    });
+
+    it('should read ESLint errors with their file', () => {
+      const output = [
+        '/repo/src/sum.js',
+        '  3:7  error    \'x\' is assigned a value but never used  no-unused-vars',
+        '  4:1  warning  Unexpected console statement  no-console',
+      ].join('\n');
+      assert.deepEqual(extractFailures(output), [
+        '/repo/src/sum.js:3:7 \'x\' is assigned a value but never used  no-unused-vars',
+      ]);
+    });
+  });
+
+  describe('scopeTestCommand', () => {
+    it('should run related tests for jest and vitest', () => {
+      assert.equal(scopeTestCommand('jest', ['src/a.js', 'README.md']), 'npx jest --findRelatedTests "src/a.js"');
+      assert.equal(scopeTestCommand('vitest', ['src/a.ts']), 'npx vitest related --run "src/a.ts"');
+    });
+
+    it('should only scope node:test and mocha to test-only changes', () => {
+      assert.equal(scopeTestCommand('node:test', ['test/a.test.js']), 'node --test "test/a.test.js"');
+      assert.equal(scopeTestCommand('node:test', ['test/a.test.js', 'src/a.js']), null);
+      assert.equal(scopeTestCommand('mocha', ['test/a.spec.js']), 'npx mocha "test/a.spec.js"');
+      assert.equal(scopeTestCommand('unknown', ['test/a.test.js']), null);
+    });
+  });
+
+  describe('getChangedFiles', () => {
+    it('should list modified and untracked files in a git repository', () => {
+      assert.equal(getChangedFiles(tempDir), null);
+
+      execSync('git init -q && git config user.email "test@test.com" && git config user.name "Test"', { cwd: tempDir });
+      execSync('git add -A && git commit -qm initial', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'sum.js'), 'export const sum = (a, b) => a + b;\n');
+      writeFileSync(join(tempDir, 'test', 'sum.test.js'), SUM_TEST + '\n');
+
+      assert.deepEqual(getChangedFiles(tempDir).sort(), ['sum.js', 'test/sum.test.js']);
+    });
+
+    it('should only list files changed since a snapshot', () => {
+      assert.equal(snapshotChanges(tempDir), null);
+
+      execSync('git init -q && git config user.email "test@test.com" && git config user.name "Test"', { cwd: tempDir });
+      execSync('git add -A && git commit -qm initial', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'notes.js'), '// already dirty\n');
+      writeFileSync(join(tempDir, 'draft.js'), '// already dirty\n');
+      writeFileSync(join(tempDir, 'test', 'sum.test.js'), SUM_TEST + '\n');
+      const snapshot = snapshotChanges(tempDir);
+
+      writeFileSync(join(tempDir, 'sum.js'), 'export const sum = (a, b) => a + b;\n');
+      writeFileSync(join(tempDir, 'draft.js'), '// changed by the attempt\n');
+      execSync('git checkout -- test/sum.test.js', { cwd: tempDir });
+
+      assert.deepEqual(getChangedFiles(tempDir, snapshot).sort(), ['draft.js', 'sum.js', 'test/sum.test.js']);
+    });
+  });
+
+  describe('verifyTask', () => {
+    it('should pass when the tests pass', () => {
+      writeFileSync(join(tempDir, 'sum.js'), 'export const sum = (a, b) => a + b;\n');
+      const verification = verifyTask(tempDir, { testCommand: NODE_TEST, lint: false });
+
+      assert.equal(verification.passed, true);
+      assert.equal(verification.tests.failed, 0);
+      assert.deepEqual(verification.failures, []);
+      assert.equal(verification.output, '');
+    });
+
+    it('should report failing tests', () => {
+      writeFileSync(join(tempDir, 'sum.js'), 'export const sum = (a, b) => a - b;\n');
+      const verification = verifyTask(tempDir, { testCommand: NODE_TEST, lint: false });
+
+      assert.equal(verification.passed, false);
+      assert.deepEqual(verification.failures, ['test: adds two numbers (test/sum.test.js): Expected values to be strictly equal:']);
+      assert.match(verification.output, /^Verification failed: tests failed/);
+    });
+
+    it('should fail on lint errors', () => {
+      writeFileSync(join(tempDir, 'sum.js'), 'export const sum = (a, b) => a + b;\n');
+      const verification = verifyTask(tempDir, {
+        testCommand: NODE_TEST,
+        lintCommand: 'node -e "console.log(\'1 problem (1 error, 0 warnings)\'); process.exit(1)"',
+      });
+
+      assert.equal(verification.passed, false);
+      assert.equal(verification.lint.errors, 1);
+      assert.match(verification.output, /lint errors \(1\)/);
+    });
+
+    it('should run the full suite with coverage when thresholds are configured', () => {
+      writeFileSync(join(tempDir, 'sum.js'), 'export const sum = (a, b) => a + b;\n');
+      mkdirSync(join(tempDir, 'chati.dev'));
+      writeFileSync(join(tempDir, 'chati.dev', 'config.yaml'), 'coverage:\n  lines: 80\n');
+
+      const context = process.env.NODE_TEST_CONTEXT;
+      delete process.env.NODE_TEST_CONTEXT;
+      let verification;
+      try {
+        verification = verifyTask(tempDir, { files: ['test/sum.test.js'], lint: false });
+      } finally {
+        if (context !== undefined) process.env.NODE_TEST_CONTEXT = context;
+      }
+
+      assert.equal(verification.passed, true);
+      assert.equal(verification.scoped, false);
+      assert.equal(verification.tests.command, 'npm test');
+      assert.equal(verification.coverage.lines, 100);
+      const evidence = getCoverageEvidence(tempDir);
+      assert.equal(evidence.stale, false);
+      assert.equal(evidence.met, true);
+    });
+  });
+
+  describe('runBuildLoop with verify', () => {
+    it('should refuse to verify a project without a test command', async () => {
+      rmSync(join(tempDir, 'package.json'));
+      let executed = false;
+
+      await assert.rejects(
+        runBuildLoop({
+          projectDir: tempDir,
+          taskIds: ['T1'],
+          verify: true,
+          executor: async () => { executed = true; return { success: true, output: 'done' }; },
+        }),
+        /Verification needs a test command, but none was found in .* \(set verify\.testCommand\)/,
+      );
+      assert.equal(executed, false);
+    });
+
+    it('should only complete a task once its tests pass and retry with the failures', async () => {
+      const guidance = [];
+      let attempt = 0;
+      const result = await runBuildLoop({
+        projectDir: tempDir,
+        taskIds: ['T1'],
+        verify: { testCommand: NODE_TEST, lint: false },
+        executor: async (taskId, options) => {
+          attempt++;
+          guidance.push(options.retryGuidance || null);
+          // The first attempt claims success with a broken implementation
+          const op = attempt === 1 ? '-' : '+';
+          writeFileSync(join(tempDir, 'sum.js'), `export const sum = (a, b) => a ${op} b;\n`);
+          return { success: true, output: 'done' };
+        },
+      });
+
+      assert.equal(result.status, BuildStatus.COMPLETED);
+      assert.equal(attempt, 2);
+      assert.equal(guidance[0], null);
+      assert.match(guidance[1], /Previous failure\*\*: test_failure/);
+      assert.match(guidance[1], /- test: adds two numbers \(test\/sum\.test\.js\)/);
+
+      const checkpoint = loadBuildState(tempDir).checkpoints[0];
+      assert.equal(checkpoint.verification.passed, true);
+    });
+
+    it('should scope checks to the files the attempt changed', async () => {
+      execSync('git init -q && git config user.email "test@test.com" && git config user.name "Test"', { cwd: tempDir });
+      writeFileSync(join(tempDir, '.gitignore'), '.chati/\n');
+      writeFileSync(join(tempDir, 'sum.js'), 'export const sum = (a, b) => a + b;\n');
+      execSync('git add -A && git commit -qm initial', { cwd: tempDir });
+      // Dirty before the build: must not widen the attempt's scope
+      writeFileSync(join(tempDir, 'notes.js'), 'export const notes = [];\n');
+
+      // Let the scoped `node --test` report on its own instead of to this runner
+      const context = process.env.NODE_TEST_CONTEXT;
+      delete process.env.NODE_TEST_CONTEXT;
+      try {
+        const run = (concurrency) => runBuildLoop({
+          projectDir: tempDir,
+          taskIds: ['T1'],
+          concurrency,
+          isolation: 'none',
+          verify: { lint: false },
+          executor: async () => {
+            writeFileSync(join(tempDir, 'test', 'sum.test.js'), `${SUM_TEST}// attempt at ${Date.now()}\n`);
+            return { success: true, output: 'done' };
+          },
+        });
+
+        assert.equal((await run(1)).status, BuildStatus.COMPLETED);
+        const scoped = loadBuildState(tempDir).checkpoints[0].verification;
+        assert.equal(scoped.scoped, true);
+        assert.equal(scoped.tests.command, 'node --test "test/sum.test.js"');
+        assert.equal(loadTestResults(tempDir), null);
+
+        // Other tasks may write the shared checkout meanwhile: run everything
+        assert.equal((await run(2)).status, BuildStatus.COMPLETED);
+        const full = loadBuildState(tempDir).checkpoints[0].verification;
+        assert.equal(full.scoped, false);
+        assert.equal(full.tests.command, 'npm test');
+        // Only full-suite runs describe the project for gate G4
+        assert.equal(loadTestResults(tempDir).total, 1);
+      } finally {
+        if (context !== undefined) process.env.NODE_TEST_CONTEXT = context;
+      }
+    });
+  });
+});
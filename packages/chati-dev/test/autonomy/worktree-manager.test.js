@@ -1,7 +1,7 @@
 import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
 import { execSync } from 'child_process';
-import { mkdirSync, rmSync, existsSync, writeFileSync } from 'fs';
+import { mkdirSync, rmSync, existsSync, writeFileSync, lstatSync } from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -9,6 +9,7 @@ import {
   isGitRepo,
   createWorktree,
   mergeWorktree,
+  commitWorktree,
   cleanupWorktrees,
   WORKTREE_DIR,
   MAX_WORKTREE_AGE_MS,
@@ -161,6 +162,16 @@ describe('createWorktree', () => {
     // Path should no longer exist after cleanup
     assert.equal(existsSync(result.path), false);
   });
+
+  it('should keep the branch when asked to', () => {
+    const result = createWorktree(tempRepo, 'keep-test', 1);
+    result.cleanup({ keepBranch: true });
+
+    assert.equal(existsSync(result.path), false);
+    const branches = execSync('git branch --list "chati/keep-test-attempt-1"', { cwd: tempRepo, encoding: 'utf-8' });
+    assert.ok(branches.includes('chati/keep-test-attempt-1'));
+    execSync('git branch -D "chati/keep-test-attempt-1"', { cwd: tempRepo, stdio: 'pipe' });
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -224,6 +235,49 @@ describe('mergeWorktree', () => {
     wt.cleanup();
   });
 
+  it('should commit worktree changes before merging', () => {
+    const wt = createWorktree(tempRepo, 'commit-changes', 1);
+
+    assert.equal(commitWorktree(wt.path, 'nothing yet'), false);
+    writeFileSync(join(wt.path, 'committed.txt'), 'from task');
+    assert.equal(commitWorktree(wt.path, 'chati: "T1" $x'), true);
+
+    const subject = execSync('git log -1 --format=%s', { cwd: wt.path, encoding: 'utf-8' }).trim();
+    assert.equal(subject, 'chati: "T1" $x');
+    assert.equal(mergeWorktree(tempRepo, wt.branch).success, true);
+    assert.ok(existsSync(join(tempRepo, 'committed.txt')));
+
+    wt.cleanup();
+  });
+
+  it('should link dependencies into the worktree without committing them', () => {
+    mkdirSync(join(tempRepo, 'packages', 'web', 'node_modules', 'ui'), { recursive: true });
+    writeFileSync(join(tempRepo, 'packages', 'web', 'package.json'), '{}');
+    execSync('git add packages/web/package.json && git commit -qm "add web"', { cwd: tempRepo });
+    mkdirSync(join(tempRepo, 'node_modules', 'dep'), { recursive: true });
+    writeFileSync(join(tempRepo, 'node_modules', 'dep', 'index.js'), 'module.exports = 1;');
+
+    const wt = createWorktree(tempRepo, 'deps', 1);
+    try {
+      assert.deepEqual(wt.linked.sort(), ['node_modules', 'packages/web/node_modules']);
+      assert.ok(lstatSync(join(wt.path, 'node_modules')).isSymbolicLink());
+      assert.ok(existsSync(join(wt.path, 'node_modules', 'dep', 'index.js')));
+
+      assert.equal(commitWorktree(wt.path, 'links only', { exclude: wt.linked }), false);
+      writeFileSync(join(wt.path, 'feature.txt'), 'x');
+      assert.equal(commitWorktree(wt.path, 'feature', { exclude: wt.linked }), true);
+      const files = execSync('git show --name-only --format= HEAD', { cwd: wt.path, encoding: 'utf-8' }).trim();
+      assert.equal(files, 'feature.txt');
+    } finally {
+      wt.cleanup();
+    }
+
+    // Removing the worktree leaves the linked dependencies alone
+    assert.ok(existsSync(join(tempRepo, 'node_modules', 'dep', 'index.js')));
+    rmSync(join(tempRepo, 'node_modules'), { recursive: true, force: true });
+    rmSync(join(tempRepo, 'packages', 'web', 'node_modules'), { recursive: true, force: true });
+  });
+
   it('should detect merge conflicts', () => {
     const mainBranch = execSync('git rev-parse --abbrev-ref HEAD', {
       cwd: tempRepo,
@@ -1,7 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import {
-  calculateBracket, estimateRemaining, isLayerActive, getBracketDefinitions,
+  calculateBracket, resolveRemaining, estimateRemaining, isLayerActive, getBracketDefinitions,
 } from '../../src/context/bracket-tracker.js';
 
 describe('bracket-tracker', () => {
@@ -69,6 +69,45 @@ describe('bracket-tracker', () => {
       assert.equal(calculateBracket(14).handoffRequired, true);
       assert.equal(calculateBracket(15).handoffRequired, false);
     });
+
+    it('accepts measured usage instead of a percentage', () => {
+      const b = calculateBracket({ usedTokens: 150000, contextWindow: 200000 });
+      assert.equal(b.bracket, 'DEPLETED');
+      assert.equal(b.remainingPercent, 25);
+      assert.equal(b.usageSource, 'provider');
+      assert.equal(calculateBracket(80).usageSource, 'percent');
+    });
+  });
+
+  describe('resolveRemaining', () => {
+    it('prefers provider usage over transcript length and turns', () => {
+      assert.deepEqual(
+        resolveRemaining({ usedTokens: 50000, transcriptChars: 600000, turnCount: 39 }),
+        { remainingPercent: 75, source: 'provider' },
+      );
+    });
+
+    it('sums raw provider usage fields', () => {
+      const usage = { input_tokens: 2000, cache_read_input_tokens: 90000, cache_creation_input_tokens: 8000, output_tokens: 500 };
+      assert.deepEqual(resolveRemaining(usage), { remainingPercent: 50, source: 'provider' });
+    });
+
+    it('estimates from transcript length at 4 chars per token', () => {
+      assert.deepEqual(resolveRemaining({ transcriptChars: 400000 }), { remainingPercent: 50, source: 'transcript' });
+      assert.deepEqual(
+        resolveRemaining({ transcriptChars: 2000000, contextWindow: 1000000 }),
+        { remainingPercent: 50, source: 'transcript' },
+      );
+    });
+
+    it('falls back to turn count, then to a fresh context', () => {
+      assert.deepEqual(resolveRemaining({ turnCount: 10 }), { remainingPercent: 75, source: 'turns' });
+      assert.deepEqual(resolveRemaining({}), { remainingPercent: 100, source: 'none' });
+    });
+
+    it('clamps usage beyond the context window', () => {
+      assert.equal(resolveRemaining({ usedTokens: 250000 }).remainingPercent, 0);
+    });
   });
 
   describe('estimateRemaining', () => {
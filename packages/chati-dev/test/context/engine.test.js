@@ -234,6 +234,41 @@ rules:
     // Agent layer should be present but empty
     assert.ok(result.layers.some(l => l.layer === 'L2'));
   });
+
+  it('picks the bracket from measured context usage', () => {
+    const result = runPrism({
+      domainsDir,
+      remainingPercent: 100,
+      contextUsage: { usedTokens: 130000, contextWindow: 200000 },
+      agent: 'brief',
+      taskId: 'T1',
+    });
+
+    assert.equal(result.bracket.bracket, 'DEPLETED');
+    assert.equal(result.bracket.usageSource, 'provider');
+    assert.ok(!result.layers.some(l => l.layer === 'L4'));
+  });
+
+  it('reports token use per layer and what was trimmed to fit the budget', () => {
+    const result = runPrism({
+      domainsDir,
+      remainingPercent: 10,
+      handoff: { summary: 'unused in CRITICAL' },
+    });
+
+    assert.equal(result.tokenBudget, 1500);
+    assert.ok(result.tokens <= result.tokenBudget);
+    assert.deepEqual(Object.keys(result.layerTokens), ['L0', 'L1']);
+    assert.deepEqual(result.dropped, []);
+
+    const handoff = Object.fromEntries(Array.from({ length: 40 }, (_, i) => [`note-${i}`, 'x'.repeat(1000)]));
+    const large = runPrism({ domainsDir, remainingPercent: 80, taskId: 'T1', handoff });
+
+    assert.ok(large.tokens <= 8000);
+    assert.ok(large.dropped.length > 0);
+    assert.ok(large.dropped.every(d => d.layer === 'L4' && d.kind === 'handoff'));
+    assert.equal(large.dropped[0].id, 'note-39');
+  });
 });
 
 describe('getPrismInfo', () => {
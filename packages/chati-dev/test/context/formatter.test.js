@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { formatContext } from '../../src/context/formatter.js';
+import { formatContext, fitContext } from '../../src/context/formatter.js';
 
 describe('formatter', () => {
   const mockL0 = {
@@ -185,4 +185,78 @@ describe('formatter', () => {
 
     assert.ok(!xml.includes('<agent'));
   });
+
+  describe('fitContext', () => {
+    const rules = (prefix, priorities) => priorities.map((priority, i) => ({
+      id: `${prefix}-${i + 1}`, text: `${prefix} rule ${i + 1} `.padEnd(120, '.'), priority,
+    }));
+
+    const layers = () => ({
+      bracket: 'FRESH',
+      l0: { ...mockL0, rules: rules('art', ['critical', 'normal', 'critical']) },
+      l1: { ...mockL1, rules: rules('g', ['high', 'normal']) },
+      l2: {
+        layer: 'L2', agent: 'dev', mission: 'Build it', outputs: [],
+        authority: { exclusive: [], allowed: [], blocked: [], redirectMessage: null },
+        rules: rules('agent', ['normal', 'critical', 'high']),
+      },
+      l3: {
+        layer: 'L3', workflow: 'greenfield', rules: rules('wf', ['normal']),
+        pipelineContext: { currentStep: 'dev', previousStep: 'tasks', nextStep: 'qa', totalSteps: 3, progress: 66 },
+      },
+      l4: {
+        layer: 'L4', taskId: 'T1', criteria: ['Tests pass'], artifacts: ['src/a.js', 'src/b.js'],
+        handoff: { summary: 'S'.repeat(400), decisions: 'D'.repeat(400) },
+      },
+    });
+
+    it('measures each layer and drops nothing within budget', () => {
+      const fitted = fitContext({ ...layers(), tokenBudget: 8000 });
+
+      assert.deepEqual(fitted.dropped, []);
+      assert.equal(fitted.withinBudget, true);
+      assert.deepEqual(Object.keys(fitted.layerTokens), ['L0', 'L1', 'L2', 'L3', 'L4']);
+      assert.ok(fitted.layerTokens.L4 > 200);
+      assert.equal(fitted.tokens, Math.ceil(fitted.xml.length / 4));
+    });
+
+    it('trims handoff, artifacts and then rules in priority order', () => {
+      const full = fitContext({ ...layers(), tokenBudget: 8000 });
+      const fitted = fitContext({ ...layers(), tokenBudget: full.tokens - 300 });
+
+      assert.ok(fitted.tokens <= full.tokens - 300);
+      assert.deepEqual(fitted.dropped.map(d => `${d.layer}:${d.kind}:${d.id}`), [
+        'L4:handoff:decisions',
+        'L4:handoff:summary',
+        'L4:artifact:src/b.js',
+        'L4:artifact:src/a.js',
+        'L3:rule:wf-1',
+        'L2:rule:agent-1',
+      ]);
+      assert.match(fitted.xml, /^<chati-context bracket="FRESH" trimmed="6">/);
+      assert.ok(fitted.xml.includes('agent-3'));
+    });
+
+    it('drops whole sections before touching critical constitution rules', () => {
+      const fitted = fitContext({ ...layers(), tokenBudget: 150 });
+      const dropped = fitted.dropped.map(d => `${d.layer}:${d.kind}:${d.id}`);
+
+      assert.ok(dropped.includes('L4:section:T1'));
+      assert.ok(dropped.includes('L3:section:greenfield'));
+      assert.ok(dropped.includes('L2:section:dev'));
+      assert.ok(dropped.includes('L0:rule:art-2'));
+      assert.equal(fitted.withinBudget, false);
+      assert.ok(fitted.xml.includes('art-1'));
+      assert.ok(fitted.xml.includes('art-3'));
+      assert.ok(fitted.xml.endsWith('</chati-context>'));
+      assert.ok(!fitted.xml.includes('truncated'));
+    });
+
+    it('does not mutate the layer results', () => {
+      const input = layers();
+      fitContext({ ...input, tokenBudget: 100 });
+      assert.equal(input.l2.rules.length, 3);
+      assert.deepEqual(Object.keys(input.l4.handoff), ['summary', 'decisions']);
+    });
+  });
 });
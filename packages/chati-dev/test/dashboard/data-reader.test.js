@@ -4,6 +4,7 @@ import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 import { readDashboardData } from '../../src/dashboard/data-reader.js';
+import { appendLedgerEntry } from '../../src/terminal/cost-ledger.js';
 
 describe('readDashboardData', () => {
   let tempDir;
@@ -91,6 +92,38 @@ describe('readDashboardData', () => {
     rmSync(emptyDir, { recursive: true, force: true });
   });
 
+  it('reports spend against budget from the cost ledger', async () => {
+    const costDir = mkdtempSync(join(tmpdir(), 'chati-dashboard-cost-'));
+    try {
+      mkdirSync(join(costDir, '.chati'), { recursive: true });
+      mkdirSync(join(costDir, 'chati.dev'), { recursive: true });
+      writeFileSync(join(costDir, '.chati', 'session.yaml'), 'started_at: "2026-02-10T09:00:00Z"\n');
+      writeFileSync(join(costDir, 'chati.dev', 'config.yaml'), 'budgets:\n  session: 10\n  agents:\n    dev: 2\n');
+      appendLedgerEntry(costDir, { agent: 'dev', cost: 2.5 }, { sessionId: '2026-02-10T09:00:00Z' });
+      appendLedgerEntry(costDir, { agent: 'dev', cost: 1 }, { sessionId: 'older-session' });
+
+      const data = await readDashboardData(costDir);
+      assert.equal(data.costStatus.totalSpent, 3.5);
+      assert.equal(data.costStatus.sessionSpent, 2.5);
+      assert.equal(data.costStatus.status.scopes[0].scope, 'session');
+      assert.equal(data.costStatus.agentScopes[0].level, 'exceeded');
+    } finally {
+      rmSync(costDir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads terminal progress written by run-parallel', async () => {
+    const progressDir = join(tempDir, '.chati', 'terminals');
+    mkdirSync(progressDir, { recursive: true });
+    writeFileSync(join(progressDir, 'ux-1.json'), JSON.stringify({
+      terminalId: 'ux-1', agent: 'ux', status: 'running', lines: 12, handoff: 'started',
+      startedAt: '2026-02-10T10:00:00Z', updatedAt: new Date().toISOString(),
+    }));
+
+    const data = await readDashboardData(tempDir);
+    assert.deepEqual(data.terminals.map(t => [t.agent, t.status, t.lines]), [['ux', 'running', 12]]);
+  });
+
   it('includes intelligence stats', async () => {
     const data = await readDashboardData(tempDir);
     assert.ok(data.memoryStats !== undefined);
@@ -4,7 +4,7 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
 import { join } from 'path';
 import yaml from 'js-yaml';
 import {
@@ -14,6 +14,7 @@ import {
   recordDecision,
   getEngineStats
 } from '../../src/decision/engine.js';
+import { extractSymbols } from '../../src/decision/symbol-index.js';
 
 const TEST_DIR = join(import.meta.dirname, '../../tmp/test-engine');
 
@@ -203,6 +204,72 @@ test('analyzeRequest - no registry', () => {
   cleanupTestProject();
 });
 
+test('analyzeRequest - REUSE of project code without a registry', () => {
+  rmSync(TEST_DIR, { recursive: true, force: true });
+  mkdirSync(join(TEST_DIR, '.chati'), { recursive: true });
+  mkdirSync(join(TEST_DIR, 'src', 'lib'), { recursive: true });
+  writeFileSync(join(TEST_DIR, 'src', 'lib', 'auth.ts'), [
+    '/** Verify a JWT access token and return its claims. */',
+    'export function verifyToken(token: string) {}'
+  ].join('\n'));
+
+  const result = analyzeRequest(TEST_DIR, {
+    description: 'Check the JWT on incoming requests',
+    type: 'function',
+    keywords: ['verify', 'token', 'jwt'],
+    agent: 'dev'
+  });
+
+  assert.equal(result.recommendation, 'REUSE');
+  assert.equal(result.target, 'src/lib/auth.ts#verifyToken');
+  assert.ok(result.reasoning.includes('REUSE src/lib/auth.ts#verifyToken'));
+  assert.equal(result.matches[0].source, 'code');
+  assert.equal(result.matches[0].line, 2);
+  assert.equal(getDecisionHistory(TEST_DIR)[0].topMatches[0].path, 'src/lib/auth.ts#verifyToken');
+
+  cleanupTestProject();
+});
+
+test('analyzeRequest - leaves uninitialized directories untouched', () => {
+  rmSync(TEST_DIR, { recursive: true, force: true });
+  mkdirSync(join(TEST_DIR, 'src'), { recursive: true });
+  const source = 'export function verifyToken(token) {}\n';
+  writeFileSync(join(TEST_DIR, 'src', 'auth.js'), source);
+  const request = { description: 'Verify tokens', type: 'function', keywords: ['verify', 'token'], agent: 'dev' };
+
+  assert.equal(analyzeRequest(TEST_DIR, request).recommendation, 'CREATE');
+  assert.equal(existsSync(join(TEST_DIR, '.chati')), false);
+
+  // A prebuilt index is searched without touching the directory
+  const symbolIndex = { files: { 'src/auth.js': { symbols: extractSymbols(source, 'src/auth.js') } } };
+  const result = analyzeRequest(TEST_DIR, request, { symbolIndex });
+  assert.equal(result.target, 'src/auth.js#verifyToken');
+  assert.equal(existsSync(join(TEST_DIR, '.chati', 'symbol-index.json')), false);
+
+  cleanupTestProject();
+});
+
+test('analyzeRequest - project code competes with registry entities', () => {
+  setupTestProject();
+  mkdirSync(join(TEST_DIR, '.chati'), { recursive: true });
+  mkdirSync(join(TEST_DIR, 'src'), { recursive: true });
+  writeFileSync(join(TEST_DIR, 'src', 'migrate.js'), 'export function runDatabaseMigration() {}\n');
+
+  const result = analyzeRequest(TEST_DIR, {
+    description: 'Set up the database',
+    type: 'task',
+    keywords: ['database', 'setup', 'migration'],
+    agent: 'orchestrator'
+  });
+
+  assert.deepEqual(result.matches.map(m => [m.source, m.path]), [
+    ['registry', 'chati.dev/tasks/setup-database.md'],
+    ['code', 'src/migrate.js#runDatabaseMigration']
+  ]);
+
+  cleanupTestProject();
+});
+
 test('recordDecision and getDecisionHistory', () => {
   setupTestProject();
 
@@ -0,0 +1,154 @@
+/**
+ * Tests for decision/symbol-index.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  splitTerms,
+  extractSymbols,
+  updateSymbolIndex,
+  loadSymbolIndex,
+  searchSymbols,
+  scoreSymbol,
+  symbolRef,
+  SYMBOL_INDEX_FILE
+} from '../../src/decision/symbol-index.js';
+
+const AUTH_SOURCE = `/**
+ * Authentication helpers for the API.
+ */
+import jwt from 'jsonwebtoken';
+
+/**
+ * Verify a JWT access token and return its claims.
+ * @param {string} token
+ */
+export async function verifyToken(token: string): Promise<Claims> {
+  return jwt.verify(token, SECRET);
+}
+
+// Hash a password with bcrypt
+export const hashPassword = async (password) => bcrypt.hash(password, 10);
+
+export class SessionStore extends BaseStore {}
+
+function internalHelper() {}
+`;
+
+function writeProject(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(join(dir, file, '..'), { recursive: true });
+    writeFileSync(join(dir, file), content);
+  }
+}
+
+test('splitTerms - splits identifiers and paths', () => {
+  assert.deepEqual(splitTerms('verifyJWTTokens'), ['verify', 'jwt', 'token']);
+  assert.deepEqual(splitTerms('src/lib/user_profile-card.tsx'), ['user', 'profile', 'card']);
+});
+
+test('extractSymbols - exported functions, classes and module docs', () => {
+  const symbols = extractSymbols(AUTH_SOURCE, 'src/lib/auth.ts');
+
+  assert.deepEqual(symbols.map(s => [s.kind, s.name, s.line]), [
+    ['module', 'src/lib/auth.ts', 1],
+    ['function', 'verifyToken', 10],
+    ['function', 'hashPassword', 15],
+    ['class', 'SessionStore', 17]
+  ]);
+  assert.equal(symbols[0].doc, 'Authentication helpers for the API.');
+  assert.equal(symbols[1].doc, 'Verify a JWT access token and return its claims.');
+  assert.equal(symbols[1].signature, 'verifyToken(token: string)');
+  assert.equal(symbols[2].doc, 'Hash a password with bcrypt');
+  assert.equal(symbols[3].doc, null);
+});
+
+test('extractSymbols - React components', () => {
+  const source = [
+    "import React, { memo } from 'react';",
+    'export default function UserCard({ user }) { return <div />; }',
+    'export const Avatar = memo(({ src }) => <img src={src} />);',
+    'export class Legacy extends React.Component {}',
+    'export const formatName = (user) => user.name;'
+  ].join('\n');
+
+  assert.deepEqual(extractSymbols(source, 'src/components/UserCard.jsx').slice(1).map(s => [s.kind, s.name]), [
+    ['component', 'UserCard'],
+    ['component', 'Avatar'],
+    ['component', 'Legacy'],
+    ['function', 'formatName']
+  ]);
+});
+
+test('extractSymbols - Express and Next.js routes', () => {
+  const express = [
+    '/** List users */',
+    "router.get('/users', listUsers);",
+    'app.post(`/users/:id/avatar`, upload);'
+  ].join('\n');
+  assert.deepEqual(extractSymbols(express, 'src/routes/users.js').slice(1).map(s => [s.kind, s.name, s.doc]), [
+    ['route', 'GET /users', 'List users'],
+    ['route', 'POST /users/:id/avatar', null]
+  ]);
+
+  const next = 'export async function GET(request) {}\nexport const POST = async (request) => {};';
+  assert.deepEqual(extractSymbols(next, 'app/api/orders/route.ts').slice(1).map(s => s.name), [
+    'GET /api/orders',
+    'POST /api/orders'
+  ]);
+
+  const pagesApi = 'export default function handler(req, res) {}';
+  assert.deepEqual(extractSymbols(pagesApi, 'pages/api/health.ts').slice(1).map(s => s.name), ['ANY /api/health']);
+});
+
+test('updateSymbolIndex - indexes sources incrementally and skips tests, deps and the framework', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'chati-symbols-'));
+  writeProject(dir, {
+    'src/lib/auth.ts': AUTH_SOURCE,
+    'src/lib/auth.test.ts': 'export function verifyTokenTest() {}',
+    'src/types.d.ts': 'export function declared(): void;',
+    'test/helpers.js': 'export function helper() {}',
+    'node_modules/dep/index.js': 'export function dep() {}',
+    'chati.dev/hooks/hook.js': 'export function hook() {}',
+    'README.md': '# app'
+  });
+
+  const first = updateSymbolIndex(dir);
+  assert.deepEqual(first.updated, ['src/lib/auth.ts']);
+  assert.ok(existsSync(join(dir, SYMBOL_INDEX_FILE)));
+  assert.deepEqual(updateSymbolIndex(dir).updated, []);
+
+  writeProject(dir, { 'src/lib/mail.js': 'export function sendMail() {}' });
+  rmSync(join(dir, 'src/lib/auth.ts'));
+  const second = updateSymbolIndex(dir);
+  assert.deepEqual([second.updated, second.removed], [['src/lib/mail.js'], ['src/lib/auth.ts']]);
+  assert.deepEqual(Object.keys(loadSymbolIndex(dir).files), ['src/lib/mail.js']);
+
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('scoreSymbol - prefers name hits and exact names', () => {
+  const verifyToken = { name: 'verifyToken', kind: 'function', file: 'src/lib/auth.ts', doc: 'Verify a JWT access token' };
+  const verifyAndRefresh = { name: 'verifyTokenAndRefreshSession', kind: 'function', file: 'src/lib/session.ts', doc: null };
+
+  const terms = ['verify', 'token', 'jwt'];
+  assert.ok(scoreSymbol(terms, verifyToken) >= 90);
+  assert.ok(scoreSymbol(terms, verifyToken) > scoreSymbol(terms, verifyAndRefresh));
+  assert.equal(scoreSymbol(['invoice'], verifyToken), 0);
+  assert.equal(scoreSymbol(['verify'], verifyToken, 'function') - scoreSymbol(['verify'], verifyToken), 10);
+});
+
+test('searchSymbols - ranks symbols for a request', () => {
+  const index = { files: { 'src/lib/auth.ts': { symbols: extractSymbols(AUTH_SOURCE, 'src/lib/auth.ts') } } };
+
+  const [best] = searchSymbols(index, { keywords: ['verifyToken', 'jwt'] });
+  assert.equal(symbolRef(best.symbol), 'src/lib/auth.ts#verifyToken');
+
+  const [byDescription] = searchSymbols(index, { description: 'hash the password' });
+  assert.equal(byDescription.symbol.name, 'hashPassword');
+  assert.deepEqual(searchSymbols(index, { keywords: [] }), []);
+});
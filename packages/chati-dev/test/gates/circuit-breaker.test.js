@@ -2,12 +2,22 @@
  * @fileoverview Dedicated unit tests for the CircuitBreaker class.
  *
  * Tests cover all state transitions (CLOSED → OPEN → HALF_OPEN → CLOSED),
- * threshold behavior, timeout recovery, statistics, and reset logic.
+ * threshold behavior, timeout recovery, statistics, reset logic, async
+ * functions, and state shared through a state file.
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { CircuitBreaker, CIRCUIT_STATES } from '../../src/gates/circuit-breaker.js';
+import { mkdtempSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import {
+  CircuitBreaker,
+  CIRCUIT_STATES,
+  getCircuitStatePath,
+  listCircuits,
+  getOpenCircuits,
+} from '../../src/gates/circuit-breaker.js';
 
 // ---------------------------------------------------------------------------
 // CIRCUIT_STATES export
@@ -246,3 +256,116 @@ describe('error propagation', () => {
     );
   });
 });
+
+// ---------------------------------------------------------------------------
+// Async functions
+// ---------------------------------------------------------------------------
+
+describe('execute() with async functions', () => {
+  it('records the outcome once the promise settles', async () => {
+    const cb = new CircuitBreaker({ failureThreshold: 1 });
+
+    assert.equal(await cb.execute(async () => 'ok'), 'ok');
+    assert.equal(cb.getStats().successes, 1);
+
+    await assert.rejects(cb.execute(async () => { throw new Error('late failure'); }), /late failure/);
+    assert.equal(cb.getState(), 'OPEN');
+  });
+
+  it('rejects other callers while a recovery trial is running', async () => {
+    const cb = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 60000 });
+    assert.throws(() => cb.execute(() => { throw new Error('fail'); }));
+    cb._lastFailure = Date.now() - 60000;
+
+    let finishTrial;
+    const trial = cb.execute(() => new Promise((resolve) => { finishTrial = resolve; }));
+    assert.equal(cb.getState(), 'HALF_OPEN');
+    assert.throws(() => cb.execute(() => 'second'), /recovery trial running/);
+    assert.equal(cb.canExecute(), false);
+
+    finishTrial('done');
+    assert.equal(await trial, 'done');
+    assert.equal(cb.getState(), 'CLOSED');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Persisted state
+// ---------------------------------------------------------------------------
+
+describe('persisted state', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-circuits-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  const shared = (name = 'g3-implementation') => new CircuitBreaker({
+    name,
+    failureThreshold: 2,
+    resetTimeout: 60000,
+    stateFile: getCircuitStatePath(dir, 'gate', name),
+  });
+
+  it('shares failures between instances (as separate processes would)', () => {
+    const first = shared();
+    const second = shared();
+
+    first.recordFailure();
+    assert.throws(() => second.execute(() => { throw new Error('fail'); }));
+
+    assert.equal(first.getState(), 'OPEN');
+    assert.throws(() => first.execute(() => 'blocked'), /Circuit breaker is OPEN/);
+    assert.equal(shared().canExecute(), false);
+    assert.ok(!existsSync(`${getCircuitStatePath(dir, 'gate', 'g3-implementation')}.lock`));
+  });
+
+  it('closes for everyone after a successful trial and on reset', () => {
+    const cb = shared();
+    cb.recordFailure();
+    cb.recordFailure();
+    assert.equal(shared().getState(), 'OPEN');
+
+    cb.recordSuccess();
+    assert.equal(shared().getState(), 'CLOSED');
+
+    cb.recordFailure();
+    cb.recordFailure();
+    shared().reset();
+    assert.equal(cb.getStats().failures, 0);
+  });
+
+  it('treats a missing or unreadable state file as CLOSED', () => {
+    const file = getCircuitStatePath(dir, 'provider', 'claude');
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, 'not json');
+
+    const cb = new CircuitBreaker({ stateFile: file });
+    assert.equal(cb.getState(), 'CLOSED');
+    assert.equal(cb.execute(() => 42), 42);
+  });
+
+  it('keeps file names safe for provider names', () => {
+    assert.equal(getCircuitStatePath('/p', 'provider', 'my/cli tool'), join('/p', '.chati', 'circuits', 'provider-my_cli_tool.json'));
+  });
+
+  it('lists circuits and reports the open ones with their retry time', () => {
+    const gate = shared();
+    gate.recordFailure();
+    gate.recordFailure();
+    shared('g4-qa-implementation').recordSuccess();
+
+    const circuits = listCircuits(dir);
+    assert.deepEqual(circuits.map((c) => [c.kind, c.name, c.state]), [
+      ['gate', 'g3-implementation', 'OPEN'],
+      ['gate', 'g4-qa-implementation', 'CLOSED'],
+    ]);
+
+    const [open] = getOpenCircuits(dir);
+    assert.equal(open.name, 'g3-implementation');
+    assert.equal(open.failures, 2);
+    assert.equal(open.retryAt, open.lastFailure + 60000);
+  });
+
+  it('lists nothing for a project without circuits', () => {
+    assert.deepEqual(listCircuits(dir), []);
+  });
+});
@@ -8,20 +8,29 @@ import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 
-import { GateBase } from '../../src/gates/gate-base.js';
-import { CircuitBreaker, CIRCUIT_STATES } from '../../src/gates/circuit-breaker.js';
+import { GateBase, GateVerdict } from '../../src/gates/gate-base.js';
+import { CircuitBreaker, CIRCUIT_STATES, getGateCircuit, GATE_FAILURE_THRESHOLD } from '../../src/gates/circuit-breaker.js';
 import { PlanningCompleteGate } from '../../src/gates/g1-planning-complete.js';
 import { QAPlanningGate } from '../../src/gates/g2-qa-planning.js';
 import { ImplementationGate } from '../../src/gates/g3-implementation.js';
 import { QAImplementationGate, QA_IMPL_VERDICTS } from '../../src/gates/g4-qa-implementation.js';
 import { DeployReadyGate } from '../../src/gates/g5-deploy-ready.js';
-import { getGateForPipelinePoint } from '../../src/gates/index.js';
+import { getGateForPipelinePoint, getGatesForAgent } from '../../src/gates/index.js';
 import { initSession, updateSession } from '../../src/orchestrator/session-manager.js';
+import { recordTestResults } from '../../src/quality/test-results.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
+// A lint script that finds nothing
+const CLEAN_LINT_PACKAGE = JSON.stringify({ scripts: { lint: 'node -e ""' } });
+
+// A coverage report collected after the fixture's sources were written
+function freshCoverage(report) {
+  return JSON.stringify({ ...report, collectedAt: new Date(Date.now() + 60_000).toISOString() });
+}
+
 function createTempDir() {
   return mkdtempSync(join(tmpdir(), 'chati-gates-test-'));
 }
@@ -413,6 +422,29 @@ describe('quality-gates', () => {
 
       rmSync(dir, { recursive: true, force: true });
     });
+
+    it('should open its persisted circuit after repeated failed evaluations', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, { artifacts: ['1-Brief'] });
+
+      const gate = new PlanningCompleteGate();
+      let result;
+      for (let i = 0; i < GATE_FAILURE_THRESHOLD; i++) {
+        result = gate.evaluate(dir, 'autonomous');
+      }
+
+      assert.equal(result.circuit, CIRCUIT_STATES.OPEN);
+      assert.equal(getGateCircuit(dir, gate.id).getState(), CIRCUIT_STATES.OPEN);
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should not record a circuit for projects without .chati/', () => {
+      const dir = createTempDir();
+      const result = new PlanningCompleteGate().evaluate(dir, 'autonomous');
+      assert.equal(result.circuit, null);
+      rmSync(dir, { recursive: true, force: true });
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -472,7 +504,7 @@ describe('quality-gates', () => {
           },
         },
         extraFiles: {
-          '.lint-result': 'OK',
+          'package.json': CLEAN_LINT_PACKAGE,
           '.security-scan': 'CLEAN',
         },
       });
@@ -514,6 +546,130 @@ describe('quality-gates', () => {
 
       rmSync(dir, { recursive: true, force: true });
     });
+
+    it('should score lint findings against the configured allowance', () => {
+      const dir = createTempDir();
+      const eslintReport = JSON.stringify([{
+        filePath: join(dir, 'src', 'feature.js'),
+        messages: [
+          { ruleId: 'no-undef', severity: 2, message: "'x' is not defined.", line: 3 },
+          { ruleId: 'no-unused-vars', severity: 2, message: "'y' is unused.", line: 7 },
+        ],
+      }]);
+      setupProjectDir(dir, {
+        extraFiles: {
+          // Stands in for eslint: writes the JSON report runLint asks for
+          'package.json': JSON.stringify({ scripts: { lint: 'node eslint.cjs' } }),
+          'eslint.cjs': [
+            'const i = process.argv.indexOf("--output-file");',
+            `require("fs").writeFileSync(process.argv[i + 1], ${JSON.stringify(eslintReport)});`,
+            'process.exit(1);',
+          ].join('\n'),
+          'chati.dev/config.yaml': 'lint:\n  max_errors: 1\n',
+        },
+      });
+
+      const gate = new ImplementationGate();
+      const evidence = gate._collectEvidence(dir);
+
+      assert.equal(evidence.lint.linter, 'eslint');
+      assert.equal(evidence.lint.errors, 2);
+      assert.equal(evidence.lint.score, 90);
+      assert.equal(evidence.lintPasses, false);
+      assert.deepEqual(evidence.lint.findings[0], {
+        rule: 'no-undef',
+        file: join('src', 'feature.js'),
+        line: 3,
+        severity: 'error',
+        message: "'x' is not defined.",
+      });
+      const { warnings } = gate._validateEvidence(evidence);
+      assert.ok(warnings.some((w) => w.includes('2 error(s)') && w.includes('no-undef')));
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should not read lint status from a stray .lint-result file', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, { extraFiles: { '.lint-result': 'pass' } });
+
+      const evidence = new ImplementationGate()._collectEvidence(dir);
+
+      assert.equal(evidence.lintPasses, null);
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should block on critical security scanner findings', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, {
+        handoffs: {
+          dev: { score: 95, status: 'complete', outputs: ['src/feature.js', 'test/feature.test.js'] },
+        },
+        extraFiles: {
+          'package.json': CLEAN_LINT_PACKAGE,
+          'src/feature.js': `export const key = '${'AKIA' + 'IOSFODNN7EXAMPLE'}';\n`,
+        },
+      });
+      updateSession(dir, { agents: { dev: { status: 'completed', score: 95 } } });
+
+      const result = new ImplementationGate().evaluate(dir, 'autonomous');
+
+      assert.equal(result.canProceed, false);
+      assert.equal(result.evidence.securityClean, false);
+      assert.equal(result.evidence.security.counts.critical, 1);
+      assert.ok(result.warnings.some((w) => w.startsWith('Critical:') && w.includes('src/feature.js:1')));
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should block when coverage is below the configured thresholds', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, {
+        handoffs: {
+          dev: { score: 95, status: 'complete', outputs: ['src/feature.js', 'test/feature.test.js'] },
+        },
+        extraFiles: {
+          'package.json': CLEAN_LINT_PACKAGE,
+          '.security-scan': 'CLEAN',
+          'chati.dev/config.yaml': 'coverage:\n  lines: 80\n  branches: 70\n',
+          '.chati/coverage/latest.json': freshCoverage({
+            lines: 72,
+            branches: 75,
+            functions: 90,
+            files: [{ file: 'src/feature.js', lines: 40, branches: 50, functions: 100 }],
+          }),
+        },
+      });
+      updateSession(dir, { agents: { dev: { status: 'completed', score: 95 } } });
+
+      const result = new ImplementationGate().evaluate(dir, 'autonomous');
+
+      assert.equal(result.canProceed, false);
+      assert.equal(result.evidence.coverage.met, false);
+      assert.ok(result.warnings.some((w) => w.includes('lines 72% < 80%')));
+      assert.ok(result.warnings.some((w) => w.includes('src/feature.js (lines 40%, branches 50%)')));
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should count met coverage thresholds as a criterion', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, {
+        extraFiles: {
+          'chati.dev/config.yaml': 'coverage:\n  lines: 80\n',
+          '.chati/coverage/latest.json': freshCoverage({ lines: 91, branches: 80, functions: 90, files: [] }),
+        },
+      });
+
+      const gate = new ImplementationGate();
+      const { criteriaResults, allCriteria } = gate._validateEvidence(gate._collectEvidence(dir));
+
+      assert.ok(allCriteria.includes('Coverage thresholds met'));
+      assert.ok(criteriaResults.includes('Coverage thresholds met'));
+
+      rmSync(dir, { recursive: true, force: true });
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -605,6 +761,144 @@ describe('quality-gates', () => {
 
       rmSync(dir, { recursive: true, force: true });
     });
+
+    it('should FAIL on critical security scanner findings', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, {
+        handoffs: {
+          'qa-implementation': { score: 98, status: 'complete', blockers: [], criteria_unmet: [] },
+        },
+        extraFiles: {
+          'chati.dev/artifacts/security-report.md': '# Security\nNo issues found.',
+          'src/run.js': 'require("child_process").execSync(`convert ${process.argv[2]}`);\n',
+        },
+      });
+
+      const gate = new QAImplementationGate();
+      const evidence = gate._collectEvidence(dir);
+
+      assert.equal(evidence.verdict, QA_IMPL_VERDICTS.FAIL);
+      assert.equal(evidence.securityScanClean, false);
+      assert.equal(evidence.security.findings[0].rule, 'shell-injection');
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should FAIL when coverage is below the configured thresholds', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, {
+        handoffs: {
+          'qa-implementation': { score: 98, status: 'complete', blockers: [], criteria_unmet: [] },
+        },
+        extraFiles: {
+          'chati.dev/config.yaml': 'coverage:\n  branches: 80\n',
+          '.chati/coverage/latest.json': freshCoverage({ lines: 90, branches: 60, functions: 90, files: [] }),
+        },
+      });
+
+      const gate = new QAImplementationGate();
+      const evidence = gate._collectEvidence(dir);
+
+      assert.equal(evidence.verdict, QA_IMPL_VERDICTS.FAIL);
+      assert.deepEqual(evidence.coverage.failures, ['branches 60% < 80%']);
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should warn when thresholds are configured but no coverage was collected', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, {
+        extraFiles: { 'chati.dev/config.yaml': 'coverage:\n  lines: 80\n' },
+      });
+
+      const gate = new QAImplementationGate();
+      const { warnings, criteriaResults } = gate._validateEvidence(gate._collectEvidence(dir));
+
+      assert.ok(warnings.some((w) => w.includes('no coverage report found')));
+      assert.ok(!criteriaResults.includes('Coverage thresholds met'));
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should FAIL and list the failing tests of the latest recorded run', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, {
+        handoffs: {
+          'qa-implementation': { score: 98, status: 'complete', blockers: [], criteria_unmet: [] },
+        },
+      });
+      recordTestResults(dir, {
+        success: false,
+        total: 12,
+        passed: 11,
+        failed: 1,
+        skipped: 0,
+        runner: 'node:test',
+        tests: [{
+          name: 'cart > applies discounts',
+          file: 'test/cart.test.js',
+          status: 'failed',
+          duration: 2,
+          failure: { message: 'Expected values to be strictly equal:\n\n90 !== 80', stack: null },
+        }],
+      });
+
+      const gate = new QAImplementationGate();
+      const evidence = gate._collectEvidence(dir);
+      const { warnings, allCriteria, criteriaResults, verdict } = gate._validateEvidence(evidence);
+
+      assert.equal(evidence.verdict, QA_IMPL_VERDICTS.FAIL);
+      assert.equal(verdict, GateVerdict.BLOCKED);
+      assert.ok(allCriteria.includes('Latest test run passing'));
+      assert.ok(!criteriaResults.includes('Latest test run passing'));
+      assert.ok(warnings.includes(
+        'Critical: 1/12 test(s) failing in the latest run — cart > applies discounts (test/cart.test.js): Expected values to be strictly equal:',
+      ));
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should count a passing recorded run as a criterion', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir);
+      recordTestResults(dir, { success: true, total: 12, passed: 12, failed: 0, skipped: 0, runner: 'node:test', tests: [] });
+
+      const gate = new QAImplementationGate();
+      const { criteriaResults } = gate._validateEvidence(gate._collectEvidence(dir));
+
+      assert.ok(criteriaResults.includes('Latest test run passing'));
+
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should neither pass nor FAIL on coverage collected before the sources changed', () => {
+      const dir = createTempDir();
+      setupProjectDir(dir, {
+        handoffs: {
+          'qa-implementation': { score: 98, status: 'complete', blockers: [], criteria_unmet: [] },
+        },
+        extraFiles: {
+          'chati.dev/config.yaml': 'coverage:\n  lines: 80\n',
+          'src/feature.js': 'export const feature = true;\n',
+          '.chati/coverage/latest.json': JSON.stringify({
+            lines: 40, branches: 40, functions: 40, files: [], collectedAt: '2026-01-01T00:00:00.000Z',
+          }),
+        },
+      });
+
+      const gate = new QAImplementationGate();
+      const evidence = gate._collectEvidence(dir);
+      const { warnings, criteriaResults } = gate._validateEvidence(evidence);
+
+      assert.equal(evidence.coverage.stale, true);
+      assert.equal(evidence.coverage.met, null);
+      assert.notEqual(evidence.verdict, QA_IMPL_VERDICTS.FAIL);
+      assert.ok(warnings.some((w) => w.includes('Coverage report is stale (collected 2026-01-01T00:00:00.000Z')));
+      assert.ok(!warnings.some((w) => w.startsWith('Critical: coverage')));
+      assert.ok(!criteriaResults.includes('Coverage thresholds met'));
+
+      rmSync(dir, { recursive: true, force: true });
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -710,5 +1004,11 @@ describe('quality-gates', () => {
         /No gate registered/
       );
     });
+
+    it('should list the gates that evaluate an agent', () => {
+      assert.deepEqual(getGatesForAgent('qa-planning').map(g => g.id), ['g1-planning-complete', 'g2-qa-planning']);
+      assert.deepEqual(getGatesForAgent('dev').map(g => g.id), ['g3-implementation']);
+      assert.deepEqual(getGatesForAgent('brief'), []);
+    });
   });
 });
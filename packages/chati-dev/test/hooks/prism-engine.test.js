@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Import the logic functions (not the main stdin handler)
+import { estimateContextRemaining } from '../../../../chati.dev/hooks/prism-engine.js';
+
+describe('prism-engine hook', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'prism-hook-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uses usage reported in the hook payload', () => {
+    const event = { context_usage: { used_tokens: 100000, context_window: 200000 } };
+    assert.deepEqual(estimateContextRemaining(event, { turnCount: 39 }), { remainingPercent: 50, source: 'provider' });
+  });
+
+  it('reads the latest usage from the transcript', () => {
+    const transcriptPath = join(dir, 'usage.jsonl');
+    const usage = (input) => ({ input_tokens: 500, cache_read_input_tokens: input, output_tokens: 200 });
+    writeFileSync(transcriptPath, [
+      JSON.stringify({ type: 'assistant', message: { usage: usage(20000) } }),
+      JSON.stringify({ type: 'assistant', message: { usage: usage(149500) } }),
+      JSON.stringify({ type: 'user', message: { content: 'next' } }),
+    ].join('\n'));
+
+    assert.deepEqual(
+      estimateContextRemaining({ transcript_path: transcriptPath }, { turnCount: 0 }),
+      { remainingPercent: 25, source: 'provider' },
+    );
+  });
+
+  it('falls back to transcript length, then turn count', () => {
+    const transcriptPath = join(dir, 'plain.jsonl');
+    writeFileSync(transcriptPath, 'x'.repeat(400000));
+
+    assert.deepEqual(
+      estimateContextRemaining({ transcript_path: transcriptPath }, { turnCount: 0 }),
+      { remainingPercent: 50, source: 'transcript' },
+    );
+    assert.deepEqual(
+      estimateContextRemaining({ transcript_path: join(dir, 'missing.jsonl') }, { turnCount: 10 }),
+      { remainingPercent: 75, source: 'turns' },
+    );
+  });
+});
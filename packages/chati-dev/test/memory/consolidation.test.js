@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  entrySimilarity,
+  planConsolidation,
+  consolidateMemories,
+  recordMemoryReferences,
+  loadMemoryLedger,
+  getEntryKey,
+} from '../../src/memory/consolidation.js';
+import { readAgentMemory, writeAgentMemory } from '../../src/memory/agent-memory.js';
+import { recordError, getGotchas, getRelevantGotchas } from '../../src/memory/gotchas.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('entrySimilarity', () => {
+  it('should compare content terms', () => {
+    assert.equal(entrySimilarity({ content: 'Use pnpm for installs' }, { content: 'use PNPM for installs!' }), 1);
+    assert.equal(entrySimilarity({ content: 'Use pnpm' }, { content: 'Seed test data' }), 0);
+  });
+});
+
+describe('memory consolidation', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-consolidation-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should merge duplicates within an agent, keeping the strongest entry', () => {
+    writeAgentMemory(dir, 'dev', { category: 'Build', content: 'Run the build with pnpm before pushing', confidence: 'high', tags: ['build'] });
+    writeAgentMemory(dir, 'dev', { category: 'Build', content: 'run the build with pnpm before pushing', tags: ['pnpm'] });
+    writeAgentMemory(dir, 'dev', { category: 'Testing', content: 'Seed random data per test' });
+
+    const result = consolidateMemories(dir);
+
+    assert.equal(result.applied, true);
+    assert.equal(result.merges.length, 1);
+    const { entries } = readAgentMemory(dir, 'dev');
+    assert.equal(entries.length, 2);
+    const merged = entries.find(e => e.category === 'Build');
+    assert.equal(merged.confidence, 'high');
+    assert.deepEqual(merged.tags, ['build', 'pnpm']);
+
+    const record = loadMemoryLedger(dir).entries[getEntryKey('dev', merged)];
+    assert.deepEqual(record.mergedFrom.map(m => m.content), ['run the build with pnpm before pushing']);
+  });
+
+  it('should move duplicates across agents to the shared memory with provenance', () => {
+    writeAgentMemory(dir, 'dev', { category: 'Conventions', content: 'Dates are stored as UTC ISO strings' });
+    writeAgentMemory(dir, 'architect', { category: 'Data', content: 'Dates are stored as UTC ISO strings', confidence: 'high' });
+
+    consolidateMemories(dir);
+
+    assert.equal(readAgentMemory(dir, 'dev').entries.length, 0);
+    assert.equal(readAgentMemory(dir, 'architect').entries.length, 0);
+    const [shared] = readAgentMemory(dir, 'shared').entries;
+    assert.equal(shared.category, 'Data');
+    assert.equal(shared.confidence, 'high');
+
+    const record = loadMemoryLedger(dir).entries[getEntryKey('shared', shared)];
+    assert.deepEqual(record.mergedFrom.map(m => m.agent).sort(), ['architect', 'dev']);
+  });
+
+  it('should decay unreferenced entries and remove low ones', () => {
+    writeAgentMemory(dir, 'dev', { category: 'A', content: 'Prefer small pull requests', confidence: 'high' });
+    writeAgentMemory(dir, 'dev', { category: 'A', content: 'Old flaky workaround for node 16', confidence: 'low' });
+    writeAgentMemory(dir, 'dev', { category: 'A', content: 'Keep commits focused' });
+    const start = Date.now();
+    consolidateMemories(dir, { now: start });
+
+    recordMemoryReferences(dir, 'dev', [{ category: 'A', content: 'Keep commits focused' }], start + 20 * DAY_MS);
+    const result = consolidateMemories(dir, { now: start + 31 * DAY_MS });
+
+    assert.deepEqual(result.decays.map(d => [d.content, d.from, d.to]), [['Prefer small pull requests', 'high', 'medium']]);
+    assert.deepEqual(result.removals.map(r => r.content), ['Old flaky workaround for node 16']);
+    assert.deepEqual(readAgentMemory(dir, 'dev').entries.map(e => [e.content, e.confidence]), [
+      ['Prefer small pull requests', 'medium'],
+      ['Keep commits focused', 'medium'],
+    ]);
+
+    // A decayed entry gets a full window before the next drop
+    assert.equal(consolidateMemories(dir, { now: start + 40 * DAY_MS, dryRun: true }).decays.length, 0);
+  });
+
+  it('should promote gotchas seen in enough sessions', () => {
+    for (const sessionId of ['s1', 's2', 's3']) {
+      recordError(dir, { message: 'ECONNREFUSED connecting to localhost:5432', agent: 'dev', task: 'T1', sessionId });
+    }
+    const [gotcha] = getGotchas(dir);
+    assert.deepEqual(gotcha.sessions, ['s1', 's2', 's3']);
+
+    const result = consolidateMemories(dir);
+
+    assert.deepEqual(result.promotions.map(p => [p.gotchaId, p.agent]), [[gotcha.id, 'dev']]);
+    const [entry] = readAgentMemory(dir, 'dev').entries;
+    assert.equal(entry.category, 'Gotchas');
+    assert.equal(entry.confidence, 'high');
+    assert.equal(getGotchas(dir)[0].promoted_to_memory.agent, 'dev');
+    assert.deepEqual(getRelevantGotchas(dir, { agent: 'dev' }), []);
+    assert.equal(consolidateMemories(dir).promotions.length, 0);
+  });
+
+  it('should not promote gotchas from a single session', () => {
+    for (let i = 0; i < 3; i++) {
+      recordError(dir, { message: 'Build failed: missing module', agent: 'dev', task: 'T1', sessionId: 's1' });
+    }
+    assert.deepEqual(planConsolidation(dir).promotions, []);
+  });
+
+  it('should show a diff and leave files untouched on a dry run', () => {
+    writeAgentMemory(dir, 'dev', { category: 'Build', content: 'Run the build with pnpm', confidence: 'high' });
+    writeAgentMemory(dir, 'dev', { category: 'Build', content: 'Run the build with pnpm' });
+    const memoryPath = join(dir, '.chati', 'memories', 'dev', 'MEMORY.md');
+    const before = readFileSync(memoryPath, 'utf-8');
+
+    const result = consolidateMemories(dir, { dryRun: true });
+
+    assert.equal(result.applied, false);
+    assert.equal(readFileSync(memoryPath, 'utf-8'), before);
+    assert.ok(result.diff.includes('--- a/.chati/memories/dev/MEMORY.md'));
+    assert.ok(result.diff.includes('-- Run the build with pnpm'));
+    assert.ok(!result.diff.includes('+- Run the build with pnpm (high)'));
+  });
+
+  it('should report nothing for consolidated memories', () => {
+    writeAgentMemory(dir, 'dev', { category: 'Build', content: 'Run the build with pnpm' });
+    const result = consolidateMemories(dir);
+    assert.equal(result.diff, '');
+    assert.equal(result.applied, false);
+    assert.ok(loadMemoryLedger(dir).entries[getEntryKey('dev', { category: 'Build', content: 'Run the build with pnpm' })]);
+  });
+});
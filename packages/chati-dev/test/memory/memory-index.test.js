@@ -0,0 +1,148 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  tokenize,
+  parseMemoryQuery,
+  updateMemoryIndex,
+  loadMemoryIndex,
+  searchMemoryIndex,
+  MEMORY_INDEX_DIR,
+} from '../../src/memory/memory-index.js';
+import { writeAgentMemory } from '../../src/memory/agent-memory.js';
+import { recordError } from '../../src/memory/gotchas.js';
+import { buildSessionDigest, saveSessionDigest } from '../../src/memory/session-digest.js';
+
+describe('tokenize', () => {
+  it('should lowercase, split on punctuation and drop stopwords', () => {
+    assert.deepEqual(tokenize('Retry the API call after a 429 (rate-limit)'), ['retry', 'api', 'call', 'after', '429', 'rate', 'limit']);
+    assert.deepEqual(tokenize('Configuração de ambiente'), ['configuração', 'de', 'ambiente']);
+  });
+});
+
+describe('parseMemoryQuery', () => {
+  it('should split terms, phrases and filters', () => {
+    assert.deepEqual(parseMemoryQuery('"rate limit" retry agent:dev type:gotchas'), {
+      terms: ['retry'],
+      phrases: [['rate', 'limit']],
+      agent: 'dev',
+      types: ['gotcha'],
+    });
+  });
+
+  it('should treat one-word phrases as terms and ignore unknown types', () => {
+    assert.deepEqual(parseMemoryQuery('"oauth" type:nope'), { terms: ['oauth'], phrases: [], agent: null, types: [] });
+  });
+});
+
+describe('memory index', () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chati-memory-index-'));
+    writeAgentMemory(dir, 'architect', {
+      category: 'API Design',
+      content: 'Use OAuth2 for authentication on every public endpoint',
+      tags: ['security', 'oauth'],
+      confidence: 'high',
+    });
+    writeAgentMemory(dir, 'dev', {
+      category: 'Networking',
+      content: 'Back off after a rate limit before retrying the provider',
+      tags: ['retry'],
+    });
+    writeAgentMemory(dir, 'dev', {
+      category: 'Testing',
+      content: 'Limit the number of flaky test retries per rate window',
+      confidence: 'low',
+    });
+  });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should index every source once and then only changed files', () => {
+    const first = updateMemoryIndex(dir);
+    assert.deepEqual(first.updated.sort(), ['architect/MEMORY.md', 'dev/MEMORY.md']);
+    assert.ok(existsSync(join(dir, MEMORY_INDEX_DIR, 'index.json')));
+
+    assert.deepEqual(updateMemoryIndex(dir).updated, []);
+
+    writeAgentMemory(dir, 'dev', { category: 'Testing', content: 'Seed random data per test' });
+    const second = updateMemoryIndex(dir);
+    assert.deepEqual(second.updated, ['dev/MEMORY.md']);
+    assert.equal(Object.keys(second.index.docs).length, 4);
+    assert.equal(loadMemoryIndex(dir).sources['dev/MEMORY.md'].docs.length, 3);
+  });
+
+  it('should drop documents of deleted files', () => {
+    updateMemoryIndex(dir);
+    rmSync(join(dir, '.chati', 'memories', 'architect'), { recursive: true });
+
+    const { index, removed } = updateMemoryIndex(dir);
+    assert.deepEqual(removed, ['architect/MEMORY.md']);
+    assert.equal(index.postings.oauth2, undefined);
+  });
+
+  it('should rank with BM25, tag boosts and confidence', () => {
+    const { index } = updateMemoryIndex(dir);
+
+    const ranked = searchMemoryIndex(index, 'retry rate');
+    assert.deepEqual(ranked.map(r => r.doc.id), ['dev-0', 'dev-1']);
+    assert.ok(ranked[0].score > ranked[1].score);
+
+    const [oauth] = searchMemoryIndex(index, 'oauth');
+    assert.equal(oauth.doc.id, 'architect-0');
+    assert.equal(oauth.matchType, 'tag');
+  });
+
+  it('should require quoted phrases in order', () => {
+    const { index } = updateMemoryIndex(dir);
+    assert.deepEqual(searchMemoryIndex(index, '"rate limit"').map(r => r.doc.id), ['dev-0']);
+    assert.deepEqual(searchMemoryIndex(index, '"limit rate"').map(r => r.doc.id), []);
+  });
+
+  it('should match prefixes of terms that are not indexed', () => {
+    const { index } = updateMemoryIndex(dir);
+    assert.deepEqual(searchMemoryIndex(index, 'authent').map(r => r.doc.id), ['architect-0']);
+  });
+
+  it('should apply agent: and type: filters, alone or with terms', () => {
+    for (let i = 0; i < 3; i++) {
+      recordError(dir, { message: 'Provider rate limit exceeded', agent: 'dev', task: 'T1' });
+    }
+    saveSessionDigest(dir, buildSessionDigest(dir, { mode: 'build', agents: { architect: { status: 'completed' } } }));
+    const { index } = updateMemoryIndex(dir);
+
+    assert.deepEqual(searchMemoryIndex(index, 'rate type:gotcha').map(r => r.doc.type), ['gotcha']);
+    assert.deepEqual(searchMemoryIndex(index, 'agent:architect').map(r => r.doc.type).sort(), ['agent_memory', 'session_digest']);
+    assert.deepEqual(searchMemoryIndex(index, 'rate', { types: ['agent'], agent: 'dev' }).map(r => r.doc.id), ['dev-0', 'dev-1']);
+  });
+
+  it('should index frontmatter memory files', () => {
+    mkdirSync(join(dir, '.chati', 'memories', 'dev', 'durable'), { recursive: true });
+    writeFileSync(join(dir, '.chati', 'memories', 'dev', 'durable', 'mem-2026-01-01-001.md'), [
+      '---',
+      'id: mem-2026-01-01-001',
+      'type: lesson',
+      'agent: dev',
+      'tags: [migrations]',
+      'confidence: 0.9',
+      'sector: procedural',
+      'tier: hot',
+      '---',
+      'Run database migrations before seeding.',
+    ].join('\n'));
+
+    const { index } = updateMemoryIndex(dir);
+    const [hit] = searchMemoryIndex(index, 'migrations type:memory');
+    assert.equal(hit.doc.id, 'mem-2026-01-01-001');
+    assert.equal(hit.doc.metadata.tier, 'hot');
+  });
+
+  it('should not create an index for projects without memories', () => {
+    const empty = mkdtempSync(join(tmpdir(), 'chati-memory-index-empty-'));
+    assert.deepEqual(updateMemoryIndex(empty).updated, []);
+    assert.equal(existsSync(join(empty, MEMORY_INDEX_DIR)), false);
+    rmSync(empty, { recursive: true, force: true });
+  });
+});
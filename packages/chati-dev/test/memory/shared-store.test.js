@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { tmpdir, homedir } from 'os';
+import { join } from 'path';
+import { execFileSync } from 'child_process';
+import {
+  loadSharedStoreConfig,
+  readStoreGotchas,
+  readStoreMemories,
+  exportToSharedStore,
+  importFromSharedStore,
+} from '../../src/memory/shared-store.js';
+import { readAgentMemory, writeAgentMemory } from '../../src/memory/agent-memory.js';
+import { recordError, getGotchas, getRelevantGotchas, updateGotchaResolution } from '../../src/memory/gotchas.js';
+import { buildGotchasContext } from '../../src/memory/gotchas-injector.js';
+import { searchAllMemories } from '../../src/memory/search.js';
+
+function configure(projectDir, sharedStore) {
+  mkdirSync(join(projectDir, 'chati.dev'), { recursive: true });
+  writeFileSync(join(projectDir, 'chati.dev', 'config.yaml'), `memory:\n  shared_store: ${JSON.stringify(sharedStore)}\n`);
+}
+
+function recordGotcha(projectDir, message, resolution) {
+  for (let i = 0; i < 3; i++) {
+    recordError(projectDir, { message, agent: 'dev', task: 'T1' });
+  }
+  const gotcha = getGotchas(projectDir).find(g => g.original_message === message);
+  if (resolution) updateGotchaResolution(projectDir, gotcha.id, resolution);
+  return gotcha;
+}
+
+function git(dir, ...args) {
+  return execFileSync('git', args, { cwd: dir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+describe('loadSharedStoreConfig', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-store-config-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should return null without a configured store', () => {
+    assert.equal(loadSharedStoreConfig(dir), null);
+    configure(dir, '');
+    assert.equal(loadSharedStoreConfig(dir), null);
+  });
+
+  it('should resolve relative and home paths and detect git clones', () => {
+    configure(dir, '../team-memory');
+    assert.deepEqual(loadSharedStoreConfig(dir), { path: join(dir, '..', 'team-memory'), git: false });
+
+    configure(dir, { path: '~/chati-memory', git: true });
+    assert.deepEqual(loadSharedStoreConfig(dir), { path: join(homedir(), 'chati-memory'), git: true });
+
+    mkdirSync(join(dir, 'store', '.git'), { recursive: true });
+    configure(dir, 'store');
+    assert.equal(loadSharedStoreConfig(dir).git, true);
+  });
+});
+
+describe('shared memory store', () => {
+  let root;
+  let store;
+  let projectA;
+  let projectB;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'chati-store-'));
+    store = join(root, 'store');
+    projectA = join(root, 'api');
+    projectB = join(root, 'web');
+    configure(projectA, store);
+    configure(projectB, store);
+  });
+  afterEach(() => rmSync(root, { recursive: true, force: true }));
+
+  it('should export resolved gotchas and high-confidence memories only', () => {
+    recordGotcha(projectA, 'ORM returns dates as strings for column created_at', 'Cast dates in the repository layer');
+    recordGotcha(projectA, 'Unresolved flaky port 5433 in CI');
+    writeAgentMemory(projectA, 'dev', { category: 'ORM', content: 'Always pass transactions explicitly to the ORM', confidence: 'high' });
+    writeAgentMemory(projectA, 'dev', { category: 'Style', content: 'Prefer named exports' });
+
+    const result = exportToSharedStore(projectA);
+
+    assert.deepEqual(result.gotchas, { added: 1, updated: 0 });
+    assert.deepEqual(result.memories, { added: 1 });
+    const [gotcha] = readStoreGotchas(store);
+    assert.equal(gotcha.resolution, 'Cast dates in the repository layer');
+    assert.deepEqual(gotcha.projects, ['api']);
+    assert.equal(gotcha.context, undefined);
+    assert.deepEqual(readStoreMemories(store).dev.map(e => e.content), ['Always pass transactions explicitly to the ORM']);
+
+    // Exporting again changes nothing
+    const again = exportToSharedStore(projectA);
+    assert.deepEqual([again.gotchas, again.memories], [{ added: 0, updated: 0 }, { added: 0 }]);
+  });
+
+  it('should record every project a gotcha was exported from', () => {
+    recordGotcha(projectA, 'Port 5433 already in use on CI', 'Pick a free port per job');
+    recordGotcha(projectB, 'Port 6543 already in use on CI', 'Pick a free port per job');
+    exportToSharedStore(projectA);
+
+    assert.deepEqual(exportToSharedStore(projectB).gotchas, { added: 0, updated: 1 });
+    assert.deepEqual(readStoreGotchas(store)[0].projects, ['api', 'web']);
+  });
+
+  it('should import into other projects without duplicates', () => {
+    recordGotcha(projectA, 'ORM returns dates as strings for column created_at', 'Cast dates');
+    writeAgentMemory(projectA, 'dev', { category: 'ORM', content: 'Always pass transactions explicitly to the ORM', confidence: 'high' });
+    writeAgentMemory(projectB, 'dev', { category: 'ORM', content: 'always pass transactions explicitly to the ORM!' });
+    exportToSharedStore(projectA);
+
+    assert.deepEqual(importFromSharedStore(projectB, { dryRun: true }).gotchas, { added: 1, updated: 0 });
+    assert.deepEqual(getGotchas(projectB), []);
+
+    const result = importFromSharedStore(projectB);
+
+    assert.deepEqual(result.gotchas, { added: 1, updated: 0 });
+    assert.deepEqual(result.memories, { added: 0 });
+    const [imported] = getGotchas(projectB);
+    assert.equal(imported.imported_from, 'shared');
+    assert.equal(imported.projects, undefined);
+    assert.equal(readAgentMemory(projectB, 'dev').entries.length, 1);
+    assert.deepEqual(importFromSharedStore(projectB).gotchas, { added: 0, updated: 0 });
+  });
+
+  it('should merge shared gotchas into relevant gotchas, labelled by source', () => {
+    recordGotcha(projectA, 'ORM returns dates as strings for column created_at', 'Cast dates');
+    exportToSharedStore(projectA);
+    recordGotcha(projectB, 'Port 5433 already in use on CI');
+
+    const gotchas = getRelevantGotchas(projectB, { agent: 'dev' });
+    assert.deepEqual(gotchas.map(g => g.source).sort(), ['project', 'shared']);
+    assert.match(buildGotchasContext(projectB, { agent: 'dev' }), /source="shared"/);
+
+    // Once imported, the project copy replaces the shared one
+    importFromSharedStore(projectB);
+    assert.deepEqual(getRelevantGotchas(projectB, { agent: 'dev' }).map(g => g.source), ['project', 'project']);
+  });
+
+  it('should merge shared store matches into memory search', () => {
+    writeAgentMemory(projectA, 'dev', { category: 'ORM', content: 'Always pass transactions explicitly to the ORM', confidence: 'high' });
+    writeAgentMemory(projectB, 'dev', { category: 'ORM', content: 'ORM migrations run before seeding' });
+    exportToSharedStore(projectA);
+
+    const results = searchAllMemories(projectB, 'orm');
+    assert.deepEqual(results.map(r => [r.source, r.content]).sort(), [
+      ['project', 'ORM migrations run before seeding'],
+      ['shared', 'Always pass transactions explicitly to the ORM'],
+    ]);
+    assert.equal(existsSync(join(store, 'index')), false);
+  });
+
+  it('should commit exports to a git-backed store', () => {
+    mkdirSync(store);
+    git(store, 'init', '-q');
+    git(store, 'config', 'user.email', 't@t');
+    git(store, 'config', 'user.name', 't');
+    writeAgentMemory(projectA, 'dev', { category: 'ORM', content: 'Always pass transactions explicitly to the ORM', confidence: 'high' });
+
+    const result = exportToSharedStore(projectA);
+
+    assert.equal(result.committed, true);
+    assert.equal(result.pushed, false);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(git(store, 'log', '--format=%s').trim(), 'Export memories from api');
+    assert.equal(exportToSharedStore(projectA).committed, false);
+  });
+
+  it('should refuse to export or import without a store', () => {
+    const bare = join(root, 'bare');
+    mkdirSync(bare);
+    assert.throws(() => exportToSharedStore(bare), /No shared memory store configured/);
+    assert.throws(() => importFromSharedStore(bare), /No shared memory store configured/);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Tests for the workflow loader and workflow-driven pipelines.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  DEFAULT_QA_THRESHOLD,
+  findWorkflowFile,
+  listWorkflows,
+  interpretWorkflow,
+  loadWorkflow,
+} from '../../src/orchestrator/workflow-loader.js';
+import {
+  initPipeline,
+  advancePipeline,
+  checkPhaseTransition,
+  resetPipelineTo,
+} from '../../src/orchestrator/pipeline-manager.js';
+import { getNextAgent, getParallelGroups, selectAgent } from '../../src/orchestrator/agent-selector.js';
+
+const DATA_PIPELINE = `
+workflow:
+  id: data-pipeline
+  name: Data Pipeline
+  version: "0.1.0"
+  type: greenfield
+
+phases:
+  - phase: 0
+    name: Problem Definition
+    category: DISCOVER
+    sequence:
+      - agent: brief
+        action: problem-extraction
+  - phase: 1
+    name: Design
+    category: PLAN
+    parallel: true
+    sequence:
+      - agent: detail
+        action: create-prd
+      - agent: architect
+        action: design-pipeline
+        creates: [chati.dev/artifacts/3-Architecture/pipeline.md]
+  - phase: 2
+    name: Planning
+    category: PLAN
+    sequence:
+      - agent: tasks
+        action: create-tasks
+      - agent: qa-planning
+        action: validate-traceability
+        config:
+          minimum_score: 90
+  - phase: 3
+    name: Implementation
+    category: BUILD
+    sequence:
+      - agent: dev
+        action: implement-tasks
+      - agent: qa-implementation
+        action: validate-code
+
+transitions:
+  plan_to_build:
+    trigger: "qa-planning.score >= 95"
+`;
+
+const tempDirs = [];
+
+/**
+ * Helper: create a project with workflow files under chati.dev/workflows.
+ */
+function createProject(workflows = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'chati-workflow-'));
+  tempDirs.push(dir);
+  mkdirSync(join(dir, 'chati.dev', 'workflows'), { recursive: true });
+  for (const [id, content] of Object.entries(workflows)) {
+    writeFileSync(join(dir, 'chati.dev', 'workflows', `${id}.yaml`), content);
+  }
+  return dir;
+}
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+describe('workflow-loader', () => {
+  describe('lookup', () => {
+    it('finds the shipped workflows', () => {
+      const ids = listWorkflows();
+      for (const id of ['greenfield-fullstack', 'quick-flow', 'standard-flow']) {
+        assert.ok(ids.includes(id), `Missing workflow: ${id}`);
+      }
+      assert.ok(findWorkflowFile('quick-flow').endsWith('quick-flow.yaml'));
+      assert.equal(findWorkflowFile('no-such-flow'), null);
+    });
+
+    it('prefers project workflows over shipped ones', () => {
+      const dir = createProject({ 'data-pipeline': DATA_PIPELINE, 'quick-flow': DATA_PIPELINE });
+      assert.equal(findWorkflowFile('quick-flow', dir), join(dir, 'chati.dev', 'workflows', 'quick-flow.yaml'));
+      assert.ok(listWorkflows(dir).includes('data-pipeline'));
+    });
+
+    it('throws for unknown workflows', () => {
+      assert.throws(() => loadWorkflow('no-such-flow', { projectDir: createProject() }), /Workflow "no-such-flow" not found/);
+    });
+
+    it('rejects ids that are not plain workflow names', () => {
+      const dir = createProject();
+      writeFileSync(join(dir, 'escape.yaml'), DATA_PIPELINE);
+      for (const id of ['../../escape', 'quick-flow/../quick-flow', 'Quick_Flow', '']) {
+        assert.throws(() => findWorkflowFile(id, dir), /Invalid workflow id/);
+      }
+      assert.throws(() => loadWorkflow('../../escape', { projectDir: dir }), /Invalid workflow id/);
+    });
+  });
+
+  describe('interpretWorkflow', () => {
+    it('orders agents by first appearance and merges repeated steps', () => {
+      const workflow = loadWorkflow('greenfield-fullstack');
+      assert.deepEqual(workflow.agents.map((a) => a.name), [
+        'greenfield-wu', 'brief', 'detail', 'architect', 'ux', 'phases', 'tasks',
+        'qa-planning', 'dev', 'qa-implementation', 'devops',
+      ]);
+      const architect = workflow.agents.find((a) => a.name === 'architect');
+      assert.deepEqual(architect.actions, ['design-architecture', 'dep-audit']);
+      assert.equal(architect.phase, 'plan');
+      assert.deepEqual(workflow.phases, ['discover', 'plan', 'build', 'deploy']);
+    });
+
+    it('gates qa agents on the default threshold', () => {
+      const workflow = loadWorkflow('quick-flow');
+      assert.deepEqual(workflow.phases, ['discover', 'build', 'deploy']);
+      assert.deepEqual(workflow.gates, { 'qa-implementation': DEFAULT_QA_THRESHOLD });
+    });
+
+    it('reads parallel phases, minimum scores and score triggers', () => {
+      const workflow = loadWorkflow('data-pipeline', { projectDir: createProject({ 'data-pipeline': DATA_PIPELINE }) });
+      const detail = workflow.agents.find((a) => a.name === 'detail');
+      assert.equal(detail.group, 'plan-parallel');
+      assert.equal(detail.parallel, true);
+      assert.equal(workflow.agents.find((a) => a.name === 'tasks').parallel, false);
+      // config.minimum_score wins over the transition trigger
+      assert.deepEqual(workflow.gates, { 'qa-planning': 90, 'qa-implementation': DEFAULT_QA_THRESHOLD });
+      assert.deepEqual(workflow.phases, ['discover', 'plan', 'build']);
+    });
+
+    it('groups agents linked by parallel_with', () => {
+      const workflow = interpretWorkflow({
+        workflow: { id: 'linked' },
+        phases: [{
+          category: 'PLAN',
+          sequence: [
+            { agent: 'detail', parallel_with: ['ux'] },
+            { agent: 'architect' },
+            { agent: 'ux' },
+          ],
+        }],
+      });
+      assert.deepEqual(workflow.agents.filter((a) => a.parallel).map((a) => a.name), ['detail', 'ux']);
+    });
+
+    it('reports every malformed entry', () => {
+      assert.throws(() => interpretWorkflow({ phases: [] }), /workflow\.id is required/);
+      assert.throws(() => interpretWorkflow({ workflow: { id: 'x' }, phases: [] }), /phases must be a non-empty list/);
+      assert.throws(
+        () => interpretWorkflow({
+          workflow: { id: 'x' },
+          phases: [
+            { category: 'TEST', sequence: [{ agent: 'dev' }] },
+            { category: 'BUILD', sequence: [{ action: 'run' }, { agent: 'dev', parallel_with: ['ghost'] }] },
+          ],
+        }),
+        (err) => /phases\[0\]: category/.test(err.message)
+          && /phases\[1\]\.sequence\[0\]: agent is required/.test(err.message)
+          && /unknown agent "ghost"/.test(err.message),
+      );
+    });
+  });
+
+  describe('workflow-driven pipeline', () => {
+    const projectDir = createProject({ 'data-pipeline': DATA_PIPELINE });
+    const start = () => initPipeline({ workflow: 'data-pipeline', targetDir: projectDir });
+
+    it('initializes only the workflow agents', () => {
+      const state = start();
+      assert.equal(state.workflow.id, 'data-pipeline');
+      assert.equal(state.phase, 'discover');
+      assert.deepEqual(Object.keys(state.agents), [
+        'brief', 'detail', 'architect', 'tasks', 'qa-planning', 'dev', 'qa-implementation',
+      ]);
+      assert.equal(state.agents.ux, undefined);
+    });
+
+    it('follows the workflow order and parallel groups', () => {
+      const { agents } = start().workflow;
+      assert.deepEqual(getNextAgent('brief', ['brief'], agents), {
+        next: 'detail', isParallel: true, group: ['detail', 'architect'],
+      });
+      assert.equal(getNextAgent('architect', ['brief', 'detail', 'architect'], agents).next, 'tasks');
+      assert.deepEqual(getParallelGroups(['brief'], agents), [['detail', 'architect']]);
+      assert.deepEqual(getParallelGroups(['brief', 'detail', 'architect'], agents), []);
+    });
+
+    it('selects the first workflow agent for a fresh session', () => {
+      const state = start();
+      const selection = selectAgent({ intent: 'discover', mode: 'discover', workflow: state.workflow });
+      assert.equal(selection.agent, 'brief');
+      assert.equal(selection.workflowType, 'data-pipeline');
+    });
+
+    it('gates phases on every phase agent and the workflow thresholds', () => {
+      let state = start();
+      state = advancePipeline(state, 'brief').state;
+      assert.equal(state.phase, 'plan');
+
+      for (const agent of ['detail', 'architect', 'tasks']) {
+        state = advancePipeline(state, agent).state;
+      }
+      let check = checkPhaseTransition(state);
+      assert.equal(check.canAdvance, false);
+      assert.equal(check.reason, 'qa-planning not yet completed');
+      assert.equal(check.requiredScore, 90);
+
+      const result = advancePipeline(state, 'qa-planning', { score: 91 });
+      assert.equal(result.nextAction, 'advance_phase');
+      assert.equal(result.nextAgent, 'dev');
+      state = result.state;
+
+      state = advancePipeline(state, 'dev').state;
+      check = checkPhaseTransition({ ...state, agents: { ...state.agents, 'qa-implementation': { status: 'completed', score: 80 } } });
+      assert.equal(check.canAdvance, false);
+      assert.match(check.reason, /qa-implementation score 80 below threshold 95/);
+    });
+
+    it('finishes after the last workflow phase', () => {
+      const quick = initPipeline({ workflow: 'quick-flow', targetDir: createProject() });
+      let state = advancePipeline(quick, 'brief').state;
+      assert.equal(state.phase, 'build');
+      state = advancePipeline(state, 'dev').state;
+      const preview = advancePipeline(state, 'qa-implementation', { score: 97 });
+      assert.equal(preview.nextAction, 'user_preview');
+
+      state = { ...preview.state, phase: 'deploy' };
+      const done = advancePipeline(state, 'devops');
+      assert.equal(done.nextAction, 'complete');
+      assert.ok(done.state.completedAt);
+    });
+
+    it('resets within the workflow agents', () => {
+      let state = start();
+      for (const agent of ['brief', 'detail', 'architect']) {
+        state = advancePipeline(state, agent).state;
+      }
+      state = resetPipelineTo(state, 'detail');
+      assert.deepEqual(state.completedAgents, ['brief']);
+      assert.throws(() => resetPipelineTo(state, 'ux'), /Unknown target agent: ux/);
+    });
+  });
+});
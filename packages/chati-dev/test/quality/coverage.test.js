@@ -0,0 +1,293 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, utimesSync } from 'fs';
+import { execSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  parseNodeCoverage,
+  parseCoverageSummary,
+  parseLcov,
+  readCoverageArtifacts,
+  getCoverageSetup,
+  recordCoverage,
+  loadCoverageReport,
+  loadCoverageThresholds,
+  checkCoverage,
+  getCoverageEvidence,
+  isCoverageStale,
+} from '../../src/quality/coverage.js';
+import { getMetricsHistory, METRIC_TYPES } from '../../src/quality/metrics-collector.js';
+
+function writeConfig(dir, coverage) {
+  mkdirSync(join(dir, 'chati.dev'), { recursive: true });
+  writeFileSync(join(dir, 'chati.dev', 'config.yaml'), `version: "1.0"\ncoverage:\n${coverage}`);
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+describe('parseNodeCoverage', () => {
+  it('should read the node:test coverage table', () => {
+    const output = [
+      '# tests 2',
+      '# start of coverage report',
+      '# -------------------------------------------------------',
+      '# file          | line % | branch % | funcs % | uncovered lines',
+      '# -------------------------------------------------------',
+      '# src           |        |          |         |',
+      '#  cart.js      |  62.50 |    50.00 |  100.00 | 4-6',
+      '#  math.js      | 100.00 |   100.00 |  100.00 |',
+      '# -------------------------------------------------------',
+      '# all files     |  81.25 |    75.00 |  100.00 |',
+      '# -------------------------------------------------------',
+      '# end of coverage report',
+    ].join('\n');
+
+    const report = parseNodeCoverage(output);
+    assert.deepEqual([report.lines, report.branches, report.functions], [81.25, 75, 100]);
+    assert.deepEqual(report.files.map((f) => f.file), ['cart.js', 'math.js']);
+    assert.equal(report.files[0].branches, 50);
+  });
+
+  it('should return null without a coverage table', () => {
+    assert.equal(parseNodeCoverage('# tests 2\n# pass 2'), null);
+  });
+});
+
+describe('parseCoverageSummary', () => {
+  it('should read totals and per-file percentages', () => {
+    const report = parseCoverageSummary(JSON.stringify({
+      total: { lines: { pct: 90 }, branches: { pct: 70 }, functions: { pct: 80 } },
+      '/repo/src/a.js': { lines: { pct: 60 }, branches: { pct: 40 }, functions: { pct: 50 } },
+    }), { projectDir: '/repo' });
+
+    assert.deepEqual([report.lines, report.branches, report.functions], [90, 70, 80]);
+    assert.deepEqual(report.files, [{ file: join('src', 'a.js'), lines: 60, branches: 40, functions: 50 }]);
+  });
+
+  it('should return null for invalid reports', () => {
+    assert.equal(parseCoverageSummary('nope'), null);
+    assert.equal(parseCoverageSummary({}), null);
+  });
+});
+
+describe('parseLcov', () => {
+  it('should compute totals from lcov records', () => {
+    const report = parseLcov([
+      'TN:',
+      'SF:/repo/src/a.js',
+      'FNF:2', 'FNH:1', 'LF:10', 'LH:5', 'BRF:4', 'BRH:1',
+      'end_of_record',
+      'SF:/repo/src/b.js',
+      'FNF:2', 'FNH:2', 'LF:10', 'LH:10', 'BRF:0', 'BRH:0',
+      'end_of_record',
+    ].join('\n'), { projectDir: '/repo' });
+
+    assert.deepEqual([report.lines, report.branches, report.functions], [75, 25, 75]);
+    assert.equal(report.files[0].file, join('src', 'a.js'));
+    assert.equal(report.files[1].branches, null);
+  });
+});
+
+describe('readCoverageArtifacts', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-cov-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should fall back to lcov.info', () => {
+    writeFileSync(join(dir, 'lcov.info'), 'SF:a.js\nLF:4\nLH:3\nend_of_record\n');
+    const report = readCoverageArtifacts(dir);
+    assert.equal(report.source, 'lcov');
+    assert.equal(report.lines, 75);
+  });
+
+  it('should return null when nothing is there', () => {
+    assert.equal(readCoverageArtifacts(dir), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Collection
+// ---------------------------------------------------------------------------
+
+describe('getCoverageSetup', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-cov-setup-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should add the coverage flag to the node --test call of the test script', () => {
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ scripts: { test: 'node --test test/' } }));
+    assert.deepEqual(getCoverageSetup('node:test', 'npm test', dir, '/tmp/cov'), {
+      command: 'node --test --experimental-test-coverage test/',
+      reportDir: null,
+    });
+  });
+
+  it('should ask jest and vitest for a json-summary', () => {
+    assert.match(getCoverageSetup('jest', 'npm test', dir, '/tmp/cov').command, /^npm test -- --coverage .*--coverageDirectory="\/tmp\/cov"$/);
+    assert.match(getCoverageSetup('vitest', 'npx vitest run', dir, '/tmp/cov').command, /--coverage\.reporter=json-summary/);
+  });
+
+  it('should return null when the runner cannot collect coverage', () => {
+    assert.equal(getCoverageSetup('mocha', 'npx mocha', dir, '/tmp/cov'), null);
+  });
+});
+
+describe('recordCoverage', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-cov-record-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should store the latest report and record line and branch metrics', () => {
+    recordCoverage(dir, { lines: 82, branches: 64, functions: 90, files: [], source: 'lcov' });
+
+    const stored = loadCoverageReport(dir);
+    assert.equal(stored.lines, 82);
+    assert.ok(stored.collectedAt);
+    assert.equal(getMetricsHistory(dir, { type: METRIC_TYPES.COVERAGE }).metrics[0].value, 82);
+    assert.equal(getMetricsHistory(dir, { type: METRIC_TYPES.BRANCH_COVERAGE }).metrics[0].value, 64);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Thresholds
+// ---------------------------------------------------------------------------
+
+describe('loadCoverageThresholds', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-cov-thresholds-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should read thresholds and ignore invalid values', () => {
+    writeConfig(dir, '  lines: 80\n  branches: "abc"\n');
+    assert.deepEqual(loadCoverageThresholds(dir), { lines: 80, branches: null, functions: null });
+  });
+
+  it('should default to no thresholds', () => {
+    assert.deepEqual(loadCoverageThresholds(dir), { lines: null, branches: null, functions: null });
+  });
+});
+
+describe('checkCoverage', () => {
+  const report = {
+    lines: 78,
+    branches: 70,
+    functions: 90,
+    files: [
+      { file: 'src/b.js', lines: 60, branches: 80, functions: 100 },
+      { file: 'src/a.js', lines: 40, branches: 20, functions: 50 },
+      { file: 'src/c.js', lines: 95, branches: 90, functions: 100 },
+    ],
+  };
+
+  it('should list failing totals and files below a threshold, worst first', () => {
+    const check = checkCoverage(report, { lines: 80, branches: 60, functions: null });
+
+    assert.equal(check.met, false);
+    assert.deepEqual(check.failures, ['lines 78% < 80%']);
+    assert.deepEqual(check.gaps.map((g) => [g.file, g.below]), [
+      ['src/a.js', ['lines', 'branches']],
+      ['src/b.js', ['lines']],
+    ]);
+  });
+
+  it('should pass when totals meet every threshold', () => {
+    assert.equal(checkCoverage(report, { lines: 75, branches: 70, functions: null }).met, true);
+  });
+});
+
+describe('getCoverageEvidence', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-cov-evidence-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should leave met null when unconfigured or without a report', () => {
+    assert.equal(getCoverageEvidence(dir).configured, false);
+
+    writeConfig(dir, '  lines: 80\n');
+    const evidence = getCoverageEvidence(dir);
+    assert.equal(evidence.configured, true);
+    assert.equal(evidence.report, null);
+    assert.equal(evidence.met, null);
+  });
+
+  it('should check the latest report against the thresholds', () => {
+    writeConfig(dir, '  lines: 80\n');
+    recordCoverage(dir, { lines: 50, branches: null, functions: null, files: [], source: 'lcov' });
+
+    const evidence = getCoverageEvidence(dir);
+    assert.equal(evidence.stale, false);
+    assert.equal(evidence.met, false);
+    assert.deepEqual(evidence.failures, ['lines 50% < 80%']);
+  });
+
+  it('should neither pass nor fail a stale report', () => {
+    writeConfig(dir, '  lines: 80\n');
+    writeFileSync(join(dir, 'index.js'), 'export {};\n');
+    recordCoverage(dir, { lines: 50, branches: null, functions: null, files: [], source: 'lcov' });
+    const later = new Date(Date.now() + 60_000);
+    utimesSync(join(dir, 'index.js'), later, later);
+
+    const evidence = getCoverageEvidence(dir);
+    assert.equal(evidence.stale, true);
+    assert.equal(evidence.met, null);
+    assert.deepEqual(evidence.failures, []);
+  });
+});
+
+describe('isCoverageStale', () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chati-cov-stale-'));
+    mkdirSync(join(dir, 'src'));
+    mkdirSync(join(dir, 'node_modules'));
+    writeFileSync(join(dir, 'src', 'a.js'), 'export const a = 1;\n');
+  });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  const touch = (file) => {
+    const later = new Date(Date.now() + 60_000);
+    writeFileSync(join(dir, file), '// changed\n');
+    utimesSync(join(dir, file), later, later);
+  };
+
+  it('should be fresh until a source file changes after collection', () => {
+    const report = recordCoverage(dir, { lines: 90, branches: null, functions: null, files: [], source: 'lcov' });
+    assert.equal(isCoverageStale(dir, report), false);
+
+    // Docs, config and dependencies do not affect coverage
+    touch('README.md');
+    touch('node_modules/dep.js');
+    assert.equal(isCoverageStale(dir, report), false);
+
+    touch('src/a.js');
+    assert.equal(isCoverageStale(dir, report), true);
+  });
+
+  it('should count a write within the collection millisecond as earlier', () => {
+    const collectedAt = '2026-02-10T10:00:00.000Z';
+    const within = (Date.parse(collectedAt) + 0.5) / 1000;
+    utimesSync(join(dir, 'src', 'a.js'), within, within);
+
+    assert.equal(isCoverageStale(dir, { lines: 90, files: [], collectedAt }), false);
+  });
+
+  it('should treat a report without a collection time as stale', () => {
+    assert.equal(isCoverageStale(dir, { lines: 90, files: [] }), true);
+    assert.equal(isCoverageStale(dir, { lines: 90, files: [], collectedAt: 'yesterday' }), true);
+  });
+
+  it('should only consider files git does not ignore', () => {
+    execSync('git init -q', { cwd: dir });
+    writeFileSync(join(dir, '.gitignore'), 'dist/\n');
+    mkdirSync(join(dir, 'dist'));
+    const report = recordCoverage(dir, { lines: 90, branches: null, functions: null, files: [], source: 'lcov' });
+
+    touch('dist/bundle.js');
+    assert.equal(isCoverageStale(dir, report), false);
+    touch('src/b.js');
+    assert.equal(isCoverageStale(dir, report), true);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  detectLinterFromScript,
+  getLintReporterSetup,
+  parseEslintJson,
+  parseBiomeJson,
+  parseRuffJson,
+  loadLintAllowance,
+  scoreLint,
+} from '../../src/quality/lint-reporters.js';
+
+// ---------------------------------------------------------------------------
+// Reporter Selection
+// ---------------------------------------------------------------------------
+
+describe('getLintReporterSetup', () => {
+  it('should name the linter a script runs', () => {
+    assert.equal(detectLinterFromScript('eslint src/ bin/'), 'eslint');
+    assert.equal(detectLinterFromScript('npx @biomejs/biome lint .'), 'biome');
+    assert.equal(detectLinterFromScript('ruff check .'), 'ruff');
+    assert.equal(detectLinterFromScript('standard'), 'unknown');
+  });
+
+  it('should ask each linter for JSON, after -- for npm scripts', () => {
+    assert.equal(
+      getLintReporterSetup('eslint', 'npm run lint', '/tmp/r.json').command,
+      'npm run lint -- --format json --output-file "/tmp/r.json"',
+    );
+    assert.deepEqual(getLintReporterSetup('biome', 'npx biome lint .', '/tmp/r.json'), {
+      command: 'npx biome lint . --reporter=json',
+      reportFile: null,
+    });
+    assert.equal(
+      getLintReporterSetup('ruff', 'ruff check .', '/tmp/r.json').command,
+      'ruff check . --output-format=json --output-file="/tmp/r.json"',
+    );
+  });
+
+  it('should leave commands that already choose a format alone', () => {
+    assert.equal(getLintReporterSetup('eslint', 'eslint -f stylish .', '/tmp/r'), null);
+    assert.equal(getLintReporterSetup('unknown', 'standard', '/tmp/r'), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Parsers
+// ---------------------------------------------------------------------------
+
+describe('parseEslintJson', () => {
+  it('should read findings with rule, file, line and severity', () => {
+    const report = parseEslintJson(JSON.stringify([
+      {
+        filePath: '/repo/src/a.js',
+        messages: [
+          { ruleId: 'no-undef', severity: 2, message: "'x' is not defined.", line: 3 },
+          { ruleId: 'no-console', severity: 1, message: 'Unexpected console statement.', line: 9 },
+        ],
+      },
+      { filePath: '/repo/src/b.js', messages: [] },
+    ]), { projectDir: '/repo' });
+
+    assert.deepEqual([report.errors, report.warnings], [1, 1]);
+    assert.deepEqual(report.findings[0], {
+      rule: 'no-undef',
+      file: join('src', 'a.js'),
+      line: 3,
+      severity: 'error',
+      message: "'x' is not defined.",
+    });
+  });
+
+  it('should find the report after an npm banner', () => {
+    const report = parseEslintJson('\n> app@1.0.0 lint\n> eslint .\n\n[{"filePath":"a.js","messages":[{"severity":2,"message":"Parsing error","fatal":true}]}]\n');
+    assert.equal(report.errors, 1);
+    assert.equal(report.findings[0].rule, null);
+  });
+
+  it('should return null for non-JSON output', () => {
+    assert.equal(parseEslintJson('1 problem (1 error, 0 warnings)'), null);
+  });
+});
+
+describe('parseBiomeJson', () => {
+  it('should read diagnostics and skip informational ones', () => {
+    const report = parseBiomeJson({
+      summary: { errors: 1, warnings: 1 },
+      diagnostics: [
+        { category: 'lint/suspicious/noDebugger', severity: 'error', description: 'This is an unexpected use of the debugger statement.', location: { path: { file: 'src/a.js' } } },
+        { category: 'lint/style/useConst', severity: 'warning', description: 'This let declares a variable that is only assigned once.', location: { path: { file: 'src/b.js' } } },
+        { category: 'format', severity: 'information', description: 'Formatter would have printed different content.' },
+      ],
+    });
+
+    assert.deepEqual([report.errors, report.warnings], [1, 1]);
+    assert.equal(report.findings[0].rule, 'lint/suspicious/noDebugger');
+    assert.equal(report.findings[0].file, 'src/a.js');
+    assert.equal(report.findings[0].line, null);
+  });
+});
+
+describe('parseRuffJson', () => {
+  it('should count every violation as an error', () => {
+    const report = parseRuffJson(JSON.stringify([
+      { code: 'F401', message: '`os` imported but unused', filename: '/repo/app.py', location: { row: 1, column: 8 } },
+    ]), { projectDir: '/repo' });
+
+    assert.deepEqual([report.errors, report.warnings], [1, 0]);
+    assert.deepEqual(report.findings[0], {
+      rule: 'F401',
+      file: 'app.py',
+      line: 1,
+      severity: 'error',
+      message: '`os` imported but unused',
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Allowance
+// ---------------------------------------------------------------------------
+
+describe('loadLintAllowance', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-lint-allowance-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should default to no errors and unlimited warnings', () => {
+    assert.deepEqual(loadLintAllowance(dir), { errors: 0, warnings: null });
+  });
+
+  it('should read max_errors and max_warnings from config.yaml', () => {
+    mkdirSync(join(dir, 'chati.dev'));
+    writeFileSync(join(dir, 'chati.dev', 'config.yaml'), 'lint:\n  max_errors: 2\n  max_warnings: 10\n');
+    assert.deepEqual(loadLintAllowance(dir), { errors: 2, warnings: 10 });
+  });
+});
+
+describe('scoreLint', () => {
+  it('should pass within the allowance', () => {
+    assert.deepEqual(scoreLint({ errors: 1, warnings: 40 }, { errors: 1, warnings: null }), {
+      passed: true,
+      score: 100,
+      excessErrors: 0,
+      excessWarnings: 0,
+    });
+  });
+
+  it('should take points for errors and warnings over the allowance', () => {
+    const scored = scoreLint({ errors: 3, warnings: 15 }, { errors: 0, warnings: 10 });
+    assert.equal(scored.passed, false);
+    assert.equal(scored.score, 65);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getReporterSetup,
+  parseTapOutput,
+  parseJestJson,
+  parseJUnitXml,
+} from '../../src/quality/test-reporters.js';
+
+// ---------------------------------------------------------------------------
+// getReporterSetup
+// ---------------------------------------------------------------------------
+
+describe('getReporterSetup', () => {
+  it('should pass the TAP reporter to node:test through NODE_OPTIONS', () => {
+    const setup = getReporterSetup('node:test', 'npm test', '/tmp/report');
+    assert.equal(setup.format, 'tap');
+    assert.equal(setup.command, 'npm test');
+    assert.match(setup.env.NODE_OPTIONS, /--test-reporter=tap$/);
+  });
+
+  it('should add report file flags, after -- for npm scripts', () => {
+    assert.equal(
+      getReporterSetup('jest', 'npm test', '/tmp/report').command,
+      'npm test -- --json --outputFile="/tmp/report"',
+    );
+    assert.equal(
+      getReporterSetup('vitest', 'npx vitest run', '/tmp/report').command,
+      'npx vitest run --reporter=json --outputFile="/tmp/report"',
+    );
+    assert.equal(
+      getReporterSetup('mocha', 'npx mocha', '/tmp/report').command,
+      'npx mocha --reporter=xunit --reporter-option output="/tmp/report"',
+    );
+  });
+
+  it('should leave commands that already choose a reporter alone', () => {
+    assert.equal(getReporterSetup('node:test', 'node --test --test-reporter=spec', '/tmp/r'), null);
+    assert.equal(getReporterSetup('jest', 'npx jest --json', '/tmp/r'), null);
+    assert.equal(getReporterSetup('unknown', 'make test', '/tmp/r'), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseTapOutput
+// ---------------------------------------------------------------------------
+
+const TAP = `TAP version 13
+# Subtest: adds
+ok 1 - adds
+  ---
+  duration_ms: 1.5
+  ...
+# Subtest: cart
+    # Subtest: applies discounts
+    not ok 1 - applies discounts
+      ---
+      duration_ms: 0.34
+      location: '/repo/test/cart.test.js:12:5'
+      failureType: 'testCodeFailure'
+      error: |-
+        Expected values to be strictly equal:
+
+        90 !== 80
+      code: 'ERR_ASSERTION'
+      stack: |-
+        TestContext.<anonymous> (file:///repo/test/cart.test.js:13:12)
+      ...
+    1..1
+not ok 2 - cart
+  ---
+  duration_ms: 3.4
+  type: 'suite'
+  location: '/repo/test/cart.test.js:10:1'
+  error: '1 subtest failed'
+  ...
+# Subtest: later
+ok 3 - later # SKIP
+  ---
+  duration_ms: 0.1
+  ...
+1..3
+# tests 3
+# pass 1
+# fail 1
+# skipped 1
+`;
+
+describe('parseTapOutput', () => {
+  it('should return per-test results without counting suites', () => {
+    const report = parseTapOutput(TAP, { projectDir: '/repo' });
+    assert.deepEqual(
+      { total: report.total, passed: report.passed, failed: report.failed, skipped: report.skipped },
+      { total: 3, passed: 1, failed: 1, skipped: 1 },
+    );
+    assert.deepEqual(report.tests.map((t) => [t.name, t.status]), [
+      ['adds', 'passed'],
+      ['cart > applies discounts', 'failed'],
+      ['later', 'skipped'],
+    ]);
+  });
+
+  it('should read file, duration, message and stack of failures', () => {
+    const failed = parseTapOutput(TAP, { projectDir: '/repo' }).tests[1];
+    assert.equal(failed.file, 'test/cart.test.js');
+    assert.equal(failed.duration, 0.34);
+    assert.equal(failed.failure.message, 'Expected values to be strictly equal:\n\n90 !== 80');
+    assert.match(failed.failure.stack, /cart\.test\.js:13:12/);
+  });
+
+  it('should return null for output without test points', () => {
+    assert.equal(parseTapOutput('Error: Cannot find module'), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseJestJson
+// ---------------------------------------------------------------------------
+
+describe('parseJestJson', () => {
+  const report = {
+    numTotalTests: 3,
+    numPassedTests: 1,
+    numFailedTests: 1,
+    numPendingTests: 1,
+    testResults: [{
+      name: '/repo/src/cart.test.js',
+      status: 'failed',
+      assertionResults: [
+        { fullName: 'Cart adds items', status: 'passed', duration: 4 },
+        {
+          fullName: 'Cart applies discounts',
+          status: 'failed',
+          duration: 2,
+          failureMessages: ['Error: expect(received).toBe(expected)\n    at Object.<anonymous> (/repo/src/cart.test.js:9:5)'],
+        },
+        { ancestorTitles: ['Cart'], title: 'todo', status: 'pending', duration: null },
+      ],
+    }],
+  };
+
+  it('should read jest and vitest JSON reports', () => {
+    const parsed = parseJestJson(JSON.stringify(report), { projectDir: '/repo' });
+    assert.equal(parsed.total, 3);
+    assert.equal(parsed.failed, 1);
+    assert.deepEqual(parsed.tests[1], {
+      name: 'Cart applies discounts',
+      file: 'src/cart.test.js',
+      status: 'failed',
+      duration: 2,
+      failure: {
+        message: 'Error: expect(received).toBe(expected)',
+        stack: 'at Object.<anonymous> (/repo/src/cart.test.js:9:5)',
+      },
+    });
+    assert.equal(parsed.tests[2].name, 'Cart > todo');
+    assert.equal(parsed.tests[2].status, 'skipped');
+  });
+
+  it('should report test files that failed to load', () => {
+    const parsed = parseJestJson({
+      testResults: [{ name: '/repo/a.test.js', status: 'failed', message: 'SyntaxError: Unexpected token', assertionResults: [] }],
+    }, { projectDir: '/repo' });
+    assert.equal(parsed.failed, 1);
+    assert.equal(parsed.tests[0].failure.message, 'SyntaxError: Unexpected token');
+  });
+
+  it('should return null for invalid JSON', () => {
+    assert.equal(parseJestJson('not json'), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseJUnitXml
+// ---------------------------------------------------------------------------
+
+describe('parseJUnitXml', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuite name="Mocha Tests" tests="3" failures="1" errors="0" skipped="1" time="0.012">
+<testcase classname="Router" name="Router handles 200" time="0.001"/>
+<testcase classname="Router" name="Router handles 404" time="0.004" file="/repo/test/router.spec.js"><failure>expected 500 to equal 404
+AssertionError: expected 500 to equal 404
+    at Context.&lt;anonymous&gt; (test/router.spec.js:8:20)</failure></testcase>
+<testcase classname="Router" name="Router handles 301" time="0"><skipped/></testcase>
+</testsuite>`;
+
+  it('should read test cases with failures', () => {
+    const parsed = parseJUnitXml(xml, { projectDir: '/repo' });
+    assert.deepEqual([parsed.total, parsed.passed, parsed.failed, parsed.skipped], [3, 1, 1, 1]);
+
+    const failed = parsed.tests[1];
+    assert.equal(failed.name, 'Router handles 404');
+    assert.equal(failed.file, 'test/router.spec.js');
+    assert.equal(failed.duration, 4);
+    assert.equal(failed.failure.message, 'expected 500 to equal 404');
+    assert.match(failed.failure.stack, /Context\.<anonymous>/);
+  });
+
+  it('should prefer the failure message attribute', () => {
+    const parsed = parseJUnitXml('<testcase classname="a" name="b"><failure message="boom &amp; bust">trace</failure></testcase>');
+    assert.equal(parsed.tests[0].name, 'a > b');
+    assert.deepEqual(parsed.tests[0].failure, { message: 'boom & bust', stack: 'trace' });
+  });
+
+  it('should return null without test cases', () => {
+    assert.equal(parseJUnitXml('<testsuites/>'), null);
+  });
+});
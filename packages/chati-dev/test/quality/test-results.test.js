@@ -0,0 +1,104 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  recordTestResults,
+  loadTestResults,
+  getTestEvidence,
+  MAX_RECORDED_FAILURES,
+} from '../../src/quality/test-results.js';
+import { getMetricsHistory, METRIC_TYPES } from '../../src/quality/metrics-collector.js';
+
+function failedTest(name) {
+  return {
+    name,
+    file: 'test/cart.test.js',
+    status: 'failed',
+    duration: 3,
+    failure: { message: 'Expected values to be strictly equal:\n\n1 !== 2', stack: 'at test/cart.test.js:4:10' },
+  };
+}
+
+const RUN = {
+  success: false,
+  total: 3,
+  passed: 1,
+  failed: 2,
+  skipped: 0,
+  runner: 'node:test',
+  tests: [
+    { name: 'adds', file: 'test/cart.test.js', status: 'passed', duration: 1, failure: null },
+    failedTest('applies discounts'),
+    failedTest('rounds totals'),
+  ],
+};
+
+describe('recordTestResults', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-test-results-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should store failing tests and record test and failure counts', () => {
+    recordTestResults(dir, RUN);
+
+    const stored = loadTestResults(dir);
+    assert.equal(stored.success, false);
+    assert.deepEqual([stored.total, stored.passed, stored.failed], [3, 1, 2]);
+    assert.deepEqual(stored.failing.map((t) => t.name), ['applies discounts', 'rounds totals']);
+    assert.equal(stored.failing[0].file, 'test/cart.test.js');
+    assert.match(stored.failing[0].message, /^Expected values/);
+    assert.ok(stored.collectedAt);
+    assert.equal(getMetricsHistory(dir, { type: METRIC_TYPES.TEST_COUNT }).metrics[0].value, 3);
+    assert.equal(getMetricsHistory(dir, { type: METRIC_TYPES.TEST_FAILURES }).metrics[0].value, 2);
+  });
+
+  it('should cap the failing tests it lists', () => {
+    const tests = Array.from({ length: MAX_RECORDED_FAILURES + 5 }, (_, i) => failedTest(`case ${i}`));
+    recordTestResults(dir, { ...RUN, total: tests.length, passed: 0, failed: tests.length, tests });
+
+    const stored = loadTestResults(dir);
+    assert.equal(stored.failing.length, MAX_RECORDED_FAILURES);
+    assert.equal(stored.failed, MAX_RECORDED_FAILURES + 5);
+  });
+});
+
+describe('getTestEvidence', () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chati-test-evidence-'));
+    mkdirSync(join(dir, 'src'));
+    writeFileSync(join(dir, 'src', 'cart.js'), 'export const total = () => 0;\n');
+  });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should leave passed null without recorded results', () => {
+    assert.deepEqual(getTestEvidence(dir), { report: null, stale: false, passed: null, failing: [] });
+  });
+
+  it('should report the failing tests of the latest run', () => {
+    recordTestResults(dir, RUN);
+
+    const evidence = getTestEvidence(dir);
+    assert.equal(evidence.stale, false);
+    assert.equal(evidence.passed, false);
+    assert.equal(evidence.failing.length, 2);
+  });
+
+  it('should pass a clean run', () => {
+    recordTestResults(dir, { ...RUN, success: true, passed: 3, failed: 0, tests: [] });
+    assert.equal(getTestEvidence(dir).passed, true);
+  });
+
+  it('should ignore results recorded before the sources changed', () => {
+    recordTestResults(dir, RUN);
+    const later = new Date(Date.now() + 60_000);
+    utimesSync(join(dir, 'src', 'cart.js'), later, later);
+
+    const evidence = getTestEvidence(dir);
+    assert.equal(evidence.stale, true);
+    assert.equal(evidence.passed, null);
+    assert.deepEqual(evidence.failing, []);
+  });
+});
@@ -1,12 +1,19 @@
-import { describe, it } from 'node:test';
+import { describe, it, after } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import {
   detectTestCommand,
+  detectLintCommand,
   parseTestOutput,
+  runTests,
+  runLint,
 } from '../../src/quality/test-runner.js';
+import { loadTestResults } from '../../src/quality/test-results.js';
+import { getMetricsHistory, METRIC_TYPES } from '../../src/quality/metrics-collector.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -140,3 +147,124 @@ describe('parseTestOutput — generic/unknown', () => {
     assert.equal(result.total, 0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// runTests — structured reports
+// ---------------------------------------------------------------------------
+
+describe('runTests — structured reports', () => {
+  const projectDir = mkdtempSync(join(tmpdir(), 'chati-run-tests-'));
+  writeFileSync(join(projectDir, 'package.json'), JSON.stringify({ type: 'module', scripts: { test: 'node --test' } }));
+  mkdirSync(join(projectDir, 'test'));
+  writeFileSync(join(projectDir, 'test', 'math.test.js'), [
+    "import { test } from 'node:test';",
+    "import assert from 'node:assert/strict';",
+    "test('adds', () => assert.equal(1 + 1, 2));",
+    "test('divides', () => assert.equal(1 / 2, 1));",
+  ].join('\n'));
+  // Nested node:test runs report to this runner unless the context is dropped
+  const command = 'env -u NODE_TEST_CONTEXT node --test';
+
+  after(() => rmSync(projectDir, { recursive: true, force: true }));
+
+  it('should return per-test results from node:test TAP', () => {
+    const result = runTests(projectDir, { command });
+
+    assert.equal(result.format, 'tap');
+    assert.equal(result.success, false);
+    assert.deepEqual([result.total, result.passed, result.failed], [2, 1, 1]);
+    const failed = result.tests.find((t) => t.status === 'failed');
+    assert.equal(failed.name, 'divides');
+    assert.equal(failed.file, join('test', 'math.test.js'));
+    assert.match(failed.failure.message, /strictly equal/);
+    assert.ok(failed.failure.stack);
+  });
+
+  it('should scrape counts when structured reports are disabled', () => {
+    const result = runTests(projectDir, { command, structured: false });
+
+    assert.equal(result.format, 'text');
+    assert.deepEqual(result.tests, []);
+    assert.equal(result.failed, 1);
+  });
+
+  it('should collect and record coverage when asked', () => {
+    writeFileSync(join(projectDir, 'math.js'), 'export const half = (n) => (n > 0 ? n / 2 : 0);\n');
+    writeFileSync(join(projectDir, 'test', 'half.test.js'), [
+      "import { test } from 'node:test';",
+      "import assert from 'node:assert/strict';",
+      "import { half } from '../math.js';",
+      "test('halves', () => assert.equal(half(4), 2));",
+    ].join('\n'));
+
+    const result = runTests(projectDir, { command, coverage: true });
+
+    assert.equal(result.coverage.source, 'node:test');
+    assert.equal(typeof result.coverage.lines, 'number');
+    assert.ok(result.coverage.files.some((f) => f.file === 'math.js'));
+    assert.ok(existsSync(join(projectDir, '.chati', 'coverage', 'latest.json')));
+  });
+
+  it('should not collect coverage by default', () => {
+    assert.equal(runTests(projectDir, { command }).coverage, null);
+  });
+
+  it('should record results for gate G4 only when asked', () => {
+    runTests(projectDir, { command });
+    assert.equal(loadTestResults(projectDir), null);
+
+    const result = runTests(projectDir, { command, record: true });
+    const stored = loadTestResults(projectDir);
+
+    assert.equal(stored.success, false);
+    assert.equal(stored.failed, result.failed);
+    assert.deepEqual(stored.failing.map((t) => [t.name, t.file]), [['divides', join('test', 'math.test.js')]]);
+    assert.equal(getMetricsHistory(projectDir, { type: METRIC_TYPES.TEST_FAILURES }).metrics[0].value, 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// runLint — structured reports
+// ---------------------------------------------------------------------------
+
+describe('runLint — structured reports', () => {
+  const projectDir = mkdtempSync(join(tmpdir(), 'chati-run-lint-'));
+  // Stands in for eslint: writes the JSON report it is asked for, or stylish text
+  writeFileSync(join(projectDir, 'eslint.cjs'), [
+    'const i = process.argv.indexOf("--output-file");',
+    'const report = [{ filePath: "src/a.js", messages: [{ ruleId: "no-undef", severity: 2, message: "x is not defined", line: 4 }] }];',
+    'if (i !== -1) require("fs").writeFileSync(process.argv[i + 1], JSON.stringify(report));',
+    'else console.log("1 problem (1 error, 0 warnings)");',
+    'process.exit(1);',
+  ].join('\n'));
+  writeFileSync(join(projectDir, 'package.json'), JSON.stringify({ scripts: { lint: 'node eslint.cjs' } }));
+
+  after(() => rmSync(projectDir, { recursive: true, force: true }));
+
+  it('should detect the lint script and its linter', () => {
+    assert.deepEqual(detectLintCommand(projectDir), { command: 'npm run lint', linter: 'eslint', detected: true });
+  });
+
+  it('should return findings from the ESLint JSON report', () => {
+    const result = runLint(projectDir);
+
+    assert.equal(result.format, 'json');
+    assert.equal(result.success, false);
+    assert.equal(result.errors, 1);
+    assert.deepEqual(result.findings[0], {
+      rule: 'no-undef',
+      file: 'src/a.js',
+      line: 4,
+      severity: 'error',
+      message: 'x is not defined',
+    });
+  });
+
+  it('should scrape counts when structured reports are disabled', () => {
+    const result = runLint(projectDir, { structured: false });
+
+    assert.equal(result.format, 'text');
+    assert.equal(result.errors, 1);
+    assert.deepEqual(result.findings, []);
+  });
+});
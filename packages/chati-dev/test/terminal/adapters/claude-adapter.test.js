@@ -4,7 +4,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { buildCommand } from '../../../src/terminal/adapters/claude-adapter.js';
+import { buildCommand, parseOutput, parseStreamLine } from '../../../src/terminal/adapters/claude-adapter.js';
 
 const PROVIDER = {
   command: 'claude',
@@ -48,4 +48,75 @@ describe('claude-adapter', () => {
     const result = buildCommand({}, PROVIDER);
     assert.equal(result.stdinPrompt, null);
   });
+
+  it('requests stream-json output when streaming structured output', () => {
+    const result = buildCommand({ structuredOutput: true, stream: true }, PROVIDER);
+    const idx = result.args.indexOf('--output-format');
+    assert.equal(result.args[idx + 1], 'stream-json');
+    assert.ok(result.args.includes('--verbose'));
+  });
+});
+
+describe('claude-adapter parseStreamLine', () => {
+  it('returns the text blocks of assistant events', () => {
+    const line = JSON.stringify({
+      type: 'assistant',
+      message: { content: [{ type: 'text', text: 'Hello ' }, { type: 'tool_use', name: 'Read' }, { type: 'text', text: 'world' }] },
+    });
+    assert.equal(parseStreamLine(line), 'Hello world');
+  });
+
+  it('returns null for non-assistant events and non-JSON lines', () => {
+    assert.equal(parseStreamLine(JSON.stringify({ type: 'system', subtype: 'init' })), null);
+    assert.equal(parseStreamLine(JSON.stringify({ type: 'result', result: 'Done' })), null);
+    assert.equal(parseStreamLine('not json'), null);
+  });
+});
+
+describe('claude-adapter parseOutput', () => {
+  const RESULT = {
+    type: 'result',
+    subtype: 'success',
+    result: 'Done.\n<chati-handoff>\nstatus: complete\n</chati-handoff>',
+    total_cost_usd: 0.0421,
+    usage: {
+      input_tokens: 1200,
+      output_tokens: 800,
+      cache_read_input_tokens: 30000,
+      cache_creation_input_tokens: 5000,
+    },
+  };
+
+  it('requests JSON output when structuredOutput is set', () => {
+    const result = buildCommand({ structuredOutput: true }, PROVIDER);
+    assert.deepEqual(result.args.slice(-2), ['--output-format', 'json']);
+  });
+
+  it('extracts text and usage from --output-format json', () => {
+    const { text, usage } = parseOutput(JSON.stringify(RESULT));
+    assert.ok(text.includes('<chati-handoff>'));
+    assert.deepEqual(usage, {
+      inputTokens: 1200,
+      outputTokens: 800,
+      cacheReadTokens: 30000,
+      cacheWriteTokens: 5000,
+      reportedCost: 0.0421,
+    });
+  });
+
+  it('finds the result event in stream-json output', () => {
+    const stream = [
+      JSON.stringify({ type: 'system', subtype: 'init' }),
+      JSON.stringify({ type: 'assistant', message: { content: [] } }),
+      JSON.stringify(RESULT),
+    ].join('\n');
+    const { usage } = parseOutput(stream);
+    assert.equal(usage.outputTokens, 800);
+  });
+
+  it('passes plain text through with null usage', () => {
+    const { text, usage } = parseOutput('just text');
+    assert.equal(text, 'just text');
+    assert.equal(usage, null);
+  });
 });
@@ -4,7 +4,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { buildCommand } from '../../../src/terminal/adapters/codex-adapter.js';
+import { buildCommand, parseOutput, parseStreamLine } from '../../../src/terminal/adapters/codex-adapter.js';
 
 const PROVIDER = {
   command: 'codex',
@@ -52,3 +52,43 @@ describe('codex-adapter', () => {
     assert.equal(result.stdinPrompt, null);
   });
 });
+
+describe('codex-adapter parseOutput', () => {
+  it('adds --json before the stdin marker when structuredOutput is set', () => {
+    const result = buildCommand({ structuredOutput: true }, PROVIDER);
+    assert.deepEqual(result.args.slice(-2), ['--json', '-']);
+  });
+
+  it('joins agent messages and sums turn usage', () => {
+    const stdout = [
+      JSON.stringify({ type: 'thread.started', thread_id: 'x' }),
+      JSON.stringify({ type: 'item.completed', item: { type: 'reasoning', text: 'thinking' } }),
+      JSON.stringify({ type: 'item.completed', item: { type: 'agent_message', text: 'First' } }),
+      JSON.stringify({ type: 'turn.completed', usage: { input_tokens: 900, cached_input_tokens: 300, output_tokens: 120 } }),
+      JSON.stringify({ type: 'item.completed', item: { type: 'agent_message', text: 'Second' } }),
+      JSON.stringify({ type: 'turn.completed', usage: { input_tokens: 100, output_tokens: 30 } }),
+    ].join('\n');
+    const { text, usage } = parseOutput(stdout);
+    assert.equal(text, 'First\nSecond');
+    assert.equal(usage.inputTokens, 700);
+    assert.equal(usage.cacheReadTokens, 300);
+    assert.equal(usage.outputTokens, 150);
+  });
+
+  it('passes plain text through with null usage', () => {
+    assert.deepEqual(parseOutput('hello'), { text: 'hello', usage: null });
+  });
+});
+
+describe('codex-adapter parseStreamLine', () => {
+  it('returns agent message text', () => {
+    const line = JSON.stringify({ type: 'item.completed', item: { type: 'agent_message', text: 'First' } });
+    assert.equal(parseStreamLine(line), 'First');
+  });
+
+  it('returns null for reasoning, usage and non-JSON lines', () => {
+    assert.equal(parseStreamLine(JSON.stringify({ type: 'item.completed', item: { type: 'reasoning', text: 'hmm' } })), null);
+    assert.equal(parseStreamLine(JSON.stringify({ type: 'turn.completed', usage: { input_tokens: 1 } })), null);
+    assert.equal(parseStreamLine('plain'), null);
+  });
+});
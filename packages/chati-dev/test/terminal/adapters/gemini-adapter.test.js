@@ -4,7 +4,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { buildCommand } from '../../../src/terminal/adapters/gemini-adapter.js';
+import { buildCommand, parseOutput } from '../../../src/terminal/adapters/gemini-adapter.js';
 
 const PROVIDER = {
   command: 'gemini',
@@ -48,3 +48,37 @@ describe('gemini-adapter', () => {
     assert.equal(result.stdinPrompt, null);
   });
 });
+
+describe('gemini-adapter parseOutput', () => {
+  it('requests JSON output when structuredOutput is set', () => {
+    const result = buildCommand({ structuredOutput: true }, PROVIDER);
+    assert.deepEqual(result.args, ['--output-format', 'json']);
+  });
+
+  it('splits cached prompt tokens and counts thoughts as output', () => {
+    const stdout = JSON.stringify({
+      response: 'Plan ready',
+      stats: {
+        models: {
+          'gemini-2.5-pro': { tokens: { prompt: 1000, candidates: 200, cached: 400, thoughts: 50, total: 1250 } },
+          'gemini-2.5-flash': { tokens: { prompt: 100, candidates: 10 } },
+        },
+      },
+    });
+    const { text, usage } = parseOutput(stdout);
+    assert.equal(text, 'Plan ready');
+    assert.equal(usage.inputTokens, 700);
+    assert.equal(usage.cacheReadTokens, 400);
+    assert.equal(usage.outputTokens, 260);
+  });
+
+  it('returns null usage when stats are missing', () => {
+    const { text, usage } = parseOutput(JSON.stringify({ response: 'ok' }));
+    assert.equal(text, 'ok');
+    assert.equal(usage, null);
+  });
+
+  it('passes non-JSON output through', () => {
+    assert.deepEqual(parseOutput('plain'), { text: 'plain', usage: null });
+  });
+});
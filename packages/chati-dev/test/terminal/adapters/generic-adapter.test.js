@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Tests for the generic adapter used by custom providers.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCommand } from '../../../src/terminal/adapters/generic-adapter.js';
+
+const PROVIDER = {
+  command: 'aider',
+  baseArgs: ['--yes-always'],
+  modelFlag: '--model',
+  stdinSupport: true,
+  promptFlag: null,
+  modelMap: { sonnet: 'anthropic/claude-sonnet-4-5' },
+};
+
+describe('generic-adapter', () => {
+  it('copies baseArgs and resolves model from modelMap', () => {
+    const result = buildCommand({ model: 'sonnet' }, PROVIDER);
+    assert.equal(result.command, 'aider');
+    assert.deepEqual(result.args, ['--yes-always', '--model', 'anthropic/claude-sonnet-4-5']);
+  });
+
+  it('does not mutate provider.baseArgs', () => {
+    buildCommand({ model: 'sonnet' }, PROVIDER);
+    assert.deepEqual(PROVIDER.baseArgs, ['--yes-always']);
+  });
+
+  it('pipes prompt via stdin when supported', () => {
+    const result = buildCommand({ prompt: 'do it' }, PROVIDER);
+    assert.equal(result.stdinPrompt, 'do it');
+    assert.ok(!result.args.includes('do it'));
+  });
+
+  it('passes prompt as argument after promptFlag when stdin is unsupported', () => {
+    const provider = { ...PROVIDER, stdinSupport: false, promptFlag: '--message' };
+    const result = buildCommand({ prompt: 'do it' }, provider);
+    assert.equal(result.stdinPrompt, null);
+    assert.deepEqual(result.args.slice(-2), ['--message', 'do it']);
+  });
+
+  it('skips model flag when provider has none', () => {
+    const provider = { ...PROVIDER, modelFlag: null };
+    const result = buildCommand({ model: 'sonnet' }, provider);
+    assert.deepEqual(result.args, ['--yes-always']);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Tests for the mock adapter (fixture replay provider).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  buildCommand,
+  resolveFixturesDir,
+  findFixture,
+  loadFixture,
+  renderHandoff,
+  MOCK_CLI_PATH,
+} from '../../../src/terminal/adapters/mock-adapter.js';
+import { parseAgentOutput } from '../../../src/terminal/handoff-parser.js';
+
+const PROVIDER = {
+  command: process.execPath,
+  baseArgs: [MOCK_CLI_PATH],
+  modelFlag: '--model',
+  modelMap: { mock: 'mock' },
+};
+
+describe('mock-adapter buildCommand', () => {
+  it('runs the mock CLI with fixtures, agent and task id', () => {
+    const result = buildCommand({ agent: 'dev', taskId: 'T1', workingDir: '/proj', prompt: 'hi' }, PROVIDER);
+    assert.equal(result.command, process.execPath);
+    assert.deepEqual(result.args, [
+      MOCK_CLI_PATH,
+      '--fixtures', join('/proj', 'chati.dev', 'mock-fixtures'),
+      '--agent', 'dev',
+      '--task-id', 'T1',
+    ]);
+    assert.equal(result.stdinPrompt, 'hi');
+  });
+
+  it('prefers config.mockFixtures over the default directory', () => {
+    assert.equal(resolveFixturesDir({ workingDir: '/proj', mockFixtures: 'fx' }), join('/proj', 'fx'));
+    assert.equal(resolveFixturesDir({ workingDir: '/proj', mockFixtures: '/abs/fx' }), '/abs/fx');
+  });
+
+  it('passes the model flag through', () => {
+    const result = buildCommand({ agent: 'dev', taskId: 'T1', model: 'mock' }, PROVIDER);
+    assert.deepEqual(result.args.slice(-2), ['--model', 'mock']);
+  });
+});
+
+describe('mock-adapter fixtures', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chati-mock-fx-'));
+    mkdirSync(join(dir, 'dev'));
+    writeFileSync(join(dir, 'dev', 'T1.yaml'), 'stdout: exact\n');
+    writeFileSync(join(dir, 'dev', 'default.json'), '{"stdout": "dev default"}');
+    writeFileSync(join(dir, 'brief.yml'), 'stdout: flat\n');
+    writeFileSync(join(dir, 'default.yaml'), 'stdout: global\n');
+    writeFileSync(join(dir, 'bad.yaml'), '- not\n- a mapping\n');
+    writeFileSync(join(dir, 'full.yaml'), [
+      'stdout: [one, two]',
+      'stderr: warn',
+      'delay: 50',
+      'exit_code: 3',
+      'handoff: { status: APPROVED }',
+      'files: { out.md: "# Out" }',
+    ].join('\n'));
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('finds fixtures from most to least specific', () => {
+    assert.equal(findFixture(dir, 'dev', 'T1'), join(dir, 'dev', 'T1.yaml'));
+    assert.equal(findFixture(dir, 'dev', 'T2'), join(dir, 'dev', 'default.json'));
+    assert.equal(findFixture(dir, 'brief', 'x'), join(dir, 'brief.yml'));
+    assert.equal(findFixture(dir, 'ux', 'x'), join(dir, 'default.yaml'));
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(findFixture(join(dir, 'missing'), 'dev', 'T1'), null);
+  });
+
+  it('normalizes fixture fields', () => {
+    assert.deepEqual(loadFixture(join(dir, 'full.yaml')), {
+      stdout: ['one', 'two'],
+      stderr: 'warn',
+      delay: 50,
+      exitCode: 3,
+      handoff: { status: 'APPROVED' },
+      files: { 'out.md': '# Out' },
+    });
+    assert.deepEqual(loadFixture(join(dir, 'dev', 'default.json')).stdout, ['dev default']);
+  });
+
+  it('rejects fixtures that are not mappings', () => {
+    assert.throws(() => loadFixture(join(dir, 'bad.yaml')), /must be a mapping/);
+  });
+});
+
+describe('mock-adapter renderHandoff', () => {
+  it('renders fields the handoff parser reads back', () => {
+    const block = renderHandoff({
+      status: 'APPROVED',
+      score: 97,
+      summary: 'Done.',
+      outputs: ['a.md', 'b.md'],
+      decisions: { db: 'postgres' },
+      blockers: [],
+      needs_input_question: null,
+    });
+    const { handoff, valid, warnings } = parseAgentOutput(block);
+    assert.equal(handoff.status, 'APPROVED');
+    assert.equal(handoff.score, 97);
+    assert.deepEqual(handoff.outputs, ['a.md', 'b.md']);
+    assert.deepEqual(handoff.decisions, { db: 'postgres' });
+    assert.deepEqual(handoff.blockers, []);
+    assert.equal(handoff.needs_input_question, null);
+    assert.equal(valid, true);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('wraps a string handoff verbatim', () => {
+    assert.equal(renderHandoff('status: BLOCKED'), '<chati-handoff>\nstatus: BLOCKED\n</chati-handoff>\n');
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { appendLedgerEntry } from '../../src/terminal/cost-ledger.js';
+import {
+  BudgetLevel,
+  DEFAULT_SOFT_THRESHOLD,
+  loadBudgets,
+  hasBudgets,
+  checkBudget,
+  getSpendSummary,
+} from '../../src/terminal/budget.js';
+
+function writeConfig(dir, lines) {
+  mkdirSync(join(dir, 'chati.dev'), { recursive: true });
+  writeFileSync(join(dir, 'chati.dev', 'config.yaml'), lines.join('\n'));
+}
+
+function spend(dir, cost, context, agent = 'dev') {
+  appendLedgerEntry(dir, { agent, model: 'sonnet', taskId: 't', cost, timestamp: new Date().toISOString() }, context);
+}
+
+describe('budget', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'chati-budget-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadBudgets', () => {
+    it('should return no limits without config', () => {
+      const budgets = loadBudgets(tempDir);
+      assert.equal(budgets.softThreshold, DEFAULT_SOFT_THRESHOLD);
+      assert.equal(budgets.session, null);
+      assert.equal(budgets.build, null);
+      assert.deepEqual(budgets.agents, {});
+      assert.equal(hasBudgets(budgets), false);
+    });
+
+    it('should parse limits from config.yaml', () => {
+      writeConfig(tempDir, [
+        'budgets:',
+        '  soft_threshold: 0.5',
+        '  session: 25',
+        '  build: 10',
+        '  agents:',
+        '    dev: 8',
+        '    ux: nope',
+      ]);
+      const budgets = loadBudgets(tempDir);
+      assert.equal(budgets.softThreshold, 0.5);
+      assert.equal(budgets.session, 25);
+      assert.equal(budgets.build, 10);
+      assert.deepEqual(budgets.agents, { dev: 8 });
+      assert.equal(hasBudgets(budgets), true);
+    });
+
+    it('should ignore invalid thresholds and non-positive limits', () => {
+      writeConfig(tempDir, ['budgets:', '  soft_threshold: 2', '  session: 0', '  build: -1']);
+      const budgets = loadBudgets(tempDir);
+      assert.equal(budgets.softThreshold, DEFAULT_SOFT_THRESHOLD);
+      assert.equal(budgets.session, null);
+      assert.equal(budgets.build, null);
+    });
+  });
+
+  describe('checkBudget', () => {
+    it('should allow everything when no budgets are configured', () => {
+      spend(tempDir, 1000, { sessionId: 's1' });
+      const status = checkBudget(tempDir, { sessionId: 's1', agent: 'dev' });
+      assert.equal(status.allowed, true);
+      assert.equal(status.level, BudgetLevel.OK);
+      assert.deepEqual(status.scopes, []);
+    });
+
+    it('should be ok below the soft threshold', () => {
+      writeConfig(tempDir, ['budgets:', '  session: 10']);
+      spend(tempDir, 2, { sessionId: 's1' });
+      const status = checkBudget(tempDir, { sessionId: 's1' });
+      assert.equal(status.allowed, true);
+      assert.equal(status.level, BudgetLevel.OK);
+      assert.equal(status.scopes[0].spent, 2);
+    });
+
+    it('should warn at the soft threshold', () => {
+      writeConfig(tempDir, ['budgets:', '  session: 10']);
+      spend(tempDir, 8.5, { sessionId: 's1' });
+      const status = checkBudget(tempDir, { sessionId: 's1' });
+      assert.equal(status.allowed, true);
+      assert.equal(status.level, BudgetLevel.WARNING);
+      assert.match(status.reason, /Budget warning: session "s1" \$8\.50 of \$10\.00/);
+    });
+
+    it('should refuse at the hard limit', () => {
+      writeConfig(tempDir, ['budgets:', '  session: 10']);
+      spend(tempDir, 6, { sessionId: 's1' });
+      spend(tempDir, 4, { sessionId: 's1' });
+      spend(tempDir, 50, { sessionId: 's2' });
+      const status = checkBudget(tempDir, { sessionId: 's1' });
+      assert.equal(status.allowed, false);
+      assert.equal(status.level, BudgetLevel.EXCEEDED);
+      assert.match(status.reason, /Budget exceeded/);
+    });
+
+    it('should count agent spend within the session', () => {
+      writeConfig(tempDir, ['budgets:', '  agents:', '    dev: 5']);
+      spend(tempDir, 5, { sessionId: 's1' }, 'dev');
+      spend(tempDir, 1, { sessionId: 's1' }, 'ux');
+
+      assert.equal(checkBudget(tempDir, { sessionId: 's1', agent: 'dev' }).allowed, false);
+      assert.equal(checkBudget(tempDir, { sessionId: 's1', agent: 'ux' }).allowed, true);
+      assert.equal(checkBudget(tempDir, { sessionId: 's2', agent: 'dev' }).allowed, true);
+    });
+
+    it('should enforce the build limit by build id', () => {
+      writeConfig(tempDir, ['budgets:', '  build: 3']);
+      spend(tempDir, 3, { buildId: 'build-1' });
+
+      const status = checkBudget(tempDir, { buildId: 'build-1' });
+      assert.equal(status.allowed, false);
+      assert.equal(status.scopes[0].scope, 'build');
+      assert.equal(checkBudget(tempDir, { buildId: 'build-2' }).allowed, true);
+    });
+
+    it('should skip scopes without an id', () => {
+      writeConfig(tempDir, ['budgets:', '  session: 1', '  build: 1']);
+      spend(tempDir, 5, {});
+      const status = checkBudget(tempDir, {});
+      assert.equal(status.allowed, true);
+      assert.deepEqual(status.scopes, []);
+    });
+  });
+
+  describe('getSpendSummary', () => {
+    it('should report totals, session spend and agent scopes', () => {
+      writeConfig(tempDir, ['budgets:', '  session: 10', '  agents:', '    dev: 3.5']);
+      spend(tempDir, 3, { sessionId: 's1' }, 'dev');
+      spend(tempDir, 2, { sessionId: 's0' }, 'dev');
+
+      const summary = getSpendSummary(tempDir, { sessionId: 's1' });
+      assert.equal(summary.totalSpent, 5);
+      assert.equal(summary.sessionSpent, 3);
+      assert.equal(summary.executions, 2);
+      assert.equal(summary.status.scopes[0].scope, 'session');
+      assert.equal(summary.agentScopes.length, 1);
+      assert.equal(summary.agentScopes[0].key, 'dev');
+      assert.equal(summary.agentScopes[0].level, BudgetLevel.WARNING);
+    });
+  });
+});
@@ -15,6 +15,11 @@ import {
   getAllProviders,
   loadEnabledProviders,
   resolveProviderForAgent,
+  registerProvider,
+  unregisterProvider,
+  validateProviderDefinition,
+  loadCustomProviders,
+  _resetCustomProviders,
   PROVIDERS,
 } from '../../src/terminal/cli-registry.js';
 
@@ -61,13 +66,14 @@ describe('getProvider', () => {
 // ---------------------------------------------------------------------------
 
 describe('getAllProviders', () => {
-  it('returns all 3 providers', () => {
+  it('returns all 4 built-in providers', () => {
     const all = getAllProviders();
     const names = Object.keys(all);
-    assert.equal(names.length, 3);
+    assert.equal(names.length, 4);
     assert.ok(names.includes('claude'));
     assert.ok(names.includes('gemini'));
     assert.ok(names.includes('codex'));
+    assert.ok(names.includes('mock'));
   });
 
   it('returns a copy (not the original object)', () => {
@@ -164,12 +170,19 @@ describe('PROVIDERS structure', () => {
     }
   });
 
-  it('all providers have mcpSupport: true', () => {
+  it('all LLM providers have mcpSupport: true', () => {
     for (const [name, config] of Object.entries(PROVIDERS)) {
+      if (name === 'mock') continue;
       assert.equal(config.mcpSupport, true, `${name} should have mcpSupport`);
     }
   });
 
+  it('mock provider runs the bundled mock CLI with node', () => {
+    assert.equal(PROVIDERS.mock.command, process.execPath);
+    assert.ok(PROVIDERS.mock.baseArgs[0].endsWith('mock-cli.js'));
+    assert.equal(PROVIDERS.mock.mcpSupport, false);
+  });
+
 });
 
 // ---------------------------------------------------------------------------
@@ -377,3 +390,180 @@ describe('loadEnabledProviders validation', () => {
     assert.equal(result.primary, 'claude', 'Invalid primary should fall back to claude');
   });
 });
+
+// ---------------------------------------------------------------------------
+// Custom providers
+// ---------------------------------------------------------------------------
+
+describe('validateProviderDefinition', () => {
+  it('accepts a minimal definition', () => {
+    const result = validateProviderDefinition({ name: 'aider', command: 'aider' });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('requires name and command', () => {
+    const result = validateProviderDefinition({});
+    assert.equal(result.valid, false);
+    assert.equal(result.errors.length, 2);
+  });
+
+  it('rejects redefining a built-in provider', () => {
+    const result = validateProviderDefinition({ name: 'claude', command: 'my-claude' });
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0], /built-in/);
+  });
+
+  it('rejects non-function buildCommand and non-array baseArgs', () => {
+    const result = validateProviderDefinition({ name: 'x', command: 'x', buildCommand: 'nope', base_args: '--yes' });
+    assert.equal(result.valid, false);
+    assert.equal(result.errors.length, 2);
+  });
+});
+
+describe('registerProvider', () => {
+  after(() => {
+    _resetCustomProviders();
+  });
+
+  it('makes a custom provider resolvable through getProvider and getAllProviders', () => {
+    const result = registerProvider({
+      name: 'opencode',
+      command: 'opencode',
+      base_args: ['run'],
+      model_map: { sonnet: 'anthropic/claude-sonnet-4-5' },
+    });
+    assert.equal(result.registered, true);
+
+    const provider = getProvider('opencode');
+    assert.equal(provider.command, 'opencode');
+    assert.deepEqual(provider.baseArgs, ['run']);
+    assert.equal(provider.modelFlag, '--model');
+    assert.equal(provider.stdinSupport, true);
+    assert.equal(provider.custom, true);
+    assert.equal(typeof provider.adapter.buildCommand, 'function');
+    assert.ok(getAllProviders().opencode);
+    assert.equal(PROVIDERS.opencode, undefined, 'built-in map must stay untouched');
+  });
+
+  it('uses a supplied buildCommand as the adapter', () => {
+    const buildCommand = () => ({ command: 'wrapped', args: [], stdinPrompt: null });
+    registerProvider({ name: 'wrapper', command: 'wrapper', buildCommand });
+    assert.equal(getProvider('wrapper').adapter.buildCommand, buildCommand);
+  });
+
+  it('returns an error for invalid definitions', () => {
+    const result = registerProvider({ name: 'gemini', command: 'gemini' });
+    assert.equal(result.registered, false);
+    assert.match(result.error, /built-in/);
+  });
+
+  it('unregisterProvider removes only custom providers', () => {
+    registerProvider({ name: 'temp', command: 'temp' });
+    assert.equal(unregisterProvider('temp'), true);
+    assert.equal(unregisterProvider('claude'), false);
+    assert.throws(() => getProvider('temp'), /Unknown CLI provider/);
+  });
+});
+
+describe('loadCustomProviders', () => {
+  let projectDir;
+
+  before(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'chati-custom-prov-'));
+    const configDir = join(projectDir, 'chati.dev');
+    mkdirSync(join(configDir, 'providers'), { recursive: true });
+    writeFileSync(
+      join(configDir, 'config.yaml'),
+      [
+        'providers:',
+        '  claude:',
+        '    enabled: true',
+        '    primary: true',
+        '  aider:',
+        '    enabled: true',
+        '    command: aider',
+        '    base_args: [--yes-always]',
+        '    stdin_support: false',
+        '    prompt_flag: --message',
+        '    model_map:',
+        '      sonnet: anthropic/claude-sonnet-4-5',
+        '  internal:',
+        '    enabled: true',
+        '    model_map:',
+        '      fast: internal-fast',
+        '  gemni:',
+        '    enabled: true',
+        'agent_overrides:',
+        '  dev:',
+        '    provider: aider',
+        '    model: sonnet',
+      ].join('\n')
+    );
+    writeFileSync(
+      join(configDir, 'providers', 'internal.js'),
+      [
+        'export default {',
+        "  name: 'internal',",
+        "  command: 'internal-agent',",
+        "  modelMap: { fast: 'x' },",
+        '};',
+        'export function buildCommand(config, provider) {',
+        "  return { command: provider.command, args: ['--task', config.taskId], stdinPrompt: config.prompt || null };",
+        '}',
+      ].join('\n')
+    );
+    writeFileSync(join(configDir, 'providers', 'broken.js'), 'export default { name: "broken" };\n');
+  });
+
+  after(() => {
+    _resetCustomProviders();
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('registers providers from config.yaml and adapter modules', async () => {
+    const result = await loadCustomProviders(projectDir);
+    assert.ok(result.loaded.includes('aider'));
+    assert.ok(result.loaded.includes('internal'));
+    assert.equal(result.failed, 1);
+    assert.equal(result.errors[0].source, 'broken');
+  });
+
+  it('maps snake_case config fields onto the provider definition', () => {
+    const aider = getProvider('aider');
+    assert.deepEqual(aider.baseArgs, ['--yes-always']);
+    assert.equal(aider.stdinSupport, false);
+    assert.equal(aider.promptFlag, '--message');
+    assert.equal(aider.modelMap.sonnet, 'anthropic/claude-sonnet-4-5');
+  });
+
+  it('merges config.yaml fields over the adapter module definition', () => {
+    const internal = getProvider('internal');
+    assert.equal(internal.command, 'internal-agent');
+    assert.equal(internal.modelMap.fast, 'internal-fast');
+    const cmd = internal.adapter.buildCommand({ taskId: 't1', prompt: 'p' }, internal);
+    assert.deepEqual(cmd.args, ['--task', 't1']);
+  });
+
+  it('includes loaded custom providers in loadEnabledProviders but still drops undeclared typos', () => {
+    const { enabled } = loadEnabledProviders(projectDir);
+    assert.ok(enabled.includes('aider'));
+    assert.ok(enabled.includes('internal'));
+    assert.ok(!enabled.includes('gemni'));
+  });
+
+  it('resolves agent_overrides that target a custom provider', () => {
+    const result = resolveProviderForAgent('dev', projectDir, {});
+    assert.deepEqual(result, { provider: 'aider', model: 'sonnet' });
+  });
+
+  it('returns empty result when project has no custom providers', async () => {
+    const emptyDir = mkdtempSync(join(tmpdir(), 'chati-custom-empty-'));
+    try {
+      const result = await loadCustomProviders(emptyDir);
+      assert.deepEqual(result, { loaded: [], failed: 0, errors: [] });
+    } finally {
+      rmSync(emptyDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -24,6 +24,7 @@ function mockTerminal(overrides = {}) {
     stdout: overrides.stdout || ['design complete\n'],
     stderr: overrides.stderr || [],
     startedAt: overrides.startedAt || new Date(Date.now() - 3000).toISOString(),
+    cancelReason: overrides.cancelReason ?? null,
   };
 }
 
@@ -55,6 +56,20 @@ describe('collector', () => {
       assert.equal(summary.failed, 1);
     });
 
+    it('should count terminals cancelled after a complete handoff as succeeded', () => {
+      const terminals = [
+        mockTerminal({ id: 't1', exitCode: 143, cancelReason: 'handoff_complete' }),
+        mockTerminal({ id: 't2', exitCode: 143, cancelReason: 'idle' }),
+      ];
+
+      const { results, summary } = collectResults('g-cancel', terminals);
+      assert.deepEqual(results.map(r => [r.status, r.cancelReason]), [
+        ['success', 'handoff_complete'],
+        ['failed', 'idle'],
+      ]);
+      assert.equal(summary.succeeded, 1);
+    });
+
     it('should include stdout and stderr in results', () => {
       const terminals = [
         mockTerminal({
@@ -114,6 +129,17 @@ describe('collector', () => {
       assert.ok(merged.outputs[0].includes('architect'));
     });
 
+    it('should record the provider that ran each agent', () => {
+      const merged = mergeHandoffs([
+        { agent: 'architect', status: 'success', provider: 'gemini', model: 'pro', fallbackFrom: 'claude' },
+        { agent: 'ux', status: 'success' },
+      ]);
+      assert.deepEqual(merged.providers, {
+        architect: { provider: 'gemini', model: 'pro', fallbackFrom: 'claude' },
+      });
+      assert.deepEqual(buildConsolidatedHandoff(merged, 'phases').providers, merged.providers);
+    });
+
     it('should handle empty results', () => {
       const merged = mergeHandoffs([]);
       assert.equal(merged.merged, false);
@@ -221,6 +247,23 @@ describe('collector', () => {
       assert.ok(validation.errors.some(e => e.includes('write scope violation')));
     });
 
+    it('should fail results with audited write scope violations', () => {
+      const audit = {
+        method: 'git',
+        agents: ['architect'],
+        changes: [{ path: 'src/index.js', change: 'modified' }],
+        violations: [{ path: 'src/index.js', change: 'modified', agents: ['architect'], reverted: true }],
+      };
+      const { results, summary } = collectResults('g-audit', [mockTerminal()], { audit });
+
+      assert.equal(summary.scopeViolations, 1);
+      assert.deepEqual(results[0].scopeViolations, audit.violations);
+
+      const validation = validateResults(results);
+      assert.equal(validation.valid, false);
+      assert.deepEqual(validation.errors, ['Write scope violation in architect: modified src/index.js (reverted)']);
+    });
+
     it('should handle non-array input', () => {
       const validation = validateResults(null);
       assert.equal(validation.valid, false);
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync, readFileSync, appendFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  LEDGER_FILE,
+  getLedgerPath,
+  appendLedgerEntry,
+  readLedger,
+  getLedgerSpend,
+  resolveSessionId,
+} from '../../src/terminal/cost-ledger.js';
+
+function record(overrides = {}) {
+  return {
+    agent: 'dev',
+    model: 'sonnet',
+    provider: 'claude',
+    taskId: 't1',
+    inputTokens: 1000,
+    outputTokens: 500,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    inputCost: 0.003,
+    outputCost: 0.0075,
+    cost: 0.0105,
+    reportedCost: null,
+    tokenSource: 'reported',
+    pricingVersion: '2026-03-01',
+    duration: 100,
+    timestamp: new Date().toISOString(),
+    ...overrides,
+  };
+}
+
+describe('cost-ledger', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'chati-ledger-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('appendLedgerEntry', () => {
+    it('should create the ledger under .chati/costs', () => {
+      appendLedgerEntry(tempDir, record());
+      assert.equal(getLedgerPath(tempDir), join(tempDir, LEDGER_FILE));
+      assert.ok(existsSync(getLedgerPath(tempDir)));
+    });
+
+    it('should write one JSON line per entry with attribution', () => {
+      appendLedgerEntry(tempDir, record(), { sessionId: 's1', buildId: 'build-1' });
+      appendLedgerEntry(tempDir, record({ agent: 'qa-implementation' }));
+
+      const lines = readFileSync(getLedgerPath(tempDir), 'utf-8').trim().split('\n');
+      assert.equal(lines.length, 2);
+      const first = JSON.parse(lines[0]);
+      assert.equal(first.sessionId, 's1');
+      assert.equal(first.buildId, 'build-1');
+      assert.equal(JSON.parse(lines[1]).sessionId, null);
+    });
+
+    it('should release the ledger lock', () => {
+      appendLedgerEntry(tempDir, record());
+      assert.ok(!existsSync(`${getLedgerPath(tempDir)}.lock`));
+    });
+  });
+
+  describe('readLedger', () => {
+    it('should return empty array when no ledger exists', () => {
+      assert.deepEqual(readLedger(tempDir), []);
+    });
+
+    it('should filter by session, build and agent', () => {
+      appendLedgerEntry(tempDir, record(), { sessionId: 's1', buildId: 'b1' });
+      appendLedgerEntry(tempDir, record({ agent: 'qa-implementation' }), { sessionId: 's1' });
+      appendLedgerEntry(tempDir, record(), { sessionId: 's2', buildId: 'b2' });
+
+      assert.equal(readLedger(tempDir).length, 3);
+      assert.equal(readLedger(tempDir, { sessionId: 's1' }).length, 2);
+      assert.equal(readLedger(tempDir, { buildId: 'b2' }).length, 1);
+      assert.equal(readLedger(tempDir, { sessionId: 's1', agent: 'dev' }).length, 1);
+    });
+
+    it('should filter by since', () => {
+      appendLedgerEntry(tempDir, record({ timestamp: '2026-01-01T00:00:00.000Z' }));
+      appendLedgerEntry(tempDir, record({ timestamp: '2026-03-01T00:00:00.000Z' }));
+
+      const entries = readLedger(tempDir, { since: '2026-02-01' });
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].timestamp, '2026-03-01T00:00:00.000Z');
+    });
+
+    it('should skip malformed lines', () => {
+      appendLedgerEntry(tempDir, record());
+      appendFileSync(getLedgerPath(tempDir), '{"agent": "dev", "cost"\n');
+      appendLedgerEntry(tempDir, record());
+      assert.equal(readLedger(tempDir).length, 2);
+    });
+  });
+
+  describe('getLedgerSpend', () => {
+    it('should total cost and tokens', () => {
+      appendLedgerEntry(tempDir, record({ cacheReadTokens: 200 }), { sessionId: 's1' });
+      appendLedgerEntry(tempDir, record(), { sessionId: 's1' });
+
+      const spend = getLedgerSpend(tempDir, { sessionId: 's1' });
+      assert.equal(spend.count, 2);
+      assert.equal(spend.tokens, 3200);
+      assert.ok(Math.abs(spend.cost - 0.021) < 1e-9);
+    });
+  });
+
+  describe('resolveSessionId', () => {
+    it('should prefer an explicit session id', () => {
+      assert.equal(resolveSessionId({ sessionId: 'abc', started_at: '2026-01-01' }), 'abc');
+      assert.equal(resolveSessionId({ session_id: 'def' }), 'def');
+    });
+
+    it('should fall back to started_at', () => {
+      assert.equal(resolveSessionId({ started_at: '2026-01-01T10:00:00Z' }), '2026-01-01T10:00:00Z');
+      assert.equal(
+        resolveSessionId({ started_at: new Date('2026-01-01T10:00:00Z') }),
+        '2026-01-01T10:00:00.000Z',
+      );
+    });
+
+    it('should return null without session state', () => {
+      assert.equal(resolveSessionId(null), null);
+      assert.equal(resolveSessionId({}), null);
+    });
+  });
+});
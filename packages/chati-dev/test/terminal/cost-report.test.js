@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { join, basename } from 'path';
+import { tmpdir } from 'os';
+import { appendLedgerEntry } from '../../src/terminal/cost-ledger.js';
+import {
+  REPORT_DIMENSIONS,
+  parseSince,
+  buildLedgerReport,
+  formatCostReport,
+  formatCostCsv,
+} from '../../src/terminal/cost-report.js';
+
+function entry(overrides = {}) {
+  return {
+    agent: 'dev',
+    model: 'sonnet',
+    provider: 'claude',
+    taskId: 'impl',
+    inputTokens: 1000,
+    outputTokens: 500,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    inputCost: 0.003,
+    outputCost: 0.0075,
+    cost: 0.0105,
+    tokenSource: 'reported',
+    timestamp: '2026-03-02T10:00:00.000Z',
+    ...overrides,
+  };
+}
+
+describe('cost-report', () => {
+  let projectA;
+  let projectB;
+
+  beforeEach(() => {
+    projectA = mkdtempSync(join(tmpdir(), 'chati-cost-a-'));
+    projectB = mkdtempSync(join(tmpdir(), 'chati-cost-b-'));
+  });
+
+  afterEach(() => {
+    rmSync(projectA, { recursive: true, force: true });
+    rmSync(projectB, { recursive: true, force: true });
+  });
+
+  describe('parseSince', () => {
+    const now = new Date('2026-03-10T00:00:00.000Z');
+
+    it('should parse relative windows', () => {
+      assert.equal(parseSince('24h', now).toISOString(), '2026-03-09T00:00:00.000Z');
+      assert.equal(parseSince('7d', now).toISOString(), '2026-03-03T00:00:00.000Z');
+      assert.equal(parseSince('1w', now).toISOString(), '2026-03-03T00:00:00.000Z');
+    });
+
+    it('should parse dates', () => {
+      assert.equal(parseSince('2026-03-01').toISOString(), '2026-03-01T00:00:00.000Z');
+    });
+
+    it('should reject invalid values', () => {
+      assert.throws(() => parseSince('yesterday'), /Invalid --since value/);
+    });
+  });
+
+  describe('buildLedgerReport', () => {
+    it('should break down spend by agent, model, provider, task and day', () => {
+      appendLedgerEntry(projectA, entry());
+      appendLedgerEntry(projectA, entry({ agent: 'architect', model: 'opus', taskId: 'design', cost: 0.05, timestamp: '2026-03-01T09:00:00.000Z' }));
+
+      const report = buildLedgerReport([projectA]);
+      assert.equal(report.executionCount, 2);
+      assert.equal(report.byAgent.architect.cost, 0.05);
+      assert.equal(report.byModel.sonnet.count, 1);
+      assert.equal(report.byProvider.claude.count, 2);
+      assert.equal(report.byTask.design.count, 1);
+      assert.deepEqual(Object.keys(report.byDay).sort(), ['2026-03-01', '2026-03-02']);
+      assert.equal(report.since, null);
+      assert.equal(report.projects.length, 1);
+    });
+
+    it('should filter by since', () => {
+      appendLedgerEntry(projectA, entry({ timestamp: '2026-02-01T00:00:00.000Z' }));
+      appendLedgerEntry(projectA, entry());
+
+      const report = buildLedgerReport([projectA], { since: new Date('2026-03-01') });
+      assert.equal(report.executionCount, 1);
+      assert.equal(report.since, '2026-03-01T00:00:00.000Z');
+    });
+
+    it('should aggregate several projects and keep per-project agent spend', () => {
+      appendLedgerEntry(projectA, entry({ agent: 'architect', cost: 1 }));
+      appendLedgerEntry(projectB, entry({ agent: 'architect', cost: 2 }));
+      appendLedgerEntry(projectB, entry({ agent: 'dev', cost: 3 }));
+
+      const report = buildLedgerReport([projectA, projectB]);
+      assert.equal(report.totalCost, 6);
+      assert.equal(report.byAgent.architect.cost, 3);
+      assert.equal(report.projects[0].project, basename(projectA));
+      assert.equal(report.projects[1].byAgent.dev.cost, 3);
+      assert.equal(report.projects[1].totalCost, 5);
+    });
+
+    it('should handle projects without a ledger', () => {
+      const report = buildLedgerReport([projectA]);
+      assert.equal(report.executionCount, 0);
+      assert.equal(report.totalCost, 0);
+    });
+  });
+
+  describe('formatCostReport', () => {
+    it('should render a table per dimension', () => {
+      appendLedgerEntry(projectA, entry());
+      const text = formatCostReport(buildLedgerReport([projectA]));
+
+      for (const [, heading] of REPORT_DIMENSIONS) {
+        assert.ok(text.includes(heading.toUpperCase()), `missing ${heading} table`);
+      }
+      assert.ok(text.includes('2026-03-02'));
+      assert.ok(!text.includes('PROJECT/AGENT'));
+    });
+
+    it('should add a project/agent table for several projects', () => {
+      appendLedgerEntry(projectA, entry());
+      appendLedgerEntry(projectB, entry());
+      const text = formatCostReport(buildLedgerReport([projectA, projectB]));
+      assert.ok(text.includes('PROJECT/AGENT'));
+      assert.ok(text.includes(`${basename(projectB)}/dev`));
+    });
+
+    it('should explain an empty ledger', () => {
+      const text = formatCostReport(buildLedgerReport([projectA]));
+      assert.match(text, /No executions recorded/);
+    });
+  });
+
+  describe('formatCostCsv', () => {
+    it('should emit a header and one row per bucket', () => {
+      appendLedgerEntry(projectA, entry({ taskId: 'task, with comma' }));
+      const lines = formatCostCsv(buildLedgerReport([projectA])).split('\n');
+
+      assert.equal(lines[0], 'project,dimension,key,executions,input_tokens,output_tokens,input_cost,output_cost,cost');
+      assert.equal(lines.length, 1 + REPORT_DIMENSIONS.length);
+      assert.ok(lines.includes('*,task,"task, with comma",1,1000,500,0.003,0.0075,0.0105'));
+    });
+
+    it('should add per-project agent rows for several projects', () => {
+      appendLedgerEntry(projectA, entry());
+      appendLedgerEntry(projectB, entry({ agent: 'architect' }));
+      const csv = formatCostCsv(buildLedgerReport([projectA, projectB]));
+      assert.ok(csv.includes(`${basename(projectB)},agent,architect,1`));
+    });
+  });
+});
@@ -1,5 +1,9 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { readLedger } from '../../src/terminal/cost-ledger.js';
 import {
   COST_PER_1K,
   estimateTokens,
@@ -283,3 +287,117 @@ describe('createCostTracker', () => {
     assert.equal(record.model, 'opus');
   });
 });
+
+// ---------------------------------------------------------------------------
+// Reported usage and split pricing
+// ---------------------------------------------------------------------------
+
+describe('createCostTracker with reported usage', () => {
+  it('uses reported token counts instead of estimating', () => {
+    const tracker = createCostTracker();
+    const record = tracker.recordExecution({
+      agent: 'architect',
+      model: 'sonnet',
+      provider: 'claude',
+      taskId: 'architect-design',
+      usage: { inputTokens: 1000, outputTokens: 2000, cacheReadTokens: 10000, cacheWriteTokens: 0, reportedCost: 0.04 },
+      inputText: 'x'.repeat(999_999),
+      outputText: 'short',
+    });
+
+    assert.equal(record.tokenSource, 'reported');
+    assert.equal(record.inputTokens, 1000);
+    assert.equal(record.outputTokens, 2000);
+    assert.equal(record.cacheReadTokens, 10000);
+    assert.equal(record.inputCost, 0.006);
+    assert.equal(record.outputCost, 0.03);
+    assert.equal(record.cost, 0.036);
+    assert.equal(record.reportedCost, 0.04);
+  });
+
+  it('marks estimated records and records the pricing version', () => {
+    const tracker = createCostTracker();
+    const record = tracker.recordExecution({ agent: 'dev', model: 'sonnet', taskId: 't1', inputText: 'abcd' });
+    assert.equal(record.tokenSource, 'estimated');
+    assert.equal(record.reportedCost, null);
+    assert.equal(typeof record.pricingVersion, 'string');
+  });
+
+  it('accepts a custom pricing table', () => {
+    const pricing = { version: 'test', models: { sonnet: { input: 1, output: 2 }, unknown: { input: 1, output: 2 } } };
+    const tracker = createCostTracker({ pricing });
+    const record = tracker.recordExecution({
+      agent: 'dev',
+      model: 'sonnet',
+      taskId: 't1',
+      usage: { inputTokens: 1_000_000, outputTokens: 1_000_000 },
+    });
+    assert.equal(record.cost, 3);
+    assert.equal(record.pricingVersion, 'test');
+  });
+
+  it('reports input/output split and token sources', () => {
+    const tracker = createCostTracker();
+    tracker.recordExecution({ agent: 'dev', model: 'opus', taskId: 't1', usage: { inputTokens: 100, outputTokens: 50 } });
+    tracker.recordExecution({ agent: 'dev', model: 'opus', taskId: 't2', inputText: 'abcd', outputText: 'abcd' });
+
+    const report = tracker.exportReport();
+    assert.deepEqual(report.tokenSources, { reported: 1, estimated: 1 });
+    assert.equal(report.byAgent.dev.inputTokens, 101);
+    assert.equal(report.byAgent.dev.outputTokens, 51);
+    assert.ok(report.byAgent.dev.outputCost > report.byAgent.dev.inputCost);
+    assert.equal(typeof report.pricingVersion, 'string');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Ledger persistence
+// ---------------------------------------------------------------------------
+
+describe('createCostTracker with ledger', () => {
+  it('appends every record to the project ledger with attribution', () => {
+    const projectDir = mkdtempSync(join(tmpdir(), 'chati-tracker-ledger-'));
+    try {
+      const tracker = createCostTracker({ projectDir, ledger: { sessionId: 's1', buildId: 'build-1' } });
+      tracker.recordExecution({ agent: 'dev', model: 'sonnet', taskId: 't1', usage: { inputTokens: 10, outputTokens: 5 } });
+      tracker.recordExecution({ agent: 'ux', model: 'haiku', taskId: 't2', inputText: 'abcd' });
+
+      const entries = readLedger(projectDir);
+      assert.equal(entries.length, 2);
+      assert.equal(entries[0].sessionId, 's1');
+      assert.equal(entries[0].buildId, 'build-1');
+      assert.equal(entries[1].agent, 'ux');
+      assert.equal(entries[1].tokenSource, 'estimated');
+    } finally {
+      rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+
+  it('does not persist without the ledger option', () => {
+    const projectDir = mkdtempSync(join(tmpdir(), 'chati-tracker-ledger-'));
+    try {
+      const tracker = createCostTracker({ projectDir });
+      tracker.recordExecution({ agent: 'dev', model: 'sonnet', taskId: 't1', inputText: 'abcd' });
+      assert.ok(!existsSync(join(projectDir, '.chati', 'costs')));
+    } finally {
+      rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('exportReport task and day breakdowns', () => {
+  it('groups records by task and UTC day', () => {
+    const tracker = createCostTracker({
+      records: [
+        { agent: 'dev', model: 'sonnet', taskId: 't1', inputTokens: 10, outputTokens: 5, cost: 1, timestamp: '2026-03-01T23:00:00.000Z' },
+        { agent: 'dev', model: 'sonnet', taskId: 't1', inputTokens: 10, outputTokens: 5, cost: 2, timestamp: '2026-03-02T01:00:00.000Z' },
+      ],
+    });
+
+    const report = tracker.exportReport();
+    assert.equal(report.executionCount, 2);
+    assert.equal(report.byTask.t1.cost, 3);
+    assert.equal(report.byDay['2026-03-01'].cost, 1);
+    assert.equal(report.byDay['2026-03-02'].cost, 2);
+  });
+});
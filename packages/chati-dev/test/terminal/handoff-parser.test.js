@@ -334,4 +334,160 @@ summary: Done.
       assert.equal(result.handoff.model, 'codex');
     });
   });
+
+  describe('multiple blocks', () => {
+    it('should use the last complete block', () => {
+      const output = `<chati-handoff>
+status: NEEDS_REVISION
+summary: Draft.
+</chati-handoff>
+More work...
+<chati-handoff>
+status: APPROVED
+summary: Final.
+</chati-handoff>`;
+
+      const result = parseAgentOutput(output);
+      assert.equal(result.handoff.status, 'APPROVED');
+      assert.equal(result.handoff.summary, 'Final.');
+      assert.equal(result.blockCount, 2);
+      assert.ok(result.diagnostics.some(d => d.level === 'info' && d.line === 6));
+    });
+
+    it('should skip a draft that was re-opened before closing', () => {
+      const output = '<chati-handoff>\nstatus: BLOCKED\n<chati-handoff>\nstatus: APPROVED\n</chati-handoff>';
+      const result = parseAgentOutput(output);
+      assert.equal(result.handoff.status, 'APPROVED');
+      assert.equal(result.blockCount, 1);
+    });
+
+    it('should prefer a complete block over a later truncated one', () => {
+      const output = '<chati-handoff>\nstatus: APPROVED\n</chati-handoff>\n<chati-handoff>\nstatus: BLO';
+      const result = parseAgentOutput(output);
+      assert.equal(result.handoff.status, 'APPROVED');
+      assert.equal(result.truncated, false);
+      assert.ok(result.diagnostics.some(d => d.level === 'warning' && d.line === 4));
+    });
+  });
+
+  describe('body formats', () => {
+    it('should parse a JSON body', () => {
+      const output = `<chati-handoff>
+{"status": "APPROVED", "score": 92, "summary": "Done.", "outputs": ["a.md", "b.md"],
+ "decisions": {"db": "postgres", "replicas": 2}, "blockers": [], "needs_input_question": null}
+</chati-handoff>`;
+
+      const result = parseAgentOutput(output);
+      assert.equal(result.format, 'json');
+      assert.equal(result.valid, true);
+      assert.equal(result.handoff.score, 92);
+      assert.deepEqual(result.handoff.outputs, ['a.md', 'b.md']);
+      assert.deepEqual(result.handoff.decisions, { db: 'postgres', replicas: '2' });
+      assert.equal(result.handoff.needs_input_question, null);
+      assert.equal(result.handoff.provider, null);
+    });
+
+    it('should parse a fenced JSON body', () => {
+      const output = '<chati-handoff>\n```json\n{"status": "BLOCKED", "blockers": "No credentials"}\n```\n</chati-handoff>';
+      const result = parseAgentOutput(output);
+      assert.equal(result.format, 'json');
+      assert.equal(result.handoff.status, 'BLOCKED');
+      assert.deepEqual(result.handoff.blockers, ['No credentials']);
+    });
+
+    it('should parse a fenced YAML body', () => {
+      const output = `<chati-handoff>
+\`\`\`yaml
+status: APPROVED
+score: 88
+summary: "Fixed issue #12: login"
+outputs: [src/login.js, test/login.test.js]
+decisions:
+  auth: jwt
+\`\`\`
+</chati-handoff>`;
+
+      const result = parseAgentOutput(output);
+      assert.equal(result.format, 'yaml');
+      assert.equal(result.handoff.summary, 'Fixed issue #12: login');
+      assert.deepEqual(result.handoff.outputs, ['src/login.js', 'test/login.test.js']);
+      assert.deepEqual(result.handoff.decisions, { auth: 'jwt' });
+    });
+
+    it('should keep using the field format for plain bodies', () => {
+      const result = parseAgentOutput('<chati-handoff>\nstatus: APPROVED\nsummary: Fixed #12: login\n</chati-handoff>');
+      assert.equal(result.format, 'fields');
+      assert.equal(result.handoff.summary, 'Fixed #12: login');
+    });
+
+    it('should report where invalid JSON failed and fall back', () => {
+      const output = 'Intro\n<chati-handoff>\n{\n  "status": "APPROVED",\n  "score": 9x\n}\n</chati-handoff>';
+      const result = parseAgentOutput(output);
+      const error = result.diagnostics.find(d => d.level === 'error' && d.message.startsWith('Invalid JSON'));
+      assert.ok(error);
+      assert.equal(error.line, 5);
+      // YAML flow syntax is more forgiving than JSON
+      assert.equal(result.format, 'yaml');
+      assert.equal(result.handoff.status, 'APPROVED');
+      assert.ok(result.warnings.some(w => w.startsWith('line 5')));
+    });
+
+    it('should report invalid YAML with its line', () => {
+      const output = '<chati-handoff>\n```yaml\nstatus: APPROVED\nsummary: [unclosed\n```\n</chati-handoff>';
+      const result = parseAgentOutput(output);
+      const error = result.diagnostics.find(d => d.message.startsWith('Invalid YAML'));
+      assert.ok(error);
+      assert.ok(error.line >= 4);
+      assert.equal(result.format, 'fields');
+      assert.equal(result.handoff.status, 'APPROVED');
+    });
+
+    it('should warn about unrecognized field lines', () => {
+      const result = parseAgentOutput('<chati-handoff>\nstatus: APPROVED\n!! stray text\n</chati-handoff>');
+      const warning = result.diagnostics.find(d => d.message.includes('stray text'));
+      assert.equal(warning.level, 'warning');
+      assert.equal(warning.line, 3);
+      assert.equal(result.valid, true);
+    });
+  });
+
+  describe('truncated output', () => {
+    it('should recover fields from an unclosed block', () => {
+      const output = 'Working\n<chati-handoff>\nstatus: APPROVED\nscore: 80\nsummary: Half wri';
+      const result = parseAgentOutput(output);
+      assert.equal(result.found, true);
+      assert.equal(result.truncated, true);
+      assert.equal(result.valid, false);
+      assert.equal(result.handoff.status, 'APPROVED');
+      assert.equal(result.handoff.score, 80);
+      assert.equal(result.handoff.summary, '');
+      assert.ok(result.diagnostics.some(d => d.message.includes('Half wri') && d.line === 5));
+    });
+
+    it('should close truncated JSON', () => {
+      const output = '<chati-handoff>\n{"status": "APPROVED", "outputs": ["a.md", "b.m';
+      const result = parseAgentOutput(output);
+      assert.equal(result.format, 'json');
+      assert.equal(result.truncated, true);
+      assert.equal(result.handoff.status, 'APPROVED');
+      assert.deepEqual(result.handoff.outputs, ['a.md', 'b.m']);
+    });
+  });
+
+  describe('diagnostics', () => {
+    it('should report a missing block as an error diagnostic', () => {
+      const result = parseAgentOutput('nothing here');
+      assert.equal(result.blockCount, 0);
+      assert.deepEqual(result.diagnostics, [
+        { level: 'error', message: 'No handoff block found', line: null, column: null },
+      ]);
+    });
+
+    it('should have no diagnostics for a clean handoff', () => {
+      const result = parseAgentOutput('<chati-handoff>\nstatus: APPROVED\nscore: 95\n</chati-handoff>');
+      assert.deepEqual(result.diagnostics, []);
+      assert.equal(result.truncated, false);
+      assert.equal(result.blockCount, 1);
+    });
+  });
 });
@@ -126,6 +126,12 @@ describe('isolation', () => {
     it('should normalise backslashes to forward slashes', () => {
       assert.equal(isPathAllowed('dev', 'src\\terminal\\spawner.js'), true);
     });
+
+    it('should allow an agent its own handoff file only', () => {
+      assert.equal(isPathAllowed('architect', 'chati.dev/artifacts/handoffs/architect-handoff.md'), true);
+      assert.equal(isPathAllowed('architect', 'chati.dev/artifacts/handoffs/ux-handoff.md'), false);
+      assert.equal(isPathAllowed('unknown-agent', 'chati.dev/artifacts/handoffs/unknown-agent-handoff.md'), false);
+    });
   });
 
   describe('getReadScope', () => {
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview End-to-end pipeline tests on the mock provider.
+ *
+ * Runs the PLAN phase through spawnTerminal, TerminalMonitor,
+ * collectResults, advancePipeline and the G1 gate with fixture replay
+ * instead of an LLM, so the whole path runs offline and deterministically.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import yaml from 'js-yaml';
+import { spawnTerminal } from '../../src/terminal/spawner.js';
+import { TerminalMonitor } from '../../src/terminal/monitor.js';
+import { collectResults } from '../../src/terminal/collector.js';
+import { parseAgentOutput } from '../../src/terminal/handoff-parser.js';
+import { initPipeline, advancePipeline } from '../../src/orchestrator/pipeline-manager.js';
+import { initSession, recordAgentCompletion } from '../../src/orchestrator/session-manager.js';
+import { PlanningCompleteGate } from '../../src/gates/index.js';
+import { GateVerdict } from '../../src/gates/gate-base.js';
+
+/** Plan agents and the artifact each one writes. */
+const PLAN_AGENTS = [
+  ['brief', 'chati.dev/artifacts/1-Brief/brief.md'],
+  ['detail', 'chati.dev/artifacts/2-PRD/prd.md'],
+  ['architect', 'chati.dev/artifacts/3-Architecture/architecture.md'],
+  ['ux', 'chati.dev/artifacts/4-UX/ux.md'],
+  ['phases', 'chati.dev/artifacts/5-Phases/phases.md'],
+  ['tasks', 'chati.dev/artifacts/6-Tasks/tasks.md'],
+  ['qa-planning', 'chati.dev/artifacts/handoffs/qa-planning-handoff.md'],
+];
+
+const tempDirs = [];
+
+/**
+ * Helper: create a project with one fixture per plan agent.
+ */
+function createProject(overrides = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'chati-mock-e2e-'));
+  tempDirs.push(dir);
+  const fixturesDir = join(dir, 'chati.dev', 'mock-fixtures');
+  mkdirSync(fixturesDir, { recursive: true });
+
+  for (const [agent, artifact] of PLAN_AGENTS) {
+    const content = agent === 'qa-planning'
+      ? '---\nfrom_agent: qa-planning\nstatus: complete\nscore: 97\n---\n\n## Summary\nPlan approved.\n'
+      : `# ${agent}\n`;
+    const fixture = overrides[agent] || {
+      stdout: [`Working on ${agent}...\n`, 'Writing artifact...\n'],
+      delay: 20,
+      handoff: { status: 'APPROVED', score: 97, summary: `${agent} done.`, outputs: [artifact] },
+      files: { [artifact]: content },
+    };
+    writeFileSync(join(fixturesDir, `${agent}.yaml`), yaml.dump(fixture));
+  }
+
+  initSession(dir, { mode: 'plan' });
+  return dir;
+}
+
+/**
+ * Helper: run one agent on the mock provider and wait for it to finish.
+ */
+async function runAgent(dir, agent) {
+  const handle = spawnTerminal({
+    agent,
+    taskId: `${agent}-task`,
+    provider: 'mock',
+    prompt: `Run ${agent}`,
+    workingDir: dir,
+    timeout: 20_000,
+    stream: true,
+  });
+
+  const monitor = new TerminalMonitor({ stream: true });
+  const handoffPhases = [];
+  monitor.onHandoff((event) => handoffPhases.push(event.phase));
+  monitor.addTerminal(handle);
+
+  await new Promise((resolve) => {
+    monitor.onComplete(resolve);
+    monitor.startMonitoring();
+  });
+  monitor.stopMonitoring();
+
+  const { results } = collectResults(`group-${agent}`, [handle]);
+  return { result: results[0], parsed: parseAgentOutput(results[0].stdout), handoffPhases };
+}
+
+/**
+ * Helper: run the PLAN phase, then the G1 gate.
+ */
+async function runPlanPhase(dir) {
+  let state = initPipeline({ targetDir: dir, mode: 'plan' });
+  const runs = [];
+
+  for (const [agent] of PLAN_AGENTS) {
+    const { result, parsed, handoffPhases } = await runAgent(dir, agent);
+    runs.push({
+      agent,
+      exitCode: result.exitCode,
+      status: parsed.handoff?.status ?? null,
+      score: parsed.handoff?.score ?? null,
+      valid: parsed.valid,
+      warnings: parsed.warnings,
+      stdout: result.stdout,
+      handoffPhases,
+    });
+    if (result.exitCode !== 0 || !parsed.found) break;
+
+    recordAgentCompletion(dir, { agent, status: 'completed', score: parsed.handoff.score });
+    state = advancePipeline(state, agent, { score: parsed.handoff.score }).state;
+  }
+
+  const gate = new PlanningCompleteGate().evaluate(dir);
+  return { runs, state, gate };
+}
+
+describe('mock provider end to end', () => {
+  after(() => {
+    for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs the PLAN phase offline and passes the G1 gate', async () => {
+    const dir = createProject();
+    const { runs, state, gate } = await runPlanPhase(dir);
+
+    assert.equal(runs.length, PLAN_AGENTS.length);
+    for (const run of runs) {
+      assert.equal(run.exitCode, 0, `${run.agent} exit code`);
+      assert.equal(run.status, 'APPROVED');
+      assert.equal(run.valid, true, `${run.agent} handoff valid`);
+      assert.deepEqual(run.warnings, []);
+      assert.equal(run.score, 97);
+      assert.deepEqual(run.handoffPhases.at(-1), 'complete');
+    }
+    for (const [, artifact] of PLAN_AGENTS) {
+      assert.ok(existsSync(join(dir, artifact)), `${artifact} written`);
+    }
+    assert.deepEqual(state.completedAgents, PLAN_AGENTS.map(([agent]) => agent));
+    assert.equal(gate.verdict, GateVerdict.APPROVED);
+    assert.equal(gate.score, 100);
+  });
+
+  it('gives the same result on every run', async () => {
+    const first = await runPlanPhase(createProject());
+    const second = await runPlanPhase(createProject());
+
+    const summarize = ({ runs, gate }) => ({
+      runs: runs.map(({ agent, exitCode, status, score, valid, stdout }) => ({ agent, exitCode, status, score, valid, stdout })),
+      verdict: gate.verdict,
+      score: gate.score,
+    });
+    assert.deepEqual(summarize(first), summarize(second));
+  });
+
+  it('replays failures and blocks the gate', async () => {
+    const dir = createProject({
+      architect: { stderr: 'model overloaded\n', exit_code: 1 },
+    });
+    const { runs, gate } = await runPlanPhase(dir);
+
+    const architect = runs.at(-1);
+    assert.equal(architect.agent, 'architect');
+    assert.equal(architect.exitCode, 1);
+    assert.equal(architect.status, null);
+    assert.notEqual(gate.verdict, GateVerdict.APPROVED);
+  });
+
+  it('fails the run when no fixture matches', async () => {
+    const dir = createProject();
+    rmSync(join(dir, 'chati.dev', 'mock-fixtures', 'brief.yaml'));
+
+    const { result } = await runAgent(dir, 'brief');
+    assert.equal(result.exitCode, 1);
+    assert.match(result.stderr, /no fixture for agent "brief"/);
+  });
+});
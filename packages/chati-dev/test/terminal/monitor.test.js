@@ -8,6 +8,7 @@
 import { describe, it, after } from 'node:test';
 import assert from 'node:assert/strict';
 import { TerminalMonitor } from '../../src/terminal/monitor.js';
+import { emit, listenerCount, EVENTS } from '../../src/utils/event-bus.js';
 
 /**
  * Helper: create a mock terminal handle.
@@ -229,4 +230,174 @@ describe('TerminalMonitor', () => {
       assert.ok(true);
     });
   });
+
+  describe('streaming mode', () => {
+    it('subscribes instead of polling and unsubscribes on stop', () => {
+      const monitor = new TerminalMonitor({ stream: true });
+      const before = listenerCount(EVENTS.TERMINAL_EXITED);
+      monitor.startMonitoring();
+      assert.equal(monitor._timer, null);
+      assert.equal(listenerCount(EVENTS.TERMINAL_EXITED), before + 1);
+      monitor.stopMonitoring();
+      assert.equal(listenerCount(EVENTS.TERMINAL_EXITED), before);
+    });
+
+    it('completes when the last terminal exits', () => {
+      const monitor = new TerminalMonitor({ stream: true });
+      const handle = mockHandle({ id: 'stream-exit-1' });
+      monitor.addTerminal(handle);
+      let completed = 0;
+      monitor.onComplete(() => { completed++; });
+      monitor.startMonitoring();
+
+      assert.equal(completed, 0);
+      handle.status = 'exited';
+      handle.exitCode = 0;
+      emit(EVENTS.TERMINAL_EXITED, { terminalId: 'stream-exit-1', exitCode: 0 });
+      monitor.stopMonitoring();
+      assert.equal(completed, 1);
+    });
+
+    it('completes immediately when terminals finished before start', () => {
+      const monitor = new TerminalMonitor({ stream: true });
+      monitor.addTerminal(mockHandle({ id: 'stream-done-1', status: 'exited', exitCode: 0 }));
+      let completed = 0;
+      monitor.onComplete(() => { completed++; });
+      monitor.startMonitoring();
+      monitor.stopMonitoring();
+      assert.equal(completed, 1);
+    });
+
+    it('forwards output and handoff events for its own terminals only', () => {
+      const monitor = new TerminalMonitor({ stream: true });
+      monitor.addTerminal(mockHandle({ id: 'stream-own-1' }));
+      const lines = [];
+      const phases = [];
+      monitor.onOutput((e) => lines.push(e.line));
+      monitor.onHandoff((e) => phases.push(e.phase));
+      monitor.startMonitoring();
+
+      emit(EVENTS.TERMINAL_OUTPUT, { terminalId: 'stream-own-1', stream: 'stdout', line: 'mine' });
+      emit(EVENTS.TERMINAL_OUTPUT, { terminalId: 'someone-else', stream: 'stdout', line: 'theirs' });
+      emit(EVENTS.TERMINAL_HANDOFF_STARTED, { terminalId: 'stream-own-1', phase: 'started' });
+      emit(EVENTS.TERMINAL_HANDOFF_COMPLETE, { terminalId: 'stream-own-1', phase: 'complete' });
+      monitor.stopMonitoring();
+
+      assert.deepEqual(lines, ['mine']);
+      assert.deepEqual(phases, ['started', 'complete']);
+    });
+
+    it('reports each finished terminal to onExit once', () => {
+      const monitor = new TerminalMonitor({ stream: true });
+      const first = mockHandle({ id: 'stream-exit-a' });
+      const second = mockHandle({ id: 'stream-exit-b' });
+      monitor.addTerminal(first);
+      monitor.addTerminal(second);
+      const exited = [];
+      monitor.onExit((h) => exited.push(h.id));
+      monitor.startMonitoring();
+
+      first.status = 'exited';
+      emit(EVENTS.TERMINAL_EXITED, { terminalId: 'stream-exit-a' });
+      emit(EVENTS.TERMINAL_OUTPUT, { terminalId: 'stream-exit-b', stream: 'stdout', line: 'x' });
+      second.status = 'exited';
+      emit(EVENTS.TERMINAL_EXITED, { terminalId: 'stream-exit-b' });
+      monitor.stopMonitoring();
+
+      assert.deepEqual(exited, ['stream-exit-a', 'stream-exit-b']);
+    });
+  });
+
+  describe('streaming watchdog', () => {
+    /** A handle whose kill() records the signal and exits. */
+    function killableHandle(id) {
+      const handle = mockHandle({ id });
+      handle.cancelReason = null;
+      handle.process = {
+        kill() { setImmediate(() => this._onExit(null)); },
+        once(event, cb) { if (event === 'exit') this._onExit = cb; },
+      };
+      return handle;
+    }
+
+    it('starts only when an idle timeout or handoff grace is set', () => {
+      const plain = new TerminalMonitor({ stream: true });
+      plain.startMonitoring();
+      assert.equal(plain._watchdog, null);
+      plain.stopMonitoring();
+
+      const guarded = new TerminalMonitor({ stream: true, idleTimeout: 60_000 });
+      guarded.startMonitoring();
+      assert.ok(guarded._watchdog !== null);
+      guarded.stopMonitoring();
+      assert.equal(guarded._watchdog, null);
+    });
+
+    it('cancels terminals silent for the idle timeout', () => {
+      const monitor = new TerminalMonitor({ stream: true, idleTimeout: 1000 });
+      const quiet = killableHandle('idle-quiet');
+      const busy = killableHandle('idle-busy');
+      monitor.addTerminal(quiet);
+      monitor.addTerminal(busy);
+      monitor.startMonitoring();
+
+      const now = Date.now();
+      monitor._lastActivity.set('idle-quiet', now - 5000);
+      emit(EVENTS.TERMINAL_OUTPUT, { terminalId: 'idle-busy', stream: 'stdout', line: 'still working' });
+      monitor._checkStalled(now + 500);
+      monitor.stopMonitoring();
+
+      assert.equal(quiet.cancelReason, 'idle');
+      assert.equal(busy.cancelReason, null);
+    });
+
+    it('cancels a terminal lingering after a complete handoff', () => {
+      const monitor = new TerminalMonitor({ stream: true, handoffGrace: 2000 });
+      const done = killableHandle('grace-done');
+      const invalid = killableHandle('grace-invalid');
+      monitor.addTerminal(done);
+      monitor.addTerminal(invalid);
+      monitor.startMonitoring();
+
+      emit(EVENTS.TERMINAL_HANDOFF_COMPLETE, { terminalId: 'grace-done', phase: 'complete', valid: true });
+      emit(EVENTS.TERMINAL_HANDOFF_COMPLETE, { terminalId: 'grace-invalid', phase: 'complete', valid: false });
+      monitor._checkStalled(Date.now() + 1000);
+      const early = done.cancelReason;
+      monitor._checkStalled(Date.now() + 3000);
+      monitor.stopMonitoring();
+
+      assert.equal(early, null);
+      assert.equal(done.cancelReason, 'handoff_complete');
+      assert.equal(invalid.cancelReason, null);
+    });
+  });
+
+  describe('cancelTerminal', () => {
+    it('returns not killed for unknown terminals', async () => {
+      const monitor = new TerminalMonitor();
+      assert.deepEqual(await monitor.cancelTerminal('nope'), { killed: false, exitCode: null });
+    });
+
+    it('kills a running terminal and records the reason', async () => {
+      const monitor = new TerminalMonitor();
+      const signals = [];
+      const fakeProcess = {
+        kill(signal) {
+          signals.push(signal);
+          setImmediate(() => this._onExit(0));
+        },
+        once(event, cb) {
+          if (event === 'exit') this._onExit = cb;
+        },
+      };
+      const handle = mockHandle({ id: 'cancel-1', process: fakeProcess });
+      monitor.addTerminal(handle);
+
+      const result = await monitor.cancelTerminal('cancel-1', 'runaway');
+      assert.equal(result.killed, true);
+      assert.deepEqual(signals, ['SIGTERM']);
+      assert.equal(handle.cancelReason, 'runaway');
+      assert.ok(handle.stderr.some(line => line.includes('runaway')));
+    });
+  });
 });
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Tests for terminal/output-stream module.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLineSplitter, createOutputStream } from '../../src/terminal/output-stream.js';
+import { on, removeAllListeners, EVENTS } from '../../src/utils/event-bus.js';
+
+const HANDLE = { id: 'term-stream-1', agent: 'dev', taskId: 'T1' };
+
+/**
+ * Helper: collect every event of the given types.
+ */
+function collect(...types) {
+  const events = [];
+  for (const type of types) {
+    on(type, (data) => events.push({ type, ...data }));
+  }
+  return events;
+}
+
+describe('createLineSplitter', () => {
+  it('emits complete lines across chunk boundaries', () => {
+    const lines = [];
+    const splitter = createLineSplitter((line) => lines.push(line));
+    splitter.push('hel');
+    splitter.push('lo\nwor');
+    assert.deepEqual(lines, ['hello']);
+    splitter.push('ld\r\n');
+    assert.deepEqual(lines, ['hello', 'world']);
+  });
+
+  it('flushes a trailing partial line', () => {
+    const lines = [];
+    const splitter = createLineSplitter((line) => lines.push(line));
+    splitter.push('no newline');
+    splitter.flush();
+    splitter.flush();
+    assert.deepEqual(lines, ['no newline']);
+  });
+});
+
+describe('createOutputStream', () => {
+  beforeEach(() => removeAllListeners());
+  afterEach(() => removeAllListeners());
+
+  it('publishes stdout and stderr lines with terminal context', () => {
+    const events = collect(EVENTS.TERMINAL_OUTPUT);
+    const stream = createOutputStream(HANDLE);
+    stream.write('line one\nline ');
+    stream.writeStderr('warn\n');
+    stream.write('two\n');
+    stream.end();
+
+    assert.deepEqual(
+      events.map(e => [e.stream, e.line, e.text]),
+      [['stdout', 'line one', 'line one'], ['stderr', 'warn', null], ['stdout', 'line two', 'line two']],
+    );
+    assert.equal(events[0].terminalId, 'term-stream-1');
+    assert.equal(events[0].agent, 'dev');
+    assert.equal(events[0].taskId, 'T1');
+    assert.equal(stream.state.lines, 2);
+  });
+
+  it('reports handoff started, partial and complete as the block arrives', () => {
+    const events = collect(
+      EVENTS.TERMINAL_HANDOFF_STARTED,
+      EVENTS.TERMINAL_HANDOFF_PARTIAL,
+      EVENTS.TERMINAL_HANDOFF_COMPLETE,
+    );
+    const stream = createOutputStream(HANDLE);
+    stream.write('Working...\n<chati-handoff>\n');
+    stream.write('status: complete\n');
+    stream.write('summary: Done\n</chati-handoff>\n');
+
+    assert.deepEqual(events.map(e => e.phase), ['started', 'partial', 'partial', 'partial', 'complete']);
+    assert.equal(events[2].content, 'status: complete');
+    const complete = events[4];
+    assert.equal(complete.type, EVENTS.TERMINAL_HANDOFF_COMPLETE);
+    assert.equal(complete.handoff.status, 'complete');
+    assert.equal(typeof complete.valid, 'boolean');
+    assert.equal(stream.state.handoffComplete, true);
+  });
+
+  it('reports every block when a draft precedes the final handoff', () => {
+    const events = collect(EVENTS.TERMINAL_HANDOFF_COMPLETE);
+    const stream = createOutputStream(HANDLE);
+    stream.write('<chati-handoff>\nstatus: BLOCKED\n</chati-handoff>\n');
+    stream.write('Revising...\n<chati-handoff>\nstatus: APPROVED\n</chati-handoff>\n');
+
+    assert.deepEqual(events.map(e => e.handoff.status), ['BLOCKED', 'APPROVED']);
+    assert.equal(stream.state.handoffCount, 2);
+  });
+
+  it('decodes structured lines through parseLine', () => {
+    const events = collect(EVENTS.TERMINAL_OUTPUT, EVENTS.TERMINAL_HANDOFF_COMPLETE);
+    const parseLine = (line) => JSON.parse(line).text ?? null;
+    const stream = createOutputStream(HANDLE, { parseLine });
+    stream.write(JSON.stringify({ text: '<chati-handoff>\nstatus: complete\n</chati-handoff>' }) + '\n');
+    stream.write(JSON.stringify({ usage: 1 }) + '\n');
+    stream.write('not json\n');
+
+    const output = events.filter(e => e.type === EVENTS.TERMINAL_OUTPUT);
+    assert.equal(output.length, 3);
+    assert.equal(output[1].text, null);
+    assert.equal(output[2].text, null);
+    assert.equal(events.filter(e => e.type === EVENTS.TERMINAL_HANDOFF_COMPLETE).length, 1);
+  });
+
+  it('falls back to finalText at end when no handoff was streamed', () => {
+    const events = collect(EVENTS.TERMINAL_HANDOFF_STARTED, EVENTS.TERMINAL_HANDOFF_COMPLETE);
+    const stream = createOutputStream(HANDLE, {
+      parseLine: () => null,
+      finalText: () => 'Done.\n<chati-handoff>\nstatus: partial\n</chati-handoff>',
+    });
+    stream.write('{"type":"result"}\n');
+    assert.equal(events.length, 0);
+
+    stream.end();
+    assert.deepEqual(events.map(e => e.phase), ['started', 'complete']);
+    assert.equal(events[1].handoff.status, 'partial');
+  });
+
+  it('does not emit handoff events when there is no block', () => {
+    const events = collect(EVENTS.TERMINAL_HANDOFF_STARTED, EVENTS.TERMINAL_HANDOFF_COMPLETE);
+    const stream = createOutputStream(HANDLE, { finalText: () => 'plain output' });
+    stream.write('plain output\n');
+    stream.end();
+    assert.equal(events.length, 0);
+    assert.equal(stream.state.handoffStarted, false);
+  });
+});
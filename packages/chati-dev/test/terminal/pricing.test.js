@@ -0,0 +1,147 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  DEFAULT_PRICING,
+  loadPricing,
+  getModelPrice,
+  priceUsage,
+} from '../../src/terminal/pricing.js';
+
+// ---------------------------------------------------------------------------
+// DEFAULT_PRICING
+// ---------------------------------------------------------------------------
+
+describe('DEFAULT_PRICING', () => {
+  it('has a version and split input/output rates for every tier', () => {
+    assert.equal(typeof DEFAULT_PRICING.version, 'string');
+    for (const [model, price] of Object.entries(DEFAULT_PRICING.models)) {
+      assert.equal(typeof price.input, 'number', `${model} input`);
+      assert.equal(typeof price.output, 'number', `${model} output`);
+      assert.ok(price.output >= price.input, `${model} output should cost at least input`);
+    }
+  });
+
+  it('prices opus above sonnet above haiku', () => {
+    const { opus, sonnet, haiku } = DEFAULT_PRICING.models;
+    assert.ok(opus.output > sonnet.output);
+    assert.ok(sonnet.output > haiku.output);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getModelPrice
+// ---------------------------------------------------------------------------
+
+describe('getModelPrice', () => {
+  it('returns the tier entry for a tier name', () => {
+    assert.equal(getModelPrice('sonnet'), DEFAULT_PRICING.models.sonnet);
+  });
+
+  it('maps provider model ids back to their tier', () => {
+    assert.equal(getModelPrice('claude-opus-4-6'), DEFAULT_PRICING.models.opus);
+    assert.equal(getModelPrice('codex-mini-latest'), DEFAULT_PRICING.models.mini);
+  });
+
+  it('matches unregistered ids containing a tier name', () => {
+    assert.equal(getModelPrice('gemini-3.0-flash-preview'), DEFAULT_PRICING.models.flash);
+  });
+
+  it('prefers the most specific tier regardless of table order', () => {
+    assert.equal(getModelPrice('gpt-5-codex-mini'), DEFAULT_PRICING.models.mini);
+    assert.equal(getModelPrice('gemini-9-pro'), DEFAULT_PRICING.models.pro);
+
+    const pricing = {
+      models: { ...DEFAULT_PRICING.models, 'codex-mini': { input: 0.5, output: 2 } },
+    };
+    assert.equal(getModelPrice('gpt-5-codex-mini-2026', pricing), pricing.models['codex-mini']);
+  });
+
+  it('falls back to unknown', () => {
+    assert.equal(getModelPrice('mystery-model'), DEFAULT_PRICING.models.unknown);
+    assert.equal(getModelPrice(undefined), DEFAULT_PRICING.models.unknown);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// priceUsage
+// ---------------------------------------------------------------------------
+
+describe('priceUsage', () => {
+  it('prices input and output separately', () => {
+    const result = priceUsage({ inputTokens: 1_000_000, outputTokens: 1_000_000 }, 'sonnet');
+    assert.equal(result.inputCost, 3);
+    assert.equal(result.outputCost, 15);
+    assert.equal(result.cost, 18);
+  });
+
+  it('prices cache reads and writes at their own rates', () => {
+    const result = priceUsage({ cacheReadTokens: 1_000_000, cacheWriteTokens: 1_000_000 }, 'sonnet');
+    assert.equal(result.inputCost, 0.3 + 3.75);
+    assert.equal(result.outputCost, 0);
+  });
+
+  it('uses the input rate when a model has no cache rates', () => {
+    const result = priceUsage({ cacheWriteTokens: 1_000_000 }, 'pro');
+    assert.equal(result.inputCost, DEFAULT_PRICING.models.pro.input);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadPricing
+// ---------------------------------------------------------------------------
+
+describe('loadPricing', () => {
+  let projectDir;
+
+  before(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'chati-pricing-'));
+    mkdirSync(join(projectDir, 'chati.dev'), { recursive: true });
+    writeFileSync(
+      join(projectDir, 'chati.dev', 'config.yaml'),
+      [
+        'pricing:',
+        '  version: acme-2026-q2',
+        '  models:',
+        '    sonnet:',
+        '      input: 2.5',
+        '      cache_read: 0.25',
+        '    internal-llm:',
+        '      input: 0.5',
+        '      output: 1',
+        '    broken:',
+        '      input: 1',
+      ].join('\n')
+    );
+  });
+
+  after(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('returns defaults without a project', () => {
+    const table = loadPricing();
+    assert.equal(table.version, DEFAULT_PRICING.version);
+    assert.deepEqual(table.models, DEFAULT_PRICING.models);
+  });
+
+  it('merges project overrides per model and replaces the version', () => {
+    const table = loadPricing(projectDir);
+    assert.equal(table.version, 'acme-2026-q2');
+    assert.equal(table.models.sonnet.input, 2.5);
+    assert.equal(table.models.sonnet.cacheRead, 0.25);
+    assert.equal(table.models.sonnet.output, DEFAULT_PRICING.models.sonnet.output);
+    assert.deepEqual(table.models['internal-llm'], { input: 0.5, output: 1 });
+  });
+
+  it('ignores new models missing input or output rates', () => {
+    assert.equal(loadPricing(projectDir).models.broken, undefined);
+  });
+
+  it('does not mutate DEFAULT_PRICING', () => {
+    loadPricing(projectDir);
+    assert.equal(DEFAULT_PRICING.models.sonnet.input, 3);
+  });
+});
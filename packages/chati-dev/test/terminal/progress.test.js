@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests for per-terminal progress files.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  createProgressReporter,
+  readTerminalProgress,
+  pruneTerminalProgress,
+  TERMINAL_PROGRESS_DIR,
+} from '../../src/terminal/progress.js';
+
+function handle(overrides = {}) {
+  return {
+    id: 'detail-1',
+    agent: 'detail',
+    taskId: 'expand-prd',
+    provider: 'mock',
+    model: 'mock',
+    startedAt: '2026-02-10T10:00:00.000Z',
+    exitCode: null,
+    cancelReason: null,
+    ...overrides,
+  };
+}
+
+describe('createProgressReporter', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'chati-progress-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('writes a progress file per terminal and logs state changes', () => {
+    const messages = [];
+    const progress = createProgressReporter(dir, { log: (m) => messages.push(m) });
+    const terminal = handle();
+
+    progress.add(terminal);
+    progress.output({ terminalId: 'detail-1', stream: 'stdout', line: '{"type":"text"}', text: 'Reading the brief' });
+    progress.output({ terminalId: 'detail-1', stream: 'stderr', line: 'warning', text: null });
+    progress.handoff({ terminalId: 'detail-1', phase: 'started' });
+    progress.handoff({ terminalId: 'detail-1', phase: 'complete', valid: true });
+    progress.exit({ ...terminal, exitCode: 0 });
+
+    const [record] = readTerminalProgress(dir);
+    assert.equal(record.terminalId, 'detail-1');
+    assert.equal(record.status, 'exited');
+    assert.equal(record.lines, 1);
+    assert.equal(record.lastOutput, 'Reading the brief');
+    assert.equal(record.handoff, 'complete');
+    assert.equal(record.exitCode, 0);
+    assert.deepEqual(messages, [
+      'detail started on mock',
+      'detail is writing its handoff',
+      'detail handoff complete',
+      'detail exited with code 0',
+    ]);
+  });
+
+  it('records cancelled terminals with their reason', () => {
+    const messages = [];
+    const progress = createProgressReporter(dir, { log: (m) => messages.push(m) });
+    progress.add(handle());
+    progress.exit(handle({ exitCode: null, cancelReason: 'idle' }));
+
+    assert.equal(readTerminalProgress(dir)[0].status, 'cancelled');
+    assert.equal(readTerminalProgress(dir)[0].cancelReason, 'idle');
+    assert.equal(messages.at(-1), 'detail cancelled (idle)');
+  });
+
+  it('ignores events of terminals it does not track', () => {
+    const progress = createProgressReporter(dir);
+    progress.output({ terminalId: 'other', stream: 'stdout', line: 'x' });
+    progress.exit(handle({ id: 'other' }));
+    assert.deepEqual(readTerminalProgress(dir), []);
+  });
+});
+
+describe('pruneTerminalProgress', () => {
+  it('removes finished terminals older than the retention and keeps running ones', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'chati-progress-'));
+    try {
+      const progressDir = join(dir, TERMINAL_PROGRESS_DIR);
+      mkdirSync(progressDir, { recursive: true });
+      const old = '2026-01-01T00:00:00.000Z';
+      writeFileSync(join(progressDir, 'a.json'), JSON.stringify({ terminalId: 'a', agent: 'ux', status: 'exited', updatedAt: old }));
+      writeFileSync(join(progressDir, 'b.json'), JSON.stringify({ terminalId: 'b', agent: 'ux', status: 'running', updatedAt: old }));
+      writeFileSync(join(progressDir, 'c.json'), '{ not json');
+
+      assert.equal(pruneTerminalProgress(dir), 1);
+      assert.equal(existsSync(join(progressDir, 'a.json')), false);
+      assert.deepEqual(readTerminalProgress(dir).map(r => r.terminalId), ['b']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
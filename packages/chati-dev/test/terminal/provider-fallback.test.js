@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Tests for provider fallback chains.
+ *
+ * Chain walks run on the mock provider plus custom providers that are
+ * either not installed or replay a rate-limited fixture.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  parseFallbackChain,
+  loadFallbackConfig,
+  getFallbackChain,
+  resolveFallbackChain,
+  getProviderCircuit,
+  _resetProviderCircuits,
+  DEFAULT_FALLBACK_RETRIES,
+  PROVIDER_FAILURE_THRESHOLD,
+} from '../../src/terminal/provider-fallback.js';
+import { spawnTerminalWithFallback, isProviderMissing } from '../../src/terminal/spawner.js';
+import { registerProvider, _resetCustomProviders } from '../../src/terminal/cli-registry.js';
+import { buildCommand as buildMockCommand, MOCK_CLI_PATH } from '../../src/terminal/adapters/mock-adapter.js';
+import { createCostTracker } from '../../src/terminal/cost-tracker.js';
+import { readLedger } from '../../src/terminal/cost-ledger.js';
+
+const tempDirs = [];
+
+/**
+ * Helper: create a project with the given config.yaml content.
+ */
+function createProject(configYaml) {
+  const dir = mkdtempSync(join(tmpdir(), 'chati-fallback-'));
+  tempDirs.push(dir);
+  mkdirSync(join(dir, 'chati.dev'), { recursive: true });
+  if (configYaml !== undefined) {
+    writeFileSync(join(dir, 'chati.dev', 'config.yaml'), configYaml);
+  }
+  return dir;
+}
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// parseFallbackChain
+// ---------------------------------------------------------------------------
+
+describe('parseFallbackChain', () => {
+  it('parses an arrow-separated chain', () => {
+    assert.deepEqual(parseFallbackChain('claude:opus -> gemini:pro -> codex:codex'), [
+      { provider: 'claude', model: 'opus' },
+      { provider: 'gemini', model: 'pro' },
+      { provider: 'codex', model: 'codex' },
+    ]);
+  });
+
+  it('parses lists of strings and objects', () => {
+    assert.deepEqual(parseFallbackChain(['claude:sonnet', { provider: 'codex' }, 'gemini']), [
+      { provider: 'claude', model: 'sonnet' },
+      { provider: 'codex', model: null },
+      { provider: 'gemini', model: null },
+    ]);
+  });
+
+  it('returns an empty chain for empty specs', () => {
+    assert.deepEqual(parseFallbackChain(null), []);
+    assert.deepEqual(parseFallbackChain(''), []);
+  });
+
+  it('rejects entries without a provider', () => {
+    assert.throws(() => parseFallbackChain('claude:opus -> :pro'), /Invalid fallback entry/);
+    assert.throws(() => parseFallbackChain([{ model: 'pro' }]), /provider is required/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadFallbackConfig / getFallbackChain / resolveFallbackChain
+// ---------------------------------------------------------------------------
+
+describe('loadFallbackConfig', () => {
+  it('returns defaults without a config file or fallback section', () => {
+    assert.deepEqual(loadFallbackConfig(createProject()), { maxRetries: DEFAULT_FALLBACK_RETRIES, chains: {}, errors: [] });
+    assert.deepEqual(loadFallbackConfig(createProject('version: 1\n')).chains, {});
+  });
+
+  it('reads retries and per-agent chains', () => {
+    const dir = createProject([
+      'fallback:',
+      '  max_retries: 0',
+      '  chains:',
+      '    default: claude:opus -> gemini:pro',
+      '    dev: [codex:codex, claude:sonnet]',
+    ].join('\n'));
+    const config = loadFallbackConfig(dir);
+    assert.equal(config.maxRetries, 0);
+    assert.deepEqual(config.chains.dev, [
+      { provider: 'codex', model: 'codex' },
+      { provider: 'claude', model: 'sonnet' },
+    ]);
+    assert.deepEqual(getFallbackChain(dir, 'dev'), config.chains.dev);
+    assert.deepEqual(getFallbackChain(dir, 'brief'), config.chains.default);
+  });
+
+  it('drops unknown providers and reports them', () => {
+    const dir = createProject('fallback:\n  chains:\n    default: claude:opus -> nope:x -> gemini:pro\n');
+    const config = loadFallbackConfig(dir);
+    assert.deepEqual(config.chains.default.map(e => e.provider), ['claude', 'gemini']);
+    assert.deepEqual(config.errors, ['fallback.chains.default: unknown provider "nope"']);
+  });
+});
+
+describe('resolveFallbackChain', () => {
+  it('puts the primary first and fills in default models', () => {
+    const dir = createProject('fallback:\n  chains:\n    default: [claude:opus, gemini, codex:mini]\n');
+    assert.deepEqual(resolveFallbackChain(dir, 'dev', { provider: 'claude', model: 'sonnet' }), [
+      { provider: 'claude', model: 'sonnet' },
+      { provider: 'gemini', model: 'pro' },
+      { provider: 'codex', model: 'mini' },
+    ]);
+  });
+
+  it('is only the primary when no chain is configured', () => {
+    assert.deepEqual(resolveFallbackChain(createProject(), 'dev', { provider: 'claude', model: 'opus' }), [
+      { provider: 'claude', model: 'opus' },
+    ]);
+  });
+});
+
+describe('getProviderCircuit', () => {
+  beforeEach(() => _resetProviderCircuits());
+
+  it('keeps one circuit per provider', () => {
+    assert.equal(getProviderCircuit('claude'), getProviderCircuit('claude'));
+    assert.notEqual(getProviderCircuit('claude'), getProviderCircuit('gemini'));
+  });
+
+  it('opens after repeated failures', async () => {
+    const circuit = getProviderCircuit('gemini');
+    for (let i = 0; i < PROVIDER_FAILURE_THRESHOLD; i++) {
+      await circuit.executeAsync(async () => { throw new Error('429'); }).catch(() => {});
+    }
+    assert.equal(circuit.getState(), 'OPEN');
+  });
+
+  it('shares a project\'s provider circuit across processes through .chati/circuits', async () => {
+    const dir = createProject();
+    const circuit = getProviderCircuit('gemini', dir);
+    for (let i = 0; i < PROVIDER_FAILURE_THRESHOLD; i++) {
+      await circuit.executeAsync(async () => { throw new Error('429'); }).catch(() => {});
+    }
+
+    // A fresh process starts with an empty circuit map
+    _resetProviderCircuits();
+    assert.equal(getProviderCircuit('gemini', dir).getState(), 'OPEN');
+    assert.equal(getProviderCircuit('gemini').getState(), 'CLOSED');
+    assert.ok(existsSync(join(dir, '.chati', 'circuits', 'provider-gemini.json')));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// spawnTerminalWithFallback
+// ---------------------------------------------------------------------------
+
+describe('spawnTerminalWithFallback', () => {
+  let dir;
+
+  before(() => {
+    dir = createProject();
+    const fixtures = join(dir, 'chati.dev', 'mock-fixtures');
+    mkdirSync(join(fixtures, 'flaky'), { recursive: true });
+    writeFileSync(join(fixtures, 'dev.yaml'), 'stdout: done by mock\nhandoff: { status: APPROVED }\n');
+    writeFileSync(join(fixtures, 'flaky', 'dev.yaml'), 'stderr: "429 rate limit exceeded"\nexit_code: 1\n');
+    writeFileSync(join(fixtures, 'broken.yaml'), 'stderr: "invalid task"\nexit_code: 3\n');
+
+    registerProvider({ name: 'not-installed', command: 'chati-no-such-cli-xyz', model_map: { x: 'x' } });
+    registerProvider({
+      name: 'flaky',
+      command: process.execPath,
+      base_args: [MOCK_CLI_PATH],
+      model_map: { x: 'x' },
+      buildCommand: (config, provider) => buildMockCommand(
+        { ...config, mockFixtures: join(fixtures, 'flaky') }, provider,
+      ),
+    });
+  });
+
+  after(() => _resetCustomProviders());
+  beforeEach(() => _resetProviderCircuits());
+
+  const spawnConfig = () => ({ agent: 'dev', taskId: 'T1', prompt: 'go', workingDir: dir, timeout: 20_000 });
+
+  it('returns the primary when it succeeds', async () => {
+    const handle = await spawnTerminalWithFallback(spawnConfig(), [
+      { provider: 'mock', model: 'mock' },
+      { provider: 'flaky', model: 'x' },
+    ], { baseDelay: 0 });
+
+    assert.equal(handle.provider, 'mock');
+    assert.equal(handle.fallbackFrom, null);
+    assert.deepEqual(handle.providerAttempts, [{ provider: 'mock', model: 'mock', outcome: 'success', exitCode: 0 }]);
+  });
+
+  it('fails over when the CLI is not installed', async () => {
+    const handle = await spawnTerminalWithFallback(spawnConfig(), [
+      { provider: 'not-installed', model: 'x' },
+      { provider: 'mock', model: 'mock' },
+    ], { baseDelay: 0 });
+
+    assert.equal(handle.provider, 'mock');
+    assert.equal(handle.exitCode, 0);
+    assert.equal(handle.fallbackFrom, 'not-installed');
+    assert.deepEqual(handle.providerAttempts.map(a => a.outcome), ['missing', 'success']);
+  });
+
+  it('fails over after transient failures outlast the retries', async () => {
+    const handle = await spawnTerminalWithFallback(spawnConfig(), [
+      { provider: 'flaky', model: 'x' },
+      { provider: 'mock', model: 'mock' },
+    ], { maxRetries: 1, baseDelay: 0 });
+
+    assert.equal(handle.provider, 'mock');
+    assert.equal(handle.fallbackFrom, 'flaky');
+    assert.deepEqual(handle.providerAttempts[0], { provider: 'flaky', model: 'x', outcome: 'transient', exitCode: 1 });
+  });
+
+  it('skips providers whose circuit is open', async () => {
+    const circuit = getProviderCircuit('flaky');
+    for (let i = 0; i < PROVIDER_FAILURE_THRESHOLD; i++) {
+      await circuit.executeAsync(async () => { throw new Error('429'); }).catch(() => {});
+    }
+
+    const handle = await spawnTerminalWithFallback(spawnConfig(), [
+      { provider: 'flaky', model: 'x' },
+      { provider: 'mock', model: 'mock' },
+    ], { baseDelay: 0 });
+
+    assert.equal(handle.provider, 'mock');
+    assert.deepEqual(handle.providerAttempts[0], { provider: 'flaky', model: 'x', outcome: 'circuit_open', exitCode: null });
+  });
+
+  it('records unexpected errors as errors, not open circuits', async () => {
+    const config = { ...spawnConfig(), taskId: undefined };
+
+    await assert.rejects(
+      spawnTerminalWithFallback(config, [{ provider: 'mock', model: 'mock' }], { baseDelay: 0 }),
+      /No provider available: mock \(error: config\.taskId is required/,
+    );
+    assert.equal(getProviderCircuit('mock').getState(), 'CLOSED');
+  });
+
+  it('does not fail over on non-transient agent failures', async () => {
+    const handle = await spawnTerminalWithFallback({ ...spawnConfig(), agent: 'broken' }, [
+      { provider: 'mock', model: 'mock' },
+      { provider: 'flaky', model: 'x' },
+    ], { baseDelay: 0 });
+
+    assert.equal(handle.provider, 'mock');
+    assert.equal(handle.exitCode, 3);
+    assert.deepEqual(handle.providerAttempts.map(a => a.outcome), ['failed']);
+  });
+
+  it('returns the last failed handle when every provider fails', async () => {
+    const handle = await spawnTerminalWithFallback(spawnConfig(), [
+      { provider: 'flaky', model: 'x' },
+      { provider: 'not-installed', model: 'x' },
+    ], { maxRetries: 0, baseDelay: 0 });
+
+    assert.equal(handle.provider, 'not-installed');
+    assert.ok(isProviderMissing(handle));
+    assert.deepEqual(handle.providerAttempts.map(a => a.outcome), ['transient', 'missing']);
+  });
+
+  it('throws when every circuit is open', async () => {
+    const circuit = getProviderCircuit('mock');
+    for (let i = 0; i < PROVIDER_FAILURE_THRESHOLD; i++) {
+      await circuit.executeAsync(async () => { throw new Error('down'); }).catch(() => {});
+    }
+
+    await assert.rejects(
+      spawnTerminalWithFallback(spawnConfig(), [{ provider: 'mock', model: 'mock' }]),
+      /No provider available: mock \(circuit_open\)/,
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Cost attribution
+// ---------------------------------------------------------------------------
+
+describe('fallback cost attribution', () => {
+  it('records the provider that ran and the one it replaced', () => {
+    const dir = createProject();
+    const tracker = createCostTracker({ projectDir: dir, ledger: { sessionId: 's1' } });
+    const record = tracker.recordExecution({
+      agent: 'dev', taskId: 'T1', model: 'pro', provider: 'gemini', fallbackFrom: 'claude', outputText: 'x',
+    });
+
+    assert.equal(record.fallbackFrom, 'claude');
+    assert.equal(readLedger(dir)[0].provider, 'gemini');
+    assert.equal(readLedger(dir)[0].fallbackFrom, 'claude');
+    assert.equal('fallbackFrom' in tracker.recordExecution({ agent: 'dev', taskId: 'T2', provider: 'claude' }), false);
+  });
+});
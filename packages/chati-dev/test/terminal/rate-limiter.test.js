@@ -1,12 +1,20 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, after } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
 import {
   DEFAULT_LIMITS,
+  DEFAULT_TOKEN_LIMITS,
   WINDOW_MS,
+  MIN_LIMIT_SCALE,
   createRateLimiter,
   getRateLimiter,
   clearAllLimiters,
+  parseBackoffHint,
+  getRateLimitStatePath,
 } from '../../src/terminal/rate-limiter.js';
+import { spawnTerminalWithRetry } from '../../src/terminal/spawner.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -213,3 +221,203 @@ describe('per-provider isolation', () => {
     assert.equal(gemini.getStats().used, 0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Token limits
+// ---------------------------------------------------------------------------
+
+describe('token limits', () => {
+  it('should have default token limits for all providers', () => {
+    for (const provider of Object.keys(DEFAULT_LIMITS)) {
+      assert.ok(DEFAULT_TOKEN_LIMITS[provider] > 0, provider);
+    }
+  });
+
+  it('should deny spawn when the tokens would exceed the limit', () => {
+    const limiter = createRateLimiter('claude', { limit: 10, tokenLimit: 1000 });
+    limiter.recordSpawn(700);
+
+    assert.equal(limiter.canSpawn(300), true);
+    assert.equal(limiter.canSpawn(301), false);
+    assert.equal(limiter.getStats().tokensUsed, 700);
+  });
+
+  it('should count tokens recorded after the spawn', () => {
+    const limiter = createRateLimiter('claude', { limit: 10, tokenLimit: 1000 });
+    limiter.recordSpawn(100);
+    limiter.recordTokens(900);
+
+    assert.equal(limiter.canSpawn(), false);
+    assert.ok(limiter.getStats().nextAvailable > Date.now());
+  });
+
+  it('should let an oversized request through an empty window', () => {
+    const limiter = createRateLimiter('claude', { limit: 10, tokenLimit: 1000 });
+    assert.equal(limiter.canSpawn(5000), true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Backoff hints
+// ---------------------------------------------------------------------------
+
+describe('parseBackoffHint', () => {
+  it('should detect throttling errors', () => {
+    assert.deepEqual(parseBackoffHint('HTTP 429 Too Many Requests'), { throttled: true, retryAfterMs: null });
+    assert.equal(parseBackoffHint('Error: model overloaded (529)').throttled, true);
+    assert.equal(parseBackoffHint(['RESOURCE_EXHAUSTED: ', 'quota exceeded']).throttled, true);
+  });
+
+  it('should read retry-after values in several units', () => {
+    assert.equal(parseBackoffHint('429: retry-after: 30').retryAfterMs, 30_000);
+    assert.equal(parseBackoffHint('Rate limited. Try again in 1.5s').retryAfterMs, 1500);
+    assert.equal(parseBackoffHint('"retryDelay": "20s"').retryAfterMs, 20_000);
+    assert.equal(parseBackoffHint('Retry after 250ms').retryAfterMs, 250);
+    assert.equal(parseBackoffHint('please retry in 2 minutes').retryAfterMs, 120_000);
+  });
+
+  it('should ignore unrelated errors', () => {
+    assert.deepEqual(parseBackoffHint('Error: invalid argument --foo'), { throttled: false, retryAfterMs: null });
+    assert.deepEqual(parseBackoffHint(null), { throttled: false, retryAfterMs: null });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Adaptive window
+// ---------------------------------------------------------------------------
+
+describe('recordResponse', () => {
+  it('should shrink the window when the provider throttles', () => {
+    const limiter = createRateLimiter('claude', { limit: 20 });
+
+    limiter.recordResponse(1, 'HTTP 429 Too Many Requests');
+    assert.equal(limiter.getStats().limit, 10);
+    assert.equal(limiter.getStats().baseLimit, 20);
+
+    limiter.recordResponse(1, 'rate limit exceeded');
+    assert.equal(limiter.getStats().limit, 5);
+  });
+
+  it('should not shrink below the minimum scale', () => {
+    const limiter = createRateLimiter('claude', { limit: 20 });
+    for (let i = 0; i < 10; i++) limiter.recordResponse(1, 'overloaded');
+    assert.equal(limiter.getStats().scale, MIN_LIMIT_SCALE);
+    assert.equal(limiter.getStats().limit, 2);
+  });
+
+  it('should hold spawns until a retry-after hint passes', () => {
+    const limiter = createRateLimiter('claude', { limit: 20 });
+    const hint = limiter.recordResponse(1, 'Rate limited, retry after 30 seconds');
+
+    assert.equal(hint.retryAfterMs, 30_000);
+    assert.equal(limiter.canSpawn(), false);
+    assert.ok(limiter.getStats().backoffUntil >= Date.now() + 29_000);
+  });
+
+  it('should ignore stderr of successful runs', () => {
+    const limiter = createRateLimiter('claude', { limit: 20 });
+    assert.equal(limiter.recordResponse(0, 'retried after a 429').throttled, false);
+    assert.equal(limiter.getStats().limit, 20);
+  });
+
+  it('should reset throttling state', () => {
+    const limiter = createRateLimiter('claude', { limit: 20 });
+    limiter.recordResponse(1, '429 retry after 60');
+    limiter.reset();
+
+    const stats = limiter.getStats();
+    assert.equal(stats.limit, 20);
+    assert.equal(stats.backoffUntil, null);
+    assert.equal(limiter.canSpawn(), true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Shared state
+// ---------------------------------------------------------------------------
+
+describe('shared state file', () => {
+  const dirs = [];
+  const makeProject = () => {
+    const dir = mkdtempSync(join(tmpdir(), 'chati-rate-'));
+    dirs.push(dir);
+    return dir;
+  };
+
+  after(() => {
+    for (const dir of dirs) rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should share the window between limiters on the same project', () => {
+    const projectDir = makeProject();
+    const first = createRateLimiter('claude', { limit: 2, projectDir });
+    const second = createRateLimiter('claude', { limit: 2, projectDir });
+
+    first.recordSpawn(10);
+    second.recordSpawn(10);
+
+    assert.equal(first.canSpawn(), false);
+    assert.equal(second.getStats().used, 2);
+    assert.equal(second.getStats().tokensUsed, 20);
+  });
+
+  it('should share throttling and keep providers apart', () => {
+    const projectDir = makeProject();
+    createRateLimiter('gemini', { limit: 10, projectDir }).recordResponse(1, '429 quota exceeded');
+
+    assert.equal(createRateLimiter('gemini', { limit: 10, projectDir }).getStats().limit, 5);
+    assert.equal(createRateLimiter('claude', { limit: 10, projectDir }).getStats().limit, 10);
+
+    const data = JSON.parse(readFileSync(getRateLimitStatePath(projectDir), 'utf-8'));
+    assert.equal(data.providers.gemini.scale, 0.5);
+  });
+
+  it('should recover from a corrupt state file', () => {
+    const projectDir = makeProject();
+    mkdirSync(join(projectDir, '.chati'), { recursive: true });
+    writeFileSync(getRateLimitStatePath(projectDir), '{not json');
+
+    const limiter = createRateLimiter('claude', { limit: 1, projectDir });
+    assert.equal(limiter.canSpawn(), true);
+    limiter.recordSpawn();
+    assert.equal(limiter.canSpawn(), false);
+  });
+
+  it('should take slots atomically with acquire', async () => {
+    const projectDir = makeProject();
+    const limiter = createRateLimiter('claude', { limit: 3, projectDir });
+
+    await limiter.acquire(5);
+    await limiter.acquire(5);
+
+    const stats = createRateLimiter('claude', { limit: 3, projectDir }).getStats();
+    assert.equal(stats.used, 2);
+    assert.equal(stats.tokensUsed, 10);
+  });
+
+  it('should key the registry by project', () => {
+    clearAllLimiters();
+    const projectDir = makeProject();
+    assert.notEqual(getRateLimiter('claude'), getRateLimiter('claude', { projectDir }));
+    assert.equal(getRateLimiter('claude', { projectDir }), getRateLimiter('claude', { projectDir }));
+  });
+
+  it('should report spawned terminals back to the limiter', async () => {
+    clearAllLimiters();
+    const projectDir = makeProject();
+    const fixtures = join(projectDir, 'chati.dev', 'mock-fixtures');
+    mkdirSync(fixtures, { recursive: true });
+    writeFileSync(join(fixtures, 'dev.yaml'), 'stderr: "429 rate limit, retry after 5ms"\nexit_code: 1\n');
+
+    const handle = await spawnTerminalWithRetry(
+      { agent: 'dev', taskId: 'T1', provider: 'mock', prompt: 'x'.repeat(400), workingDir: projectDir },
+      { maxRetries: 1, baseDelay: 0, rateLimit: { projectDir } },
+    );
+
+    assert.equal(handle.exitCode, 1);
+    const stats = getRateLimiter('mock', { projectDir }).getStats();
+    assert.equal(stats.used, 2);
+    assert.ok(stats.tokensUsed >= 200);
+    assert.equal(stats.scale, 0.25);
+  });
+});
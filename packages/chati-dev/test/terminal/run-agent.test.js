@@ -0,0 +1,34 @@
+/**
+ * Tests for run-agent.js helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { waitForExit } from '../../src/terminal/run-agent.js';
+
+function fakeHandle(status) {
+  const process = new EventEmitter();
+  process.kill = () => {};
+  return { status, process, exitCode: status === 'running' ? null : 1 };
+}
+
+describe('waitForExit', () => {
+  it('resolves at once for handles the spawner already killed', async () => {
+    const started = Date.now();
+    await waitForExit(fakeHandle('killed'), 5_000);
+    assert.ok(Date.now() - started < 1_000);
+  });
+
+  it('waits for a running process to exit', async () => {
+    const handle = fakeHandle('running');
+    setTimeout(() => handle.process.emit('exit', 0), 10);
+    await waitForExit(handle, 5_000);
+  });
+
+  it('rejects and kills the process after the timeout', async () => {
+    const handle = fakeHandle('running');
+    await assert.rejects(waitForExit(handle, 20), /Terminal timed out/);
+    assert.equal(handle.exitCode, -2);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview End-to-end tests for the run-parallel CLI.
+ *
+ * Runs groups on the mock provider, and on custom providers that are
+ * small node scripts, to check the consolidated output, the progress
+ * files, the streaming watchdog, provider fallback and circuit breakers.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { renderHandoff } from '../../src/terminal/adapters/mock-adapter.js';
+import { readTerminalProgress } from '../../src/terminal/progress.js';
+import { readLedger } from '../../src/terminal/cost-ledger.js';
+import { getProviderCircuit, PROVIDER_FAILURE_THRESHOLD } from '../../src/terminal/provider-fallback.js';
+import { getGateCircuit } from '../../src/gates/index.js';
+
+const RUN_PARALLEL = fileURLToPath(new URL('../../src/terminal/run-parallel.js', import.meta.url));
+
+const HANDOFF = renderHandoff({ status: 'APPROVED', score: 96, summary: 'done' });
+
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Helper: create a project with mock fixtures and optional config.yaml content.
+ */
+function createProject(config = null) {
+  const dir = mkdtempSync(join(tmpdir(), 'chati-run-parallel-'));
+  tempDirs.push(dir);
+  const fixtures = join(dir, 'chati.dev', 'mock-fixtures');
+  mkdirSync(fixtures, { recursive: true });
+  for (const agent of ['detail', 'architect']) {
+    writeFileSync(join(fixtures, `${agent}.yaml`), yaml.dump({
+      stdout: [`Working on ${agent}\n`],
+      delay: 20,
+      handoff: { status: 'APPROVED', score: 96, summary: `${agent} done` },
+    }));
+  }
+  if (config) {
+    writeFileSync(join(dir, 'chati.dev', 'config.yaml'), yaml.dump(config));
+  }
+  return dir;
+}
+
+/**
+ * Helper: a custom provider that runs a node script.
+ */
+function scriptProvider(script) {
+  return { command: process.execPath, base_args: ['-e', script, '--'], model_map: { x: 'x' } };
+}
+
+/**
+ * Helper: run the CLI and parse its JSON output.
+ */
+function runParallel(dir, args) {
+  const result = spawnSync(process.execPath, [RUN_PARALLEL, '--project-dir', dir, ...args], {
+    encoding: 'utf-8',
+    timeout: 60_000,
+  });
+  return { status: result.status, output: JSON.parse(result.stdout), stderr: result.stderr };
+}
+
+describe('run-parallel', () => {
+  it('runs the group, logs progress and leaves a progress file per terminal', () => {
+    const dir = createProject();
+    const { status, output, stderr } = runParallel(dir, [
+      '--agents', 'detail,architect', '--task-ids', 'expand-prd,design', '--provider', 'mock', '--timeout', '20000',
+    ]);
+
+    assert.equal(status, 0);
+    assert.equal(output.status, 'complete');
+    assert.deepEqual(output.agents.map(a => [a.agent, a.status, a.cancelReason]), [
+      ['detail', 'APPROVED', null],
+      ['architect', 'APPROVED', null],
+    ]);
+    assert.match(stderr, /detail started on mock/);
+    assert.match(stderr, /architect handoff complete/);
+
+    const progress = readTerminalProgress(dir);
+    assert.deepEqual(progress.map(p => [p.agent, p.status, p.handoff, p.exitCode]).sort(), [
+      ['architect', 'exited', 'complete', 0],
+      ['detail', 'exited', 'complete', 0],
+    ]);
+  });
+
+  it('cancels a terminal that keeps running after its handoff and counts it as complete', () => {
+    const dir = createProject({
+      providers: { lingering: scriptProvider(`process.stdout.write(${JSON.stringify(HANDOFF)}); setInterval(() => {}, 1000);`) },
+    });
+    const { status, output } = runParallel(dir, [
+      '--agents', 'detail', '--task-ids', 'expand-prd', '--provider', 'lingering',
+      '--timeout', '20000', '--handoff-grace', '300',
+    ]);
+
+    assert.equal(status, 0);
+    assert.equal(output.status, 'complete');
+    assert.equal(output.agents[0].cancelReason, 'handoff_complete');
+    assert.equal(output.agents[0].status, 'APPROVED');
+  });
+
+  it('cancels a terminal that stops writing output', () => {
+    const dir = createProject({
+      providers: { silent: scriptProvider('setInterval(() => {}, 1000);') },
+    });
+    const { status, output, stderr } = runParallel(dir, [
+      '--agents', 'detail', '--task-ids', 'expand-prd', '--provider', 'silent',
+      '--timeout', '20000', '--idle-timeout', '300',
+    ]);
+
+    assert.equal(status, 1);
+    assert.equal(output.status, 'partial');
+    assert.equal(output.agents[0].cancelReason, 'idle');
+    assert.match(stderr, /detail cancelled \(idle\)/);
+    assert.equal(readTerminalProgress(dir)[0].status, 'cancelled');
+  });
+
+  it('fails a terminal over along its fallback chain and records the provider that ran', () => {
+    const dir = createProject({
+      providers: { 'not-installed': { command: 'chati-no-such-cli', model_map: { x: 'x' } } },
+      fallback: { chains: { detail: ['not-installed:x', 'mock:mock'], default: ['mock:mock'] } },
+    });
+    const { status, output } = runParallel(dir, [
+      '--agents', 'detail,architect', '--task-ids', 'expand-prd,design', '--timeout', '20000',
+    ]);
+
+    assert.equal(status, 0);
+    const detail = output.agents.find(a => a.agent === 'detail');
+    assert.equal(detail.provider, 'mock');
+    assert.equal(detail.fallbackFrom, 'not-installed');
+    assert.deepEqual(detail.providerAttempts.map(a => [a.provider, a.outcome]), [
+      ['not-installed', 'missing'],
+      ['mock', 'success'],
+    ]);
+    assert.deepEqual(output.mergedHandoff.providers.detail, { provider: 'mock', model: 'mock', fallbackFrom: 'not-installed' });
+
+    const entry = readLedger(dir).find(e => e.agent === 'detail');
+    assert.equal(entry.provider, 'mock');
+    assert.equal(entry.fallbackFrom, 'not-installed');
+  });
+
+  it('records each run on its provider circuit', () => {
+    const dir = createProject();
+    getProviderCircuit('mock', dir).recordFailure();
+    runParallel(dir, ['--agents', 'detail', '--task-ids', 'expand-prd', '--provider', 'mock', '--timeout', '20000']);
+
+    assert.equal(getProviderCircuit('mock', dir).getStats().successes, 1);
+  });
+
+  it('refuses the group while a provider circuit is open', () => {
+    const dir = createProject();
+    for (let i = 0; i < PROVIDER_FAILURE_THRESHOLD; i++) getProviderCircuit('mock', dir).recordFailure();
+    const { status, output } = runParallel(dir, [
+      '--agents', 'detail,architect', '--task-ids', 'expand-prd,design', '--provider', 'mock', '--timeout', '20000',
+    ]);
+
+    assert.equal(status, 1);
+    assert.match(output.error, /Circuit for provider mock is OPEN/);
+    assert.deepEqual(readTerminalProgress(dir), []);
+  });
+
+  it('refuses the group while a gate evaluating one of its agents has an open circuit', () => {
+    const dir = createProject();
+    const gate = getGateCircuit(dir, 'g3-implementation');
+    for (let i = 0; i < gate.failureThreshold; i++) gate.recordFailure();
+    const { status, output } = runParallel(dir, [
+      '--agents', 'dev', '--task-ids', 'task-1', '--provider', 'mock', '--timeout', '20000',
+    ]);
+
+    assert.equal(status, 1);
+    assert.match(output.error, /Circuit for gate g3-implementation is OPEN/);
+  });
+});
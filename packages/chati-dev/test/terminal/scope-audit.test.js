@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests for the post-execution write scope audit.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import {
+  snapshotWorkingTree,
+  diffWorkingTree,
+  auditWriteScopes,
+} from '../../src/terminal/scope-audit.js';
+
+const tempDirs = [];
+
+function write(dir, path, content) {
+  mkdirSync(dirname(join(dir, path)), { recursive: true });
+  writeFileSync(join(dir, path), content);
+}
+
+/**
+ * Helper: create a project with a README, source file and PRD.
+ * With `git`, the files are committed.
+ */
+function createProject({ git = false } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'chati-audit-'));
+  tempDirs.push(dir);
+  write(dir, 'README.md', '# Project\n');
+  write(dir, 'src/index.js', 'export {};\n');
+  write(dir, 'chati.dev/artifacts/2-PRD/prd.md', '# PRD\n');
+
+  if (git) {
+    const run = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+    run('init', '-q');
+    run('add', '-A');
+    run('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+  }
+  return dir;
+}
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+for (const method of ['git', 'hash']) {
+  describe(`scope audit (${method})`, () => {
+    const project = () => createProject({ git: method === 'git' });
+
+    it('detects the detection method', () => {
+      assert.equal(snapshotWorkingTree(project()).method, method);
+    });
+
+    it('lists added, modified and deleted files', () => {
+      const dir = project();
+      const before = snapshotWorkingTree(dir);
+      write(dir, 'src/new.js', 'new\n');
+      write(dir, 'README.md', '# Changed\n');
+      unlinkSync(join(dir, 'chati.dev/artifacts/2-PRD/prd.md'));
+
+      assert.deepEqual(diffWorkingTree(before), [
+        { path: 'README.md', change: 'modified' },
+        { path: 'chati.dev/artifacts/2-PRD/prd.md', change: 'deleted' },
+        { path: 'src/new.js', change: 'added' },
+      ]);
+    });
+
+    it('ignores runtime state and unchanged rewrites', () => {
+      const dir = project();
+      const before = snapshotWorkingTree(dir);
+      write(dir, '.chati/session.yaml', 'mode: plan\n');
+      write(dir, 'README.md', '# Project\n');
+
+      assert.deepEqual(diffWorkingTree(before), []);
+    });
+
+    it('flags writes outside the agent scope and allows its own', () => {
+      const dir = project();
+      const before = snapshotWorkingTree(dir);
+      write(dir, 'chati.dev/artifacts/2-PRD/prd.md', '# PRD v2\n');
+      write(dir, 'chati.dev/artifacts/handoffs/detail-handoff.md', 'done\n');
+      write(dir, 'src/index.js', 'hacked\n');
+
+      const audit = auditWriteScopes(before, ['detail']);
+      assert.equal(audit.changes.length, 3);
+      assert.deepEqual(audit.violations, [
+        { path: 'src/index.js', change: 'modified', agents: ['detail'], reverted: false },
+      ]);
+    });
+
+    it('allows a path when any agent of the group may write it', () => {
+      const dir = project();
+      const before = snapshotWorkingTree(dir);
+      write(dir, 'chati.dev/artifacts/2-PRD/prd.md', '# PRD v2\n');
+      write(dir, 'chati.dev/artifacts/3-Architecture/architecture.md', '# Arch\n');
+      write(dir, 'Dockerfile', 'FROM node\n');
+
+      const audit = auditWriteScopes(before, ['detail', 'architect']);
+      assert.deepEqual(audit.violations.map(v => [v.path, v.agents]), [
+        ['Dockerfile', ['detail', 'architect']],
+      ]);
+    });
+
+    it('reverts out-of-scope changes when asked', () => {
+      const dir = project();
+      const before = snapshotWorkingTree(dir, { keepContent: true });
+      write(dir, 'README.md', '# Changed\n');
+      write(dir, 'src/evil.js', 'evil\n');
+      unlinkSync(join(dir, 'src/index.js'));
+      write(dir, 'chati.dev/artifacts/2-PRD/prd.md', '# PRD v2\n');
+
+      const audit = auditWriteScopes(before, ['detail'], { revert: true });
+      assert.equal(audit.violations.length, 3);
+      assert.ok(audit.violations.every(v => v.reverted));
+      assert.equal(readFileSync(join(dir, 'README.md'), 'utf-8'), '# Project\n');
+      assert.equal(readFileSync(join(dir, 'src/index.js'), 'utf-8'), 'export {};\n');
+      assert.equal(existsSync(join(dir, 'src/evil.js')), false);
+      assert.equal(readFileSync(join(dir, 'chati.dev/artifacts/2-PRD/prd.md'), 'utf-8'), '# PRD v2\n');
+    });
+
+    it('skips agents without a write scope', () => {
+      const dir = project();
+      const before = snapshotWorkingTree(dir);
+      write(dir, 'src/index.js', 'changed\n');
+
+      const audit = auditWriteScopes(before, ['orchestrator']);
+      assert.deepEqual(audit.agents, []);
+      assert.deepEqual(audit.violations, []);
+    });
+  });
+}
+
+describe('scope audit (git) without saved content', () => {
+  it('restores clean tracked files from git and keeps pre-existing edits', () => {
+    const dir = createProject({ git: true });
+    write(dir, 'README.md', '# Local edit\n');
+    const before = snapshotWorkingTree(dir);
+    write(dir, 'README.md', '# Agent edit\n');
+    write(dir, 'src/index.js', 'changed\n');
+
+    const audit = auditWriteScopes(before, ['detail'], { revert: true });
+    const byPath = Object.fromEntries(audit.violations.map(v => [v.path, v.reverted]));
+    assert.deepEqual(byPath, { 'README.md': false, 'src/index.js': true });
+    assert.equal(readFileSync(join(dir, 'src/index.js'), 'utf-8'), 'export {};\n');
+  });
+});
@@ -5,7 +5,7 @@
  * and validation logic.  No real processes are spawned.
  */
 
-import { describe, it, before } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   buildSpawnCommand,
@@ -15,7 +15,12 @@ import {
   DEFAULT_CONCURRENCY,
   TRANSIENT_PATTERNS,
   isTransientFailure,
+  getTerminalOutput,
 } from '../../src/terminal/spawner.js';
+import { registerProvider, _resetCustomProviders } from '../../src/terminal/cli-registry.js';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
 
 describe('spawner', () => {
   before(() => {
@@ -360,6 +365,27 @@ describe('spawner', () => {
         { message: /Write scope conflicts/ }
       );
     });
+
+    it('should refuse to spawn once a hard budget limit is reached', async () => {
+      const { spawnParallelGroupAsync } = await import('../../src/terminal/spawner.js');
+      const { appendLedgerEntry } = await import('../../src/terminal/cost-ledger.js');
+      const projectDir = mkdtempSync(join(tmpdir(), 'chati-spawn-budget-'));
+      try {
+        mkdirSync(join(projectDir, 'chati.dev'), { recursive: true });
+        writeFileSync(join(projectDir, 'chati.dev', 'config.yaml'), 'budgets:\n  build: 1\n');
+        appendLedgerEntry(projectDir, { agent: 'dev', cost: 1.5 }, { buildId: 'build-1' });
+
+        await assert.rejects(
+          () => spawnParallelGroupAsync(
+            [{ agent: 'detail', taskId: 't1' }, { agent: 'ux', taskId: 't2' }],
+            { budget: { projectDir, buildId: 'build-1' } },
+          ),
+          { message: /Budget exceeded: build "build-1"/ }
+        );
+      } finally {
+        rmSync(projectDir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('provider fallback audit trail', () => {
@@ -466,4 +492,47 @@ describe('spawner', () => {
       assert.equal(isTransientFailure(1, []), false);
     });
   });
+
+  describe('custom providers', () => {
+    before(() => {
+      registerProvider({
+        name: 'aider',
+        command: 'aider',
+        baseArgs: ['--yes-always'],
+        modelMap: { sonnet: 'anthropic/claude-sonnet-4-5' },
+      });
+    });
+
+    after(() => {
+      _resetCustomProviders();
+    });
+
+    it('builds the command through the custom provider adapter', () => {
+      const result = buildSpawnCommand({ agent: 'dev', taskId: 't1', provider: 'aider', model: 'sonnet', prompt: 'hi' });
+      assert.equal(result.command, 'aider');
+      assert.deepEqual(result.args, ['--yes-always', '--model', 'anthropic/claude-sonnet-4-5']);
+      assert.equal(result.prompt, 'hi');
+      assert.equal(result.providerFallback, null);
+    });
+  });
+
+  describe('getTerminalOutput', () => {
+    it('joins plain stdout and returns null usage', () => {
+      const result = getTerminalOutput({ provider: 'claude', stdout: ['a', 'b'] });
+      assert.deepEqual(result, { text: 'ab', usage: null });
+    });
+
+    it('decodes structured output through the provider adapter', () => {
+      const json = JSON.stringify({ type: 'result', result: 'done', usage: { input_tokens: 10, output_tokens: 5 } });
+      const result = getTerminalOutput({ provider: 'claude', structuredOutput: true, stdout: [json.slice(0, 20), json.slice(20)] });
+      assert.equal(result.text, 'done');
+      assert.equal(result.usage.inputTokens, 10);
+      assert.equal(result.usage.outputTokens, 5);
+    });
+
+    it('falls back to raw text for unknown providers', () => {
+      const result = getTerminalOutput({ provider: 'nope', structuredOutput: true, stdout: ['raw'] });
+      assert.deepEqual(result, { text: 'raw', usage: null });
+    });
+  });
 });
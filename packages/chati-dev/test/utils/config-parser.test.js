@@ -12,6 +12,7 @@ import { join } from 'path';
 import { tmpdir } from 'os';
 import {
   parseProviderConfig,
+  listConfiguredProviderNames,
   parseAgentOverride,
   getEnabledNonClaudeProviders,
   isCommandAvailable,
@@ -129,6 +130,104 @@ describe('parseProviderConfig', () => {
     assert.ok(result.enabled.includes('gemini'));
     assert.ok(result.enabled.includes('codex'));
   });
+
+  it('reads each provider\'s own flags, not the next provider\'s', () => {
+    const configDir = join(projectDir, 'chati.dev');
+    writeFileSync(
+      join(configDir, 'config.yaml'),
+      [
+        'providers:',
+        '  aider: {command: aider}',
+        '  claude: {enabled: true, primary: true}',
+        '  gemini:',
+        '    enabled: false',
+      ].join('\n')
+    );
+
+    const result = parseProviderConfig(projectDir);
+    assert.equal(result.primary, 'claude');
+    assert.deepEqual(result.enabled, ['claude']);
+  });
+
+  it('ignores provider names that only appear outside providers:', () => {
+    const configDir = join(projectDir, 'chati.dev');
+    writeFileSync(
+      join(configDir, 'config.yaml'),
+      [
+        'agents:',
+        '  gemini:',
+        '    enabled: true',
+        '    primary: true',
+        'providers:',
+        '  claude:',
+        '    enabled: true',
+      ].join('\n')
+    );
+
+    const result = parseProviderConfig(projectDir);
+    assert.equal(result.primary, 'claude');
+    assert.deepEqual(result.enabled, ['claude']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// listConfiguredProviderNames
+// ---------------------------------------------------------------------------
+
+describe('listConfiguredProviderNames', () => {
+  it('lists only first-level keys under providers:', () => {
+    const raw = [
+      'version: "3.3.2"',
+      'providers:',
+      '  claude:',
+      '    enabled: true',
+      '  aider:',
+      '    enabled: true',
+      '    command: aider',
+      '    model_map:',
+      '      sonnet: anthropic/claude-sonnet-4-5',
+      '  # opencode:',
+      'telemetry:',
+      '  enabled: false',
+    ].join('\n');
+    assert.deepEqual(listConfiguredProviderNames(raw), ['claude', 'aider']);
+  });
+
+  it('returns empty array without a providers block', () => {
+    assert.deepEqual(listConfiguredProviderNames('telemetry:\n  enabled: true\n'), []);
+  });
+});
+
+describe('parseProviderConfig with custom providers', () => {
+  let projectDir;
+
+  before(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'chati-cfg-custom-'));
+    mkdirSync(join(projectDir, 'chati.dev'), { recursive: true });
+    writeFileSync(
+      join(projectDir, 'chati.dev', 'config.yaml'),
+      [
+        'providers:',
+        '  claude:',
+        '    enabled: true',
+        '    primary: false',
+        '  my-wrapper:',
+        '    enabled: true',
+        '    primary: true',
+        '    command: ./bin/agent.sh',
+      ].join('\n')
+    );
+  });
+
+  after(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('reports enabled/primary status for custom provider names', () => {
+    const result = parseProviderConfig(projectDir);
+    assert.ok(result.enabled.includes('my-wrapper'));
+    assert.equal(result.primary, 'my-wrapper');
+  });
 });
 
 // ---------------------------------------------------------------------------
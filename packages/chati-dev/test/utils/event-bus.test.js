@@ -34,6 +34,10 @@ describe('event-bus', () => {
       assert.ok(EVENTS.TERMINAL_SPAWNED);
       assert.ok(EVENTS.TERMINAL_EXITED);
       assert.ok(EVENTS.TERMINAL_KILLED);
+      assert.ok(EVENTS.TERMINAL_OUTPUT);
+      assert.ok(EVENTS.TERMINAL_HANDOFF_STARTED);
+      assert.ok(EVENTS.TERMINAL_HANDOFF_PARTIAL);
+      assert.ok(EVENTS.TERMINAL_HANDOFF_COMPLETE);
     });
 
     it('should have pipeline events', () => {